@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const RAG_CONFIG = require('../config');
+const AuditLog = require('./audit-log');
+
+const scrypt = promisify(crypto.scrypt);
+
+// viewer: analytics · editor: content and reindexing · owner: budgets,
+// config, users, audit log and the agent monitor
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+class AuthError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Admin accounts with scrypt-hashed passwords, kept in data/auth/users.json.
+ *
+ * A login returns a signed token (HS256 JWT) that clients send as the
+ * HttpOnly session cookie or as `Authorization: Bearer`; tokens are never
+ * read from the URL. Each token carries the user's token version, so a
+ * password change, a logout or a removed account ends its sessions (a
+ * logout signs the user out on every device: tokens are stateless). When no
+ * account exists, ADMIN_USERNAME/ADMIN_PASSWORD create the first owner.
+ */
+class AdminAuth {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.adminAuth;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.config = config;
+
+    this.users = new Map();        // username → account
+    this.failedLogins = new Map(); // username → { count, since }
+    this.secret = null;
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  static getInstance() {
+    if (!AdminAuth.instance) {
+      AdminAuth.instance = new AdminAuth();
+    }
+    return AdminAuth.instance;
+  }
+
+  initialize() {
+    if (!this.loaded) {
+      this.loaded = this.load();
+    }
+    return this.loaded;
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(path.join(this.directory, 'users.json'), 'utf8'));
+      for (const user of saved.users || []) {
+        this.users.set(user.username, user);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read admin accounts:', error.message);
+    }
+
+    this.secret = process.env.ADMIN_JWT_SECRET || await this.loadSecret();
+
+    if (this.users.size === 0) {
+      const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+      if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        await this.addAccount({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'owner' });
+        console.log(`🔐 Admin owner account created: ${ADMIN_USERNAME}`);
+      } else {
+        console.warn('⚠️ No admin accounts: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner');
+      }
+    }
+  }
+
+  // Signing key generated on first start and kept next to the accounts
+  async loadSecret() {
+    const secretPath = path.join(this.directory, 'jwt-secret');
+    try {
+      return (await fs.readFile(secretPath, 'utf8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(48).toString('base64url');
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(secretPath, secret, { mode: 0o600 });
+    return secret;
+  }
+
+  save() {
+    const data = { users: Array.from(this.users.values()) };
+
+    this.writes = this.writes
+      .then(async () => {
+        const filePath = path.join(this.directory, 'users.json');
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch(error => console.error('❌ Failed to save admin accounts:', error.message));
+    return this.writes;
+  }
+
+  // =============================================================================
+  // LOGIN & TOKENS
+  // =============================================================================
+
+  async login(username, password) {
+    await this.initialize();
+    const name = String(username || '').toLowerCase();
+
+    const failures = this.failedLogins.get(name);
+    const lockoutMs = this.config.lockoutMinutes * 60 * 1000;
+    if (failures && failures.count >= this.config.maxFailedLogins && Date.now() - failures.since < lockoutMs) {
+      throw new AuthError('Massa intents fallits. Torna-ho a provar més tard.', 429);
+    }
+
+    const user = this.users.get(name);
+    // Hash even for unknown users so both cases take the same time
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : DUMMY_HASH);
+
+    if (!user || !valid) {
+      this.recordFailedLogin(name, lockoutMs);
+      throw new AuthError('Usuari o contrasenya incorrectes', 401);
+    }
+
+    this.failedLogins.delete(name);
+    user.lastLogin = new Date().toISOString();
+    await this.save();
+
+    const expiresAt = Date.now() + this.config.sessionHours * 60 * 60 * 1000;
+    return {
+      token: this.signToken({ sub: user.username, role: user.role, tv: user.tokenVersion, exp: Math.floor(expiresAt / 1000) }),
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: publicUser(user)
+    };
+  }
+
+  // Failures are tracked for unknown usernames too, so the answer does not
+  // reveal which accounts exist. Entries older than the lockout window are
+  // dropped, and past maxTrackedLogins the oldest go first.
+  recordFailedLogin(name, lockoutMs) {
+    const now = Date.now();
+    for (const [tracked, failures] of this.failedLogins) {
+      if (now - failures.since >= lockoutMs) this.failedLogins.delete(tracked);
+    }
+
+    const current = this.failedLogins.get(name) || { count: 0, since: now };
+    this.failedLogins.delete(name);
+    while (this.failedLogins.size >= this.config.maxTrackedLogins) {
+      this.failedLogins.delete(this.failedLogins.keys().next().value);
+    }
+    this.failedLogins.set(name, { ...current, count: current.count + 1 });
+  }
+
+  // Ends every session of the token's user; the account, or null when the
+  // token was no longer valid
+  async logout(token) {
+    const user = await this.verify(token);
+    if (!user) return null;
+
+    const account = this.users.get(user.username);
+    account.tokenVersion += 1;
+    await this.save();
+    return user;
+  }
+
+  // The current account, or null when the token is invalid or outdated.
+  // The role comes from the account, so role changes apply immediately.
+  async verify(token) {
+    await this.initialize();
+    const payload = this.verifyToken(token);
+    if (!payload) return null;
+
+    const user = this.users.get(payload.sub);
+    if (!user || user.tokenVersion !== payload.tv) return null;
+    return publicUser(user);
+  }
+
+  signToken(payload) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: Math.floor(Date.now() / 1000) }));
+    return `${header}.${body}.${this.sign(`${header}.${body}`)}`;
+  }
+
+  verifyToken(token) {
+    const [header, body, signature] = String(token || '').split('.');
+    if (!header || !body || !signature) return null;
+
+    const expected = Buffer.from(this.sign(`${header}.${body}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+      if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+      return payload.exp * 1000 > Date.now() ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  // =============================================================================
+  // ACCOUNTS
+  // =============================================================================
+
+  async listUsers() {
+    await this.initialize();
+    return Array.from(this.users.values()).map(publicUser);
+  }
+
+  async createUser(account) {
+    await this.initialize();
+    return this.addAccount(account);
+  }
+
+  async addAccount({ username, password, role = 'viewer' } = {}) {
+    const name = String(username || '').toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new AuthError('Nom d\'usuari no vàlid (3-32 caràcters: lletres, números, punt, guió)', 400);
+    }
+    if (this.users.has(name)) {
+      throw new AuthError(`L'usuari ${name} ja existeix`, 409);
+    }
+    this.validateRole(role);
+
+    const now = new Date().toISOString();
+    const user = {
+      username: name,
+      role,
+      passwordHash: await hashPassword(this.validatePassword(password)),
+      tokenVersion: 1,
+      createdAt: now,
+      updatedAt: now,
+      lastLogin: null
+    };
+
+    this.users.set(name, user);
+    await this.save();
+    return publicUser(user);
+  }
+
+  // { role, password }; a new password signs the user out everywhere
+  async updateUser(username, { role, password } = {}) {
+    await this.initialize();
+    const user = this.requireUser(username);
+
+    if (role !== undefined && role !== user.role) {
+      this.validateRole(role);
+      if (user.role === 'owner') this.keepAnOwner(user.username);
+      user.role = role;
+    }
+    if (password !== undefined) {
+      user.passwordHash = await hashPassword(this.validatePassword(password));
+      user.tokenVersion += 1;
+    }
+
+    user.updatedAt = new Date().toISOString();
+    await this.save();
+    return publicUser(user);
+  }
+
+  async removeUser(username) {
+    await this.initialize();
+    const user = this.requireUser(username);
+    if (user.role === 'owner') this.keepAnOwner(user.username);
+
+    this.users.delete(user.username);
+    await this.save();
+  }
+
+  keepAnOwner(username) {
+    const owners = Array.from(this.users.values()).filter(user => user.role === 'owner' && user.username !== username);
+    if (owners.length === 0) {
+      throw new AuthError('Ha de quedar almenys un usuari amb rol owner', 409);
+    }
+  }
+
+  requireUser(username) {
+    const user = this.users.get(String(username || '').toLowerCase());
+    if (!user) {
+      throw new AuthError('Usuari no trobat', 404);
+    }
+    return user;
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Rol no vàlid: ${role}`, 400, { roles: ROLES });
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < this.config.minPasswordLength) {
+      throw new AuthError(`La contrasenya ha de tenir almenys ${this.config.minPasswordLength} caràcters`, 400);
+    }
+    return password;
+  }
+
+  // =============================================================================
+  // MIDDLEWARE
+  // =============================================================================
+
+  // Bearer header or session cookie; sets req.adminUser
+  authenticate() {
+    return async (req, res, next) => {
+      try {
+        const user = await this.verify(this.readToken(req));
+        if (!user) {
+          return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
+        }
+        req.adminUser = user;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  readToken(req) {
+    return readToken(req, this.config.cookieName);
+  }
+
+  setSessionCookie(req, res, session) {
+    res.cookie(this.config.cookieName, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure || process.env.NODE_ENV === 'production',
+      path: '/',
+      expires: new Date(session.expiresAt)
+    });
+  }
+
+  clearSessionCookie(res) {
+    res.clearCookie(this.config.cookieName, { path: '/' });
+  }
+}
+
+// Requires an authenticated user with at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.adminUser) {
+      return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
+    }
+    if (ROLES.indexOf(req.adminUser.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `Permís insuficient: cal el rol ${role}`, role: req.adminUser.role });
+    }
+    next();
+  };
+}
+
+// authenticate + requireRole + audit log, for admin routes mounted outside
+// admin-routes.js
+function requireAdmin(role = 'viewer') {
+  return [AdminAuth.getInstance().authenticate(), requireRole(role), AuditLog.getInstance().middleware()];
+}
+
+function readToken(req, cookieName) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name !== cookieName) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null;   // Malformed percent-encoding: no session
+    }
+  }
+  return null;
+}
+
+// scrypt$N$salt$hash
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64, { N: 16384 });
+  return `scrypt$16384$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: parseInt(cost, 10) });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const DUMMY_HASH = `scrypt$16384$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(64).toString('base64')}`;
+
+function publicUser({ username, role, createdAt, updatedAt, lastLogin }) {
+  return { username, role, createdAt, updatedAt, lastLogin };
+}
+
+function base64url(text) {
+  return Buffer.from(text).toString('base64url');
+}
+
+module.exports = AdminAuth;
+module.exports.AuthError = AuthError;
+module.exports.ROLES = ROLES;
+module.exports.requireRole = requireRole;
+module.exports.requireAdmin = requireAdmin;
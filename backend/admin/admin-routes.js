@@ -1,6 +1,20 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const RAG_CONFIG = require('../config');
+const { isVectorStoreConfigured } = require('../vector-store');
+const CrawlJobManager = require('./job-manager');
+const { JobError } = CrawlJobManager;
+const CostTracker = require('./cost-tracker');
+const RAGSystemScheduler = require('./scheduler');
+const { SchedulerError } = RAGSystemScheduler;
+const { Notifier, NotificationError } = require('../notifications');
+const AdminAuth = require('./admin-auth');
+const { AuthError, requireRole } = AdminAuth;
+const AuditLog = require('./audit-log');
+const ChatAnalytics = require('./chat-analytics');
+const FeedbackStore = require('./feedback-store');
+const { FeedbackError } = FeedbackStore;
 
 // Conditionally require RAG modules
 let GuimeraRAGEngine, MultiDomainScraper;
@@ -12,28 +26,61 @@ try {
 }
 
 const router = express.Router();
-
-// In-memory analytics store (in production, use Redis/MongoDB)
+const jobManager = CrawlJobManager.getInstance();
+const scheduler = RAGSystemScheduler.getInstance();
+const notifier = Notifier.getInstance();
+const adminAuth = AdminAuth.getInstance();
+const auditLog = AuditLog.getInstance();
+const chatAnalytics = ChatAnalytics.getInstance();
+const feedbackStore = FeedbackStore.getInstance();
+
+// Content refreshes started from this process; chat turns are persisted by
+// ChatAnalytics (admin/chat-analytics.js)
 let analyticsData = {
-  queries: [],
-  performance: [],
-  contentUpdates: [],
-  systemHealth: []
+  contentUpdates: []
 };
 
-// Middleware for admin authentication (basic for now)
-const adminAuth = (req, res, next) => {
-  const token = req.headers['x-admin-token'] || req.query.token;
-  const validToken = process.env.ADMIN_TOKEN || 'guimera-admin-2024';
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+// { username, password } → session cookie (and the token, for API clients)
+router.post('/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
 
-  if (token !== validToken) {
-    return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
+  try {
+    const session = await adminAuth.login(username, password);
+    adminAuth.setSessionCookie(req, res, session);
+    auditLog.record({ user: session.user.username, role: session.user.role, action: 'login', status: 200, ip: req.ip });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    auditLog.record({ user: String(username || ''), action: 'login', status: error.status || 500, ip: req.ip });
+    sendAuthError(res, error, 'Error iniciant la sessió');
   }
-  next();
-};
+});
 
-// Apply auth to all admin routes
-router.use(adminAuth);
+// Ends the user's sessions everywhere, not just this cookie
+router.post('/auth/logout', async (req, res) => {
+  try {
+    const user = await adminAuth.logout(adminAuth.readToken(req));
+    if (user) {
+      auditLog.record({ user: user.username, role: user.role, action: 'logout', status: 200, ip: req.ip });
+    }
+    adminAuth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Error tancant la sessió');
+  }
+});
+
+// Every route below needs a signed-in admin; viewer is enough unless the
+// route asks for editor or owner. Changes are recorded in the audit log.
+router.use(adminAuth.authenticate());
+router.use(auditLog.middleware());
+
+router.get('/auth/me', (req, res) => {
+  res.json({ user: req.adminUser });
+});
 
 // =============================================================================
 // DASHBOARD OVERVIEW
@@ -45,8 +92,7 @@ router.get('/dashboard', async (req, res) => {
 
     if (GuimeraRAGEngine) {
       try {
-        const ragEngine = new GuimeraRAGEngine();
-        await ragEngine.initialize();
+        const ragEngine = await getRagEngine(req);
         ragStats = await ragEngine.getStats();
       } catch (error) {
         console.warn('⚠️ RAG engine initialization failed:', error.message);
@@ -55,7 +101,7 @@ router.get('/dashboard', async (req, res) => {
 
     // Calculate performance metrics
     const last24h = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const recentQueries = analyticsData.queries.filter(q => new Date(q.timestamp) > last24h);
+    const recentQueries = chatAnalytics.getQueries(last24h);
 
     const avgConfidence = recentQueries.length > 0
       ? recentQueries.reduce((sum, q) => sum + (q.confidence || 0), 0) / recentQueries.length
@@ -68,7 +114,7 @@ router.get('/dashboard', async (req, res) => {
     // Popular topics
     const topicCounts = {};
     recentQueries.forEach(query => {
-      const topic = classifyTopic(query.question);
+      const topic = query.topic || 'General';
       topicCounts[topic] = (topicCounts[topic] || 0) + 1;
     });
 
@@ -132,9 +178,8 @@ router.get('/analytics', async (req, res) => {
   const timeframeDays = timeframe === '24h' ? 1 : timeframe === '7d' ? 7 : 30;
   const since = new Date(Date.now() - timeframeDays * 24 * 60 * 60 * 1000);
 
-  const filteredQueries = analyticsData.queries.filter(q =>
-    new Date(q.timestamp) > since
-  );
+  const filteredQueries = chatAnalytics.getQueries(since);
+  const feedback = feedbackStore.list({ since });
 
   const analytics = {
     timeframe,
@@ -158,14 +203,27 @@ router.get('/analytics', async (req, res) => {
     contentMetrics: {
       sourcesUsed: getSourcesUsage(filteredQueries),
       topPerformingSources: getTopPerformingSources(filteredQueries),
-      lowPerformingSources: getLowPerformingSources(filteredQueries)
+      lowPerformingSources: getLowPerformingSources(filteredQueries, feedback),
+      feedback: feedbackStore.getSummary(since)
     },
 
     // User Behavior
     userBehavior: {
       mostAskedQuestions: getMostAskedQuestions(filteredQueries),
       questionTypes: getQuestionTypes(filteredQueries),
-      sessionLengths: getSessionLengths(filteredQueries)
+      sessionLengths: getSessionLengths(filteredQueries),
+      languages: countBy(filteredQueries, 'language'),
+      topics: countBy(filteredQueries, 'topic')
+    },
+
+    // Engines and chat cost (as recorded per turn)
+    engines: countBy(filteredQueries, 'engine'),
+    cost: {
+      total: Number(filteredQueries.reduce((sum, q) => sum + (q.cost || 0), 0).toFixed(6)),
+      avgPerQuery: filteredQueries.length > 0
+        ? Number((filteredQueries.reduce((sum, q) => sum + (q.cost || 0), 0) / filteredQueries.length).toFixed(6))
+        : 0,
+      limitedQueries: filteredQueries.filter(q => q.mode === 'limited').length
     },
 
     // Trends (daily breakdown)
@@ -184,7 +242,7 @@ router.get('/content/status', async (req, res) => {
     const contentStatus = {
       sources: await getContentSourcesStatus(),
       lastScrapeResults: await getLastScrapeResults(),
-      contentStats: await getContentStatistics(),
+      contentStats: await getContentStatistics(req),
       pendingUpdates: await getPendingUpdates()
     };
 
@@ -194,7 +252,7 @@ router.get('/content/status', async (req, res) => {
   }
 });
 
-router.post('/content/refresh', async (req, res) => {
+router.post('/content/refresh', requireRole('editor'), async (req, res) => {
   const { sources = 'all', priority = 'normal' } = req.body;
 
   if (!GuimeraRAGEngine || !MultiDomainScraper) {
@@ -224,8 +282,7 @@ router.post('/content/refresh', async (req, res) => {
     const content = await scraper.scrapeAllSources();
 
     // Re-embed and store
-    const ragEngine = new GuimeraRAGEngine();
-    await ragEngine.initialize();
+    const ragEngine = await getRagEngine(req);
     await ragEngine.embedAndStore(content);
 
     // Update completion status
@@ -261,115 +318,315 @@ router.post('/content/refresh', async (req, res) => {
   }
 });
 
-router.post('/content/progressive-index', async (req, res) => {
-  const { maxPages = 500, source = 'guimera.info', priority = 'normal' } = req.body;
-
-  const indexingId = Date.now().toString();
+router.post('/content/progressive-index', requireRole('editor'), async (req, res) => {
+  const { maxPages = 500, source = 'guimera.info', priority = 'normal', type = 'progressive' } = req.body;
 
   try {
-    // Log progressive indexing start
-    analyticsData.contentUpdates.push({
-      id: indexingId,
-      startTime: new Date().toISOString(),
-      sources: source,
-      priority,
-      status: 'running',
-      type: 'progressive-indexing',
-      maxPages
-    });
+    const job = await jobManager.createJob({ ...req.body, type, source, priority, maxPages });
 
-    // Return immediately with indexing ID (process runs in background)
     res.json({
       success: true,
-      indexingId,
+      indexingId: job.id,
+      jobId: job.id,
+      statusUrl: `/api/admin/jobs/${job.id}`,
       message: `Indexació progressiva iniciada: ${maxPages} pàgines de ${source}`,
       estimatedDuration: `${Math.ceil(maxPages / 4)} minuts`,
-      status: 'running'
+      status: job.status
     });
+  } catch (error) {
+    sendJobError(res, error, 'Error iniciant la indexació progressiva');
+  }
+});
 
-    // Run progressive indexing in background
-    setImmediate(async () => {
-      try {
-        console.log(`🚀 Starting progressive indexing: ${maxPages} pages from ${source}`);
-
-        const { spawn } = require('child_process');
-        const path = require('path');
-
-        // Backend root directory (one level up from admin)
-        const backendRoot = path.join(__dirname, '..');
-        const indexerScript = path.join(backendRoot, 'progressive-indexer.js');
-
-        console.log(`📁 Working directory: ${backendRoot}`);
-        console.log(`📄 Running script: ${indexerScript}`);
-
-        const indexingProcess = spawn('node', [indexerScript], {
-          cwd: backendRoot,
-          env: {
-            ...process.env,
-            MAX_PAGES: maxPages.toString(),
-            SOURCE_URL: source
-          },
-          stdio: 'pipe'
-        });
+// =============================================================================
+// CRAWL JOBS
+// =============================================================================
 
-        let output = '';
-        let errorOutput = '';
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await jobManager.listJobs({ status: req.query.status }) });
+  } catch (error) {
+    sendJobError(res, error, 'Error obtenint les tasques d\'indexació');
+  }
+});
 
-        indexingProcess.stdout.on('data', (data) => {
-          output += data.toString();
-          console.log(`Progressive Indexer: ${data}`);
-        });
+router.post('/jobs', requireRole('editor'), async (req, res) => {
+  try {
+    const job = await jobManager.createJob(req.body);
+    res.status(202).json({ success: true, job, statusUrl: `/api/admin/jobs/${job.id}` });
+  } catch (error) {
+    sendJobError(res, error, 'Error creant la tasca d\'indexació');
+  }
+});
 
-        indexingProcess.stderr.on('data', (data) => {
-          errorOutput += data.toString();
-          console.error(`Progressive Indexer Error: ${data}`);
-        });
+// Per-URL progress, cost so far and errors
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobManager.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Tasca no trobada' });
+    }
+    res.json(job);
+  } catch (error) {
+    sendJobError(res, error, 'Error obtenint la tasca d\'indexació');
+  }
+});
 
-        indexingProcess.on('close', (code) => {
-          const updateRecord = analyticsData.contentUpdates.find(u => u.id === indexingId);
-          if (updateRecord) {
-            updateRecord.endTime = new Date().toISOString();
-            updateRecord.status = code === 0 ? 'completed' : 'failed';
-            updateRecord.output = output;
-            updateRecord.error = code !== 0 ? errorOutput : null;
+router.post('/jobs/:id/pause', requireRole('editor'), async (req, res) => {
+  try {
+    res.json({ success: true, job: await jobManager.pauseJob(req.params.id) });
+  } catch (error) {
+    sendJobError(res, error, 'Error pausant la tasca d\'indexació');
+  }
+});
 
-            // Try to extract document count from output
-            const docMatch = output.match(/(\d+)\s+documents?\s+(processed|indexed|stored)/i);
-            updateRecord.documentsProcessed = docMatch ? parseInt(docMatch[1]) : 0;
-          }
+router.post('/jobs/:id/resume', requireRole('editor'), async (req, res) => {
+  try {
+    res.json({ success: true, job: await jobManager.resumeJob(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendJobError(res, error, 'Error reprenent la tasca d\'indexació');
+  }
+});
 
-          console.log(`Progressive indexing completed with code: ${code}`);
-        });
+router.post('/jobs/:id/cancel', requireRole('editor'), async (req, res) => {
+  try {
+    res.json({ success: true, job: await jobManager.cancelJob(req.params.id) });
+  } catch (error) {
+    sendJobError(res, error, 'Error cancel·lant la tasca d\'indexació');
+  }
+});
 
-      } catch (error) {
-        console.error('Progressive indexing error:', error);
-
-        const updateRecord = analyticsData.contentUpdates.find(u => u.id === indexingId);
-        if (updateRecord) {
-          updateRecord.status = 'failed';
-          updateRecord.error = error.message;
-          updateRecord.endTime = new Date().toISOString();
-        }
-      }
-    });
+function sendJobError(res, error, message) {
+  if (error instanceof JobError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
 
+router.get('/scheduler', async (req, res) => {
+  try {
+    res.json(await scheduler.getStatus());
   } catch (error) {
-    console.error('Progressive indexing startup error:', error);
+    sendSchedulerError(res, error, 'Error obtenint l\'estat del planificador');
+  }
+});
 
-    const updateRecord = analyticsData.contentUpdates.find(u => u.id === indexingId);
-    if (updateRecord) {
-      updateRecord.status = 'failed';
-      updateRecord.error = error.message;
-      updateRecord.endTime = new Date().toISOString();
-    }
+// Jobs with their cron expression, last and next run
+router.get('/scheduler/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await scheduler.listJobs() });
+  } catch (error) {
+    sendSchedulerError(res, error, 'Error obtenint les tasques programades');
+  }
+});
 
-    res.status(500).json({
-      error: 'Error iniciant la indexació progressiva',
-      details: error.message
-    });
+// { cronExpression, enabled }
+router.post('/scheduler/jobs/:name', requireRole('owner'), async (req, res) => {
+  try {
+    const { cronExpression, enabled } = req.body || {};
+    res.json({ success: true, job: await scheduler.updateJob(req.params.name, { cronExpression, enabled }) });
+  } catch (error) {
+    sendSchedulerError(res, error, 'Error actualitzant la tasca programada');
+  }
+});
+
+router.post('/scheduler/jobs/:name/run', requireRole('editor'), async (req, res) => {
+  try {
+    res.status(202).json({ success: true, job: await scheduler.triggerJob(req.params.name) });
+  } catch (error) {
+    sendSchedulerError(res, error, 'Error executant la tasca programada');
+  }
+});
+
+router.get('/scheduler/log', async (req, res) => {
+  const { type, limit = 50 } = req.query;
+
+  try {
+    res.json({ updateLog: await scheduler.getUpdateLog({ type, limit: parseInt(limit) }) });
+  } catch (error) {
+    sendSchedulerError(res, error, 'Error obtenint el registre d\'actualitzacions');
   }
 });
 
+function sendSchedulerError(res, error, message) {
+  if (error instanceof SchedulerError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+// Channels with credentials masked, plus quiet hours and de-duplication
+router.get('/notifications/channels', requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ channels: await notifier.listChannels(), ...notifier.getStatus() });
+  } catch (error) {
+    sendNotificationError(res, error, 'Error obtenint els canals de notificació');
+  }
+});
+
+// { type: 'email'|'webhook'|'slack'|'matrix', name, minSeverity, enabled, ...settings }
+router.post('/notifications/channels', requireRole('owner'), async (req, res) => {
+  try {
+    res.status(201).json({ success: true, channel: await notifier.addChannel(req.body || {}) });
+  } catch (error) {
+    sendNotificationError(res, error, 'Error afegint el canal de notificació');
+  }
+});
+
+router.post('/notifications/channels/:id', requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ success: true, channel: await notifier.updateChannel(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendNotificationError(res, error, 'Error actualitzant el canal de notificació');
+  }
+});
+
+router.delete('/notifications/channels/:id', requireRole('owner'), async (req, res) => {
+  try {
+    await notifier.removeChannel(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendNotificationError(res, error, 'Error eliminant el canal de notificació');
+  }
+});
+
+// { channelId } (optional, all enabled channels otherwise)
+router.post('/notifications/test', requireRole('owner'), async (req, res) => {
+  try {
+    const results = await notifier.sendTest((req.body || {}).channelId);
+    res.json({ success: results.length > 0 && results.every(result => result.status === 'sent'), results });
+  } catch (error) {
+    sendNotificationError(res, error, 'Error enviant l\'alerta de prova');
+  }
+});
+
+router.get('/notifications/history', (req, res) => {
+  const { limit = 50 } = req.query;
+  res.json({ history: notifier.getHistory(parseInt(limit)) });
+});
+
+function sendNotificationError(res, error, message) {
+  if (error instanceof NotificationError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// =============================================================================
+// FEEDBACK REVIEW
+// =============================================================================
+
+// Negative ratings still to review, oldest first, each with the retrieval
+// trace of the answer (search query, filters, scored sources, answer)
+router.get('/feedback', (req, res) => {
+  const { reason, limit = 50 } = req.query;
+  const queue = feedbackStore.getReviewQueue({ reason, limit: parseInt(limit) });
+
+  res.json({
+    queue,
+    summary: feedbackStore.getSummary(),
+    reasons: FeedbackStore.REASONS,
+    statuses: FeedbackStore.REVIEW_STATUSES
+  });
+});
+
+// All ratings, newest first (?rating=up|down&status=...&reason=...)
+router.get('/feedback/all', (req, res) => {
+  const { rating, status, reason, limit = 100 } = req.query;
+  res.json({ feedback: feedbackStore.list({ rating, status, reason, limit: parseInt(limit) }) });
+});
+
+// { status: content-fixed|curated-answer|dismissed|open, note }
+router.post('/feedback/:messageId', requireRole('editor'), async (req, res) => {
+  const { status, note } = req.body || {};
+
+  try {
+    const feedback = await feedbackStore.review(req.params.messageId, { status, note }, req.adminUser.username);
+    res.json({ success: true, feedback });
+  } catch (error) {
+    sendFeedbackError(res, error, 'Error revisant la valoració');
+  }
+});
+
+function sendFeedbackError(res, error, message) {
+  if (error instanceof FeedbackError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
+// =============================================================================
+// ADMIN USERS & AUDIT LOG
+// =============================================================================
+
+router.get('/users', requireRole('owner'), async (req, res) => {
+  try {
+    res.json({ users: await adminAuth.listUsers(), roles: AdminAuth.ROLES });
+  } catch (error) {
+    sendAuthError(res, error, 'Error obtenint els usuaris');
+  }
+});
+
+// { username, password, role }
+router.post('/users', requireRole('owner'), async (req, res) => {
+  try {
+    res.status(201).json({ success: true, user: await adminAuth.createUser(req.body || {}) });
+  } catch (error) {
+    sendAuthError(res, error, 'Error creant l\'usuari');
+  }
+});
+
+// { role, password }
+router.post('/users/:username', requireRole('owner'), async (req, res) => {
+  const { role, password } = req.body || {};
+
+  try {
+    res.json({ success: true, user: await adminAuth.updateUser(req.params.username, { role, password }) });
+  } catch (error) {
+    sendAuthError(res, error, 'Error actualitzant l\'usuari');
+  }
+});
+
+router.delete('/users/:username', requireRole('owner'), async (req, res) => {
+  try {
+    await adminAuth.removeUser(req.params.username);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Error eliminant l\'usuari');
+  }
+});
+
+router.get('/audit', requireRole('owner'), async (req, res) => {
+  const { user, action, limit = 100 } = req.query;
+
+  try {
+    res.json({ entries: await auditLog.list({ user, action, limit: parseInt(limit) }) });
+  } catch (error) {
+    console.error('Error obtenint el registre d\'auditoria:', error);
+    res.status(500).json({ error: 'Error obtenint el registre d\'auditoria', details: error.message });
+  }
+});
+
+function sendAuthError(res, error, message) {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
+
 // =============================================================================
 // SYSTEM HEALTH & MONITORING
 // =============================================================================
@@ -380,10 +637,10 @@ router.get('/health/detailed', async (req, res) => {
       timestamp: new Date().toISOString(),
 
       // RAG System Health
-      rag: await checkRAGHealth(),
+      rag: await checkRAGHealth(req),
 
       // Database Health
-      database: await checkDatabaseHealth(),
+      database: await checkDatabaseHealth(req),
 
       // External Services Health
       external: await checkExternalServices(),
@@ -456,7 +713,7 @@ router.get('/costs/budget', (req, res) => {
     res.json({
       budget: budgetStatus,
       alerts,
-      limits: costTracker.budgetAlerts
+      limits: costTracker.getBudgetLimits()
     });
   } catch (error) {
     res.status(500).json({
@@ -466,8 +723,10 @@ router.get('/costs/budget', (req, res) => {
   }
 });
 
-router.post('/costs/budget', (req, res) => {
-  const { daily, monthly } = req.body;
+// Budget limits plus the over-budget action ('warn', 'degrade' or 'block'),
+// the degraded settings and the daily caps per session and per IP
+router.post('/costs/budget', requireRole('owner'), (req, res) => {
+  const { daily, monthly, action, sessionCap, ipCap, degraded } = req.body;
   const costTracker = req.app.locals.costTracker;
 
   if (!costTracker) {
@@ -476,8 +735,23 @@ router.post('/costs/budget', (req, res) => {
     });
   }
 
+  if (action && !CostTracker.BUDGET_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      error: 'Acció de pressupost no vàlida',
+      details: `Valors acceptats: ${CostTracker.BUDGET_ACTIONS.join(', ')}`
+    });
+  }
+
+  const invalidCap = [sessionCap, ipCap].some(cap => cap !== undefined && (typeof cap !== 'number' || cap < 0));
+  if (invalidCap) {
+    return res.status(400).json({
+      error: 'Límit per sessió o per IP no vàlid',
+      details: 'Ha de ser un import en dòlars (0 el desactiva)'
+    });
+  }
+
   try {
-    const updatedLimits = costTracker.updateBudgetLimits(daily, monthly);
+    const updatedLimits = costTracker.updateBudgetLimits(daily, monthly, { action, sessionCap, ipCap, degraded });
     res.json({
       message: 'Límits de pressupost actualitzats',
       limits: updatedLimits
@@ -511,6 +785,26 @@ router.get('/costs/expensive', (req, res) => {
   }
 });
 
+// Cost of one chat or indexing session, by feature
+router.get('/costs/sessions/:sessionId', (req, res) => {
+  const costTracker = req.app.locals.costTracker;
+
+  if (!costTracker) {
+    return res.status(503).json({
+      error: 'Seguiment de costos no disponible'
+    });
+  }
+
+  try {
+    res.json(costTracker.getSessionCost(req.params.sessionId));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Error obtenint el cost de la sessió',
+      details: error.message
+    });
+  }
+});
+
 router.get('/costs/pricing', (req, res) => {
   const costTracker = req.app.locals.costTracker;
 
@@ -562,10 +856,11 @@ router.post('/costs/estimate', (req, res) => {
 // CONFIGURATION MANAGEMENT
 // =============================================================================
 
-router.get('/config', (req, res) => {
+router.get('/config', requireRole('owner'), (req, res) => {
   const config = {
     rag: {
-      enabled: !!process.env.PINECONE_API_KEY,
+      enabled: isVectorStoreConfigured(),
+      vectorStore: RAG_CONFIG.vectorDB.provider,
       vectorDimensions: 3072,
       chunkSize: 1000,
       chunkOverlap: 200,
@@ -590,7 +885,7 @@ router.get('/config', (req, res) => {
   res.json(config);
 });
 
-router.post('/config', (req, res) => {
+router.post('/config', requireRole('owner'), (req, res) => {
   // Configuration updates (implement as needed)
   res.json({ message: 'Configuració actualitzada', config: req.body });
 });
@@ -599,27 +894,6 @@ router.post('/config', (req, res) => {
 // HELPER FUNCTIONS
 // =============================================================================
 
-function classifyTopic(question) {
-  const keywords = {
-    'Museu': ['museu', 'museum', 'horari', 'entrada', 'preu', 'visita', 'exposici'],
-    'Història': ['història', 'history', 'medieval', 'castell', 'origen', 'passat'],
-    'Turisme': ['arribar', 'transport', 'hotel', 'restaurant', 'allotjament'],
-    'Natura': ['natura', 'paisatge', 'senderisme', 'ruta', 'mirador'],
-    'Cultura': ['festa', 'tradició', 'gastronomia', 'cultura', 'esdeveniment'],
-    'General': []
-  };
-
-  const lowerQuestion = question.toLowerCase();
-
-  for (const [topic, words] of Object.entries(keywords)) {
-    if (words.some(word => lowerQuestion.includes(word))) {
-      return topic;
-    }
-  }
-
-  return 'General';
-}
-
 function calculateAvgResponseTime(queries) {
   if (queries.length === 0) return 0;
   return Math.round(
@@ -635,36 +909,6 @@ function calculateAvgConfidence(queries) {
   );
 }
 
-// Add middleware to capture analytics
-router.captureAnalytics = (req, res, next) => {
-  const originalJson = res.json;
-  res.json = function(data) {
-    // Capture query analytics
-    if (req.body && req.body.message) {
-      analyticsData.queries.push({
-        timestamp: new Date().toISOString(),
-        question: req.body.message,
-        mode: data.mode || 'standard',
-        confidence: data.ragMetadata?.confidence || null,
-        responseTime: Date.now() - req.startTime,
-        sessionId: data.sessionId,
-        sources: data.ragMetadata?.totalSources || 0,
-        error: data.error || null
-      });
-
-      // Keep only last 10000 queries
-      if (analyticsData.queries.length > 10000) {
-        analyticsData.queries = analyticsData.queries.slice(-10000);
-      }
-    }
-
-    return originalJson.call(this, data);
-  };
-
-  req.startTime = Date.now();
-  next();
-};
-
 // =============================================================================
 // ANALYTICS HELPER FUNCTIONS
 // =============================================================================
@@ -703,6 +947,40 @@ function getSourcesUsage(queries) {
 }
 
 function getTopPerformingSources(queries) {
+  return rankSourcesByConfidence(queries).slice(0, 5);
+}
+
+// Sources cited by answers visitors rated down come first (most negative
+// ratings first), then the sources behind the least confident answers
+function getLowPerformingSources(queries, feedback = []) {
+  const ratings = {};
+  feedback.forEach(entry => {
+    (entry.sources || []).forEach(({ url }) => {
+      if (!url) return;
+      if (!ratings[url]) ratings[url] = { up: 0, down: 0 };
+      ratings[url][entry.rating]++;
+    });
+  });
+
+  const byConfidence = rankSourcesByConfidence(queries);
+  const performance = Object.fromEntries(byConfidence.map(source => [source.source, source]));
+
+  const rated = Object.entries(ratings)
+    .filter(([, rating]) => rating.down > 0)
+    .map(([source, rating]) => ({
+      source,
+      avgConfidence: performance[source]?.avgConfidence ?? null,
+      usageCount: performance[source]?.usageCount ?? 0,
+      negativeRatings: rating.down,
+      positiveRatings: rating.up
+    }))
+    .sort((a, b) => b.negativeRatings - a.negativeRatings || a.positiveRatings - b.positiveRatings);
+
+  const unrated = byConfidence.reverse().filter(source => !ratings[source.source]?.down);
+  return [...rated, ...unrated].slice(0, 5);
+}
+
+function rankSourcesByConfidence(queries) {
   const sourcePerformance = {};
 
   queries.filter(q => q.mode === 'rag' && q.confidence && q.sources).forEach(q => {
@@ -721,12 +999,7 @@ function getTopPerformingSources(queries) {
       avgConfidence: data.confidenceSum / data.total,
       usageCount: data.total
     }))
-    .sort((a, b) => b.avgConfidence - a.avgConfidence)
-    .slice(0, 5);
-}
-
-function getLowPerformingSources(queries) {
-  return getTopPerformingSources(queries).reverse();
+    .sort((a, b) => b.avgConfidence - a.avgConfidence);
 }
 
 function getMostAskedQuestions(queries) {
@@ -777,6 +1050,16 @@ function getSessionLengths(queries) {
   };
 }
 
+// { value: count } for a field of the recorded turns, most frequent first
+function countBy(queries, field) {
+  const counts = {};
+  queries.forEach(q => {
+    const value = q[field] || 'unknown';
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).sort(([,a], [,b]) => b - a));
+}
+
 function generateTrends(queries, days) {
   const trends = [];
 
@@ -808,6 +1091,16 @@ function generateTrends(queries, days) {
 // CONTENT MANAGEMENT HELPERS
 // =============================================================================
 
+// The server's RAG engine (app.locals.ragEngine), shared with the scheduler
+// when the routes are mounted without one
+async function getRagEngine(req) {
+  const ragEngine = req.app.locals.ragEngine;
+  if (!ragEngine) return scheduler.getRagEngine();
+
+  if (!ragEngine.initialized) await ragEngine.initialize();
+  return ragEngine;
+}
+
 async function getContentSourcesStatus() {
   const sources = getAvailableSources();
   const statusChecks = await Promise.allSettled(
@@ -835,9 +1128,27 @@ async function getContentSourcesStatus() {
   return statusChecks.map(result => result.value);
 }
 
+// In-request content refreshes plus the persisted crawl jobs, oldest first
+async function getContentUpdates() {
+  const jobs = (await jobManager.listJobs()).map(job => ({
+    id: job.id,
+    startTime: job.startedAt || job.createdAt,
+    endTime: job.finishedAt,
+    sources: job.source.domain,
+    priority: job.priority,
+    status: job.status,
+    type: job.type,
+    documentsProcessed: job.progress.indexed,
+    error: job.error
+  }));
+
+  return [...analyticsData.contentUpdates, ...jobs]
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
 async function getLastScrapeResults() {
-  // Return last few content updates from analytics data
-  return analyticsData.contentUpdates.slice(-5).map(update => ({
+  // Return last few content updates and crawl jobs
+  return (await getContentUpdates()).slice(-5).map(update => ({
     id: update.id,
     timestamp: update.startTime,
     status: update.status,
@@ -848,7 +1159,7 @@ async function getLastScrapeResults() {
   }));
 }
 
-async function getContentStatistics() {
+async function getContentStatistics(req) {
   if (!GuimeraRAGEngine) {
     return {
       totalVectors: 0,
@@ -860,8 +1171,7 @@ async function getContentStatistics() {
   }
 
   try {
-    const ragEngine = new GuimeraRAGEngine();
-    await ragEngine.initialize();
+    const ragEngine = await getRagEngine(req);
     const stats = await ragEngine.getStats();
 
     return {
@@ -882,14 +1192,16 @@ async function getContentStatistics() {
 }
 
 async function getPendingUpdates() {
-  // Check for running updates
-  const runningUpdates = analyticsData.contentUpdates.filter(u => u.status === 'running');
+  // Check for running updates and queued or paused crawl jobs
+  const runningUpdates = (await getContentUpdates())
+    .filter(u => ['running', 'queued', 'paused'].includes(u.status));
 
   return runningUpdates.map(update => ({
     id: update.id,
     startTime: update.startTime,
     sources: update.sources,
     priority: update.priority,
+    status: update.status,
     estimatedCompletion: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 min estimate
   }));
 }
@@ -898,14 +1210,13 @@ async function getPendingUpdates() {
 // HEALTH CHECK HELPERS
 // =============================================================================
 
-async function checkDatabaseHealth() {
+async function checkDatabaseHealth(req) {
   if (!GuimeraRAGEngine) {
     return { status: 'disabled', connection: 'no disponible' };
   }
 
   try {
-    const ragEngine = new GuimeraRAGEngine();
-    await ragEngine.initialize();
+    await getRagEngine(req);
     return { status: 'healthy', connection: 'active' };
   } catch (error) {
     return { status: 'error', error: error.message };
@@ -960,9 +1271,7 @@ async function checkContentHealth() {
 }
 
 async function checkPerformanceHealth() {
-  const recentQueries = analyticsData.queries.filter(q =>
-    new Date(q.timestamp) > new Date(Date.now() - 60 * 60 * 1000) // Last hour
-  );
+  const recentQueries = chatAnalytics.getQueries(new Date(Date.now() - 60 * 60 * 1000)); // Last hour
 
   const avgResponseTime = calculateAvgResponseTime(recentQueries);
   const errorRate = recentQueries.filter(q => q.error).length / recentQueries.length;
@@ -1055,8 +1364,8 @@ async function assessContentFreshness() {
 // =============================================================================
 
 async function getLastContentUpdate() {
-  // Check for recent content updates in analytics
-  const recentUpdates = analyticsData.contentUpdates
+  // Check for recent content updates and crawl jobs
+  const recentUpdates = (await getContentUpdates())
     .filter(u => u.status === 'completed')
     .sort((a, b) => new Date(b.endTime) - new Date(a.endTime));
 
@@ -1069,7 +1378,7 @@ function getAvailableSources() {
   return ['guimera.info', 'guimera.blog', 'agora.xtec.cat', 'miradesalvent.blogspot.com'];
 }
 
-async function checkRAGHealth() {
+async function checkRAGHealth(req) {
   if (!GuimeraRAGEngine) {
     return {
       status: 'disabled',
@@ -1080,8 +1389,7 @@ async function checkRAGHealth() {
   }
 
   try {
-    const ragEngine = new GuimeraRAGEngine();
-    await ragEngine.initialize();
+    const ragEngine = await getRagEngine(req);
     const stats = await ragEngine.getStats();
     return {
       status: stats ? 'healthy' : 'degraded',
@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RAG_CONFIG = require('../config');
+
+// Request fields never written to the log
+const REDACTED_FIELDS = /pass|secret|token|smtp|headers|url/i;
+
+/**
+ * Append-only record of admin actions: logins, logouts and every request
+ * that changes something (content refreshes, jobs, budgets, config, users,
+ * notification channels, agent monitor resets). One JSONL file per month
+ * in data/audit.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.directory = path.resolve(__dirname, '..', options.directory || RAG_CONFIG.adminAuth.auditDirectory);
+    this.writes = Promise.resolve();
+  }
+
+  static getInstance() {
+    if (!AuditLog.instance) {
+      AuditLog.instance = new AuditLog();
+    }
+    return AuditLog.instance;
+  }
+
+  // { user, role, action, target, status, ip, details }
+  record(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    const filePath = path.join(this.directory, `audit-${record.timestamp.slice(0, 7)}.jsonl`);
+
+    this.writes = this.writes
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+      })
+      .catch(error => console.error('❌ Failed to write audit log:', error.message));
+    return this.writes;
+  }
+
+  // Newest first, reading back month by month until `limit` is reached
+  async list({ limit = 100, user, action } = {}) {
+    await this.writes;
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => /^audit-\d{4}-\d{2}\.jsonl$/.test(file)).sort().reverse();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const lines = (await fs.readFile(path.join(this.directory, file), 'utf8')).split('\n').reverse();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;   // torn last line after a crash
+        }
+        if (user && entry.user !== user) continue;
+        if (action && !entry.action.includes(action)) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      }
+    }
+    return entries;
+  }
+
+  // Middleware recording the outcome of every non-GET request
+  middleware() {
+    return (req, res, next) => {
+      if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+
+      res.on('finish', () => {
+        this.record({
+          user: req.adminUser ? req.adminUser.username : null,
+          role: req.adminUser ? req.adminUser.role : null,
+          action: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+          target: Object.keys(req.params || {}).length > 0 ? req.params : undefined,
+          status: res.statusCode,
+          ip: req.ip,
+          details: redact(req.body)
+        });
+      });
+      next();
+    };
+  }
+}
+
+function redact(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+
+  return Object.fromEntries(Object.entries(body).map(([key, value]) => {
+    if (REDACTED_FIELDS.test(key)) return [key, '[redacted]'];
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return [key, text && text.length > 200 ? `${text.slice(0, 200)}…` : value];
+  }));
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const RAG_CONFIG = require('../config');
+
+// Personal data removed from questions before they are stored, in this
+// order (emails before phone numbers, IBANs before card numbers). Numbers
+// that read as years or dates ("1714-1715", "2024-01-15") are kept.
+const PII_PATTERNS = [
+  { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, label: '[email]' },
+  { pattern: /\b[A-Z]{2}\d{2}(?:[ -]?[A-Z0-9]{4}){3,7}(?:[ -]?[A-Z0-9]{1,3})?\b/g, label: '[iban]' },
+  { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, label: '[card]', keep: looksLikeDates },
+  { pattern: /\b[XYZ]?\d{7,8}[- ]?[A-Z]\b/gi, label: '[id]' },
+  // 9 or more digits, optionally grouped and with an international prefix
+  { pattern: /(?:\+|\b00)?(?<!\d)\d(?:[ .-]?\d){8,}(?!\d)/g, label: '[phone]', keep: looksLikeDates }
+];
+
+const TOPIC_KEYWORDS = {
+  'Museu': ['museu', 'museum', 'horari', 'entrada', 'preu', 'visita', 'exposici'],
+  'Història': ['història', 'history', 'medieval', 'castell', 'origen', 'passat'],
+  'Turisme': ['arribar', 'transport', 'hotel', 'restaurant', 'allotjament'],
+  'Natura': ['natura', 'paisatge', 'senderisme', 'ruta', 'mirador'],
+  'Cultura': ['festa', 'tradició', 'gastronomia', 'cultura', 'esdeveniment']
+};
+
+// Words that only (or mostly) appear in one of the assistant's languages
+const LANGUAGE_MARKERS = {
+  ca: ['què', 'és', 'amb', 'els', 'dels', 'quin', 'quina', 'quins', 'hi', 'puc', 'perquè', 'també', 'aquí', 'molt', 'fins', 'quan', 'l', 'd', 'horaris', 'anar'],
+  es: ['qué', 'cómo', 'dónde', 'cuál', 'cuándo', 'está', 'los', 'las', 'con', 'para', 'hay', 'puedo', 'también', 'muy', 'y', 'horario', 'ir'],
+  en: ['the', 'what', 'how', 'where', 'when', 'which', 'is', 'are', 'can', 'to', 'of', 'and', 'opening', 'hours', 'visit']
+};
+
+// Engines that answered from retrieved sources
+const RAG_ENGINES = ['standard', 'standard-fallback', 'mcp', 'rag'];
+
+/**
+ * Persisted log of chat turns behind the admin dashboard and analytics
+ * endpoints: one JSONL file per day in data/analytics, deleted once older
+ * than `retentionDays`. Questions are stored with emails, phone numbers,
+ * ID and card/IBAN numbers redacted; visitor IPs are never stored.
+ */
+class ChatAnalytics {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.analytics;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.persist = options.persist ?? config.persist;
+    this.retentionDays = config.retentionDays;
+    this.redactPII = config.redactPII;
+    this.maxQuestionLength = config.maxQuestionLength;
+    this.maxInMemory = config.maxInMemory;
+
+    this.queries = [];
+    this.prunedDay = null;
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  static getInstance() {
+    if (!ChatAnalytics.instance) {
+      ChatAnalytics.instance = new ChatAnalytics();
+      ChatAnalytics.instance.initialize();
+    }
+    return ChatAnalytics.instance;
+  }
+
+  initialize() {
+    if (!this.loaded) {
+      this.loaded = this.persist ? this.load() : Promise.resolve();
+    }
+    return this.loaded;
+  }
+
+  // Reads the days still within retention; older files are deleted
+  async load() {
+    let files = [];
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => /^chat-\d{4}-\d{2}-\d{2}\.jsonl$/.test(file)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read chat analytics:', error.message);
+      return;
+    }
+
+    const loaded = [];
+    for (const file of files) {
+      if (file.slice(5, 15) < this.cutoffDay()) continue;
+      const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          loaded.push(JSON.parse(line));
+        } catch {
+          // torn last line after a crash
+        }
+      }
+    }
+
+    // Turns recorded while loading come after the loaded ones
+    this.queries = [...loaded, ...this.queries].slice(-this.maxInMemory);
+    await this.pruneExpired();
+    console.log(`📈 Chat analytics: ${loaded.length} turns loaded (last ${this.retentionDays} days)`);
+  }
+
+  /**
+   * Record one chat turn; returns the stored record (its `id` identifies
+   * the answer).
+   * turn: { sessionId, question, engine, responseTime, sources, confidence,
+   *         cost, error, budgetAction }
+   */
+  record(turn) {
+    const question = this.sanitize(turn.question || '');
+    const record = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      sessionId: turn.sessionId || null,
+      question,
+      language: detectLanguage(turn.question || ''),
+      topic: classifyTopic(turn.question || ''),
+      engine: turn.engine || null,
+      mode: engineMode(turn.engine),
+      responseTime: turn.responseTime ?? null,
+      sources: uniqueSources(turn.sources),
+      sourceCount: (turn.sources || []).length,
+      confidence: turn.confidence ?? null,
+      cost: Number((turn.cost || 0).toFixed(6)),
+      error: turn.error || null,
+      budgetAction: turn.budgetAction && turn.budgetAction !== 'allow' ? turn.budgetAction : undefined
+    };
+
+    this.queries.push(record);
+    if (this.queries.length > this.maxInMemory) {
+      this.queries = this.queries.slice(-this.maxInMemory);
+    }
+
+    if (this.persist) {
+      this.append(record);
+      if (this.prunedDay !== record.timestamp.slice(0, 10)) this.pruneExpired();
+    }
+    return record;
+  }
+
+  append(record) {
+    const filePath = path.join(this.directory, `chat-${record.timestamp.slice(0, 10)}.jsonl`);
+
+    this.writes = this.writes
+      .then(() => this.initialize())
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+      })
+      .catch(error => console.error('❌ Failed to save chat analytics:', error.message));
+    return this.writes;
+  }
+
+  // Turns since a date (all retained turns when omitted)
+  getQueries(since) {
+    if (!since) return this.queries;
+    const from = since.toISOString();
+    return this.queries.filter(query => query.timestamp > from);
+  }
+
+  // Recorded turn by the id sent to the client as `messageId`
+  getById(id) {
+    for (let i = this.queries.length - 1; i >= 0; i--) {
+      if (this.queries[i].id === id) return this.queries[i];
+    }
+    return null;
+  }
+
+  async pruneExpired() {
+    const cutoff = this.cutoffDay();
+    this.prunedDay = new Date().toISOString().slice(0, 10);
+    this.queries = this.queries.filter(query => query.timestamp.slice(0, 10) >= cutoff);
+
+    if (!this.persist) return;
+    try {
+      const expired = (await fs.readdir(this.directory))
+        .filter(file => /^chat-\d{4}-\d{2}-\d{2}\.jsonl$/.test(file) && file.slice(5, 15) < cutoff);
+      await Promise.all(expired.map(file => fs.unlink(path.join(this.directory, file))));
+      if (expired.length > 0) console.log(`🧹 Chat analytics: ${expired.length} expired day(s) deleted`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to prune chat analytics:', error.message);
+    }
+  }
+
+  cutoffDay() {
+    return new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  sanitize(question) {
+    let text = question.slice(0, this.maxQuestionLength);
+    if (this.redactPII) text = redactPII(text);
+    return text;
+  }
+}
+
+function redactPII(text) {
+  return PII_PATTERNS.reduce(
+    (result, { pattern, label, keep }) => result.replace(pattern, match => (keep && keep(match) ? match : label)),
+    text
+  );
+}
+
+// Only years (1000-2099) and ISO dates, e.g. "1936 1939" or "2024-01-15 2024-02-20"
+function looksLikeDates(match) {
+  return /^(?:(?:1\d|20)\d{2}(?:-\d{2}-\d{2})?[ .-]?)+$/.test(match.trim());
+}
+
+function classifyTopic(question) {
+  const lowerQuestion = question.toLowerCase();
+
+  for (const [topic, words] of Object.entries(TOPIC_KEYWORDS)) {
+    if (words.some(word => lowerQuestion.includes(word))) {
+      return topic;
+    }
+  }
+
+  return 'General';
+}
+
+// Best guess among ca/es/en from marker words; Catalan when undecided
+function detectLanguage(text) {
+  const words = text.toLowerCase().split(/[^a-zà-ÿ·]+/);
+  let best = 'ca', bestScore = 0;
+
+  for (const [language, markers] of Object.entries(LANGUAGE_MARKERS)) {
+    const score = words.filter(word => markers.includes(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function engineMode(engine) {
+  if (RAG_ENGINES.includes(engine)) return 'rag';
+  return engine === 'limited' ? 'limited' : 'standard';
+}
+
+function uniqueSources(sources = []) {
+  return [...new Set(sources.map(source => source.url || source.title).filter(Boolean))];
+}
+
+module.exports = ChatAnalytics;
+module.exports.classifyTopic = classifyTopic;
+module.exports.detectLanguage = detectLanguage;
+module.exports.redactPII = redactPII;
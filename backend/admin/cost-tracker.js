@@ -1,6 +1,17 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const RAG_CONFIG = require('../config');
+const Notifier = require('../notifications/notifier');
+
+const BUDGET_ACTIONS = ['warn', 'degrade', 'block'];
+
+// Chat reply while the service is limited by a budget or spending cap
+const LIMITED_REPLY = "Ara mateix el servei està temporalment limitat i no puc respondre més preguntes. Torna-ho a provar més tard o consulta directament https://www.guimera.info. Gràcies per la paciència!";
+
 // Cost tracking and management for OpenAI API usage
 class CostTracker {
-  constructor() {
+  constructor(options = {}) {
     // OpenAI pricing as of 2024 (per 1K tokens)
     this.pricing = {
       'gpt-4': {
@@ -35,23 +46,166 @@ class CostTracker {
       }
     };
 
-    // In-memory storage for cost data (in production, use persistent storage)
+    // Totals and recent history in memory, every record appended to
+    // data/costs/usage-YYYY-MM.jsonl when persistence is on
+    const config = RAG_CONFIG.costTracking;
+    this.persist = options.persist ?? config.persist;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.historyMonths = config.historyMonths;
+    this.maxHistory = config.maxHistory;
+    // Key of the visitor IP hashes; without persistence nothing outlives
+    // the process, so a random one will do
+    this.ipSecret = config.ipHashSecret || (this.persist ? null : crypto.randomBytes(32).toString('base64url'));
+    this.loading = null;
+    this.writes = Promise.resolve();
+
     this.dailyCosts = new Map();
     this.monthlyCosts = new Map();
     this.usageHistory = [];
     this.budgetAlerts = {
-      daily: 5.00,    // $5 daily budget alert
-      monthly: 100.00  // $100 monthly budget alert
+      daily: config.budget.daily,
+      monthly: config.budget.monthly
+    };
+    // What the chat does over budget, and the per-visitor caps
+    this.budgetPolicy = {
+      action: config.budget.action,
+      degraded: { ...config.budget.degraded },
+      sessionCap: config.budget.sessionCap,
+      ipCap: config.budget.ipCap
     };
+    // Today's spend per chat session and per visitor (hashed IP), for the caps
+    this.spendDay = null;
+    this.sessionSpend = new Map();
+    this.ipSpend = new Map();
+    this.sessionIps = new Map();   // sessionId → hashed IP of its visitor
+    this.unpricedModels = new Set();
+  }
+
+  // Shared tracker so LLM providers, engines and admin routes report to the
+  // same place
+  static getInstance() {
+    if (!CostTracker.instance) {
+      CostTracker.instance = new CostTracker();
+      CostTracker.instance.initialize();
+    }
+    return CostTracker.instance;
+  }
+
+  // Loads the persisted usage once; safe to call from every server start
+  initialize() {
+    if (!this.loading) {
+      this.loading = this.persist ? this.load() : Promise.resolve();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.ipSecret) this.ipSecret = await this.loadIpSecret();
+    await this.loadBudget();
+
+    let files;
+    try {
+      files = (await fs.readdir(this.directory))
+        .filter(file => /^usage-\d{4}-\d{2}\.jsonl$/.test(file))
+        .sort()
+        .slice(-this.historyMonths);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read cost history:', error.message);
+      return;
+    }
+
+    // Records tracked while loading are already in memory and newer; the
+    // loaded ones go first so the history stays in time order
+    const loaded = [];
+    for (const file of files) {
+      const lines = (await fs.readFile(path.join(this.directory, file), 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          loaded.push(JSON.parse(line));
+        } catch {
+          // A torn last line from a crash mid-append
+        }
+      }
+    }
+
+    for (const usage of loaded) {
+      this.addToTotals(usage);
+    }
+    this.usageHistory = loaded.concat(this.usageHistory).slice(-this.maxHistory);
+
+    if (loaded.length > 0) {
+      console.log(`💰 Loaded ${loaded.length} usage records from ${files.length} month(s) of cost history`);
+    }
   }
 
-  // Track a completion request
-  trackCompletion(model, inputTokens, outputTokens, type = 'chat') {
+  // IP hash key generated on first start and kept next to the usage log, so
+  // the IP cap still counts the day's spend after a restart
+  async loadIpSecret() {
+    const secretPath = path.join(this.directory, 'ip-secret');
+    try {
+      return (await fs.readFile(secretPath, 'utf8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(secretPath, secret, { mode: 0o600 });
+    return secret;
+  }
+
+  // Budget limits and policy changed through the admin API
+  async loadBudget() {
+    try {
+      const saved = JSON.parse(await fs.readFile(path.join(this.directory, 'budget.json'), 'utf8'));
+      const { daily, monthly, ...policy } = saved;
+      Object.assign(this.budgetAlerts, { daily, monthly });
+      Object.assign(this.budgetPolicy, policy);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read budget settings:', error.message);
+    }
+  }
+
+  saveBudget() {
+    this.writes = this.writes
+      .then(() => this.initialize())
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(path.join(this.directory, 'budget.json'), JSON.stringify(this.getBudgetLimits(), null, 2));
+      })
+      .catch(error => console.error('❌ Failed to save budget settings:', error.message));
+    return this.writes;
+  }
+
+  // Appends one record to its month's file, after the history is loaded so
+  // it is not counted twice
+  append(usage) {
+    const file = path.join(this.directory, `usage-${usage.timestamp.slice(0, 7)}.jsonl`);
+
+    this.writes = this.writes
+      .then(() => this.initialize())
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.appendFile(file, JSON.stringify(usage) + '\n');
+      })
+      .catch(error => console.error('❌ Failed to persist usage record:', error.message));
+    return this.writes;
+  }
+
+  // Track a completion request. context attributes it to a product feature
+  // (chat-rag, chat-standard, query-embedding, indexing, qa), a chat or
+  // indexing session and the engine that made the call
+  trackCompletion(model, inputTokens, outputTokens, type = 'chat', context = {}) {
     const cost = this.calculateCost(model, inputTokens, outputTokens);
     const usage = {
       timestamp: new Date().toISOString(),
       model,
       type,
+      feature: context.feature || type,
+      sessionId: context.sessionId || null,
+      engine: context.engine || null,
+      ipHash: this.sessionIps.get(context.sessionId) || null,
       inputTokens: inputTokens || 0,
       outputTokens: outputTokens || 0,
       totalTokens: (inputTokens || 0) + (outputTokens || 0),
@@ -63,23 +217,93 @@ class CostTracker {
     };
 
     this.usageHistory.push(usage);
-    this.updateDailyCosts(cost);
-    this.updateMonthlyCosts(cost);
+    this.addToTotals(usage);
     this.checkBudgetAlerts();
 
-    // Keep only last 10000 records
-    if (this.usageHistory.length > 10000) {
-      this.usageHistory = this.usageHistory.slice(-10000);
+    if (this.usageHistory.length > this.maxHistory) {
+      this.usageHistory = this.usageHistory.slice(-this.maxHistory);
     }
 
+    if (this.persist) this.append(usage);
+
     return usage;
   }
 
+  addToTotals(usage) {
+    const day = usage.timestamp.split('T')[0];
+    const month = usage.timestamp.slice(0, 7);
+    this.dailyCosts.set(day, (this.dailyCosts.get(day) || 0) + usage.cost);
+    this.monthlyCosts.set(month, (this.monthlyCosts.get(month) || 0) + usage.cost);
+
+    if (day === this.today()) {
+      if (usage.sessionId) addSpend(this.sessionSpend, usage.sessionId, usage.cost);
+      if (usage.ipHash) addSpend(this.ipSpend, usage.ipHash, usage.cost);
+    }
+  }
+
+  // Current UTC day; the per-visitor spend starts over when it changes
+  today() {
+    const day = new Date().toISOString().split('T')[0];
+    if (day !== this.spendDay) {
+      this.spendDay = day;
+      this.sessionSpend.clear();
+      this.ipSpend.clear();
+      this.sessionIps.clear();
+    }
+    return day;
+  }
+
+  // Today's spend of a chat session; the difference across a turn is the
+  // turn's cost, whichever model calls it made
+  getSessionSpend(sessionId) {
+    this.today();
+    return this.sessionSpend.get(sessionId) || 0;
+  }
+
+  // How /api/chat should answer this visitor:
+  // { action: 'allow'|'warn'|'degrade'|'block', reason, degraded, message }
+  // Over the session or IP cap the visitor is blocked; over the daily or
+  // monthly budget the configured action applies to everyone. The IP cap
+  // applies once the IP hash key is loaded.
+  checkChatBudget({ sessionId, ip } = {}) {
+    this.today();
+    const ipHash = ip && this.ipSecret ? this.hashIp(ip) : null;
+    if (sessionId && ipHash) this.sessionIps.set(sessionId, ipHash);
+
+    const { action, sessionCap, ipCap, degraded } = this.budgetPolicy;
+    const blocked = reason => ({ action: 'block', reason, message: LIMITED_REPLY });
+
+    if (sessionCap > 0 && (this.sessionSpend.get(sessionId) || 0) >= sessionCap) {
+      return blocked('session-cap');
+    }
+    if (ipCap > 0 && ipHash && (this.ipSpend.get(ipHash) || 0) >= ipCap) {
+      return blocked('ip-cap');
+    }
+
+    const { daily, monthly } = this.getBudgetStatus();
+    const exceeded = daily.spent >= daily.limit ? 'daily-budget' : monthly.spent >= monthly.limit ? 'monthly-budget' : null;
+
+    if (!exceeded) return { action: 'allow' };
+    if (action === 'block') return blocked(exceeded);
+    if (action === 'degrade') return { action: 'degrade', reason: exceeded, degraded };
+    return { action: 'warn', reason: exceeded };
+  }
+
+  // Visitor IPs are only kept as a keyed, truncated hash: without the key an
+  // IPv4 hash cannot be reversed by trying every address
+  hashIp(ip) {
+    return crypto.createHmac('sha256', this.ipSecret).update(ip).digest('hex').slice(0, 16);
+  }
+
   // Calculate cost for a request
   calculateCost(model, inputTokens = 0, outputTokens = 0) {
     const modelPricing = this.pricing[model];
     if (!modelPricing) {
-      console.warn(`⚠️ Unknown model for pricing: ${model}`);
+      // Self-hosted and fake models have no price; warn once per model
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        console.warn(`⚠️ Unknown model for pricing: ${model}`);
+      }
       return 0;
     }
 
@@ -101,20 +325,6 @@ class CostTracker {
     return (tokens / 1000) * modelPricing.output;
   }
 
-  // Update daily costs
-  updateDailyCosts(cost) {
-    const today = new Date().toISOString().split('T')[0];
-    const currentCost = this.dailyCosts.get(today) || 0;
-    this.dailyCosts.set(today, currentCost + cost);
-  }
-
-  // Update monthly costs
-  updateMonthlyCosts(cost) {
-    const thisMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
-    const currentCost = this.monthlyCosts.get(thisMonth) || 0;
-    this.monthlyCosts.set(thisMonth, currentCost + cost);
-  }
-
   // Check budget alerts
   checkBudgetAlerts() {
     const today = new Date().toISOString().split('T')[0];
@@ -147,6 +357,13 @@ class CostTracker {
 
     if (alerts.length > 0) {
       console.warn('🚨 ALERTA DE PRESSUPOST:', alerts);
+      // Keyed by day/month so each budget alert goes out once per period
+      // (and again after the de-duplication window)
+      Notifier.getInstance().notify(alerts.map(alert => ({
+        ...alert,
+        source: 'cost-tracker',
+        key: `cost:${alert.type}:${alert.type.startsWith('daily') ? today : thisMonth}`
+      })));
     }
 
     return alerts;
@@ -182,20 +399,11 @@ class CostTracker {
       modelBreakdown[usage.model].cost += usage.cost;
     });
 
-    // Group by type
-    const typeBreakdown = {};
-    recentUsage.forEach(usage => {
-      if (!typeBreakdown[usage.type]) {
-        typeBreakdown[usage.type] = {
-          requests: 0,
-          tokens: 0,
-          cost: 0
-        };
-      }
-      typeBreakdown[usage.type].requests++;
-      typeBreakdown[usage.type].tokens += usage.totalTokens;
-      typeBreakdown[usage.type].cost += usage.cost;
-    });
+    // Group by type, feature, engine and session
+    const typeBreakdown = this.groupUsage(recentUsage, 'type');
+    const featureBreakdown = this.groupUsage(recentUsage, 'feature');
+    const engineBreakdown = this.groupUsage(recentUsage, 'engine');
+    const sessionBreakdown = this.groupUsage(recentUsage.filter(u => u.sessionId), 'sessionId');
 
     // Daily trends
     const dailyTrends = this.getDailyTrends(days);
@@ -213,15 +421,50 @@ class CostTracker {
       modelBreakdown: Object.entries(modelBreakdown)
         .sort(([,a], [,b]) => b.cost - a.cost)
         .map(([model, data]) => ({ model, ...data })),
-      typeBreakdown: Object.entries(typeBreakdown)
-        .sort(([,a], [,b]) => b.cost - a.cost)
-        .map(([type, data]) => ({ type, ...data })),
+      typeBreakdown,
+      featureBreakdown,
+      engineBreakdown,
+      topSessions: sessionBreakdown.slice(0, 20),
       dailyTrends,
       budgetStatus: this.getBudgetStatus(),
       alerts: this.checkBudgetAlerts()
     };
   }
 
+  // Requests, tokens and cost per value of `key`, most expensive first
+  groupUsage(usages, key) {
+    const groups = {};
+    usages.forEach(usage => {
+      const value = usage[key] || 'unattributed';
+      if (!groups[value]) {
+        groups[value] = {
+          requests: 0,
+          tokens: 0,
+          cost: 0
+        };
+      }
+      groups[value].requests++;
+      groups[value].tokens += usage.totalTokens;
+      groups[value].cost += usage.cost;
+    });
+
+    return Object.entries(groups)
+      .sort(([,a], [,b]) => b.cost - a.cost)
+      .map(([value, data]) => ({ [key]: value, ...data }));
+  }
+
+  // Cost of one chat or indexing session
+  getSessionCost(sessionId) {
+    const usages = this.usageHistory.filter(u => u.sessionId === sessionId);
+    return {
+      sessionId,
+      requests: usages.length,
+      tokens: usages.reduce((sum, u) => sum + u.totalTokens, 0),
+      cost: Number(usages.reduce((sum, u) => sum + u.cost, 0).toFixed(6)),
+      featureBreakdown: this.groupUsage(usages, 'feature')
+    };
+  }
+
   // Get daily cost trends
   getDailyTrends(days) {
     const trends = [];
@@ -274,17 +517,38 @@ class CostTracker {
     };
   }
 
-  // Update budget limits
-  updateBudgetLimits(daily, monthly) {
+  // Update budget limits and, optionally, the over-budget action and the
+  // per-visitor caps (0 disables a cap)
+  updateBudgetLimits(daily, monthly, { action, sessionCap, ipCap, degraded } = {}) {
     if (daily && daily > 0) {
       this.budgetAlerts.daily = daily;
     }
     if (monthly && monthly > 0) {
       this.budgetAlerts.monthly = monthly;
     }
+    if (action) {
+      if (!BUDGET_ACTIONS.includes(action)) {
+        throw new Error(`Unknown budget action: ${action} (expected ${BUDGET_ACTIONS.join(', ')})`);
+      }
+      this.budgetPolicy.action = action;
+    }
+    if (sessionCap >= 0) {
+      this.budgetPolicy.sessionCap = sessionCap;
+    }
+    if (ipCap >= 0) {
+      this.budgetPolicy.ipCap = ipCap;
+    }
+    if (degraded) {
+      Object.assign(this.budgetPolicy.degraded, degraded);
+    }
+
+    console.log(`📊 Budget limits updated: Daily $${this.budgetAlerts.daily}, Monthly $${this.budgetAlerts.monthly}, over budget: ${this.budgetPolicy.action}`);
+    if (this.persist) this.saveBudget();
+    return this.getBudgetLimits();
+  }
 
-    console.log(`📊 Budget limits updated: Daily $${this.budgetAlerts.daily}, Monthly $${this.budgetAlerts.monthly}`);
-    return this.budgetAlerts;
+  getBudgetLimits() {
+    return { ...this.budgetAlerts, ...this.budgetPolicy };
   }
 
   // Get pricing information
@@ -318,7 +582,8 @@ class CostTracker {
 
   // Get recent expensive requests
   getExpensiveRequests(limit = 10) {
-    return this.usageHistory
+    // Sorted on a copy: the history must stay in time order
+    return [...this.usageHistory]
       .sort((a, b) => b.cost - a.cost)
       .slice(0, limit)
       .map(usage => ({
@@ -329,4 +594,10 @@ class CostTracker {
   }
 }
 
-module.exports = CostTracker;
\ No newline at end of file
+function addSpend(spend, key, cost) {
+  spend.set(key, (spend.get(key) || 0) + cost);
+}
+
+module.exports = CostTracker;
+module.exports.BUDGET_ACTIONS = BUDGET_ACTIONS;
+module.exports.LIMITED_REPLY = LIMITED_REPLY;
\ No newline at end of file
@@ -0,0 +1,299 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RAG_CONFIG = require('../config');
+const ChatAnalytics = require('./chat-analytics');
+const { redactPII } = ChatAnalytics;
+
+const RATINGS = ['up', 'down'];
+const REASONS = ['incorrect', 'outdated', 'incomplete', 'wrong-language'];
+// What the editor did about a negative rating
+const REVIEW_STATUSES = ['open', 'content-fixed', 'curated-answer', 'dismissed'];
+// What the visitor wrote or was told, cleared after the retention period
+const VISITOR_TEXT = ['question', 'searchQuery', 'answer', 'comment'];
+
+class FeedbackError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Visitor ratings of assistant answers. Every answer gets a message ID (the
+ * id of its ChatAnalytics record); its retrieval trace (search query,
+ * filters, scored sources, answer) is kept in memory for `traceHours` and
+ * copied into the feedback when the visitor rates it, so editors can see
+ * what was retrieved. Without a trace (e.g. after a restart) the sources
+ * recorded by ChatAnalytics are used.
+ *
+ * One rating per message: rating again replaces it. Negative ratings form
+ * the admin review queue. Saved to data/feedback/feedback.json. Like the chat
+ * turns, the question, answer and comment of a rating are kept for the
+ * analytics `retentionDays`; older ratings keep only the rating, reason,
+ * sources and review.
+ */
+class FeedbackStore {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.feedback;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.traceMs = config.traceHours * 60 * 60 * 1000;
+    this.maxTraces = config.maxTraces;
+    this.maxCommentLength = config.maxCommentLength;
+    this.maxAnswerLength = config.maxAnswerLength;
+    this.redactPII = RAG_CONFIG.analytics.redactPII;
+    this.retentionDays = RAG_CONFIG.analytics.retentionDays;
+
+    this.feedback = new Map();  // messageId → feedback
+    this.traces = new Map();    // messageId → retrieval trace
+    this.prunedDay = null;
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  static getInstance() {
+    if (!FeedbackStore.instance) {
+      FeedbackStore.instance = new FeedbackStore();
+      FeedbackStore.instance.initialize();
+    }
+    return FeedbackStore.instance;
+  }
+
+  initialize() {
+    if (!this.loaded) {
+      this.loaded = this.load();
+    }
+    return this.loaded;
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(path.join(this.directory, 'feedback.json'), 'utf8'));
+      for (const entry of saved.feedback || []) {
+        // Ratings submitted while loading are newer
+        if (!this.feedback.has(entry.messageId)) this.feedback.set(entry.messageId, entry);
+      }
+      console.log(`👍 Feedback: ${this.feedback.size} ratings loaded`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read feedback:', error.message);
+    }
+    this.pruneExpired();
+  }
+
+  save() {
+    const data = { feedback: Array.from(this.feedback.values()) };
+
+    this.writes = this.writes
+      .then(async () => {
+        const filePath = path.join(this.directory, 'feedback.json');
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch(error => console.error('❌ Failed to save feedback:', error.message));
+    return this.writes;
+  }
+
+  // =============================================================================
+  // RETRIEVAL TRACES
+  // =============================================================================
+
+  // record: the ChatAnalytics record of the turn; turn: runChatTurn's result
+  rememberTrace(record, turn = {}) {
+    const now = Date.now();
+    this.traces.set(record.id, {
+      createdAt: now,
+      sessionId: record.sessionId,
+      question: record.question,
+      language: record.language,
+      engine: record.engine,
+      confidence: record.confidence,
+      searchQuery: turn.queryRewrite?.query ? this.clean(turn.queryRewrite.query, 500) : null,
+      rewritten: Boolean(turn.queryRewrite?.rewritten),
+      filters: turn.filters || null,
+      searchResults: turn.searchResults ?? null,
+      sources: (turn.sources || []).map(source => ({
+        title: source.title,
+        url: source.url,
+        sourceType: source.sourceType,
+        relevanceScore: source.relevanceScore,
+        rerankScore: source.rerankScore
+      })),
+      // Answers can repeat what the visitor wrote, so they are redacted too
+      answer: typeof turn.response === 'string' ? this.clean(turn.response, this.maxAnswerLength) : null
+    });
+
+    this.pruneTraces(now);
+  }
+
+  pruneTraces(now) {
+    for (const [messageId, trace] of this.traces) {
+      if (now - trace.createdAt < this.traceMs && this.traces.size <= this.maxTraces) break;
+      this.traces.delete(messageId);
+    }
+  }
+
+  findTrace(messageId) {
+    const trace = this.traces.get(messageId);
+    if (trace && Date.now() - trace.createdAt < this.traceMs) {
+      const { createdAt, ...rest } = trace;
+      return rest;
+    }
+
+    const record = ChatAnalytics.getInstance().getById(messageId);
+    if (!record || record.error) return null;
+    return {
+      sessionId: record.sessionId,
+      question: record.question,
+      language: record.language,
+      engine: record.engine,
+      confidence: record.confidence,
+      sources: record.sources.map(url => ({ url }))
+    };
+  }
+
+  // =============================================================================
+  // RATINGS
+  // =============================================================================
+
+  // { messageId, rating, reason, comment }
+  async submit({ messageId, rating, reason, comment } = {}) {
+    await this.initialize();
+
+    if (typeof messageId !== 'string' || !messageId) {
+      throw new FeedbackError('messageId is required');
+    }
+    if (!RATINGS.includes(rating)) {
+      throw new FeedbackError('rating must be "up" or "down"', 400, { ratings: RATINGS });
+    }
+    if (reason !== undefined && reason !== null && !REASONS.includes(reason)) {
+      throw new FeedbackError(`Unknown reason: ${reason}`, 400, { reasons: REASONS });
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      throw new FeedbackError('comment must be a string');
+    }
+
+    const trace = this.findTrace(messageId);
+    if (!trace) {
+      throw new FeedbackError('Message not found', 404);
+    }
+
+    const { sources, ...details } = trace;
+    const now = new Date().toISOString();
+    const entry = {
+      messageId,
+      rating,
+      reason: rating === 'down' ? reason || null : null,
+      comment: comment && comment.trim() ? this.clean(comment.trim(), this.maxCommentLength) : null,
+      createdAt: this.feedback.get(messageId)?.createdAt || now,
+      updatedAt: now,
+      ...details,
+      sources,
+      status: rating === 'down' ? 'open' : null
+    };
+
+    this.feedback.set(messageId, entry);
+    this.pruneIfDue();
+    await this.save();
+
+    console.log(`${rating === 'down' ? '👎' : '👍'} Feedback on ${messageId}${entry.reason ? ` (${entry.reason})` : ''}`);
+    return entry;
+  }
+
+  // Newest first
+  list({ rating, status, reason, since, limit } = {}) {
+    this.pruneIfDue();
+    const from = since ? since.toISOString() : null;
+
+    const entries = Array.from(this.feedback.values())
+      .filter(entry => !rating || entry.rating === rating)
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => !reason || entry.reason === reason)
+      .filter(entry => !from || entry.updatedAt > from)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  // Negative ratings still waiting for an editor, oldest first
+  getReviewQueue({ reason, limit = 50 } = {}) {
+    return this.list({ rating: 'down', status: 'open', reason }).reverse().slice(0, limit);
+  }
+
+  // { status, note }
+  async review(messageId, { status, note } = {}, reviewer = null) {
+    await this.initialize();
+
+    const entry = this.feedback.get(messageId);
+    if (!entry || entry.rating !== 'down') {
+      throw new FeedbackError('Valoració negativa no trobada', 404);
+    }
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new FeedbackError(`Estat de revisió no vàlid: ${status}`, 400, { statuses: REVIEW_STATUSES });
+    }
+
+    Object.assign(entry, {
+      status,
+      reviewNote: typeof note === 'string' && note.trim() ? note.trim().slice(0, this.maxCommentLength) : null,
+      reviewedBy: reviewer,
+      reviewedAt: new Date().toISOString()
+    });
+    await this.save();
+    return entry;
+  }
+
+  getSummary(since) {
+    const entries = this.list({ since });
+    const down = entries.filter(entry => entry.rating === 'down');
+
+    return {
+      total: entries.length,
+      up: entries.length - down.length,
+      down: down.length,
+      open: down.filter(entry => entry.status === 'open').length,
+      reasons: Object.fromEntries(REASONS.map(reason => [reason, down.filter(entry => entry.reason === reason).length]))
+    };
+  }
+
+  // =============================================================================
+  // RETENTION
+  // =============================================================================
+
+  pruneIfDue() {
+    if (this.prunedDay !== new Date().toISOString().slice(0, 10)) this.pruneExpired();
+  }
+
+  // Clears the visitor text of ratings created before the retention cutoff
+  pruneExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    this.prunedDay = new Date().toISOString().slice(0, 10);
+
+    let expired = 0;
+    for (const entry of this.feedback.values()) {
+      if (entry.createdAt >= cutoff || VISITOR_TEXT.every(field => entry[field] == null)) continue;
+      for (const field of VISITOR_TEXT) {
+        if (field in entry) entry[field] = null;
+      }
+      expired++;
+    }
+
+    if (expired > 0) {
+      console.log(`🧹 Feedback: visitor text of ${expired} expired rating(s) cleared`);
+      this.save();
+    }
+    return expired;
+  }
+
+  clean(text, maxLength) {
+    const trimmed = text.slice(0, maxLength);
+    return this.redactPII ? redactPII(trimmed) : trimmed;
+  }
+}
+
+module.exports = FeedbackStore;
+module.exports.FeedbackError = FeedbackError;
+module.exports.RATINGS = RATINGS;
+module.exports.REASONS = REASONS;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
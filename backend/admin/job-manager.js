@@ -0,0 +1,448 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const RAG_CONFIG = require('../config');
+
+// Indexer per job type, required when the first job of that type runs
+const JOB_TYPES = {
+  progressive: {
+    module: '../progressive-indexer',
+    run: indexer => indexer.executePhase1()
+  },
+  firecrawl: {
+    module: '../firecrawl-indexer',
+    run: indexer => indexer.executeFirecrawlIndexing()
+  }
+};
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+class JobError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Crawl jobs started from the admin API, run in-process through the
+ * indexers' ingestion pipeline instead of as detached child processes.
+ *
+ * Jobs are persisted as one JSON file each (queued, running, paused,
+ * completed, failed, cancelled) with per-URL progress, cost so far and
+ * errors. Only one job per source can be active at a time, and none while
+ * the scheduler's content update holds the source (reserveSources()); jobs
+ * beyond `maxConcurrent` wait in the queue. Progress is saved at most every
+ * `progressSaveMs` while a job runs, and whenever its status changes.
+ *
+ * Pause and cancel take effect between URLs. A paused run ends at the
+ * indexer's checkpoint (its sessionId) and frees its slot; a job that was
+ * running when the server stopped comes back paused the same way. Resuming
+ * either queues it again to continue from the checkpoint, so pages already
+ * processed are not embedded again. A run stopped by its cost budget is
+ * paused too, to be resumed with a higher `costBudget` or cancelled.
+ * `resume: <sessionId>` and `retryFailed` start a job from the checkpoint of
+ * an earlier run.
+ */
+class CrawlJobManager {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.ingestion.jobs;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.maxConcurrent = options.maxConcurrent || config.maxConcurrent;
+    this.maxErrors = options.maxErrors || config.maxErrors;
+    this.progressSaveMs = options.progressSaveMs ?? config.progressSaveMs;
+
+    this.jobs = new Map();      // id → job record (persisted)
+    this.runs = new Map();      // id → { paused, cancelled, savedAt } for jobs in progress
+    this.reserved = new Map();  // baseUrl → who crawls it outside the manager (the scheduler)
+    this.writes = new Map();    // id → pending write, so saves never interleave
+    this.initialized = null;
+  }
+
+  static getInstance() {
+    if (!CrawlJobManager.instance) {
+      CrawlJobManager.instance = new CrawlJobManager();
+    }
+    return CrawlJobManager.instance;
+  }
+
+  initialize() {
+    if (!this.initialized) {
+      this.initialized = this.load();
+    }
+    return this.initialized;
+  }
+
+  // =============================================================================
+  // JOBS
+  // =============================================================================
+
+  async createJob({ type = 'progressive', source = RAG_CONFIG.sources.primary.domain, priority = 'normal', ...options } = {}) {
+    await this.initialize();
+
+    if (!JOB_TYPES[type]) {
+      throw new JobError(`Tipus de tasca desconegut: ${type}`, 400, { availableTypes: Object.keys(JOB_TYPES) });
+    }
+
+    const sourceConfig = findSource(source);
+    if (!sourceConfig) {
+      throw new JobError(`Font desconeguda: ${source}`, 400);
+    }
+
+    const active = this.activeJobFor(sourceConfig.baseUrl);
+    if (active) {
+      throw new JobError(`Ja hi ha una tasca activa per a ${sourceConfig.domain}`, 409, { jobId: active.id, status: active.status });
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      priority: PRIORITIES[priority] !== undefined ? priority : 'normal',
+      source: { domain: sourceConfig.domain, baseUrl: sourceConfig.baseUrl },
+      options: pickOptions(options),
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      sessionId: null,
+      cost: 0,
+      progress: summarizeUrls({}),
+      urls: {},
+      errors: [],
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    console.log(`🗂️ Crawl job ${job.id} queued: ${type} for ${job.source.domain}`);
+
+    this.startQueued();
+    return job;
+  }
+
+  async listJobs({ status } = {}) {
+    await this.initialize();
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(summarizeJob);
+  }
+
+  // Full record: per-URL progress and errors included
+  async getJob(id) {
+    await this.initialize();
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    return {
+      ...job,
+      urls: Object.entries(job.urls).map(([url, entry]) => ({ url, ...entry }))
+    };
+  }
+
+  async pauseJob(id) {
+    const job = await this.requireJob(id);
+    if (job.status !== 'running' && job.status !== 'queued') {
+      throw new JobError(`No es pot pausar una tasca en estat ${job.status}`, 409);
+    }
+
+    // Running jobs stop at their checkpoint before the next URL (see
+    // proceed()); execute() keeps them paused
+    const run = this.runs.get(id);
+    if (run) run.paused = true;
+
+    job.status = 'paused';
+    await this.save(job);
+    console.log(`⏸️ Crawl job ${id} paused`);
+    return summarizeJob(job);
+  }
+
+  // `costBudget` raises the budget of a job stopped by it
+  async resumeJob(id, { costBudget } = {}) {
+    const job = await this.requireJob(id);
+    if (job.status !== 'paused') {
+      throw new JobError(`No es pot reprendre una tasca en estat ${job.status}`, 409);
+    }
+
+    const run = this.runs.get(id);
+    if (run) {
+      // Resumed before the run reached its next URL: it carries on
+      run.paused = false;
+      job.status = 'running';
+    } else {
+      // Paused while queued, stopped at its checkpoint or interrupted by a
+      // restart: back to the queue; a crawl that had started continues from
+      // its checkpoint
+      job.status = 'queued';
+      if (job.sessionId) job.options.resume = job.sessionId;
+      Object.assign(job.options, pickOptions({ costBudget }));
+    }
+
+    await this.save(job);
+    console.log(`▶️ Crawl job ${id} resumed`);
+    this.startQueued();
+    return summarizeJob(job);
+  }
+
+  async cancelJob(id) {
+    const job = await this.requireJob(id);
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw new JobError(`La tasca ja ha acabat (${job.status})`, 409);
+    }
+
+    const run = this.runs.get(id);
+    if (run) {
+      // The pipeline stops before its next URL; execute() records the end
+      run.cancelled = true;
+      run.paused = false;
+    } else {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    }
+
+    job.cancelRequestedAt = new Date().toISOString();
+    await this.save(job);
+    console.log(`🛑 Crawl job ${id} cancelled`);
+    return summarizeJob(job);
+  }
+
+  // Queued, running or paused job for a source, if any; a source reserved
+  // by the scheduler counts as a running job named after the holder
+  activeJobFor(baseUrl) {
+    const job = Array.from(this.jobs.values()).find(job =>
+      job.source.baseUrl === baseUrl && (ACTIVE_STATUSES.includes(job.status) || this.runs.has(job.id))
+    );
+    if (job) return job;
+
+    return this.reserved.has(baseUrl) ? { id: this.reserved.get(baseUrl), status: 'running' } : null;
+  }
+
+  // Claims the sources that have no active job for a crawl run outside the
+  // manager, so neither writes the same crawl state and manifest entries at
+  // once. Returns { reserved, busy }; release the reserved sources with
+  // releaseSources() when done.
+  async reserveSources(sources, holder) {
+    await this.initialize();
+
+    const reserved = [];
+    const busy = [];
+    for (const source of sources) {
+      if (this.activeJobFor(source.baseUrl)) {
+        busy.push(source);
+      } else {
+        this.reserved.set(source.baseUrl, holder);
+        reserved.push(source);
+      }
+    }
+    return { reserved, busy };
+  }
+
+  releaseSources(sources) {
+    for (const source of sources) {
+      this.reserved.delete(source.baseUrl);
+    }
+  }
+
+  async requireJob(id) {
+    await this.initialize();
+    const job = this.jobs.get(id);
+    if (!job) throw new JobError('Tasca no trobada', 404);
+    return job;
+  }
+
+  // =============================================================================
+  // EXECUTION
+  // =============================================================================
+
+  startQueued() {
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && !this.runs.has(job.id))
+      .sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const job of queued) {
+      if (this.runs.size >= this.maxConcurrent) break;
+      this.execute(job).catch(error => {
+        console.error(`❌ Crawl job ${job.id} bookkeeping failed:`, error.message);
+      });
+    }
+  }
+
+  async execute(job) {
+    const run = { paused: false, cancelled: false, savedAt: 0 };
+    this.runs.set(job.id, run);
+
+    const { module, run: runIndexer } = JOB_TYPES[job.type];
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.error = null;
+    await this.save(job);
+    console.log(`🚀 Crawl job ${job.id} started: ${job.type} for ${job.source.domain}`);
+
+    try {
+      const Indexer = require(module);
+      const indexer = new Indexer({
+        ...job.options,
+        source: findSource(job.source.baseUrl),
+        control: { proceed: () => this.proceed(job, run) },
+        // A resumed run's stats include the cost spent before the checkpoint
+        onProgress: (event, stats) => this.recordProgress(job, event, stats.totalCost)
+      });
+      job.sessionId = indexer.sessionId;
+
+      await runIndexer(indexer);
+
+      if (indexer.pipeline.budgetExceeded && !run.cancelled) {
+        job.status = 'paused';
+        job.error = `Pressupost de cost esgotat ($${job.cost.toFixed(4)} de $${indexer.options.costBudget}); reprèn-la amb un costBudget més alt`;
+      } else if (run.paused && indexer.pipeline.stopped) {
+        job.status = 'paused';
+      } else {
+        job.status = run.cancelled ? 'cancelled' : 'completed';
+      }
+    } catch (error) {
+      console.error(`❌ Crawl job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      this.runs.delete(job.id);
+      if (job.status !== 'paused') job.finishedAt = new Date().toISOString();
+      await this.save(job);
+      console.log(`🏁 Crawl job ${job.id} ${job.status} ($${job.cost.toFixed(4)})`);
+      this.startQueued();
+    }
+  }
+
+  // Pipeline control: false once paused or cancelled, which stops the run
+  async proceed(job, run) {
+    return !run.paused && !run.cancelled;
+  }
+
+  // Progress is kept in memory and saved at most every progressSaveMs;
+  // execute() saves the final state
+  async recordProgress(job, event, cost) {
+    const timestamp = new Date().toISOString();
+
+    if (event.type === 'discovered') {
+      for (const url of event.urls) {
+        if (!job.urls[url]) job.urls[url] = { status: 'discovered', updatedAt: timestamp };
+      }
+    } else if (event.type === 'url') {
+      const { type, url, ...fields } = event;
+      job.urls[url] = { ...job.urls[url], ...fields, updatedAt: timestamp };
+    } else if (event.type === 'skipped') {
+      job.urls[event.url] = { ...job.urls[event.url], status: 'skipped', reason: event.reason, updatedAt: timestamp };
+    } else if (event.type === 'error') {
+      job.errors.push({ url: event.url, errorType: event.errorType, error: event.error, timestamp });
+      job.errors = job.errors.slice(-this.maxErrors);
+    }
+
+    job.cost = cost;
+    job.progress = summarizeUrls(job.urls);
+
+    const run = this.runs.get(job.id);
+    if (run && Date.now() - run.savedAt < this.progressSaveMs) return;
+    if (run) run.savedAt = Date.now();
+    await this.save(job);
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  async load() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable crawl job file ${file}:`, error.message);
+      }
+    }
+
+    // Nothing runs across restarts: interrupted jobs wait for a resume
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        job.status = 'paused';
+        job.error = 'Interrompuda per un reinici del servidor';
+        await this.save(job);
+      }
+    }
+
+    if (this.jobs.size > 0) {
+      console.log(`🗂️ Loaded ${this.jobs.size} crawl jobs`);
+    }
+    this.startQueued();
+  }
+
+  save(job) {
+    job.updatedAt = new Date().toISOString();
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.then(() => this.write(job));
+    this.writes.set(job.id, write.catch(() => {}));
+    return write;
+  }
+
+  async write(job) {
+    const filePath = path.join(this.directory, `${job.id}.json`);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+}
+
+// Source config by domain, baseUrl or config key; the primary source wins
+// when a domain is shared
+function findSource(value) {
+  const { primary, blogs } = RAG_CONFIG.sources;
+  if (value === 'primary') return primary;
+  if (blogs[value]) return blogs[value];
+
+  return [primary, ...Object.values(blogs)]
+    .find(source => source.domain === value || source.baseUrl === value) || null;
+}
+
+// Indexer options accepted from the API
+function pickOptions(options) {
+  const picked = {};
+  for (const key of ['maxPages', 'batchSize', 'costBudget']) {
+    const value = Number(options[key]);
+    if (Number.isFinite(value) && value > 0) picked[key] = value;
+  }
+  if (options.incremental !== undefined) picked.incremental = Boolean(options.incremental);
+  if (options.testMode !== undefined) picked.testMode = Boolean(options.testMode);
+  if (options.retryFailed !== undefined) picked.retryFailed = Boolean(options.retryFailed);
+  if (typeof options.resume === 'string' && options.resume) picked.resume = options.resume;
+  return picked;
+}
+
+function summarizeUrls(urls) {
+  const progress = { total: 0, discovered: 0, processing: 0, indexed: 0, skipped: 0, failed: 0, deferred: 0, chunksCreated: 0 };
+  for (const entry of Object.values(urls)) {
+    progress.total++;
+    if (progress[entry.status] !== undefined) progress[entry.status]++;
+    progress.chunksCreated += entry.chunks || 0;
+  }
+  progress.percent = progress.total > 0
+    ? Math.round(((progress.indexed + progress.skipped + progress.failed) / progress.total) * 100)
+    : 0;
+  return progress;
+}
+
+// Job record without the per-URL map and error list
+function summarizeJob(job) {
+  const { urls, errors, ...summary } = job;
+  return { ...summary, errorCount: errors.length };
+}
+
+module.exports = CrawlJobManager;
+module.exports.JobError = JobError;
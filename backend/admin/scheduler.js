@@ -1,73 +1,269 @@
+const fs = require('fs').promises;
+const path = require('path');
 const cron = require('node-cron');
+const RAG_CONFIG = require('../config');
+const agentMonitor = require('../agent-monitor');
+const Notifier = require('../notifications/notifier');
+const CrawlJobManager = require('./job-manager');
 
 // Conditionally require RAG modules
 let MultiDomainScraper, GuimeraRAGEngine;
 try {
-  MultiDomainScraper = require('../rag/multi-domain-scraper');
-  GuimeraRAGEngine = require('../rag/rag-engine');
+  MultiDomainScraper = require('../multi-domain-scraper');
+  GuimeraRAGEngine = require('../rag-engine');
 } catch (error) {
   console.warn('⚠️ RAG modules not available - scheduler will run in limited mode');
 }
 
+// Built-in jobs. The cron expression and enabled flag of each can be changed
+// through the admin API and are kept, with the last run, across restarts;
+// descriptions leave the schedule out, it is in `cronExpression` and `nextRun`.
+const DEFAULT_JOBS = [
+  {
+    name: 'health-check',
+    description: 'Health check (vector store, embeddings, sources)',
+    cronExpression: '0 2 * * *',
+    run: async scheduler => {
+      console.log('🏥 Running daily health check...');
+      await scheduler.performHealthCheck();
+    }
+  },
+  {
+    name: 'weekly-update',
+    description: 'Incremental content update',
+    cronExpression: '0 3 * * 0',
+    run: async scheduler => {
+      console.log('📚 Running weekly content update...');
+      await scheduler.performContentUpdate('incremental');
+    }
+  },
+  {
+    name: 'monthly-refresh',
+    description: 'Full content refresh',
+    cronExpression: '0 4 1 * *',
+    run: async scheduler => {
+      console.log('🔄 Running monthly full refresh...');
+      await scheduler.performFullRefresh();
+    }
+  },
+  {
+    name: 'performance-monitor',
+    description: 'Performance monitoring',
+    cronExpression: '0 * * * *',
+    run: scheduler => scheduler.monitorPerformance()
+  }
+];
+
+class SchedulerError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Cron jobs that keep the knowledge base fresh and watch the system,
+ * started by server.js when RAG_CONFIG.scheduler.enabled is set.
+ *
+ * Job settings (cron expression, enabled), the last run of each job and the
+ * update log are saved to data/scheduler/state.json. Jobs can also be run
+ * on demand; a job that is already running is not started twice.
+ */
 class RAGSystemScheduler {
-  constructor() {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.scheduler;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.timezone = options.timezone || config.timezone;
+    this.maxLogEntries = config.maxLogEntries;
+
     this.jobs = new Map();
     this.isProcessing = false;
     this.lastUpdate = null;
     this.updateLog = [];
+    this.started = false;
+    this.ragEngine = null;
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  // Shared by server.js and the admin routes
+  static getInstance() {
+    if (!RAGSystemScheduler.instance) {
+      RAGSystemScheduler.instance = new RAGSystemScheduler();
+    }
+    return RAGSystemScheduler.instance;
+  }
+
+  // Jobs use the server's engine instead of building their own provider,
+  // vector store and lexical index
+  setRagEngine(ragEngine) {
+    this.ragEngine = ragEngine;
+  }
+
+  // The shared engine (a standalone one, created once, without a server),
+  // initialized unless `initialize` is false
+  async getRagEngine({ initialize = true } = {}) {
+    if (!this.ragEngine) {
+      this.ragEngine = new GuimeraRAGEngine();
+    }
+    if (initialize && !this.ragEngine.initialized) {
+      await this.ragEngine.initialize();
+    }
+    return this.ragEngine;
+  }
+
+  // Loads the saved job settings and log; jobs are only scheduled by start()
+  initialize() {
+    if (!this.loaded) {
+      this.loaded = this.load();
+    }
+    return this.loaded;
+  }
+
+  async load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.readFile(path.join(this.directory, 'state.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read scheduler state:', error.message);
+    }
+
+    for (const definition of DEFAULT_JOBS) {
+      const state = saved.jobs?.[definition.name] || {};
+      this.jobs.set(definition.name, {
+        definition,
+        task: null,
+        cronExpression: state.cronExpression || definition.cronExpression,
+        enabled: state.enabled ?? true,
+        status: 'idle',
+        lastRun: state.lastRun || null,
+        lastStatus: state.lastStatus || null,
+        lastError: state.lastError || null,
+        lastDuration: state.lastDuration ?? null
+      });
+    }
+
+    this.updateLog = saved.updateLog || [];
+    this.lastUpdate = saved.lastUpdate || null;
   }
 
   // Initialize scheduled tasks
-  start() {
+  async start() {
     if (!GuimeraRAGEngine || !MultiDomainScraper) {
       console.log('⚠️ RAG System Scheduler disabled - RAG modules not available');
       return;
     }
 
+    await this.initialize();
+    if (this.started) return;
+
     console.log('🕐 Starting RAG System Scheduler...');
+    this.started = true;
 
-    // Daily health check (every day at 2 AM)
-    this.scheduleJob('health-check', '0 2 * * *', async () => {
-      console.log('🏥 Running daily health check...');
-      await this.performHealthCheck();
-    });
+    for (const name of this.jobs.keys()) {
+      this.scheduleJob(name);
+    }
 
-    // Weekly content update (every Sunday at 3 AM)
-    this.scheduleJob('weekly-update', '0 3 * * 0', async () => {
-      console.log('📚 Running weekly content update...');
-      await this.performContentUpdate('weekly');
-    });
+    const enabled = Array.from(this.jobs.values()).filter(job => job.enabled).length;
+    console.log(`✅ RAG System Scheduler started with ${enabled}/${this.jobs.size} scheduled tasks`);
+  }
 
-    // Monthly full refresh (first day of month at 4 AM)
-    this.scheduleJob('monthly-refresh', '0 4 1 * *', async () => {
-      console.log('🔄 Running monthly full refresh...');
-      await this.performFullRefresh();
-    });
+  // (Re)creates the cron task of a job from its current settings
+  scheduleJob(name) {
+    const job = this.jobs.get(name);
+    job.task?.destroy();
+    job.task = null;
+
+    if (!this.started || !job.enabled) return;
 
-    // Performance monitoring (every hour)
-    this.scheduleJob('performance-monitor', '0 * * * *', async () => {
-      await this.monitorPerformance();
+    job.task = cron.createTask(job.cronExpression, () => this.runJob(name, 'scheduled'), {
+      name,
+      timezone: this.timezone
     });
+    job.task.start();
+    console.log(`📅 Scheduled '${name}': ${job.cronExpression}`);
+  }
+
+  async runJob(name, trigger = 'manual') {
+    const job = this.jobs.get(name);
+    if (job.status === 'running') {
+      console.log(`⏳ Job '${name}' already running, skipping ${trigger} run`);
+      return null;
+    }
+
+    const startTime = Date.now();
+    job.status = 'running';
+    job.lastRun = new Date().toISOString();
+
+    try {
+      await job.definition.run(this);
+      job.lastStatus = 'completed';
+      job.lastError = null;
+    } catch (error) {
+      console.error(`❌ Scheduled job '${name}' failed:`, error.message);
+      job.lastStatus = 'failed';
+      job.lastError = error.message;
+    } finally {
+      job.status = 'idle';
+      job.lastDuration = Date.now() - startTime;
+      await this.save();
+    }
 
-    console.log('✅ RAG System Scheduler started with 4 scheduled tasks');
+    return this.describeJob(name);
   }
 
-  scheduleJob(name, cronExpression, task) {
-    const job = cron.schedule(cronExpression, task, {
-      scheduled: false, // Don't start immediately
-      timezone: "Europe/Madrid" // Adjust to your timezone
-    });
+  describeJob(name) {
+    const job = this.jobs.get(name);
+    return {
+      name,
+      description: job.definition.description,
+      cronExpression: job.cronExpression,
+      defaultCronExpression: job.definition.cronExpression,
+      enabled: job.enabled,
+      status: job.status,
+      lastRun: job.lastRun,
+      lastStatus: job.lastStatus,
+      lastError: job.lastError,
+      lastDuration: job.lastDuration,
+      nextRun: job.task?.getNextRun()?.toISOString() || null
+    };
+  }
 
-    this.jobs.set(name, {
-      job,
-      cronExpression,
-      lastRun: null,
-      nextRun: null,
-      status: 'scheduled'
-    });
+  // Append to the update log, keeping the last maxLogEntries entries
+  log(entry) {
+    this.updateLog.push(entry);
+    if (this.updateLog.length > this.maxLogEntries) {
+      this.updateLog = this.updateLog.slice(-this.maxLogEntries);
+    }
+    return this.save();
+  }
+
+  save() {
+    const state = {
+      jobs: Object.fromEntries(Array.from(this.jobs.entries()).map(([name, job]) => [name, {
+        cronExpression: job.cronExpression,
+        enabled: job.enabled,
+        lastRun: job.lastRun,
+        lastStatus: job.lastStatus,
+        lastError: job.lastError,
+        lastDuration: job.lastDuration
+      }])),
+      lastUpdate: this.lastUpdate,
+      updateLog: this.updateLog
+    };
 
-    job.start();
-    console.log(`📅 Scheduled '${name}': ${cronExpression}`);
+    this.writes = this.writes
+      .then(async () => {
+        const filePath = path.join(this.directory, 'state.json');
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch(error => console.error('❌ Failed to save scheduler state:', error.message));
+    return this.writes;
   }
 
   // =============================================================================
@@ -76,15 +272,14 @@ class RAGSystemScheduler {
 
   async performHealthCheck() {
     try {
-      const ragEngine = new GuimeraRAGEngine();
-      await ragEngine.initialize();
+      const ragEngine = await this.getRagEngine();
 
       const health = {
         timestamp: new Date().toISOString(),
         vectorDB: await this.checkVectorDB(ragEngine),
         embedding: await this.checkEmbeddingService(),
         sources: await this.checkSources(),
-        performance: await this.checkPerformanceMetrics()
+        performance: await this.collectPerformanceMetrics()
       };
 
       const issues = this.detectIssues(health);
@@ -96,7 +291,7 @@ class RAGSystemScheduler {
         console.log('✅ System health check passed');
       }
 
-      this.updateLog.push({
+      await this.log({
         type: 'health-check',
         timestamp: new Date().toISOString(),
         status: issues.length > 0 ? 'issues-found' : 'healthy',
@@ -106,7 +301,7 @@ class RAGSystemScheduler {
 
     } catch (error) {
       console.error('❌ Health check failed:', error.message);
-      this.updateLog.push({
+      await this.log({
         type: 'health-check',
         timestamp: new Date().toISOString(),
         status: 'error',
@@ -124,38 +319,72 @@ class RAGSystemScheduler {
     this.isProcessing = true;
     const startTime = Date.now();
 
+    const jobManager = CrawlJobManager.getInstance();
+    let reserved = [];
+
     try {
+      // Sources with an active crawl job are left to it; the rest are
+      // reserved so no job starts on them while this update runs
+      const claim = await jobManager.reserveSources(MultiDomainScraper.allSources(), `scheduler:${type}`);
+      reserved = claim.reserved;
+      const { busy } = claim;
+
+      if (busy.length > 0) {
+        console.log(`⏭️ Skipping sources with an active crawl job: ${busy.map(source => source.domain).join(', ')}`);
+      }
+      if (reserved.length === 0) {
+        await this.log({
+          type: 'content-update',
+          timestamp: new Date().toISOString(),
+          status: 'skipped',
+          reason: 'Every source has an active crawl job',
+          updateType: type
+        });
+        return;
+      }
+
       console.log(`🔄 Starting ${type} content update...`);
 
       const scraper = new MultiDomainScraper();
 
-      // Scrape content (incremental only checks for updates)
+      // Scrape content (incremental only returns changed pages and marks
+      // pages answering 404/410 for deletion)
       const content = type === 'incremental'
-        ? await scraper.scrapeUpdatedContent()
-        : await scraper.scrapeAllSources();
+        ? await scraper.scrapeUpdatedContent(reserved)
+        : await scraper.scrapeAllSources(reserved);
+      const goneUrls = await scraper.crawler.pendingDeletions();
 
-      if (content.length === 0) {
+      if (content.length === 0 && goneUrls.length === 0) {
         console.log('📝 No new content found');
+        await scraper.crawler.save();
         return;
       }
 
-      console.log(`📊 Found ${content.length} new/updated documents`);
+      console.log(`📊 Found ${content.length} new/updated documents, ${goneUrls.length} gone pages`);
 
-      // Re-embed and store
-      const ragEngine = new GuimeraRAGEngine();
-      await ragEngine.initialize();
-      await ragEngine.embedAndStore(content);
+      // Re-embed and store, then drop the gone pages
+      const ragEngine = await this.getRagEngine();
+      if (content.length > 0) {
+        await ragEngine.embedAndStore(content);
+      }
+      const removed = await ragEngine.deleteGonePages(scraper.crawler);
+
+      // Only remember what was crawled once it is stored
+      await scraper.crawler.save();
 
       const duration = Date.now() - startTime;
       this.lastUpdate = new Date().toISOString();
 
       console.log(`✅ Content update completed in ${duration}ms`);
 
-      this.updateLog.push({
+      await this.log({
         type: 'content-update',
         timestamp: new Date().toISOString(),
         status: 'completed',
         documentsProcessed: content.length,
+        pagesRemoved: removed.pages,
+        crawl: scraper.crawler.stats,
+        skippedSources: busy.map(source => source.domain),
         duration,
         updateType: type
       });
@@ -163,7 +392,7 @@ class RAGSystemScheduler {
     } catch (error) {
       console.error('❌ Content update failed:', error.message);
 
-      this.updateLog.push({
+      await this.log({
         type: 'content-update',
         timestamp: new Date().toISOString(),
         status: 'failed',
@@ -173,11 +402,15 @@ class RAGSystemScheduler {
 
       await this.alertAdmins([{
         type: 'content-update-failed',
+        severity: 'error',
         message: error.message,
         updateType: type
       }]);
 
+      // So runJob records the run as failed
+      throw error;
     } finally {
+      jobManager.releaseSources(reserved);
       this.isProcessing = false;
     }
   }
@@ -204,6 +437,8 @@ class RAGSystemScheduler {
       if (metrics.avgResponseTime > 5000) {
         issues.push({
           type: 'slow-response',
+          severity: 'warning',
+          message: `Average response time ${Math.round(metrics.avgResponseTime)}ms`,
           value: metrics.avgResponseTime,
           threshold: 5000
         });
@@ -212,6 +447,8 @@ class RAGSystemScheduler {
       if (metrics.errorRate > 0.05) {
         issues.push({
           type: 'high-error-rate',
+          severity: 'warning',
+          message: `Error rate ${(metrics.errorRate * 100).toFixed(1)}%`,
           value: metrics.errorRate,
           threshold: 0.05
         });
@@ -220,6 +457,8 @@ class RAGSystemScheduler {
       if (metrics.lowConfidenceRate > 0.3) {
         issues.push({
           type: 'low-confidence',
+          severity: 'warning',
+          message: `Low-confidence answers ${(metrics.lowConfidenceRate * 100).toFixed(1)}%`,
           value: metrics.lowConfidenceRate,
           threshold: 0.3
         });
@@ -227,6 +466,7 @@ class RAGSystemScheduler {
 
       if (issues.length > 0) {
         console.warn('📊 Performance issues detected:', issues);
+        await this.alertAdmins(issues);
       }
 
     } catch (error) {
@@ -258,8 +498,8 @@ class RAGSystemScheduler {
     try {
       // Test embedding generation
       const testText = "Test embedding generation";
-      const ragEngine = new GuimeraRAGEngine();
-      await ragEngine.generateEmbeddings([testText]);
+      const ragEngine = await this.getRagEngine({ initialize: false });
+      await ragEngine.generateEmbeddings([testText], { feature: 'health-check', engine: 'scheduler' });
 
       return { status: 'healthy' };
     } catch (error) {
@@ -282,7 +522,7 @@ class RAGSystemScheduler {
         try {
           const response = await fetch(url, {
             method: 'HEAD',
-            timeout: 5000
+            signal: AbortSignal.timeout(5000)
           });
           return { url, status: response.ok ? 'healthy' : 'error', code: response.status };
         } catch (error) {
@@ -294,12 +534,28 @@ class RAGSystemScheduler {
     return sourceChecks.map(result => result.value);
   }
 
+  // Chat metrics of the recent queries seen by the agent monitor
+  async collectPerformanceMetrics() {
+    const { metrics } = agentMonitor;
+    const answered = agentMonitor.queryHistory.filter(q => q.status === 'completed' && typeof q.result?.confidence === 'number');
+
+    return {
+      totalQueries: metrics.totalQueries,
+      avgResponseTime: Math.round(metrics.averageResponseTime),
+      errorRate: metrics.errorRate / 100,
+      lowConfidenceRate: answered.length > 0
+        ? answered.filter(q => q.result.confidence < 0.5).length / answered.length
+        : 0
+    };
+  }
+
   detectIssues(health) {
     const issues = [];
 
     if (health.vectorDB.status === 'error') {
       issues.push({
         type: 'vector-db-error',
+        severity: 'critical',
         message: health.vectorDB.error
       });
     }
@@ -307,6 +563,7 @@ class RAGSystemScheduler {
     if (health.embedding.status === 'error') {
       issues.push({
         type: 'embedding-service-error',
+        severity: 'critical',
         message: health.embedding.error
       });
     }
@@ -315,6 +572,7 @@ class RAGSystemScheduler {
     if (failedSources.length > 0) {
       issues.push({
         type: 'source-unavailable',
+        severity: 'warning',
         message: `${failedSources.length} sources unavailable`,
         sources: failedSources
       });
@@ -323,14 +581,9 @@ class RAGSystemScheduler {
     return issues;
   }
 
+  // Logged here and sent through the notification channels
+  // (notifications/notifier.js), which de-duplicate and apply quiet hours
   async alertAdmins(issues) {
-    console.warn('🚨 ADMIN ALERT:', issues);
-
-    // In production, send email/Slack/webhook
-    // await this.sendEmailAlert(issues);
-    // await this.sendSlackAlert(issues);
-
-    // For now, just log prominently
     console.log('=' .repeat(80));
     console.log('🚨 SYSTEM ISSUES DETECTED');
     console.log('=' .repeat(80));
@@ -338,6 +591,8 @@ class RAGSystemScheduler {
       console.log(`${index + 1}. ${issue.type}: ${issue.message}`);
     });
     console.log('=' .repeat(80));
+
+    await Notifier.getInstance().notify(issues.map(issue => ({ severity: 'error', ...issue, source: 'scheduler' })));
   }
 
   // =============================================================================
@@ -349,17 +604,69 @@ class RAGSystemScheduler {
     await this.performContentUpdate(type);
   }
 
+  async listJobs() {
+    await this.initialize();
+    return Array.from(this.jobs.keys()).map(name => this.describeJob(name));
+  }
+
+  // Runs a job now, in the background; the result lands in its last run
+  async triggerJob(name) {
+    await this.initialize();
+    const job = this.requireJob(name);
+    if (job.status === 'running') {
+      throw new SchedulerError(`La tasca ${name} ja s'està executant`, 409);
+    }
+
+    console.log(`▶️ Manually triggering job '${name}'...`);
+    this.runJob(name, 'manual');
+    return this.describeJob(name);
+  }
+
+  // Changes the cron expression and/or enabled flag of a job
+  async updateJob(name, { cronExpression, enabled } = {}) {
+    await this.initialize();
+    const job = this.requireJob(name);
+
+    if (cronExpression !== undefined) {
+      if (typeof cronExpression !== 'string' || !cron.validate(cronExpression)) {
+        throw new SchedulerError(`Expressió cron no vàlida: ${cronExpression}`, 400);
+      }
+      job.cronExpression = cronExpression;
+    }
+    if (enabled !== undefined) {
+      job.enabled = Boolean(enabled);
+    }
+
+    this.scheduleJob(name);
+    await this.save();
+    console.log(`📅 Job '${name}' updated: ${job.cronExpression}${job.enabled ? '' : ' (disabled)'}`);
+    return this.describeJob(name);
+  }
+
+  async getUpdateLog({ type, limit = 50 } = {}) {
+    await this.initialize();
+    return this.updateLog
+      .filter(entry => !type || entry.type === type)
+      .slice(-limit)
+      .reverse();
+  }
+
+  requireJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new SchedulerError(`Tasca programada desconeguda: ${name}`, 404, { availableJobs: Array.from(this.jobs.keys()) });
+    }
+    return job;
+  }
+
   async getStatus() {
+    await this.initialize();
     return {
+      running: this.started,
+      timezone: this.timezone,
       isProcessing: this.isProcessing,
       lastUpdate: this.lastUpdate,
-      scheduledJobs: Array.from(this.jobs.entries()).map(([name, job]) => ({
-        name,
-        cronExpression: job.cronExpression,
-        status: job.status,
-        lastRun: job.lastRun,
-        nextRun: job.nextRun
-      })),
+      scheduledJobs: Array.from(this.jobs.keys()).map(name => this.describeJob(name)),
       recentLogs: this.updateLog.slice(-10)
     };
   }
@@ -368,13 +675,16 @@ class RAGSystemScheduler {
     console.log('🛑 Stopping RAG System Scheduler...');
 
     this.jobs.forEach((jobData, name) => {
-      jobData.job.stop();
+      if (!jobData.task) return;
+      jobData.task.destroy();
+      jobData.task = null;
       console.log(`⏹️ Stopped job: ${name}`);
     });
 
-    this.jobs.clear();
+    this.started = false;
     console.log('✅ RAG System Scheduler stopped');
   }
 }
 
-module.exports = RAGSystemScheduler;
\ No newline at end of file
+module.exports = RAGSystemScheduler;
+module.exports.SchedulerError = SchedulerError;
\ No newline at end of file
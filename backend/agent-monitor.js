@@ -1,6 +1,6 @@
 /**
  * Power-Admin Agent Monitoring System
- * Secret URL: ?agent_monitor=guimera_power_admin_2024
+ * Dashboard at /admin/agent-monitor.html (owner role)
  */
 
 class AgentMonitor {
@@ -1,13 +1,23 @@
 // RAG System Configuration
+
+// Numeric env var where 0 is a valid value (unset or invalid uses the default)
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
 const RAG_CONFIG = {
-  // Knowledge sources - starting with main site, then expanding
+  // Knowledge sources - starting with main site, then expanding.
+  // scraper 'wordpress' reads the WordPress REST API and 'blogspot' the
+  // Blogger Atom feed (HTML fallback when unavailable); the other types
+  // scrape the rendered HTML.
   sources: {
     primary: {
       domain: 'guimera.info',
       baseUrl: 'https://www.guimera.info',
       type: 'main_site',
       priority: 1,
-      scraper: 'wordpress_custom'
+      scraper: 'wordpress'
     },
     blogs: {
       guimera_blog: {
@@ -22,6 +32,7 @@ const RAG_CONFIG = {
         baseUrl: 'https://agora.xtec.cat/zerriucorb/',
         type: 'educational_blog',
         priority: 2,
+        aliases: ['blog de l\'escola', 'blog del col·legi', 'zer riu corb', 'zerriucorb'],
         scraper: 'xtec_platform'
       },
       mirades_alvent: {
@@ -29,7 +40,8 @@ const RAG_CONFIG = {
         baseUrl: 'http://miradesalvent.blogspot.com/',
         type: 'blogspot',
         priority: 3,
-        scraper: 'blogspot'
+        scraper: 'blogspot',
+        aliases: ['mirades al vent', 'miradesalvent']
       },
       josep_corbella: {
         domain: 'guimera.info',
@@ -43,6 +55,7 @@ const RAG_CONFIG = {
         baseUrl: 'http://giliet.wordpress.com/',
         type: 'wordpress_hosted',
         priority: 3,
+        aliases: ['giliet'],
         scraper: 'wordpress'
       },
       vitrall: {
@@ -50,15 +63,28 @@ const RAG_CONFIG = {
         baseUrl: 'https://vitrall.blogspot.com/',
         type: 'blogspot',
         priority: 3,
-        scraper: 'blogspot'
+        scraper: 'blogspot',
+        aliases: ['vitrall']
       }
     }
   },
 
+  // Chat and embedding provider: 'openai', 'openai-compatible' (Ollama, vLLM,
+  // LM Studio via LLM_BASE_URL) or 'fake' (deterministic, for tests and CI)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    chatModel: process.env.LLM_CHAT_MODEL || 'gpt-4',
+    // Auxiliary calls (rewrites, reranking); unset means gpt-3.5-turbo on
+    // OpenAI and the chat model on other providers
+    fastModel: process.env.LLM_FAST_MODEL
+  },
+
   // Embedding and retrieval configuration
   embedding: {
-    model: 'text-embedding-3-large',
-    dimensions: 3072,
+    model: process.env.LLM_EMBEDDING_MODEL || 'text-embedding-3-large',
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 3072,
     batchSize: 100,
     chunkSize: 1000,
     chunkOverlap: 200
@@ -66,22 +92,130 @@ const RAG_CONFIG = {
 
   // Vector database configuration
   vectorDB: {
-    provider: 'pinecone', // or 'weaviate' for self-hosted
+    provider: process.env.VECTOR_DB_PROVIDER || 'pinecone', // 'pinecone' or 'local' (on-disk, offline)
     indexName: process.env.PINECONE_INDEX_NAME || 'guimera-knowledge',
     namespace: 'main',
     topK: 20,
-    includeMetadata: true
+    includeMetadata: true,
+    local: {
+      directory: process.env.LOCAL_VECTOR_STORE_DIR || 'data/vector-store'
+    }
+  },
+
+  // Conversation handling: follow-up questions are rewritten into a
+  // standalone search query using the session's recent turns
+  conversation: {
+    rewriteFollowUps: true,
+    // Unset uses the provider's fast model (RAG_CONFIG.llm.fastModel)
+    rewriteModel: process.env.LLM_REWRITE_MODEL,
+    maxHistoryMessages: 6
+  },
+
+  // Ingestion bookkeeping: per-URL manifest of the chunk IDs stored for each
+  // page, used to delete chunks that disappear on re-index, and the crawl
+  // state (ETag, Last-Modified, content hash) used by incremental crawls
+  ingestion: {
+    manifestDirectory: process.env.CHUNK_MANIFEST_DIR || 'data/manifests',
+    crawlStateDirectory: process.env.CRAWL_STATE_DIR || 'data/crawl-state',
+    checkpointDirectory: process.env.CHECKPOINT_DIR || 'data/checkpoints',   // indexer runs, for --resume
+    preflightTokensPerPage: 1500,  // cost estimate for pages without a recorded token count
+    userAgent: 'Mozilla/5.0 (compatible; GuimeraBot/1.0; +https://guimera.info)',
+
+    // Crawl jobs started from the admin API (admin/job-manager.js), one
+    // JSON file per job
+    jobs: {
+      directory: process.env.CRAWL_JOBS_DIR || 'data/jobs',
+      maxConcurrent: 1,            // further jobs wait in the queue
+      maxErrors: 200,              // error records kept per job
+      progressSaveMs: 5000         // a running job's file is rewritten at most this often
+    },
+
+    // URL discovery per source: robots.txt, then sitemaps, then a bounded
+    // breadth-first link crawl when no sitemap is found
+    discovery: {
+      robotsAgent: 'GuimeraBot',   // User-agent token matched in robots.txt
+      maxUrlsPerSource: parseInt(process.env.DISCOVERY_MAX_URLS, 10) || 500,
+      maxSitemaps: 50,             // sitemap files read per source
+      crawlDepth: 2,               // link crawl depth from the source's baseUrl
+      crawlBudget: 50,             // pages fetched per source by the link crawl
+      defaultDelayMs: 1000         // between requests; a longer robots.txt Crawl-delay wins
+    },
+
+    // Linked PDF/DOCX/ODT documents, chunked with chunking.strategies.documents
+    documents: {
+      enabled: process.env.INGEST_DOCUMENTS !== 'false',
+      maxPerSource: parseInt(process.env.DOCUMENTS_MAX_PER_SOURCE, 10) || 50,
+      maxBytes: 20 * 1024 * 1024,
+      timeoutMs: 60000,
+      delayMs: 1000
+    }
+  },
+
+  // Metadata filters (/api/chat `filters`) and source priority ranking
+  filters: {
+    // Infer filters from the question ("notícies recents", "al blog de
+    // l'escola"); inferred filters are dropped again if nothing matches
+    autoInfer: true,
+    recentDays: 365,
+    // Shortcuts accepted as `sourceType`
+    sourceTypeGroups: {
+      main: ['main_site', 'firecrawl_scrape'],
+      blog: ['blog_network', 'educational_blog', 'blogspot', 'wordpress_subdirectory', 'wordpress_hosted']
+    },
+    // Ranking boost per priority level above the lowest (3), so primary
+    // sources outrank third-level blogs on ties
+    priorityBoost: 0.02,
+    lowestPriority: 3
+  },
+
+  // Hybrid retrieval: BM25 over the same chunks, fused with vector results
+  // by reciprocal rank fusion. Raise a weight to favour that retriever.
+  hybrid: {
+    enabled: true,
+    lexicalTopK: 20,
+    // Share of the query terms a hit found only by BM25 must contain
+    lexicalMinCoverage: 0.6,
+    bm25: {
+      k1: 1.2,
+      b: 0.75
+    },
+    fusion: {
+      k: 60,
+      vectorWeight: 1.0,
+      lexicalWeight: 1.0
+    },
+    directory: process.env.LEXICAL_INDEX_DIR || 'data/lexical-index'
   },
 
   // Re-ranking configuration for better results
   reranking: {
     enabled: true,
-    model: 'rerank-3',
-    topK: 5
+    // 'llm' (listwise, through the LLM provider), 'lexical' (local term
+    // overlap, works offline) or 'none' (keep retrieval order)
+    provider: process.env.RERANKER || 'llm',
+    // LLM reranker model; unset uses the provider's fast model
+    model: process.env.RERANK_MODEL,
+    topK: 5,
+    // Candidates sent to the reranker and characters kept per passage
+    candidates: 12,
+    maxPassageChars: 600
   },
 
-  // Chunking strategy for different content types
+  // Chunking strategy for different content types (see ingestion/chunker.js).
+  // Sizes are in characters of chunk text, before the heading path prefix.
   chunking: {
+    // Strategy per sourceType; document files always use `documents`
+    sourceTypes: {
+      main_site: 'main_site',
+      firecrawl_scrape: 'main_site',
+      blog_network: 'blog_posts',
+      educational_blog: 'blog_posts',
+      blogspot: 'blog_posts',
+      wordpress_subdirectory: 'blog_posts',
+      wordpress_hosted: 'blog_posts'
+    },
+    defaultStrategy: 'main_site',
+    headingSeparator: ' › ',
     strategies: {
       main_site: {
         method: 'semantic',
@@ -117,6 +251,112 @@ const RAG_CONFIG = {
     ]
   },
 
+  // Cron jobs of admin/scheduler.js (health check, weekly update, monthly
+  // refresh, performance monitor), started by server.js when enabled
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED === 'true',
+    directory: process.env.SCHEDULER_DIR || 'data/scheduler',
+    timezone: 'Europe/Madrid',
+    maxLogEntries: 200
+  },
+
+  // Chat turns behind the admin dashboard and /api/admin/analytics
+  // (admin/chat-analytics.js): one JSONL file per day, deleted after
+  // retentionDays. Emails, phone, ID and card numbers are redacted from the
+  // stored questions unless redactPII is false.
+  analytics: {
+    persist: process.env.CHAT_ANALYTICS_PERSIST !== 'false',
+    directory: process.env.CHAT_ANALYTICS_DIR || 'data/analytics',
+    retentionDays: parseInt(process.env.CHAT_ANALYTICS_RETENTION_DAYS, 10) || 90,
+    redactPII: process.env.CHAT_ANALYTICS_REDACT_PII !== 'false',
+    maxQuestionLength: 500,
+    maxInMemory: 50000
+  },
+
+  // Visitor ratings of answers (admin/feedback-store.js), saved to
+  // data/feedback/feedback.json. The retrieval trace of each answer is kept
+  // in memory for traceHours so feedback can be linked to it; the question,
+  // answer and comment of a rating are cleared after analytics.retentionDays.
+  feedback: {
+    directory: process.env.FEEDBACK_DIR || 'data/feedback',
+    traceHours: 24,
+    maxTraces: 5000,
+    maxCommentLength: 1000,
+    maxAnswerLength: 2000
+  },
+
+  // Admin accounts (admin/admin-auth.js): hashed passwords and roles viewer,
+  // editor and owner; signed session tokens in an HttpOnly cookie or a
+  // Bearer header. Admin actions are appended to the audit log.
+  adminAuth: {
+    directory: process.env.ADMIN_AUTH_DIR || 'data/auth',
+    auditDirectory: process.env.AUDIT_LOG_DIR || 'data/audit',
+    cookieName: 'guimera_admin',
+    sessionHours: 12,
+    minPasswordLength: 12,
+    maxFailedLogins: 5,          // per username, then locked for lockoutMinutes
+    lockoutMinutes: 15,
+    maxTrackedLogins: 10000     // usernames with recent failed logins kept in memory
+  },
+
+  // Admin alerts (scheduler issues, cost budgets) sent through the channels
+  // managed at /api/admin/notifications (notifications/notifier.js)
+  notifications: {
+    directory: process.env.NOTIFICATIONS_DIR || 'data/notifications',
+    dedupeMinutes: 60,           // the same alert is sent once per window
+    // Alerts below minSeverity wait until the end of quiet hours
+    quietHours: {
+      enabled: process.env.NOTIFICATIONS_QUIET_HOURS !== 'false',
+      start: '22:00',
+      end: '08:00',
+      timezone: 'Europe/Madrid',
+      minSeverity: 'critical'
+    },
+    // Defaults for email channels; a channel's own `smtp` settings win
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Guimerà AI <alerts@guimera.info>'
+    },
+    historySize: 200
+  },
+
+  // Model usage log behind the cost dashboard: one JSONL file per month,
+  // reloaded on startup so daily and monthly totals survive restarts
+  costTracking: {
+    persist: process.env.COST_TRACKING_PERSIST !== 'false',
+    directory: process.env.COST_DATA_DIR || 'data/costs',
+    historyMonths: parseInt(process.env.COST_HISTORY_MONTHS, 10) || 3,   // months loaded into memory
+    maxHistory: 50000,
+    // Key of the visitor IP hashes in the usage log; generated and kept in
+    // the cost data directory when unset
+    ipHashSecret: process.env.COST_IP_HASH_SECRET,
+    // Defaults until changed through POST /api/admin/costs/budget (then
+    // kept in data/costs/budget.json)
+    budget: {
+      daily: parseFloat(process.env.COST_DAILY_BUDGET) || 5,
+      monthly: parseFloat(process.env.COST_MONTHLY_BUDGET) || 100,
+      // What /api/chat does once the daily or monthly budget is spent:
+      // 'warn' (log only), 'degrade' (cheaper model, fewer sources, shorter
+      // answers) or 'block' (a "service temporarily limited" reply)
+      action: process.env.COST_BUDGET_ACTION || 'warn',
+      degraded: {
+        chatModel: process.env.LLM_DEGRADED_MODEL,   // unset means the fast model
+        topK: 3,
+        maxTokens: 300
+      },
+      // Daily spend caps ($) per chat session and per visitor IP; over them
+      // the visitor gets the limited reply whatever the action. 0 disables
+      // a cap. Visitors can start a new session at will, so the IP cap is
+      // the one that bounds a single visitor.
+      sessionCap: envNumber('COST_SESSION_CAP', 0.5),
+      ipCap: envNumber('COST_IP_CAP', 2)
+    }
+  },
+
   // Citation and attribution
   attribution: {
     includeUrl: true,
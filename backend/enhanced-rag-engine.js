@@ -1,21 +1,18 @@
-const { OpenAI } = require('openai');
-const { Pinecone } = require('@pinecone-database/pinecone');
 const RAG_CONFIG = require('./config');
+const { createLLMProvider } = require('./llm');
+const { createReranker, pageLabel, mergePages, citationLabel } = require('./retrieval');
+const { resolveFilters } = require('./retrieval/filters');
+const { createVectorStore } = require('./vector-store');
 
 class EnhancedGuimeraRAGEngine {
-  constructor(useMCP = false) {
+  constructor(useMCP = false, options = {}) {
     this.useMCP = useMCP;
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = options.llm || createLLMProvider();
+    this.reranker = options.reranker || createReranker({ llm: this.llm });
 
-    // Initialize Pinecone client (fallback)
-    this.pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY,
-      environment: process.env.PINECONE_ENVIRONMENT
-    });
+    // Native vector store (fallback when MCP is not used)
+    this.vectorStore = createVectorStore();
 
-    this.index = null;
     this.indexName = RAG_CONFIG.vectorDB.indexName;
     this.namespace = RAG_CONFIG.vectorDB.namespace;
   }
@@ -26,17 +23,17 @@ class EnhancedGuimeraRAGEngine {
         console.log('🔧 Initializing Enhanced RAG Engine with Pinecone MCP...');
         await this.initializeMCP();
       } else {
-        console.log('🔧 Initializing Enhanced RAG Engine with native Pinecone...');
-        this.index = this.pinecone.index(this.indexName);
+        console.log(`🔧 Initializing Enhanced RAG Engine with native ${this.vectorStore.provider} vector store...`);
+        await this.vectorStore.initialize();
       }
       console.log('✅ Enhanced RAG Engine initialized');
     } catch (error) {
       console.error('❌ Failed to initialize Enhanced RAG Engine:', error.message);
       // Fallback to native Pinecone if MCP fails
       if (this.useMCP) {
-        console.log('🔄 Falling back to native Pinecone...');
+        console.log(`🔄 Falling back to native ${this.vectorStore.provider} vector store...`);
         this.useMCP = false;
-        this.index = this.pinecone.index(this.indexName);
+        await this.vectorStore.initialize();
       } else {
         throw error;
       }
@@ -103,17 +100,6 @@ class EnhancedGuimeraRAGEngine {
     };
   }
 
-  async mcpRerank(documents, query, model = 'pinecone-rerank-v0') {
-    // MCP call to rerank documents
-    return {
-      results: documents.map((doc, index) => ({
-        index,
-        relevanceScore: 0.8 - (index * 0.1),
-        document: doc
-      }))
-    };
-  }
-
   // Enhanced embed and store with MCP support
   async embedAndStore(content) {
     console.log(`📚 Embedding and storing ${content.length} chunks...`);
@@ -127,7 +113,7 @@ class EnhancedGuimeraRAGEngine {
       try {
         // Generate embeddings
         const texts = batch.map(chunk => chunk.content);
-        const embeddings = await this.generateEmbeddings(texts);
+        const embeddings = await this.generateEmbeddings(texts, { type: 'indexing', feature: 'indexing', engine: 'enhanced' });
 
         if (this.useMCP) {
           // Use MCP for upsert
@@ -140,7 +126,7 @@ class EnhancedGuimeraRAGEngine {
 
           await this.mcpUpsertRecords(this.indexName, this.namespace, records);
         } else {
-          // Use native Pinecone
+          // Use native vector store
           const vectors = batch.map((chunk, index) => ({
             id: chunk.id,
             values: embeddings[index],
@@ -150,7 +136,7 @@ class EnhancedGuimeraRAGEngine {
             }
           }));
 
-          await this.index.upsert(vectors);
+          await this.vectorStore.upsert(vectors);
         }
 
       } catch (error) {
@@ -163,14 +149,9 @@ class EnhancedGuimeraRAGEngine {
     console.log('✅ All content embedded and stored');
   }
 
-  async generateEmbeddings(texts) {
-    const response = await this.openai.embeddings.create({
-      model: RAG_CONFIG.embedding.model,
-      input: texts,
-      dimensions: RAG_CONFIG.embedding.dimensions
-    });
-
-    return response.data.map(item => item.embedding);
+  async generateEmbeddings(texts, attribution = {}) {
+    const { embeddings } = await this.llm.embed(texts, attribution);
+    return embeddings;
   }
 
   // Enhanced query function with MCP reranking
@@ -179,19 +160,29 @@ class EnhancedGuimeraRAGEngine {
       topK = RAG_CONFIG.vectorDB.topK,
       useReranking = RAG_CONFIG.reranking.enabled,
       minScore = 0.7,
-      rerankModel = 'pinecone-rerank-v0'
+      rerankModel = 'pinecone-rerank-v0',
+      filters,
+      autoFilters,
+      sessionId,
+      engine = 'enhanced',
+      feature = 'chat-rag'
     } = options;
+    const attribution = { feature, sessionId, engine };
 
     try {
       console.log(`🔍 Processing query: "${userQuestion}"`);
 
+      // Explicit and inferred metadata filters (source, type, language, date)
+      const { metadataFilter } = resolveFilters(userQuestion, { filters, autoFilters });
+
       let searchResults;
 
       if (this.useMCP) {
         // Use MCP search with integrated reranking
         const mcpQuery = {
           topK: useReranking ? topK * 2 : topK, // Get more results for reranking
-          inputs: { text: userQuestion }
+          inputs: { text: userQuestion },
+          ...(metadataFilter ? { filter: metadataFilter } : {})
         };
 
         const mcpRerank = useReranking ? {
@@ -214,12 +205,16 @@ class EnhancedGuimeraRAGEngine {
           }))
         };
       } else {
-        // Use native Pinecone
-        const queryEmbedding = await this.generateEmbeddings([userQuestion]);
+        // Use native vector store
+        const queryEmbedding = await this.generateEmbeddings([userQuestion], {
+          ...attribution,
+          feature: options.feature || 'query-embedding'
+        });
 
-        searchResults = await this.index.query({
+        searchResults = await this.vectorStore.query({
           vector: queryEmbedding[0],
           topK: useReranking ? topK * 2 : topK,
+          filter: metadataFilter,
           includeMetadata: true,
           includeValues: false
         });
@@ -250,7 +245,7 @@ class EnhancedGuimeraRAGEngine {
       }
 
       // Generate answer with sources
-      const answer = await this.generateAnswer(userQuestion, relevantResults);
+      const answer = await this.generateAnswer(userQuestion, relevantResults, { attribution });
       answer.method = this.useMCP ? 'mcp' : 'native';
 
       return answer;
@@ -261,25 +256,15 @@ class EnhancedGuimeraRAGEngine {
     }
   }
 
-  // Advanced reranking with multiple model support
+  // Rerank native results with the configured reranker (the MCP path reranks
+  // inside the search call). The model argument is kept for API compatibility.
   async rerankResultsAdvanced(query, results, model = 'pinecone-rerank-v0') {
-    if (this.useMCP) {
-      // Use MCP reranking
-      const documents = results.map(r => r.metadata.content || '');
-      const rerankResults = await this.mcpRerank(documents, query, model);
-
-      return rerankResults.results
-        .slice(0, RAG_CONFIG.reranking.topK)
-        .map(result => results[result.index]);
-    } else {
-      // Fallback to score-based sorting
-      return results
-        .sort((a, b) => b.score - a.score)
-        .slice(0, RAG_CONFIG.reranking.topK);
-    }
+    return this.reranker.rerank(query, results.slice(0, RAG_CONFIG.reranking.candidates), {
+      topN: RAG_CONFIG.reranking.topK
+    });
   }
 
-  async generateAnswer(question, searchResults) {
+  async generateAnswer(question, searchResults, options = {}) {
     const context = this.prepareContext(searchResults);
     const sources = this.extractSources(searchResults);
 
@@ -291,7 +276,7 @@ Ets un/a guía expert/a del Museu Guimerà i del poble de Guimerà. Utilitza NOM
 1. Respon en CATALÀ per defecte (excepte si l'usuari pregunta en un altre idioma)
 2. Utilitza NOMÉS informació del context proporcionat
 3. Si la informació no està en el context, digues-ho clarament
-4. Inclou referències específiques a les fonts
+4. Inclou referències específiques a les fonts; per als documents, cita la pàgina (p. ex. "Programa de festes, p. 4")
 5. Mantén un to càlid i professional
 6. Invita a visitar Guimerà quan sigui apropiat
 7. Si hi ha informació complementària de múltiples fonts, combina-la de manera coherent
@@ -300,30 +285,30 @@ Ets un/a guía expert/a del Museu Guimerà i del poble de Guimerà. Utilitza NOM
 ${context}
 
 ## Fonts consultades:
-${sources.map(s => `- ${s.title} (${s.source})`).join('\n')}
+${sources.map(s => `- ${citationLabel(s)}`).join('\n')}
 
 ## Metadades de cerca:
-- Motor: ${this.useMCP ? 'Pinecone MCP amb reranking avançat' : 'Pinecone nativ'}
+- Motor: ${this.useMCP ? 'Pinecone MCP amb reranking avançat' : `${this.vectorStore.provider} nativ`}
 - Fonts trobades: ${sources.length}
 - Confiança del sistema: ${this.calculateConfidence(searchResults).toFixed(2)}`;
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4',
+    const completion = await this.llm.chat({
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: question }
       ],
       max_tokens: 800,
       temperature: 0.3
-    });
+    }, { ...options.attribution });
 
     return {
-      answer: response.choices[0].message.content,
+      answer: completion.content,
       sources: sources,
       confidence: this.calculateConfidence(searchResults),
       searchResults: searchResults.length,
       enhanced: true,
-      reranked: this.useMCP || RAG_CONFIG.reranking.enabled
+      reranked: this.useMCP || RAG_CONFIG.reranking.enabled,
+      usage: completion.usage
     };
   }
 
@@ -331,8 +316,9 @@ ${sources.map(s => `- ${s.title} (${s.source})`).join('\n')}
     return searchResults
       .map((result, index) => {
         const metadata = result.metadata;
+        const page = pageLabel(metadata);
         return `## Font ${index + 1}: ${metadata.title || 'Sense títol'}
-URL: ${metadata.url || 'N/A'}
+URL: ${metadata.url || 'N/A'}${page ? `\nPàgina: ${page}` : ''}
 Tipus: ${metadata.sourceType || 'desconegut'}
 Puntuació: ${result.score ? result.score.toFixed(3) : 'N/A'}
 Contingut: ${metadata.content || 'Contingut no disponible'}
@@ -357,20 +343,28 @@ Contingut: ${metadata.content || 'Contingut no disponible'}
           sourceType: metadata.sourceType || 'web',
           author: metadata.author,
           publishedDate: metadata.publishedDate,
-          relevanceScore: result.score || 0
+          ...(metadata.documentType && { documentType: metadata.documentType, pages: [] }),
+          relevanceScore: result.score || 0,
+          rerankScore: result.rerankScore
         });
       }
+
+      // Every page of a document the answer can cite
+      const source = uniqueSources.get(sourceKey);
+      if (source.pages) source.pages = mergePages(source.pages, metadata);
     });
 
     return Array.from(uniqueSources.values())
-      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+      .sort((a, b) => (b.rerankScore ?? b.relevanceScore) - (a.rerankScore ?? a.relevanceScore));
   }
 
   calculateConfidence(searchResults) {
     if (searchResults.length === 0) return 0;
 
-    const avgScore = searchResults.reduce((sum, result) => sum + (result.score || 0), 0) / searchResults.length;
-    const topScore = searchResults[0]?.score || 0;
+    // Reranker scores take precedence over retrieval scores
+    const scoreOf = result => result.rerankScore ?? result.score ?? 0;
+    const avgScore = searchResults.reduce((sum, result) => sum + scoreOf(result), 0) / searchResults.length;
+    const topScore = scoreOf(searchResults[0]);
 
     // Enhanced confidence calculation
     const baseConfidence = (topScore * 0.7) + (avgScore * 0.3);
@@ -405,13 +399,14 @@ Contingut: ${metadata.content || 'Contingut no disponible'}
           method: 'mcp'
         };
       } else {
-        const stats = await this.index.describeIndexStats();
+        const stats = await this.vectorStore.describeStats();
         return {
-          totalVectors: stats.totalVectorCount,
+          totalVectors: stats.totalVectors,
           dimension: stats.dimension,
           namespaces: stats.namespaces,
           enhanced: true,
-          method: 'native'
+          method: 'native',
+          provider: this.vectorStore.provider
         };
       }
     } catch (error) {
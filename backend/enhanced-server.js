@@ -1,18 +1,33 @@
+require('dotenv').config({ silent: true });
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
 const path = require('path');
 const GuimeraRAGEngine = require('./rag-engine');
 const CostTracker = require('./admin/cost-tracker');
+const ChatAnalytics = require('./admin/chat-analytics');
+const FeedbackStore = require('./admin/feedback-store');
+const { FeedbackError } = FeedbackStore;
+const { createLLMProvider } = require('./llm');
+const { validateFilters } = require('./retrieval/filters');
+const { isVectorStoreConfigured } = require('./vector-store');
+const RAG_CONFIG = require('./config');
 const adminRoutes = require('./admin/admin-routes');
-require('dotenv').config({ silent: true });
+const { requireAdmin } = require('./admin/admin-auth');
+const CrawlJobManager = require('./admin/job-manager');
+const RAGSystemScheduler = require('./admin/scheduler');
+const { JobError } = CrawlJobManager;
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize RAG Engine and Cost Tracker
-const ragEngine = new GuimeraRAGEngine();
-const costTracker = new CostTracker();
+// Initialize LLM provider, RAG Engine and Cost Tracker
+const llm = createLLMProvider();
+const ragEngine = new GuimeraRAGEngine({ llm });
+const costTracker = CostTracker.getInstance();
+const chatAnalytics = ChatAnalytics.getInstance();
+const feedbackStore = FeedbackStore.getInstance();
+const jobManager = CrawlJobManager.getInstance();
 let ragReady = false;
 
 // Initialize RAG on startup
@@ -31,6 +46,7 @@ async function initializeRAG() {
 console.log('🔍 Environment check:');
 console.log('OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
 console.log('PINECONE_API_KEY exists:', !!process.env.PINECONE_API_KEY);
+console.log('Vector store provider:', RAG_CONFIG.vectorDB.provider);
 console.log('CORS_ORIGIN:', process.env.CORS_ORIGIN);
 console.log('PORT:', process.env.PORT);
 
@@ -41,29 +57,26 @@ const corsOrigins = process.env.CORS_ORIGIN
 
 console.log('🌐 CORS origins:', corsOrigins);
 
+// Behind Render's proxy every request comes from the proxy, so req.ip (used
+// by the per-visitor spend cap) must be read from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops (0 when clients connect directly)
+// or an Express trust proxy list such as 'loopback'.
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+
 app.use(cors({
   origin: corsOrigins,
   credentials: true
 }));
 app.use(express.json());
 
-// Store cost tracker in app locals for admin routes
+// Share the cost tracker and RAG engine with the admin routes and scheduler
 app.locals.costTracker = costTracker;
 app.locals.ragEngine = ragEngine;
+RAGSystemScheduler.getInstance().setRagEngine(ragEngine);
 
-// Admin authentication middleware
-const adminAuth = (req, res, next) => {
-  const token = req.headers['x-admin-token'] || req.query.token;
-  const validToken = process.env.ADMIN_TOKEN || 'guimera-admin-2024';
-
-  if (token !== validToken) {
-    return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
-  }
-  next();
-};
-
-// Admin dashboard route (protected)
-app.get('/admin/dashboard.html', adminAuth, (req, res) => {
+// Admin dashboard: a static page that signs in through /api/admin/auth/login
+app.get('/admin/dashboard.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'admin', 'dashboard.html'));
 });
 
@@ -75,13 +88,20 @@ const sessions = new Map();
 
 // Enhanced chat endpoint with RAG
 app.post('/api/chat', async (req, res) => {
+  let recordAnalytics = null;
+
   try {
-    const { message, sessionId, useRAG = true } = req.body;
+    const { message, sessionId, useRAG = true, filters, autoFilters } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    const filterError = validateFilters(filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
     const currentSessionId = sessionId || crypto.randomUUID();
 
     if (!sessions.has(currentSessionId)) {
@@ -92,21 +112,48 @@ app.post('/api/chat', async (req, res) => {
     }
 
     const session = sessions.get(currentSessionId);
+    recordAnalytics = trackTurn(message, currentSessionId);
+
+    // Budget policy: blocked visitors get the limited reply without any
+    // model call; degraded turns use a cheaper model and shorter answers
+    const budget = costTracker.checkChatBudget({ sessionId: currentSessionId, ip: req.ip });
+    if (budget.action === 'block') {
+      console.warn(`🚫 Chat limited (${budget.reason}) for session ${currentSessionId}`);
+      const { id: messageId } = recordAnalytics({ engine: 'limited', budget, response: budget.message });
+      return res.json({
+        response: budget.message,
+        messageId,
+        sessionId: currentSessionId,
+        timestamp: new Date().toISOString(),
+        mode: 'limited',
+        budget: { action: budget.action, reason: budget.reason }
+      });
+    }
+
+    const limits = budget.action === 'degrade' ? {
+      chatModel: budget.degraded.chatModel || llm.models.fast,
+      topK: budget.degraded.topK,
+      rerankTopN: budget.degraded.topK,
+      maxTokens: budget.degraded.maxTokens
+    } : {};
 
     // Determine if we should use RAG or fallback
-    const shouldUseRAG = useRAG && ragReady && process.env.PINECONE_API_KEY;
+    const shouldUseRAG = useRAG && ragReady && isVectorStoreConfigured();
 
-    let response, sources = [], confidence = 0, searchResults = 0;
+    let response, sources = [], confidence = 0, searchResults = 0, appliedFilters = null, queryRewrite = null, engine = 'gpt-only';
 
     if (shouldUseRAG) {
       try {
         console.log('🔍 Using RAG mode');
-        const ragResponse = await ragEngine.query(message);
+        const ragResponse = await ragEngine.query(message, { filters, autoFilters, history: session.messages, sessionId: currentSessionId, ...limits });
 
         response = ragResponse.answer;
         sources = ragResponse.sources;
         confidence = ragResponse.confidence;
         searchResults = ragResponse.searchResults;
+        appliedFilters = ragResponse.filters || null;
+        queryRewrite = ragResponse.queryRewrite;
+        engine = 'standard';
 
         // Store RAG query in session
         session.ragHistory.push({
@@ -119,13 +166,17 @@ app.post('/api/chat', async (req, res) => {
 
       } catch (ragError) {
         console.error('RAG query failed, falling back to standard mode:', ragError.message);
-        response = await getStandardResponse(message, session);
+        response = await getStandardResponse(message, session, currentSessionId, limits);
       }
     } else {
       console.log('💬 Using standard mode');
-      response = await getStandardResponse(message, session);
+      response = await getStandardResponse(message, session, currentSessionId, limits);
     }
 
+    const { id: messageId } = recordAnalytics({
+      engine, sources, confidence, budget, response, searchResults, queryRewrite, filters: appliedFilters
+    });
+
     // Add to conversation history
     session.messages.push(
       { role: 'user', content: message },
@@ -142,9 +193,11 @@ app.post('/api/chat', async (req, res) => {
 
     const responseData = {
       response,
+      messageId,
       sessionId: currentSessionId,
       timestamp: new Date().toISOString(),
-      mode: shouldUseRAG ? 'rag' : 'standard'
+      mode: shouldUseRAG ? 'rag' : 'standard',
+      ...(budget.action === 'degrade' ? { budget: { action: budget.action, reason: budget.reason } } : {})
     };
 
     // Include RAG metadata if available
@@ -153,7 +206,8 @@ app.post('/api/chat', async (req, res) => {
         sources: sources.slice(0, 3), // Top 3 sources
         confidence,
         searchResults,
-        totalSources: sources.length
+        totalSources: sources.length,
+        filters: appliedFilters
       };
     }
 
@@ -161,6 +215,7 @@ app.post('/api/chat', async (req, res) => {
 
   } catch (error) {
     console.error('Chat error:', error);
+    recordAnalytics?.({}, error.message);
     res.status(500).json({
       error: 'Failed to process chat message',
       details: error.message
@@ -168,13 +223,33 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Standard OpenAI response (fallback)
-async function getStandardResponse(message, session) {
-  const { OpenAI } = require('openai');
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
+// Starts timing a turn for the admin dashboards (admin/chat-analytics.js);
+// the returned function stores it with the session's spend during the turn
+// and returns the record, whose id is the answer's message ID
+function trackTurn(message, sessionId) {
+  const startedAt = Date.now();
+  const spentBefore = costTracker.getSessionSpend(sessionId);
+
+  return (turn = {}, error = null) => {
+    const record = chatAnalytics.record({
+      sessionId,
+      question: message,
+      engine: turn.engine || null,
+      responseTime: Date.now() - startedAt,
+      sources: turn.sources,
+      confidence: turn.confidence,
+      cost: Math.max(0, costTracker.getSessionSpend(sessionId) - spentBefore),
+      error,
+      budgetAction: turn.budget?.action
+    });
 
+    if (!error) feedbackStore.rememberTrace(record, turn);
+    return record;
+  };
+}
+
+// Standard OpenAI response (fallback)
+async function getStandardResponse(message, session, sessionId, limits = {}) {
   const SYSTEM_PROMPT = `# Prompt de sistema — Experto del Museo Guimerà
 
 **Rol y misión**
@@ -202,24 +277,15 @@ IMPORTANTE: Indica al usuario que pronto tendrás acceso a información actualiz
     { role: 'user', content: message }
   ];
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4',
+  // Usage is reported to the cost tracker by the provider
+  const completion = await llm.chat({
+    model: limits.chatModel,
     messages,
-    max_tokens: 500,
+    max_tokens: limits.maxTokens || 500,
     temperature: 0.7
-  });
-
-  // Track API usage and costs
-  if (completion.usage) {
-    costTracker.trackCompletion(
-      'gpt-4',
-      completion.usage.prompt_tokens,
-      completion.usage.completion_tokens,
-      'chat'
-    );
-  }
+  }, { feature: 'chat-standard', sessionId, engine: 'gpt-only' });
 
-  return completion.choices[0].message.content;
+  return completion.content;
 }
 
 // Session endpoint
@@ -247,6 +313,20 @@ app.get('/api/session/:sessionId', (req, res) => {
   });
 });
 
+// Visitor rating of an answer: { messageId, rating: 'up'|'down', reason, comment }
+app.post('/api/feedback', async (req, res) => {
+  try {
+    const feedback = await feedbackStore.submit(req.body || {});
+    res.json({ success: true, messageId: feedback.messageId, rating: feedback.rating });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback', details: error.message });
+  }
+});
+
 // Enhanced health endpoint
 app.get('/api/health', async (req, res) => {
   let ragStats = null;
@@ -262,16 +342,20 @@ app.get('/api/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     openaiConfigured: !!process.env.OPENAI_API_KEY,
-    pineconeConfigured: !!process.env.PINECONE_API_KEY,
+    vectorStore: {
+      provider: RAG_CONFIG.vectorDB.provider,
+      configured: isVectorStoreConfigured()
+    },
     ragEnabled: ragReady,
     ragStats,
-    model: 'gpt-4',
+    llmProvider: llm.name,
+    model: llm.models.chat,
     sessionsActive: sessions.size
   });
 });
 
 // RAG management endpoints
-app.post('/api/rag/reindex', async (req, res) => {
+app.post('/api/rag/reindex', requireAdmin('editor'), async (req, res) => {
   if (!ragReady) {
     return res.status(503).json({ error: 'RAG system not available' });
   }
@@ -318,73 +402,27 @@ app.get('/api/rag/stats', async (req, res) => {
   }
 });
 
-// Progressive indexing endpoint (direct implementation)
-app.post('/content/progressive-index', async (req, res) => {
-  // Admin authentication
-  const token = req.headers['x-admin-token'] || req.query.token;
-  const validToken = process.env.ADMIN_TOKEN || 'guimera-admin-2024';
-
-  if (token !== validToken) {
-    return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
-  }
-
+// Progressive indexing endpoint: queues a Firecrawl indexing job (progress
+// at /api/admin/jobs/:id)
+app.post('/content/progressive-index', requireAdmin('editor'), async (req, res) => {
   const { maxPages = 500, source = 'guimera.info', priority = 'normal' } = req.body;
-  const indexingId = Date.now().toString();
 
   try {
-    // Return immediately with indexing ID (process runs in background)
+    const job = await jobManager.createJob({ ...req.body, type: 'firecrawl', source, priority, maxPages });
+
     res.json({
       success: true,
-      indexingId,
+      indexingId: job.id,
+      jobId: job.id,
+      statusUrl: `/api/admin/jobs/${job.id}`,
       message: `Indexació progressiva iniciada: ${maxPages} pàgines de ${source}`,
       estimatedDuration: `${Math.ceil(maxPages / 4)} minuts`,
-      status: 'running'
-    });
-
-    // Run progressive indexing in background
-    setImmediate(async () => {
-      try {
-        console.log(`🚀 Starting progressive indexing: ${maxPages} pages from ${source}`);
-
-        const { spawn } = require('child_process');
-        const path = require('path');
-
-        const indexerScript = path.join(__dirname, 'firecrawl-indexer.js');
-        console.log(`📄 Running Firecrawl indexer script: ${indexerScript}`);
-
-        const indexingProcess = spawn('node', [indexerScript], {
-          cwd: __dirname,
-          env: {
-            ...process.env,
-            MAX_PAGES: maxPages.toString(),
-            SOURCE_URL: source
-          },
-          stdio: 'pipe'
-        });
-
-        let output = '';
-        let errorOutput = '';
-
-        indexingProcess.stdout.on('data', (data) => {
-          output += data.toString();
-          console.log(`Progressive Indexer: ${data}`);
-        });
-
-        indexingProcess.stderr.on('data', (data) => {
-          errorOutput += data.toString();
-          console.error(`Progressive Indexer Error: ${data}`);
-        });
-
-        indexingProcess.on('close', (code) => {
-          console.log(`Progressive indexing completed with code: ${code}`);
-        });
-
-      } catch (error) {
-        console.error('Progressive indexing error:', error);
-      }
+      status: job.status
     });
-
   } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Progressive indexing startup error:', error);
     res.status(500).json({
       error: 'Error iniciant la indexació progressiva',
@@ -407,9 +445,17 @@ app.listen(PORT, async () => {
   console.log(`🚀 Enhanced Guimera AI Assistant running on port ${PORT}`);
   console.log(`🔧 OpenAI API configured: ${!!process.env.OPENAI_API_KEY}`);
   console.log(`🔧 Pinecone API configured: ${!!process.env.PINECONE_API_KEY}`);
-  console.log(`🤖 Using GPT-4 Chat Completions API`);
+  console.log(`🤖 Using ${llm.name} provider (${llm.models.chat})`);
   console.log(`🧹 Session cleanup enabled`);
 
   // Initialize RAG after server starts
   await initializeRAG();
+
+  // Reload persisted crawl jobs and start any still queued
+  await jobManager.initialize();
+
+  // Health checks and content updates on cron (RAG_CONFIG.scheduler)
+  if (RAG_CONFIG.scheduler.enabled) {
+    await RAGSystemScheduler.getInstance().start();
+  }
 });
\ No newline at end of file
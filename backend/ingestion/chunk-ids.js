@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Content-addressed chunk IDs: `${urlKey}-${chunkIndex}-${contentHash}`.
+// Re-indexing an unchanged page yields the same IDs (so upserts replace
+// instead of duplicating), and every chunk of a page shares the urlKey
+// prefix, so a page's chunks can be listed straight from the vector store.
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/;
+
+// Canonical form of a page URL: https, lowercase host without "www.", no
+// fragment or tracking parameters, sorted query and no trailing slash.
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return String(url).trim();
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `https://${host}${pathname === '/' ? '' : pathname}${query}`;
+}
+
+function urlKey(url) {
+  return sha1(normalizeUrl(url)).slice(0, 16);
+}
+
+function contentHash(content) {
+  return sha1(String(content || '').replace(/\s+/g, ' ').trim()).slice(0, 12);
+}
+
+function chunkId(url, chunkIndex, content) {
+  return `${urlKey(url)}-${chunkIndex}-${contentHash(content)}`;
+}
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+module.exports = {
+  normalizeUrl,
+  urlKey,
+  contentHash,
+  chunkId
+};
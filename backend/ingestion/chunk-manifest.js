@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeUrl } = require('./chunk-ids');
+
+// Several instances in one process may save at once
+let tmpCounter = 0;
+
+/**
+ * Per-URL manifest of the chunk IDs currently stored for each page.
+ * Re-indexing a page compares the new IDs with the manifest entry to find
+ * chunks that no longer exist and must be deleted.
+ *
+ * Entries are keyed by normalized URL and persisted as one JSON file per
+ * vector index. When another instance or process rewrites the file, it is
+ * reloaded and the entries changed here since the last save are applied on
+ * top, so concurrent writers do not drop each other's updates.
+ */
+class ChunkManifest {
+  constructor(options = {}) {
+    this.indexName = options.indexName;
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/manifests');
+    this.filePath = path.join(this.directory, `${this.indexName}.json`);
+
+    this.entries = new Map();   // normalized URL → { url, chunkIds, updatedAt }
+    this.pending = new Map();   // normalized URL → entry, or null if removed, not yet saved
+    this.loadedMtime = null;
+    this.initialized = false;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.load();
+    this.initialized = true;
+  }
+
+  async get(url) {
+    await this.reloadIfChanged();
+    return this.entries.get(normalizeUrl(url)) || null;
+  }
+
+  async urls() {
+    await this.reloadIfChanged();
+    return Array.from(this.entries.values()).map(entry => entry.url);
+  }
+
+  // Record the chunk IDs now stored for a page; call save() afterwards
+  async set(url, chunkIds, extra = {}) {
+    await this.reloadIfChanged();
+    const key = normalizeUrl(url);
+    const entry = {
+      ...extra,
+      url,
+      chunkIds: [...chunkIds],
+      updatedAt: new Date().toISOString()
+    };
+    this.entries.set(key, entry);
+    this.pending.set(key, entry);
+  }
+
+  async remove(url) {
+    await this.reloadIfChanged();
+    const key = normalizeUrl(url);
+    this.pending.set(key, null);
+    return this.entries.delete(key);
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  // Read the file, then reapply the changes not saved yet
+  async load() {
+    this.entries.clear();
+
+    try {
+      const [raw, stat] = await Promise.all([
+        fs.readFile(this.filePath, 'utf8'),
+        fs.stat(this.filePath)
+      ]);
+      const data = JSON.parse(raw);
+
+      for (const [key, entry] of Object.entries(data.urls || {})) {
+        this.entries.set(key, entry);
+      }
+      this.loadedMtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.loadedMtime = null;
+    }
+
+    for (const [key, entry] of this.pending) {
+      if (entry) {
+        this.entries.set(key, entry);
+      } else {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async reloadIfChanged() {
+    if (!this.initialized) {
+      await this.initialize();
+      return;
+    }
+
+    try {
+      const stat = await fs.stat(this.filePath);
+      if (stat.mtimeMs !== this.loadedMtime) {
+        await this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Merge with whatever was saved elsewhere since the last load, then write
+  async save() {
+    await this.reloadIfChanged();
+    const saving = new Map(this.pending);
+
+    const data = {
+      indexName: this.indexName,
+      updatedAt: new Date().toISOString(),
+      urls: Object.fromEntries(this.entries)
+    };
+
+    const tmpPath = `${this.filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+
+    const stat = await fs.stat(this.filePath);
+    this.loadedMtime = stat.mtimeMs;
+
+    // Changes made while writing stay pending for the next save
+    for (const [key, entry] of saving) {
+      if (this.pending.get(key) === entry) this.pending.delete(key);
+    }
+  }
+}
+
+module.exports = ChunkManifest;
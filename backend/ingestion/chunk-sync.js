@@ -0,0 +1,50 @@
+const { urlKey } = require('./chunk-ids');
+
+/**
+ * After a page's chunks have been upserted, delete the chunks it had before
+ * that are no longer part of it, and record the new set in the manifest.
+ * Pages missing from the manifest (indexed before it existed) are resolved
+ * by listing the vector store by the page's ID prefix.
+ *
+ * Returns the number of stale chunks deleted. Call manifest.save() once the
+ * batch of pages is done.
+ */
+async function syncUrlChunks({ vectorStore, lexicalIndex, manifest, url, chunkIds }) {
+  const entry = await manifest.get(url);
+  const previous = entry ? entry.chunkIds : await listChunkIds(vectorStore, url);
+
+  const current = new Set(chunkIds);
+  const stale = previous.filter(id => !current.has(id));
+
+  if (stale.length > 0) {
+    await vectorStore.deleteMany(stale);
+    if (lexicalIndex) {
+      await lexicalIndex.remove(stale);
+    }
+  }
+
+  await manifest.set(url, chunkIds);
+  return stale.length;
+}
+
+// Delete every chunk of a page (e.g. the page is gone) and drop it from the
+// manifest
+async function deleteUrlChunks({ vectorStore, lexicalIndex, manifest, url }) {
+  const deleted = await syncUrlChunks({ vectorStore, lexicalIndex, manifest, url, chunkIds: [] });
+  await manifest.remove(url);
+  return deleted;
+}
+
+async function listChunkIds(vectorStore, url) {
+  const ids = [];
+  for await (const id of vectorStore.listAll({ prefix: `${urlKey(url)}-` })) {
+    ids.push(id);
+  }
+  return ids;
+}
+
+module.exports = {
+  syncUrlChunks,
+  deleteUrlChunks,
+  listChunkIds
+};
@@ -0,0 +1,207 @@
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const RAG_CONFIG = require('../config');
+const { htmlToBlocks } = require('./html-text');
+
+/**
+ * Chunking service applying RAG_CONFIG.chunking.strategies per sourceType.
+ *
+ * Content arrives as structured blocks (headings, paragraphs, lists, tables;
+ * see htmlToBlocks) or, for documents, as pages. Methods:
+ * - semantic: one chunk per heading section; sections shorter than
+ *   minChunkSize are merged with the next one (their heading kept as a line
+ *   when preserveHeaders), longer ones split between blocks.
+ * - paragraph: blocks packed in order up to maxChunkSize across sections
+ *   (later headings kept as lines); a last chunk under minChunkSize joins
+ *   the previous one when it fits.
+ * - page: document pages, short pages merged up to minChunkSize (see
+ *   chunkPages).
+ * Lists and tables are never split unless a single one exceeds
+ * maxChunkSize; only then is a block cut by the character splitter.
+ *
+ * Every chunk is prefixed with its heading path ("Museu › Antoni Lamolla ›
+ * Biografia"), rooted at the page title when the content has no <h1>.
+ * Returns [{ text, headingPath }] (plus page/pageEnd for documents).
+ */
+class Chunker {
+  constructor(options = {}) {
+    this.config = { ...RAG_CONFIG.chunking, ...options };
+    this.overlap = options.overlap ?? RAG_CONFIG.embedding.chunkOverlap;
+    this.splitters = new Map();   // maxChunkSize → splitter for oversized blocks
+  }
+
+  strategyFor(sourceType) {
+    const name = this.config.sourceTypes[sourceType] || this.config.defaultStrategy;
+    return { name, ...this.config.strategies[name] };
+  }
+
+  async chunkHtml(html, options = {}) {
+    return this.chunkBlocks(htmlToBlocks(html), options);
+  }
+
+  async chunkBlocks(blocks, { sourceType, title } = {}) {
+    const strategy = this.strategyFor(sourceType);
+    const sections = toSections(blocks, title);
+    const pieces = await this.pack(sections, strategy);
+    return pieces.map(piece => this.withHeadingPath(piece));
+  }
+
+  // Document pages ([{ pageNumber, text }]) with the `documents` strategy
+  async chunkPages(pages, { title } = {}) {
+    const { minChunkSize, maxChunkSize } = this.config.strategies.documents;
+    const path = title ? [title] : [];
+    const chunks = [];
+    let pending = null;
+
+    const flush = () => {
+      if (pending) chunks.push(pending);
+      pending = null;
+    };
+
+    for (const { pageNumber, text } of pages) {
+      if (!text) continue;
+
+      if (text.length > maxChunkSize) {
+        flush();
+        for (const piece of await this.splitterFor(maxChunkSize).splitText(text)) {
+          chunks.push({ path, body: piece, page: pageNumber, pageEnd: pageNumber });
+        }
+        continue;
+      }
+
+      // Short pages are merged with the following ones
+      if (pending && pending.body.length + text.length + 2 > maxChunkSize) flush();
+      pending = pending
+        ? { ...pending, body: `${pending.body}\n\n${text}`, pageEnd: pageNumber }
+        : { path, body: text, page: pageNumber, pageEnd: pageNumber };
+      if (pending.body.length >= minChunkSize) flush();
+    }
+
+    // A short last page joins the previous chunk when it fits
+    const last = chunks[chunks.length - 1];
+    if (pending && last && last.body.length + pending.body.length + 2 <= maxChunkSize) {
+      last.body = `${last.body}\n\n${pending.body}`;
+      last.pageEnd = pending.pageEnd;
+      pending = null;
+    }
+
+    flush();
+    return chunks.map(chunk => ({
+      ...this.withHeadingPath(chunk),
+      page: chunk.page,
+      pageEnd: chunk.pageEnd
+    }));
+  }
+
+  // Sections → [{ path, body }] following the strategy's method
+  async pack(sections, { method, minChunkSize, maxChunkSize, preserveHeaders = true }) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current) chunks.push(current);
+      current = null;
+    };
+
+    for (const section of sections) {
+      const units = await this.sectionUnits(section, maxChunkSize);
+
+      for (let i = 0; i < units.length; i++) {
+        const sectionStart = i === 0;
+        let unit = units[i];
+
+        // semantic: a new section starts a new chunk unless the current
+        // one is still short
+        const breakAtSection = method === 'semantic' &&
+          sectionStart && current && current.body.length >= minChunkSize;
+        if (current && (breakAtSection || current.body.length + unit.length + 2 > maxChunkSize)) {
+          flush();
+        }
+
+        if (!current) {
+          current = { path: section.path, body: unit };
+          continue;
+        }
+
+        // Section merged into the previous chunk: keep its heading in the text
+        if (sectionStart && preserveHeaders && section.heading) {
+          unit = `${section.heading}\n${unit}`;
+        }
+        current.body = `${current.body}\n\n${unit}`;
+      }
+    }
+
+    const last = chunks[chunks.length - 1];
+    if (method === 'paragraph' && current && last &&
+        current.body.length < minChunkSize &&
+        last.body.length + current.body.length + 2 <= maxChunkSize) {
+      last.body = `${last.body}\n\n${current.body}`;
+      current = null;
+    }
+
+    flush();
+    return chunks;
+  }
+
+  // Block texts of a section, oversized blocks cut to maxChunkSize
+  async sectionUnits(section, maxChunkSize) {
+    const units = [];
+    for (const block of section.blocks) {
+      if (block.text.length <= maxChunkSize) {
+        units.push(block.text);
+      } else {
+        units.push(...await this.splitterFor(maxChunkSize).splitText(block.text));
+      }
+    }
+    return units;
+  }
+
+  splitterFor(chunkSize) {
+    if (!this.splitters.has(chunkSize)) {
+      this.splitters.set(chunkSize, new RecursiveCharacterTextSplitter({
+        chunkSize,
+        chunkOverlap: Math.min(this.overlap, Math.floor(chunkSize / 5))
+      }));
+    }
+    return this.splitters.get(chunkSize);
+  }
+
+  withHeadingPath({ path, body }) {
+    const headingPath = path.join(this.config.headingSeparator);
+    return {
+      text: headingPath ? `${headingPath}\n\n${body}` : body,
+      headingPath
+    };
+  }
+}
+
+// Blocks → [{ path, heading, blocks }], one section per heading. The path
+// holds the enclosing headings, rooted at the title when there is no <h1>.
+function toSections(blocks, title) {
+  const hasH1 = blocks.some(block => block.type === 'heading' && block.level === 1);
+  const root = title && !hasH1 ? [title.trim()] : [];
+  const stack = [];   // [{ level, text }]
+  const sections = [];
+  let current = { path: root, heading: null, blocks: [] };
+
+  for (const block of blocks) {
+    if (block.type !== 'heading') {
+      current.blocks.push(block);
+      continue;
+    }
+
+    if (current.blocks.length > 0) sections.push(current);
+    while (stack.length > 0 && stack[stack.length - 1].level >= block.level) stack.pop();
+    stack.push({ level: block.level, text: block.text });
+
+    current = {
+      path: [...root, ...stack.map(heading => heading.text)],
+      heading: block.text,
+      blocks: []
+    };
+  }
+
+  if (current.blocks.length > 0) sections.push(current);
+  return sections;
+}
+
+module.exports = Chunker;
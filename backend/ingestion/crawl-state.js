@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeUrl } = require('./chunk-ids');
+
+// Several instances in one process may save at once
+let tmpCounter = 0;
+
+/**
+ * What the last crawl saw for each page: HTTP validators (ETag,
+ * Last-Modified), the hash of the extracted text and whether the page is
+ * gone (404/410). Incremental crawls use it to send conditional requests
+ * and to skip pages whose content did not change.
+ *
+ * Entries are keyed by normalized URL and persisted as one JSON file per
+ * vector index, like the chunk manifest: entries updated here since the last
+ * save survive a reload after another crawler or job rewrites the file.
+ */
+class CrawlState {
+  constructor(options = {}) {
+    this.indexName = options.indexName;
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/crawl-state');
+    this.filePath = path.join(this.directory, `${this.indexName}.json`);
+
+    // normalized URL → { url, etag, lastModified, contentHash, status,
+    //                    httpStatus, checkedAt, changedAt, goneAt, deletedAt }
+    this.entries = new Map();
+    this.pending = new Map();   // entries updated since the last save
+    this.loadedMtime = null;
+    this.initialized = false;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.load();
+    this.initialized = true;
+  }
+
+  async get(url) {
+    await this.reloadIfChanged();
+    return this.entries.get(normalizeUrl(url)) || null;
+  }
+
+  // Merge fields into a page's entry; call save() afterwards
+  async update(url, fields) {
+    await this.reloadIfChanged();
+    const key = normalizeUrl(url);
+    const entry = {
+      ...this.entries.get(key),
+      ...fields,
+      url,
+      checkedAt: new Date().toISOString()
+    };
+    this.entries.set(key, entry);
+    this.pending.set(key, entry);
+    return entry;
+  }
+
+  async entriesWithStatus(status) {
+    await this.reloadIfChanged();
+    return Array.from(this.entries.values()).filter(entry => entry.status === status);
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  // Read the file, then reapply the updates not saved yet
+  async load() {
+    this.entries.clear();
+
+    try {
+      const [raw, stat] = await Promise.all([
+        fs.readFile(this.filePath, 'utf8'),
+        fs.stat(this.filePath)
+      ]);
+      const data = JSON.parse(raw);
+
+      for (const [key, entry] of Object.entries(data.urls || {})) {
+        this.entries.set(key, entry);
+      }
+      this.loadedMtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.loadedMtime = null;
+    }
+
+    for (const [key, entry] of this.pending) {
+      this.entries.set(key, entry);
+    }
+  }
+
+  async reloadIfChanged() {
+    if (!this.initialized) {
+      await this.initialize();
+      return;
+    }
+
+    try {
+      const stat = await fs.stat(this.filePath);
+      if (stat.mtimeMs !== this.loadedMtime) {
+        await this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Merge with whatever was saved elsewhere since the last load, then write
+  async save() {
+    await this.reloadIfChanged();
+    const saving = new Map(this.pending);
+
+    const data = {
+      indexName: this.indexName,
+      updatedAt: new Date().toISOString(),
+      urls: Object.fromEntries(this.entries)
+    };
+
+    const tmpPath = `${this.filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+
+    const stat = await fs.stat(this.filePath);
+    this.loadedMtime = stat.mtimeMs;
+
+    // Updates made while writing stay pending for the next save
+    for (const [key, entry] of saving) {
+      if (this.pending.get(key) === entry) this.pending.delete(key);
+    }
+  }
+}
+
+module.exports = CrawlState;
@@ -0,0 +1,262 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx|odt)$/i;
+
+const CONTENT_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.oasis.opendocument.text': 'odt'
+};
+
+/**
+ * Text extraction for linked documents (PDF, DOCX, ODT).
+ *
+ * extractDocument() returns { format, title, author, createdDate, pages },
+ * pages being [{ pageNumber, text }]. PDFs have real pages. Word and
+ * OpenDocument files have no fixed layout, so their pages follow the page
+ * breaks the editor recorded when the file was last saved (rendered or soft
+ * page breaks, else explicit ones); a file without any is a single page.
+ */
+async function extractDocument(buffer, { url = '', contentType = '' } = {}) {
+  const format = detectFormat(buffer, { url, contentType });
+
+  switch (format) {
+    case 'pdf':
+      return extractPdf(buffer);
+    case 'docx':
+      return extractDocx(buffer);
+    case 'odt':
+      return extractOdt(buffer);
+    default:
+      throw new Error(`Unsupported document type: ${contentType || path.extname(pathOf(url)) || 'unknown'}`);
+  }
+}
+
+// 'pdf' | 'docx' | 'odt' from the Content-Type, the file signature or the
+// URL's extension, or null
+function detectFormat(buffer, { url = '', contentType = '' } = {}) {
+  const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPES[mimeType]) return CONTENT_TYPES[mimeType];
+
+  const bytes = Buffer.from(buffer);
+  if (bytes.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+
+  const extension = pathOf(url).match(DOCUMENT_EXTENSIONS);
+  return extension ? extension[1].toLowerCase() : null;
+}
+
+function isDocumentUrl(url) {
+  return DOCUMENT_EXTENSIONS.test(pathOf(url));
+}
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+async function extractPdf(buffer) {
+  // pdf.js only ships as an ES module
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`)
+        .join('');
+      pages.push({ pageNumber, text: cleanText(text) });
+      page.cleanup();
+    }
+
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const created = info?.CreationDate ? pdfjs.PDFDateString.toDateObject(info.CreationDate) : null;
+
+    return {
+      format: 'pdf',
+      title: info?.Title?.trim() || null,
+      author: info?.Author?.trim() || null,
+      createdDate: created ? created.toISOString() : null,
+      pages
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// =============================================================================
+// WORD (DOCX) AND OPENDOCUMENT (ODT)
+// =============================================================================
+
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const body = await readZipXml(zip, 'word/document.xml');
+  if (!body) throw new Error('Not a Word document: word/document.xml missing');
+
+  // Word records where pages fell when the file was last rendered; files
+  // written by other tools only have explicit page breaks
+  const rendered = body('w\\:lastRenderedPageBreak').length > 0;
+  const pages = new PageCollector();
+
+  walk(body('w\\:body').get(0), node => {
+    switch (node.name) {
+      case 'w:t':
+        pages.text(body(node).text());
+        return true;
+      case 'w:tab':
+        pages.text('\t');
+        return true;
+      case 'w:br':
+        if (node.attribs['w:type'] === 'page') {
+          if (!rendered) pages.pageBreak();
+        } else {
+          pages.text('\n');
+        }
+        return true;
+      case 'w:lastRenderedPageBreak':
+        pages.pageBreak();
+        return true;
+      case 'w:delText':
+      case 'w:instrText':
+        return true;
+      default:
+        return false;
+    }
+  }, node => {
+    if (node.name === 'w:p') pages.text('\n');
+  });
+
+  const core = await readZipXml(zip, 'docProps/core.xml');
+  return {
+    format: 'docx',
+    title: core ? core('dc\\:title').first().text().trim() || null : null,
+    author: core ? core('dc\\:creator').first().text().trim() || null : null,
+    createdDate: core ? toIso(core('dcterms\\:created').first().text()) : null,
+    pages: pages.result()
+  };
+}
+
+async function extractOdt(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await readZipXml(zip, 'content.xml');
+  if (!content) throw new Error('Not an OpenDocument text: content.xml missing');
+
+  const pages = new PageCollector();
+
+  walk(content('office\\:text').get(0), node => {
+    switch (node.name) {
+      case 'text:s':
+        pages.text(' '.repeat(parseInt(node.attribs['text:c'], 10) || 1));
+        return true;
+      case 'text:tab':
+        pages.text('\t');
+        return true;
+      case 'text:line-break':
+        pages.text('\n');
+        return true;
+      case 'text:soft-page-break':
+        pages.pageBreak();
+        return true;
+      case 'text:note':
+      case 'office:annotation':
+      case 'text:tracked-changes':
+        return true;
+      default:
+        return false;
+    }
+  }, node => {
+    if (node.name === 'text:p' || node.name === 'text:h') pages.text('\n');
+  }, text => pages.text(text));
+
+  const meta = await readZipXml(zip, 'meta.xml');
+  return {
+    format: 'odt',
+    title: meta ? meta('dc\\:title').first().text().trim() || null : null,
+    author: meta
+      ? (meta('meta\\:initial-creator').first().text() || meta('dc\\:creator').first().text()).trim() || null
+      : null,
+    createdDate: meta ? toIso(meta('meta\\:creation-date').first().text()) : null,
+    pages: pages.result()
+  };
+}
+
+async function readZipXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return cheerio.load(await file.async('string'), { xmlMode: true });
+}
+
+// Depth-first walk; onElement returns true when it handled an element
+// (its children are skipped), onLeave runs after an element's children and
+// onText receives the text nodes (DOCX text only lives in <w:t>)
+function walk(root, onElement, onLeave, onText = () => {}) {
+  if (!root) return;
+
+  for (const node of root.children || []) {
+    if (node.type === 'text') {
+      onText(node.data);
+    } else if (node.type === 'tag') {
+      if (onElement(node)) continue;
+      walk(node, onElement, onLeave, onText);
+      onLeave(node);
+    }
+  }
+}
+
+class PageCollector {
+  constructor() {
+    this.pages = [''];
+  }
+
+  text(value) {
+    this.pages[this.pages.length - 1] += value;
+  }
+
+  pageBreak() {
+    this.pages.push('');
+  }
+
+  result() {
+    return this.pages.map((text, i) => ({ pageNumber: i + 1, text: cleanText(text) }));
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function cleanText(text) {
+  return text
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url);
+  }
+}
+
+function toIso(value) {
+  const date = new Date(String(value).trim());
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+module.exports = {
+  extractDocument,
+  detectFormat,
+  isDocumentUrl,
+  DOCUMENT_EXTENSIONS
+};
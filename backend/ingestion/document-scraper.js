@@ -0,0 +1,177 @@
+const path = require('path');
+const RAG_CONFIG = require('../config');
+const { normalizeUrl, contentHash } = require('./chunk-ids');
+const { extractDocument, isDocumentUrl } = require('./document-extractor');
+const Chunker = require('./chunker');
+const { toChunks } = require('./pipeline/schema');
+
+/**
+ * Ingestion of linked documents (PDF, DOCX, ODT) found by URL discovery or
+ * linked from scraped pages, posts and WordPress media.
+ *
+ * Documents are downloaded through the incremental crawler (conditional
+ * requests, content hash, 404/410 handling), extracted per page and chunked
+ * with the `documents` strategy (Chunker.chunkPages); every chunk keeps the
+ * page (or page range) it came from so answers can cite "document X, p. 4".
+ *
+ * Only documents on the source's own host are fetched, within robots.txt
+ * rules when a UrlDiscovery is passed.
+ */
+class DocumentScraper {
+  constructor(options = {}) {
+    this.crawler = options.crawler;
+    this.discovery = options.discovery || null;
+    this.options = { ...RAG_CONFIG.ingestion.documents, ...options };
+    this.chunker = options.chunker || new Chunker();
+
+    this.scraped = new Set();
+    this.stats = { documents: 0, unchanged: 0, failed: 0, chunks: 0 };
+  }
+
+  // { chunks, records } of the changed documents among urls, at most
+  // maxPerSource per call. records maps each document URL to the crawl
+  // state the caller records once its chunks are stored (see
+  // IncrementalCrawler.recordHash).
+  async scrapeDocuments(urls, sourceConfig) {
+    const content = { chunks: [], records: new Map() };
+    const documents = await this.documentsOf(urls, sourceConfig);
+    if (documents.length === 0) return content;
+
+    console.log(`📑 ${documents.length} documents linked from ${sourceConfig.domain}`);
+
+    for (const url of documents) {
+      const document = await this.scrapeDocument(url, sourceConfig, { record: false });
+      if (document.chunks.length > 0) {
+        content.chunks.push(...document.chunks);
+        content.records.set(url, {
+          hash: contentHash(document.text),
+          validators: document.validators,
+          extra: { documentType: document.format }
+        });
+      }
+      await delay(this.options.delayMs);
+    }
+    return content;
+  }
+
+  /**
+   * One document → { status, chunks, text, validators, format }, status being
+   * 'fetched', 'unchanged', 'gone', 'empty' (no text layer, e.g. a scanned
+   * PDF) or 'failed'. The crawl state is updated unless { record: false },
+   * for callers that record the content once the chunks are stored.
+   */
+  async scrapeDocument(url, sourceConfig, { record = true } = {}) {
+    this.scraped.add(normalizeUrl(url));
+
+    let document;
+    let validators;
+    try {
+      const response = await this.crawler.fetch(url, {
+        responseType: 'arraybuffer',
+        timeout: this.options.timeoutMs,
+        maxContentLength: this.options.maxBytes
+      });
+      if (response.status !== 'fetched') {
+        if (response.status === 'unchanged') this.stats.unchanged++;
+        return { status: response.status, chunks: [] };
+      }
+      validators = response.validators;
+
+      document = await extractDocument(Buffer.from(response.body), {
+        url,
+        contentType: response.headers['content-type']
+      });
+    } catch (error) {
+      this.stats.failed++;
+      console.warn(`⚠️ Could not read document ${url}: ${error.message}`);
+      return { status: 'failed', chunks: [] };
+    }
+
+    const text = document.pages.map(page => page.text).join('\n\n');
+    if (text.length < 100) {
+      // Typically a scanned PDF without a text layer
+      console.log(`⏭️ No extractable text in ${url}`);
+      return { status: 'empty', chunks: [] };
+    }
+
+    this.stats.documents++;
+    const changed = record
+      ? await this.recordContent(url, text, validators, document.format)
+      : await this.crawler.hasChanged(url, text);
+    if (!changed && this.crawler.incremental) {
+      this.stats.unchanged++;
+      if (!record) await this.recordContent(url, text, validators, document.format);
+      return { status: 'unchanged', chunks: [] };
+    }
+
+    const title = document.title || titleFromUrl(url);
+    const pieces = await this.chunker.chunkPages(document.pages, { title });
+    this.stats.chunks += pieces.length;
+
+    console.log(`✓ Document: ${title} (${document.pages.length} pages, ${pieces.length} chunks)`);
+
+    // Pieces carry their page / pageEnd
+    const chunks = toChunks({
+      url,
+      source: sourceConfig,
+      title,
+      author: document.author,
+      publishedDate: document.createdDate,
+      headings: [],
+      metadata: {
+        documentType: document.format,
+        totalPages: document.pages.length
+      }
+    }, pieces);
+
+    return { status: 'fetched', chunks, text, validators, format: document.format };
+  }
+
+  recordContent(url, text, validators, format) {
+    return this.crawler.recordContent(url, text, validators, { documentType: format });
+  }
+
+  // Document URLs on the source's host, allowed by robots.txt, not fetched
+  // yet in this run ([] when document ingestion is disabled)
+  async documentsOf(urls, sourceConfig) {
+    if (!this.options.enabled) return [];
+
+    const host = hostKey(sourceConfig.baseUrl);
+    const robots = this.discovery ? await this.discovery.getRobots(sourceConfig.baseUrl) : null;
+    const documents = new Map();
+
+    for (const url of urls) {
+      if (!url || !isDocumentUrl(url)) continue;
+      if (hostKey(url) !== host || (robots && !robots.isAllowed(url))) continue;
+
+      const key = normalizeUrl(url);
+      if (!this.scraped.has(key) && !documents.has(key)) documents.set(key, url);
+    }
+
+    return Array.from(documents.values()).slice(0, this.options.maxPerSource);
+  }
+}
+
+function titleFromUrl(url) {
+  let name = path.basename(new URL(url).pathname);
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the encoded file name
+  }
+  return name.replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').trim() || url;
+}
+
+function hostKey(url) {
+  try {
+    return new URL(url).host.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = DocumentScraper;
@@ -0,0 +1,165 @@
+const cheerio = require('cheerio');
+const { isDocumentUrl } = require('./document-extractor');
+
+// Rendered HTML (post bodies from APIs and feeds) → plain text, one line
+// per block element
+function htmlToText(html) {
+  if (!html) return '';
+  const $ = cheerio.load(html);
+  $('script, style').remove();
+  $('p, div, li, h1, h2, h3, h4, h5, h6, br, figcaption, blockquote').after('\n');
+  return $.root().text()
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+function htmlHeadings(html) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  return $('h1, h2, h3, h4, h5, h6')
+    .map((i, el) => $(el).text().trim())
+    .get()
+    .filter(text => text.length > 0);
+}
+
+// =============================================================================
+// STRUCTURED BLOCKS
+// =============================================================================
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'svg', 'button', 'select']);
+
+/**
+ * HTML → ordered content blocks, keeping the structure chunking needs:
+ * [{ type: 'heading', level, text } | { type: 'paragraph' | 'list' | 'table' | 'pre', text }]
+ * Lists become "- item" lines (nested items indented), tables one
+ * "cell | cell" line per row; loose text inside containers becomes
+ * paragraphs.
+ */
+function htmlToBlocks(html) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const blocks = [];
+  let inline = '';
+
+  const flushInline = () => {
+    const text = cleanInline(inline);
+    if (text) blocks.push({ type: 'paragraph', text });
+    inline = '';
+  };
+
+  const visit = node => {
+    if (node.type === 'text') {
+      inline += node.data;
+      return;
+    }
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) return;
+
+    if (node.name === 'br') {
+      inline += '\n';
+      return;
+    }
+    if (!BLOCK_TAGS.has(node.name)) {
+      (node.children || []).forEach(visit);
+      return;
+    }
+
+    flushInline();
+    const heading = node.name.match(/^h([1-6])$/);
+
+    if (heading) {
+      const text = cleanInline($(node).text()).replace(/\n/g, ' ');
+      if (text) blocks.push({ type: 'heading', level: Number(heading[1]), text });
+    } else if (node.name === 'ul' || node.name === 'ol') {
+      const text = listText($, node, 0);
+      if (text) blocks.push({ type: 'list', text });
+    } else if (node.name === 'table') {
+      const text = tableText($, node);
+      if (text) blocks.push({ type: 'table', text });
+    } else if (node.name === 'pre') {
+      const text = $(node).text().replace(/\s+$/, '');
+      if (text.trim()) blocks.push({ type: 'pre', text });
+    } else {
+      (node.children || []).forEach(visit);
+      flushInline();
+    }
+  };
+
+  $.root().contents().each((i, node) => visit(node));
+  flushInline();
+  return blocks;
+}
+
+// Blocks back to plain text, one block per paragraph
+function blocksToText(blocks) {
+  return blocks.map(block => block.text).join('\n\n');
+}
+
+function listText($, list, depth) {
+  const lines = [];
+  $(list).children('li').each((i, item) => {
+    const nested = $(item).children('ul, ol');
+    const own = $(item).clone();
+    own.children('ul, ol').remove();
+
+    const text = cleanInline(own.text()).replace(/\n/g, ' ');
+    if (text) lines.push(`${'  '.repeat(depth)}- ${text}`);
+    nested.each((j, child) => {
+      const childText = listText($, child, depth + 1);
+      if (childText) lines.push(childText);
+    });
+  });
+  return lines.join('\n');
+}
+
+function tableText($, table) {
+  return $(table).find('tr')
+    .map((i, row) => $(row).children('th, td')
+      .map((j, cell) => cleanInline($(cell).text()).replace(/\n/g, ' '))
+      .get()
+      .filter(Boolean)
+      .join(' | '))
+    .get()
+    .filter(Boolean)
+    .join('\n');
+}
+
+function cleanInline(text) {
+  return text
+    .replace(/[ \t\r\f\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// Absolute URLs of the PDF/DOCX/ODT documents an HTML fragment links to
+function documentLinks(html, baseUrl) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const links = [];
+
+  $('a[href]').each((i, el) => {
+    try {
+      const url = new URL($(el).attr('href'), baseUrl);
+      url.hash = '';
+      if (['http:', 'https:'].includes(url.protocol) && isDocumentUrl(url.href)) links.push(url.href);
+    } catch {
+      // Malformed href
+    }
+  });
+
+  return links;
+}
+
+module.exports = {
+  htmlToText,
+  htmlHeadings,
+  htmlToBlocks,
+  blocksToText,
+  documentLinks
+};
@@ -0,0 +1,208 @@
+const axios = require('axios');
+const RAG_CONFIG = require('../config');
+const { contentHash } = require('./chunk-ids');
+const { deleteUrlChunks } = require('./chunk-sync');
+
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Incremental crawling on top of CrawlState, shared by the scrapers and the
+ * indexers.
+ *
+ * - fetch() sends If-None-Match / If-Modified-Since from the last crawl (in
+ *   incremental mode) and classifies the response as 'unchanged' (304),
+ *   'gone' (404/410, marked for deletion) or 'fetched'.
+ * - hasChanged() compares the hash of the extracted text with the last crawl,
+ *   which catches servers that send no validators or always answer 200;
+ *   recordContent() stores the new hash and validators. hashChanged() and
+ *   recordHash() do the same from a hash computed earlier, for content that
+ *   is recorded once it has been stored.
+ * - deleteGonePages() removes the chunks of pages marked as gone.
+ *
+ * Changes stay in memory until save(). Callers save once the content they
+ * got back has been stored, so a failed run retries the same pages.
+ */
+class IncrementalCrawler {
+  constructor(options = {}) {
+    this.state = options.state;
+    this.incremental = options.incremental ?? false;
+    this.timeout = options.timeout || 10000;
+
+    this.stats = {
+      fetched: 0,
+      notModified: 0,
+      sameContent: 0,
+      changed: 0,
+      gone: 0
+    };
+  }
+
+  // options are passed to axios (e.g. responseType: 'arraybuffer' for documents)
+  async fetch(url, options = {}) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      responseType: 'text',
+      ...options,
+      headers: {
+        'User-Agent': RAG_CONFIG.ingestion.userAgent,
+        ...(await this.conditionalHeaders(url))
+      },
+      validateStatus: () => true
+    });
+
+    return this.handleResponse(url, {
+      status: response.status,
+      headers: response.headers,
+      body: response.data
+    });
+  }
+
+  // Conditional request headers from the last crawl (none outside incremental mode)
+  async conditionalHeaders(url) {
+    if (!this.incremental) return {};
+
+    const entry = await this.state.get(url);
+    if (!entry || entry.status !== 'active') return {};
+
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  // Classify a response; also used for responses obtained elsewhere
+  // (e.g. Playwright's page.goto)
+  async handleResponse(url, { status, headers = {}, body }) {
+    const validators = validatorsFrom(headers);
+
+    if (status === 304) {
+      this.stats.notModified++;
+      await this.state.update(url, { ...validators, httpStatus: status });
+      return { status: 'unchanged', httpStatus: status, validators };
+    }
+
+    if (GONE_STATUSES.includes(status)) {
+      await this.markGone(url, status);
+      return { status: 'gone', httpStatus: status, validators };
+    }
+
+    if (status >= 400) {
+      throw new Error(`HTTP ${status}`);
+    }
+
+    this.stats.fetched++;
+    return { status: 'fetched', httpStatus: status, body, headers, validators };
+  }
+
+  // Whether the extracted text differs from the last crawl (always true for
+  // pages not seen before)
+  hasChanged(url, text) {
+    return this.hashChanged(url, contentHash(text));
+  }
+
+  async hashChanged(url, hash) {
+    const entry = await this.state.get(url);
+    return !entry || entry.status !== 'active' || entry.contentHash !== hash;
+  }
+
+  // Store the page's text hash and validators (plus any extra fields, e.g.
+  // the WordPress modified date); returns hasChanged()
+  recordContent(url, text, validators = {}, extra = {}) {
+    return this.recordHash(url, contentHash(text), validators, extra);
+  }
+
+  async recordHash(url, hash, validators = {}, extra = {}) {
+    const entry = await this.state.get(url);
+    const changed = await this.hashChanged(url, hash);
+
+    if (changed) {
+      this.stats.changed++;
+    } else {
+      this.stats.sameContent++;
+    }
+
+    await this.state.update(url, {
+      ...extra,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      contentHash: hash,
+      status: 'active',
+      httpStatus: 200,
+      changedAt: changed ? new Date().toISOString() : entry.changedAt,
+      goneAt: null,
+      deletedAt: null
+    });
+    return changed;
+  }
+
+  async markGone(url, httpStatus) {
+    const entry = await this.state.get(url);
+    const alreadyGone = entry?.status === 'gone';
+
+    if (!alreadyGone) {
+      this.stats.gone++;
+      console.log(`🗑️ Page gone (HTTP ${httpStatus}), marked for deletion: ${url}`);
+    }
+
+    await this.state.update(url, {
+      status: 'gone',
+      httpStatus,
+      goneAt: alreadyGone ? entry.goneAt : new Date().toISOString(),
+      deletedAt: alreadyGone ? entry.deletedAt : null
+    });
+  }
+
+  // URLs marked as gone whose chunks have not been deleted yet
+  async pendingDeletions() {
+    const gone = await this.state.entriesWithStatus('gone');
+    return gone.filter(entry => !entry.deletedAt).map(entry => entry.url);
+  }
+
+  async deleteGonePages({ vectorStore, lexicalIndex, manifest }) {
+    const urls = await this.pendingDeletions();
+    let chunks = 0;
+
+    for (const url of urls) {
+      chunks += await deleteUrlChunks({ vectorStore, lexicalIndex, manifest, url });
+      await this.state.update(url, { deletedAt: new Date().toISOString() });
+    }
+
+    if (urls.length > 0) {
+      await manifest.save();
+      console.log(`🧹 Deleted ${chunks} chunks from ${urls.length} gone pages`);
+    }
+    return { pages: urls.length, chunks };
+  }
+
+  // Pages a feed or API listed on a previous run (recorded with
+  // extra.listedBy) but not on this complete listing were deleted,
+  // unpublished or moved: ask the site, 404/410 marks them as gone
+  async recheckUnlisted(listedBy, listedUrls, { delayMs = 500 } = {}) {
+    const listed = new Set(listedUrls);
+    const active = await this.state.entriesWithStatus('active');
+    const unlisted = active.filter(entry => entry.listedBy === listedBy && !listed.has(entry.url));
+
+    for (const entry of unlisted) {
+      try {
+        await this.fetch(entry.url);
+      } catch (error) {
+        console.warn(`⚠️ Could not re-check ${entry.url}: ${error.message}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    return unlisted.length;
+  }
+
+  save() {
+    return this.state.save();
+  }
+}
+
+function validatorsFrom(headers) {
+  const validators = {};
+  if (headers.etag) validators.etag = headers.etag;
+  if (headers['last-modified']) validators.lastModified = headers['last-modified'];
+  return validators;
+}
+
+module.exports = IncrementalCrawler;
@@ -0,0 +1,64 @@
+const RAG_CONFIG = require('../config');
+const ChunkManifest = require('./chunk-manifest');
+const CrawlState = require('./crawl-state');
+const IncrementalCrawler = require('./incremental-crawler');
+const UrlDiscovery = require('./url-discovery');
+const WordPressScraper = require('./wordpress-scraper');
+const BloggerScraper = require('./blogger-scraper');
+const DocumentScraper = require('./document-scraper');
+const Chunker = require('./chunker');
+const RobotsRules = require('./robots');
+const { parseSitemap } = require('./sitemap');
+const { normalizeUrl, urlKey, contentHash, chunkId } = require('./chunk-ids');
+const { syncUrlChunks, deleteUrlChunks, listChunkIds } = require('./chunk-sync');
+const { extractDocument, isDocumentUrl } = require('./document-extractor');
+const { documentLinks, htmlToBlocks, blocksToText } = require('./html-text');
+
+// Chunk manifest paired with the configured vector index
+function createChunkManifest(options = {}) {
+  return new ChunkManifest({
+    indexName: RAG_CONFIG.vectorDB.indexName,
+    directory: RAG_CONFIG.ingestion.manifestDirectory,
+    ...options
+  });
+}
+
+// Crawler backed by the crawl state of the configured vector index.
+// Pass { incremental: true } to send conditional requests and skip
+// unchanged pages.
+function createIncrementalCrawler(options = {}) {
+  return new IncrementalCrawler({
+    state: new CrawlState({
+      indexName: RAG_CONFIG.vectorDB.indexName,
+      directory: RAG_CONFIG.ingestion.crawlStateDirectory
+    }),
+    ...options
+  });
+}
+
+module.exports = {
+  createChunkManifest,
+  createIncrementalCrawler,
+  ChunkManifest,
+  CrawlState,
+  IncrementalCrawler,
+  UrlDiscovery,
+  WordPressScraper,
+  BloggerScraper,
+  DocumentScraper,
+  Chunker,
+  RobotsRules,
+  parseSitemap,
+  normalizeUrl,
+  urlKey,
+  contentHash,
+  chunkId,
+  syncUrlChunks,
+  deleteUrlChunks,
+  listChunkIds,
+  extractDocument,
+  isDocumentUrl,
+  documentLinks,
+  htmlToBlocks,
+  blocksToText
+};
@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RAG_CONFIG = require('../../config');
+
+/**
+ * On-disk checkpoint of an indexing run, so a crashed or restarted run can
+ * continue without embedding the same pages again: the URL frontier of each
+ * source (with the documents its pages link to), the processed set, the
+ * failure map and the running stats, cost included.
+ *
+ * One JSON file per session ID. The pipeline saves it after every batch
+ * and when a source is done; it is kept after the run so its failed URLs
+ * can be retried later.
+ */
+class RunCheckpoint {
+  constructor({ sessionId, directory } = {}) {
+    if (!sessionId) throw new Error('RunCheckpoint requires a sessionId');
+
+    this.sessionId = sessionId;
+    this.directory = path.resolve(__dirname, '..', '..', directory || RAG_CONFIG.ingestion.checkpointDirectory);
+    this.filePath = path.join(this.directory, `${sessionId.replace(/[^\w.-]/g, '_')}.json`);
+
+    this.data = {
+      sessionId,
+      status: 'running',          // 'running', 'stopped' or 'completed'
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      sources: {},                // baseUrl → { status, urls, documents, crawlDelayMs }
+      processed: [],
+      failed: {},                 // url → { error, attempts, failedAt }
+      stats: null
+    };
+  }
+
+  // Loads the saved checkpoint; false when there is none
+  async load() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return false;
+    }
+  }
+
+  source(source) {
+    return this.data.sources[source.baseUrl] || null;
+  }
+
+  setFrontier(source, { urls, documents, crawlDelayMs }) {
+    this.data.sources[source.baseUrl] = { status: 'discovered', urls, documents, crawlDelayMs };
+  }
+
+  // Snapshot of the pipeline's progress; `source` gets its linked documents
+  // and, when `done`, is not crawled again on resume
+  async save({ source, documents, processedUrls, failedUrls, stats, done = false, status = 'running' }) {
+    const entry = source && this.data.sources[source.baseUrl];
+    if (entry) {
+      if (documents) entry.documents = Array.from(new Set(documents));
+      if (done) entry.status = 'done';
+    }
+
+    const { errors, ...counters } = stats;
+    Object.assign(this.data, {
+      status,
+      updatedAt: new Date().toISOString(),
+      processed: Array.from(processedUrls),
+      failed: Object.fromEntries(failedUrls),
+      stats: { ...counters, errors: errors.slice(-50) }
+    });
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = RunCheckpoint;
@@ -0,0 +1,40 @@
+const { contentHash } = require('../chunk-ids');
+
+/**
+ * Dedupe stage.
+ *
+ * check() classifies a cleaned page before it is chunked: 'unchanged' when
+ * its text hash matches the last crawl (incremental runs), 'duplicate' when
+ * another URL of this run had the same text (e.g. a page reachable with and
+ * without query string), else null. uniquePieces() drops repeated chunk
+ * texts within a page.
+ */
+class Deduper {
+  constructor({ crawler }) {
+    this.crawler = crawler;
+    this.seen = new Map();   // text hash → first URL with that text this run
+  }
+
+  async check(document) {
+    const hash = contentHash(document.text);
+    const first = this.seen.get(hash);
+    if (first && first !== document.url) return 'duplicate';
+    this.seen.set(hash, document.url);
+
+    if (this.crawler.incremental && !(await this.crawler.hasChanged(document.url, document.text))) {
+      return 'unchanged';
+    }
+    return null;
+  }
+
+  uniquePieces(pieces) {
+    const texts = new Set();
+    return pieces.filter(piece => {
+      if (texts.has(piece.text)) return false;
+      texts.add(piece.text);
+      return true;
+    });
+  }
+}
+
+module.exports = Deduper;
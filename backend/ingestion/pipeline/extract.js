@@ -0,0 +1,76 @@
+const cheerio = require('cheerio');
+const { htmlToBlocks, blocksToText, documentLinks } = require('../html-text');
+
+// Main content container per sourceType, first non-empty match wins
+// (<body> when none matches)
+const CONTENT_SELECTORS = {
+  main_site: ['main', 'article', '.content', '.post-content', '.entry-content', '#content'],
+  wordpress_subdirectory: ['main', 'article', '.content', '.post-content', '.entry-content'],
+  wordpress_hosted: ['.entry-content', '.post-content', 'article'],
+  blogspot: ['.post-body', '.entry-content', 'article'],
+  educational_blog: ['.contingut', '.content', 'main', 'article'],
+  default: ['main', 'article', '.content', '.post-content', '.entry-content', '#content']
+};
+
+// Navigation, sidebars and widgets removed from the main content
+const BOILERPLATE = [
+  'nav', 'footer', 'aside', '.sidebar', '.navigation', '.menu', '.breadcrumb',
+  '.comments', '.related-posts', '.social-share', '.advertisement', '.ads',
+  '.cookie-notice', 'script', 'style', 'noscript'
+].join(', ');
+
+/**
+ * Extract stage: FetchedPage HTML → PageDocument (see schema.js) with the
+ * page's metadata, its main content HTML and the documents it links to.
+ */
+function extractPage(html, { url, source }) {
+  const $ = cheerio.load(html || '');
+
+  const meta = name => $(`meta[name="${name}"], meta[property="${name}"]`).first().attr('content') || null;
+
+  const selectors = CONTENT_SELECTORS[source.type] || CONTENT_SELECTORS.default;
+  const main = selectors
+    .map(selector => $(selector).first())
+    .find(element => element.length > 0 && element.text().trim().length > 0) || $('body');
+
+  return {
+    url,
+    source,
+    title: ($('title').first().text() || $('h1').first().text() || 'Untitled').trim(),
+    language: $('html').attr('lang') || null,
+    author: meta('author') || meta('article:author'),
+    publishedDate: meta('article:published_time') || meta('pubdate'),
+    modifiedDate: meta('article:modified_time'),
+    description: meta('description'),
+    html: $.html(main),
+    documentLinks: documentLinks(html, url)
+  };
+}
+
+/**
+ * Clean stage: drops boilerplate from the main content and turns it into
+ * structured blocks (headings, paragraphs, lists, tables) and plain text.
+ */
+function cleanPage(document) {
+  const $ = cheerio.load(document.html || '', null, false);
+  $(BOILERPLATE).remove();
+
+  const html = $.html();
+  const blocks = htmlToBlocks(html);
+  const headings = blocks.filter(block => block.type === 'heading').map(block => block.text);
+
+  return {
+    ...document,
+    html,
+    blocks,
+    text: blocksToText(blocks),
+    headings
+  };
+}
+
+module.exports = {
+  extractPage,
+  cleanPage,
+  CONTENT_SELECTORS,
+  BOILERPLATE
+};
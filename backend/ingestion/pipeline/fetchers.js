@@ -0,0 +1,158 @@
+const fs = require('fs');
+const { execSync } = require('child_process');
+const RAG_CONFIG = require('../../config');
+
+/**
+ * Fetch stage: URL → FetchedPage (see schema.js), through the incremental
+ * crawler so conditional requests, 304s and 404/410 handling are the same
+ * whichever fetcher is used.
+ */
+
+// Plain HTTP; fast and needs no browser
+class HttpFetcher {
+  constructor({ crawler }) {
+    this.crawler = crawler;
+    this.name = 'http';
+  }
+
+  async open() {}
+
+  async fetch(url) {
+    const response = await this.crawler.fetch(url);
+    return {
+      url,
+      status: response.status,
+      html: response.body,
+      validators: response.validators || {},
+      fetchedWith: this.name
+    };
+  }
+
+  async close() {}
+}
+
+// Headless Chromium, for pages that render their content with JavaScript
+class PlaywrightFetcher {
+  constructor({ crawler, timeout = 30000 }) {
+    this.crawler = crawler;
+    this.timeout = timeout;
+    this.name = 'playwright';
+    this.browser = null;
+    this.page = null;
+  }
+
+  async open() {
+    // Required lazily so HTTP-only deployments never load Playwright
+    const { chromium } = require('playwright');
+    this.browser = await chromium.launch(launchOptions());
+    this.page = await this.browser.newPage({
+      userAgent: RAG_CONFIG.ingestion.userAgent,
+      viewport: { width: 1280, height: 720 }
+    });
+  }
+
+  async fetch(url) {
+    // Incremental runs ask the server first so unchanged pages are not rendered
+    let validators = {};
+    if (this.crawler.incremental) {
+      const check = await this.crawler.fetch(url);
+      if (check.status !== 'fetched') {
+        return { url, status: check.status, validators: check.validators, fetchedWith: this.name };
+      }
+      validators = check.validators;
+    }
+
+    const response = await this.page.goto(url, { waitUntil: 'networkidle', timeout: this.timeout });
+    if (response && !this.crawler.incremental) {
+      const result = await this.crawler.handleResponse(url, {
+        status: response.status(),
+        headers: response.headers()
+      });
+      if (result.status !== 'fetched') {
+        return { url, status: result.status, validators: result.validators, fetchedWith: this.name };
+      }
+      validators = result.validators;
+    }
+
+    return {
+      url,
+      status: 'fetched',
+      html: await this.page.content(),
+      validators,
+      fetchedWith: this.name
+    };
+  }
+
+  async close() {
+    if (this.browser) await this.browser.close();
+    this.browser = null;
+    this.page = null;
+  }
+}
+
+// Open the named fetcher; 'playwright' falls back to HTTP when no browser
+// can be launched (e.g. Chromium missing on Render)
+async function openFetcher(name, options) {
+  if (name === 'playwright') {
+    const fetcher = new PlaywrightFetcher(options);
+    try {
+      await fetcher.open();
+      console.log('✅ Using Playwright for content extraction');
+      return fetcher;
+    } catch (error) {
+      console.warn(`⚠️ Playwright unavailable, falling back to HTTP: ${error.message}`);
+      await fetcher.close().catch(() => {});
+    }
+  }
+
+  const fetcher = new HttpFetcher(options);
+  await fetcher.open();
+  return fetcher;
+}
+
+// Chromium flags for containers, with the executable found in the usual
+// Render cache locations
+function launchOptions() {
+  const options = {
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--single-process',
+      '--disable-gpu'
+    ]
+  };
+
+  const candidates = [
+    process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH,
+    '/opt/render/.cache/ms-playwright/chromium-*/chrome-linux/chrome',
+    '/opt/render/.cache/ms-playwright/chromium_headless_shell-*/chrome-linux/headless_shell'
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      const executable = candidate.includes('*')
+        ? execSync(`ls ${candidate} 2>/dev/null || echo ""`, { encoding: 'utf8' }).trim().split('\n')[0]
+        : candidate;
+      if (executable && fs.existsSync(executable)) {
+        console.log(`Using Chromium at: ${executable}`);
+        return { ...options, executablePath: executable };
+      }
+    } catch {
+      continue;
+    }
+  }
+
+  // Playwright's own download
+  return options;
+}
+
+module.exports = {
+  HttpFetcher,
+  PlaywrightFetcher,
+  openFetcher
+};
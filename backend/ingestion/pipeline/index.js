@@ -0,0 +1,508 @@
+const RAG_CONFIG = require('../../config');
+const {
+  createChunkManifest,
+  createIncrementalCrawler,
+  UrlDiscovery,
+  WordPressScraper,
+  BloggerScraper,
+  DocumentScraper,
+  Chunker,
+  isDocumentUrl
+} = require('..');
+const { openFetcher, HttpFetcher, PlaywrightFetcher } = require('./fetchers');
+const { extractPage, cleanPage } = require('./extract');
+const Deduper = require('./deduper');
+const { CollectSink, IndexSink, Embedder, Upserter, createIndexSink } = require('./sinks');
+const PipelineReport = require('./report');
+const RunCheckpoint = require('./checkpoint');
+const { toChunks, groupByUrl } = require('./schema');
+
+/**
+ * The ingestion pipeline shared by the scrapers and indexers:
+ *
+ *   discover → fetch → extract → clean → chunk → dedupe → embed → upsert → report
+ *
+ * - discover: WordPress REST API / Blogger feed for sources with a matching
+ *   `scraper` (they fetch, extract and chunk themselves), else robots.txt
+ *   and sitemap discovery (UrlDiscovery).
+ * - fetch: HTTP or Playwright (fetchers.js), both through the incremental
+ *   crawler.
+ * - extract / clean: extract.js; linked PDF/DOCX/ODT files go through the
+ *   DocumentScraper instead.
+ * - chunk: Chunker strategy per sourceType; dedupe: deduper.js.
+ * - embed / upsert: the sink (sinks.js). CollectSink hands the chunks back
+ *   to the caller, IndexSink embeds and stores them page by page.
+ * - report: report.js.
+ *
+ * A `control` option ({ proceed() }) is awaited before every URL: it can
+ * hold the run and resolves false to stop it (checkpointed). `onProgress`
+ * receives the report events (see report.js).
+ *
+ * With a `checkpoint` (checkpoint.js) the frontier, processed set, failures
+ * and stats are saved after every batch; `resume: true` continues from the
+ * saved checkpoint, skipping processed URLs, and `retryFailed: true` also
+ * processes the URLs that failed again.
+ *
+ * costBudget is a hard limit: each page's chunks are token-counted before
+ * embedding and the run stops (checkpointed, the page left for a resume)
+ * when they would take the spend past it. A pre-flight estimate of each
+ * frontier is logged before it is processed.
+ *
+ * Record shapes between stages are documented in schema.js. Every stage can
+ * be replaced through the options (fetcher, chunker, deduper, sink,
+ * reporter); the scraper and indexer classes are configurations of this
+ * pipeline.
+ */
+class IngestionPipeline {
+  constructor(options = {}) {
+    this.options = {
+      fetcher: 'http',               // 'http' or 'playwright' (HTTP fallback)
+      feeds: true,                   // WordPress API / Blogger feed when available
+      maxPages: RAG_CONFIG.ingestion.discovery.maxUrlsPerSource,   // per source
+      batchSize: 25,
+      batchDelayMs: 0,
+      sourceDelayMs: 2000,
+      retryAttempts: 1,
+      costBudget: Infinity,          // USD, checked before embedding each page
+      minTextLength: 100,
+      resume: false,                 // continue from the checkpoint
+      retryFailed: false,            // with resume: process failed URLs again
+      // Options left undefined by the wrapping classes keep the defaults
+      ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    };
+
+    this.crawler = options.crawler || createIncrementalCrawler({ incremental: options.incremental });
+    this.discovery = options.discovery || new UrlDiscovery();
+    this.chunker = options.chunker || new Chunker();
+    this.deduper = options.deduper || new Deduper({ crawler: this.crawler });
+    this.sink = options.sink || new CollectSink();
+    this.documents = new DocumentScraper({ crawler: this.crawler, discovery: this.discovery, chunker: this.chunker });
+    this.report = new PipelineReport({
+      reporter: options.reporter,
+      sessionId: options.sessionId,
+      title: options.reportTitle,
+      onProgress: options.onProgress
+    });
+    this.stats = this.report.stats;
+
+    // Sources read through an API or feed instead of HTML, by their
+    // `scraper` setting
+    const feedOptions = {
+      crawler: this.crawler,
+      chunker: this.chunker,
+      documents: this.documents,
+      maxItems: this.options.maxPages
+    };
+    this.feedScrapers = this.options.feeds
+      ? { wordpress: new WordPressScraper(feedOptions), blogspot: new BloggerScraper(feedOptions) }
+      : {};
+
+    this.control = options.control || null;
+    this.checkpoint = options.checkpoint || null;
+    this.fetcher = null;
+    this.processedUrls = new Set();
+    this.failedUrls = new Map();     // url → { error, attempts, failedAt }
+    this.linkedDocuments = [];
+    this.stopped = false;
+    this.budgetExceeded = false;
+  }
+
+  // Ingest the sources in order; returns the sink's result (the chunks,
+  // for a CollectSink)
+  async run(sources) {
+    if (this.checkpoint && this.options.resume) await this.restore();
+    await this.report.start(sources);
+    this.fetcher = typeof this.options.fetcher === 'string'
+      ? await openFetcher(this.options.fetcher, { crawler: this.crawler })
+      : this.options.fetcher;
+
+    try {
+      for (let i = 0; i < sources.length && !this.stopped; i++) {
+        await this.ingestSource(sources[i]);
+        if (i < sources.length - 1) await delay(this.options.sourceDelayMs);
+      }
+    } finally {
+      await this.fetcher.close();
+    }
+
+    await this.sink.finish(this.crawler);
+    await this.saveCheckpoint({ status: this.stopped ? 'stopped' : 'completed' });
+    await this.report.finish();
+    return this.sink.result();
+  }
+
+  // Processed set, failures and stats of the checkpointed run
+  async restore() {
+    if (!(await this.checkpoint.load())) {
+      throw new Error(`No checkpoint found for session ${this.checkpoint.sessionId}`);
+    }
+
+    const { processed, failed, stats } = this.checkpoint.data;
+    this.processedUrls = new Set(processed);
+    this.failedUrls = new Map(Object.entries(failed));
+    if (stats) Object.assign(this.stats, stats, { estimatedCost: 0 });   // re-estimated for what is left
+
+    if (this.options.retryFailed) {
+      for (const url of this.failedUrls.keys()) this.processedUrls.delete(url);
+    }
+
+    console.log(`♻️ Resuming session ${this.checkpoint.sessionId}: ${processed.length} URLs processed, ${this.failedUrls.size} failed${this.options.retryFailed ? ' (retrying)' : ''}, $${this.stats.totalCost.toFixed(4)} spent`);
+  }
+
+  async ingestSource(source) {
+    const saved = this.checkpoint?.source(source);
+    if (saved?.status === 'done' && !this.options.retryFailed) {
+      console.log(`⏭️  ${source.domain} already ingested in this session`);
+      return;
+    }
+
+    console.log(`📖 Ingesting ${source.domain} (${source.baseUrl})`);
+
+    // Discover: API / feed first
+    const feedScraper = this.feedScrapers[source.scraper];
+    if (feedScraper) {
+      const feed = await feedScraper.scrapeSource(source);
+      if (feed) {
+        if (!saved) this.checkpoint?.setFrontier(source, { urls: [], documents: [], crawlDelayMs: 0 });
+        await this.preflight(source, [], feed.chunks);
+        await this.storeFeedChunks(feed, source);
+        if (!this.stopped) await this.saveCheckpoint({ source, done: true });
+        return;
+      }
+      console.log(`↩️ No ${source.scraper} API or feed for ${source.baseUrl}, scraping HTML`);
+    }
+
+    // A resumed run keeps the frontier it discovered first
+    const frontier = saved?.urls.length ? saved : await this.discover(source);
+    if (frontier === saved) {
+      console.log(`♻️ ${saved.urls.length} URLs from the checkpoint for ${source.domain}`);
+    } else {
+      this.checkpoint?.setFrontier(source, frontier);
+    }
+    this.linkedDocuments = [...frontier.documents];
+    await this.preflight(source, frontier.urls);
+    await this.processUrls(frontier.urls, source, frontier.crawlDelayMs);
+
+    // Linked PDF/DOCX/ODT documents, once the pages linking to them are done
+    const documents = await this.documents.documentsOf(this.linkedDocuments, source);
+    if (documents.length > 0 && !this.stopped) {
+      console.log(`📑 Processing ${documents.length} linked documents`);
+      await this.report.discovered(documents);
+      await this.preflight(source, documents);
+      await this.processUrls(documents, source, frontier.crawlDelayMs);
+    }
+
+    if (!this.stopped) await this.saveCheckpoint({ source, done: true });
+  }
+
+  async discover(source) {
+    try {
+      const frontier = await this.discovery.discoverSource(source);
+      const urls = frontier.urls.slice(0, this.options.maxPages);
+      console.log(`🔍 Found ${urls.length} URLs for ${source.domain}`);
+      await this.report.discovered(urls);
+      return { ...frontier, urls };
+    } catch (error) {
+      console.error(`❌ URL discovery failed for ${source.domain}:`, error.message);
+      await this.report.error('URL_DISCOVERY_FAILED', error.message, source.baseUrl);
+      return { urls: [], documents: [], crawlDelayMs: RAG_CONFIG.ingestion.discovery.defaultDelayMs };
+    }
+  }
+
+  async processUrls(urls, source, crawlDelayMs) {
+    const { batchSize } = this.options;
+    const batches = Math.ceil(urls.length / batchSize);
+
+    for (let b = 0; b < batches && !this.stopped; b++) {
+      const batch = urls.slice(b * batchSize, (b + 1) * batchSize);
+      if (batches > 1) console.log(`\n🔄 Processing batch ${b + 1}/${batches} (${batch.length} URLs)`);
+
+      for (let i = 0; i < batch.length; i++) {
+        const url = batch[i];
+        if (this.processedUrls.has(url)) continue;
+        if (!(await this.proceed())) break;
+        this.processedUrls.add(url);
+
+        await this.processWithReport(url, source, `${b + 1}:${i + 1}`);
+        if (this.stopped) break;
+        await delay(crawlDelayMs);
+      }
+
+      await this.saveCheckpoint({ source });
+
+      if (!this.stopped && b < batches - 1 && this.options.batchDelayMs > 0) {
+        console.log(`⏳ Waiting ${this.options.batchDelayMs}ms before next batch...`);
+        await delay(this.options.batchDelayMs);
+      }
+    }
+  }
+
+  async processWithReport(url, source, position) {
+    const startTime = Date.now();
+    console.log(`📄 [${position}] Processing: ${url}`);
+    await this.report.url(url, 'processing');
+
+    try {
+      const result = await this.processWithRetry(url, source);
+      const processingTimeMs = Date.now() - startTime;
+      await this.report.url(url, result.status, { processingTimeMs, title: result.title, chunks: result.chunks, error: result.error });
+
+      if (result.status === 'failed') {
+        this.recordFailure(url, result.error);
+      } else {
+        this.failedUrls.delete(url);
+      }
+
+      if (result.status === 'indexed') {
+        console.log(`✅ [${position}] ${result.title} (${result.chunks} chunks, ${processingTimeMs}ms)`);
+      } else if (result.status === 'failed') {
+        console.log(`❌ [${position}] Failed (${processingTimeMs}ms): ${url}`);
+      } else if (result.status === 'deferred') {
+        console.log(`💸 [${position}] Left for a resumed run: ${url}`);
+      }
+    } catch (error) {
+      const processingTimeMs = Date.now() - startTime;
+      console.error(`💥 [${position}] Error (${processingTimeMs}ms): ${url}`, error.message);
+      await this.report.error('URL_PROCESSING_ERROR', error.message, url, { position });
+      await this.report.url(url, 'failed', { processingTimeMs, error: error.message });
+      this.recordFailure(url, error.message);
+    }
+  }
+
+  recordFailure(url, error = 'Unknown error') {
+    const previous = this.failedUrls.get(url);
+    this.failedUrls.set(url, {
+      error,
+      attempts: (previous?.attempts || 0) + 1,
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  async processWithRetry(url, source, attempt = 1) {
+    try {
+      return await this.processUrl(url, source);
+    } catch (error) {
+      if (attempt >= this.options.retryAttempts) throw error;
+      console.log(`🔄 Retry ${attempt + 1}/${this.options.retryAttempts} for: ${url}`);
+      await delay(2000 * attempt);
+      return this.processWithRetry(url, source, attempt + 1);
+    }
+  }
+
+  // One URL through fetch → ... → upsert; resolves to { status, title, chunks }
+  async processUrl(url, source) {
+    if (isDocumentUrl(url)) return this.processDocument(url, source);
+
+    // Fetch
+    const page = await this.fetcher.fetch(url);
+    if (page.status !== 'fetched') return this.skip(url, page.status);
+
+    // Extract, clean
+    const document = cleanPage(extractPage(page.html, { url, source }));
+    this.linkedDocuments.push(...document.documentLinks);
+
+    if (document.text.length < this.options.minTextLength) {
+      const error = `Content too short: ${document.text.length} chars`;
+      await this.report.error('INSUFFICIENT_CONTENT', error, url);
+      return { status: 'failed', error };
+    }
+
+    // Dedupe (whole page)
+    const duplicate = await this.deduper.check(document);
+    if (duplicate === 'unchanged') {
+      await this.crawler.recordContent(url, document.text, page.validators);
+      return this.skip(url, duplicate);
+    }
+    if (duplicate) return this.skip(url, duplicate);
+
+    // Chunk, dedupe (chunks)
+    const pieces = this.deduper.uniquePieces(await this.chunker.chunkBlocks(document.blocks, {
+      sourceType: source.type,
+      title: document.title
+    }));
+    if (pieces.length === 0) {
+      await this.report.error('NO_CHUNKS_CREATED', 'Chunker returned no chunks', url);
+      return { status: 'failed', error: 'Chunker returned no chunks' };
+    }
+
+    // Embed, upsert (token count kept for later pre-flight estimates)
+    const stored = await this.store(url, toChunks(document, pieces), document);
+    if (!stored) return { status: 'deferred' };
+    await this.crawler.recordContent(url, document.text, page.validators, stored.tokens ? { tokens: stored.tokens } : {});
+    await this.sink.commit(this.crawler);
+
+    return { status: 'indexed', title: document.title, chunks: pieces.length };
+  }
+
+  // Linked documents are downloaded and chunked per page instead of rendered
+  async processDocument(url, source) {
+    const document = await this.documents.scrapeDocument(url, source, { record: false });
+    if (document.status === 'unchanged' || document.status === 'gone') {
+      return this.skip(url, document.status);
+    }
+
+    if (document.chunks.length === 0) {
+      const error = `Document not indexed: ${document.status}`;
+      await this.report.error('INSUFFICIENT_CONTENT', error, url);
+      return { status: 'failed', error };
+    }
+
+    if (!(await this.store(url, document.chunks))) return { status: 'deferred' };
+    await this.documents.recordContent(url, document.text, document.validators, document.format);
+    await this.sink.commit(this.crawler);
+
+    return { status: 'indexed', title: document.chunks[0].metadata.title, chunks: document.chunks.length };
+  }
+
+  // Feed scrapers return each page's crawl state (content hash, feed dates)
+  // in `records`; like processUrl, it is recorded once the page's chunks are
+  // stored, so pages left out by the budget, a cancel or an error are
+  // ingested again by the next run. The feed's `cursor` entry is written once
+  // every page is stored. Committed and checkpointed every batchSize pages.
+  async storeFeedChunks({ chunks, records = new Map(), cursor = null }, source) {
+    const pages = groupByUrl(chunks);
+    let stored = 0;
+    for (const [url, pageChunks] of pages) {
+      if (this.processedUrls.has(url)) continue;
+      if (!(await this.proceed())) break;
+      this.processedUrls.add(url);
+
+      try {
+        const result = await this.store(url, pageChunks);
+        if (!result) break;
+        const record = records.get(url);
+        if (record) {
+          const extra = result.tokens ? { ...record.extra, tokens: result.tokens } : record.extra;
+          await this.crawler.recordHash(url, record.hash, record.validators, extra);
+        }
+        this.failedUrls.delete(url);
+        await this.report.url(url, 'indexed', { title: pageChunks[0].metadata.title, chunks: pageChunks.length });
+      } catch (error) {
+        console.error(`💥 Error storing ${url}:`, error.message);
+        await this.report.error('URL_PROCESSING_ERROR', error.message, url);
+        await this.report.url(url, 'failed', { error: error.message });
+        this.recordFailure(url, error.message);
+      }
+
+      if (++stored % this.options.batchSize === 0) {
+        await this.sink.commit(this.crawler);
+        await this.saveCheckpoint({ source });
+      }
+    }
+
+    const complete = Array.from(pages.keys()).every(url => this.processedUrls.has(url) && !this.failedUrls.has(url));
+    if (cursor && complete) {
+      await this.crawler.state.update(cursor.url, cursor.fields);
+    }
+    await this.sink.commit(this.crawler);
+    await this.saveCheckpoint({ source });
+  }
+
+  // Embeds and upserts one page's chunks → { tokens }, or null when that
+  // would cross the cost budget (the run stops before spending it)
+  async store(url, chunks, document) {
+    const { tokens, cost: projected } = this.sink.estimate(chunks);
+    if (this.stats.totalCost + projected > this.options.costBudget) {
+      this.stopForBudget(url, projected);
+      return null;
+    }
+
+    const cost = await this.sink.store(url, chunks, document);
+    this.stats.chunksCreated += chunks.length;
+    this.stats.tokensEmbedded += tokens;
+    this.stats.totalCost += cost || 0;
+    return { tokens };
+  }
+
+  // The page stays unprocessed in the checkpoint, so a resume with a
+  // higher budget starts from it
+  stopForBudget(url, projected) {
+    console.warn(`💸 Cost budget reached: $${this.stats.totalCost.toFixed(4)} spent + $${projected.toFixed(4)} for ${url} > $${this.options.costBudget}. Stopping.`);
+    this.budgetExceeded = true;
+    this.stopped = true;
+    this.processedUrls.delete(url);
+  }
+
+  // Projected embedding cost of what is left of a frontier: exact for feed
+  // chunks, else the token count recorded for each page on an earlier run
+  // (the configured average for pages never indexed)
+  async preflight(source, urls, chunks = []) {
+    const pendingChunks = chunks.filter(chunk => !this.processedUrls.has(chunk.metadata.url));
+    const pendingUrls = urls.filter(url => !this.processedUrls.has(url));
+    let { tokens } = this.sink.estimate(pendingChunks);
+
+    for (const url of pendingUrls) {
+      const entry = await this.crawler.state.get(url);
+      tokens += entry?.tokens || RAG_CONFIG.ingestion.preflightTokensPerPage;
+    }
+
+    const cost = this.sink.priceTokens(tokens);
+    if (cost === 0) return;   // Nothing embedded, or an unpriced model
+    this.stats.estimatedCost += cost;
+
+    const pages = pendingUrls.length + new Set(pendingChunks.map(chunk => chunk.metadata.url)).size;
+    console.log(`🧮 Pre-flight estimate for ${source.domain}: ${pages} pages, ~${tokens} tokens, ~$${cost.toFixed(4)} (spent $${this.stats.totalCost.toFixed(4)}, budget $${this.options.costBudget})`);
+    if (this.stats.totalCost + cost > this.options.costBudget) {
+      console.warn('⚠️ The estimate exceeds the cost budget: the run will stop and checkpoint before crossing it');
+    }
+  }
+
+  async skip(url, reason) {
+    await this.report.skipped(url, reason);
+    return { status: 'skipped' };
+  }
+
+  async saveCheckpoint(fields = {}) {
+    if (!this.checkpoint) return;
+    await this.checkpoint.save({
+      documents: this.linkedDocuments,
+      processedUrls: this.processedUrls,
+      failedUrls: this.failedUrls,
+      stats: this.stats,
+      ...fields
+    });
+  }
+
+  // Asks the control whether to go on; false once it stopped the run
+  async proceed() {
+    if (!this.stopped && this.control && !(await this.control.proceed())) {
+      console.log('🛑 Ingestion stopped');
+      this.stopped = true;
+    }
+    return !this.stopped;
+  }
+}
+
+// Pipeline that embeds and upserts as it goes (the indexers), checkpointed
+// under its sessionId. Embedding spend is attributed to the sessionId and to
+// options.engine (the indexer) in the CostTracker.
+function createIndexingPipeline(options = {}) {
+  const { llm, testMode = false, metadata = {} } = options;
+  const attribution = { sessionId: options.sessionId, engine: options.engine };
+  const sink = createIndexSink({ llm, manifest: options.manifest || createChunkManifest(), testMode, metadata, attribution });
+  const checkpoint = options.checkpoint || (options.sessionId ? new RunCheckpoint({ sessionId: options.sessionId }) : null);
+  return new IngestionPipeline({ ...options, sink, checkpoint });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  IngestionPipeline,
+  createIndexingPipeline,
+  HttpFetcher,
+  PlaywrightFetcher,
+  openFetcher,
+  extractPage,
+  cleanPage,
+  Deduper,
+  CollectSink,
+  IndexSink,
+  Embedder,
+  Upserter,
+  PipelineReport,
+  RunCheckpoint,
+  toChunks,
+  groupByUrl
+};
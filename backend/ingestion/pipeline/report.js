@@ -0,0 +1,127 @@
+/**
+ * Report stage: run statistics, plus per-URL and error records in a
+ * SimpleIndexingReporter (monitoring/) when one is given, exported as
+ * HTML/CSV at the end of the run. `onProgress(event, stats)` is called for
+ * every URL status change, skip and error (the crawl job manager uses it).
+ */
+class PipelineReport {
+  constructor({ reporter = null, sessionId, title = 'INGESTION', onProgress = null } = {}) {
+    this.reporter = reporter;
+    this.onProgress = onProgress;
+    this.sessionId = sessionId;
+    this.title = title;
+    this.startTime = Date.now();
+
+    this.stats = {
+      urlsDiscovered: 0,
+      urlsProcessed: 0,
+      urlsSuccessful: 0,
+      urlsFailed: 0,
+      urlsUnchanged: 0,
+      urlsDuplicate: 0,
+      urlsGone: 0,
+      chunksCreated: 0,
+      tokensEmbedded: 0,
+      estimatedCost: 0,              // pre-flight, USD
+      totalCost: 0,                  // actual embedding spend, USD
+      errors: []
+    };
+  }
+
+  async start(sources) {
+    if (!this.reporter) return;
+    await this.reporter.initialize();
+    await this.reporter.recordSession({
+      sessionId: this.sessionId,
+      source: sources.map(source => source.domain).join(', '),
+      startTime: new Date(this.startTime).toISOString(),
+      status: 'running'
+    });
+  }
+
+  async discovered(urls) {
+    this.stats.urlsDiscovered += urls.length;
+    for (const url of urls) {
+      await this.recordUrl(url, 'discovered');
+    }
+    await this.onProgress?.({ type: 'discovered', urls }, this.stats);
+  }
+
+  // status: 'processing', 'indexed', 'skipped', 'failed' or 'deferred'
+  // (left unprocessed by a budget stop)
+  async url(url, status, data = {}) {
+    if (status === 'indexed') this.stats.urlsSuccessful++;
+    if (status === 'failed') this.stats.urlsFailed++;
+    if (status !== 'processing' && status !== 'deferred') this.stats.urlsProcessed++;
+    await this.recordUrl(url, status, data);
+    await this.onProgress?.({ type: 'url', url, status, ...data }, this.stats);
+  }
+
+  // reason: 'unchanged', 'duplicate' or 'gone'
+  async skipped(url, reason) {
+    const counter = { unchanged: 'urlsUnchanged', duplicate: 'urlsDuplicate', gone: 'urlsGone' }[reason];
+    if (counter) this.stats[counter]++;
+    console.log(`⏭️  ${reason[0].toUpperCase()}${reason.slice(1)}: ${url}`);
+    await this.onProgress?.({ type: 'skipped', url, reason }, this.stats);
+  }
+
+  async error(errorType, message, url, context = {}) {
+    this.stats.errors.push({ url, errorType, error: message, timestamp: new Date() });
+    if (this.reporter) {
+      await this.reporter.recordError({ sessionId: this.sessionId, errorType, error: message, url, context });
+    }
+    await this.onProgress?.({ type: 'error', url, errorType, error: message }, this.stats);
+  }
+
+  async recordUrl(url, status, data = {}) {
+    if (this.reporter) {
+      await this.reporter.recordUrl({ sessionId: this.sessionId, url, status, ...data });
+    }
+  }
+
+  async finish() {
+    if (!this.reporter) return;
+    const { stats } = this;
+
+    console.log(`\n📊 ${this.title} FINAL REPORT`);
+    console.log('═══════════════════════════════════════');
+    console.log(`Session ID: ${this.sessionId}`);
+    console.log(`Duration: ${Math.round((Date.now() - this.startTime) / 1000)}s`);
+    console.log(`URLs Discovered: ${stats.urlsDiscovered}`);
+    console.log(`URLs Processed: ${stats.urlsProcessed}`);
+    console.log(`URLs Successful: ${stats.urlsSuccessful}`);
+    console.log(`URLs Failed: ${stats.urlsFailed}`);
+    console.log(`URLs Unchanged: ${stats.urlsUnchanged}`);
+    console.log(`URLs Duplicate: ${stats.urlsDuplicate}`);
+    console.log(`URLs Gone: ${stats.urlsGone}`);
+    console.log(`Success Rate: ${stats.urlsProcessed > 0 ? Math.round((stats.urlsSuccessful / stats.urlsProcessed) * 100) : 0}%`);
+    console.log(`Chunks Created: ${stats.chunksCreated}`);
+    console.log(`Tokens Embedded: ${stats.tokensEmbedded}`);
+    console.log(`Pre-flight Estimate: $${stats.estimatedCost.toFixed(4)}`);
+    console.log(`Embedding Cost: $${stats.totalCost.toFixed(4)}`);
+    console.log(`Errors: ${stats.errors.length}`);
+
+    if (stats.errors.length > 0) {
+      console.log('\n❌ Top Errors:');
+      const errorCounts = stats.errors.reduce((acc, error) => {
+        acc[error.error] = (acc[error.error] || 0) + 1;
+        return acc;
+      }, {});
+
+      Object.entries(errorCounts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 5)
+        .forEach(([error, count]) => {
+          console.log(`   ${count}x: ${error}`);
+        });
+    }
+
+    await this.reporter.exportToHTML();
+    await this.reporter.exportToCSV();
+
+    console.log('\n📄 Reports saved to backend/monitoring/reports/');
+    console.log('═══════════════════════════════════════\n');
+  }
+}
+
+module.exports = PipelineReport;
@@ -0,0 +1,98 @@
+const { chunkId } = require('../chunk-ids');
+
+const DEFAULT_AUTHOR = 'Guimerà Official';
+
+/**
+ * Records passed between the ingestion pipeline stages.
+ *
+ * @typedef {Object} FetchedPage            fetch → extract
+ * @property {string} url
+ * @property {'fetched'|'unchanged'|'gone'} status
+ * @property {string} [html]                 Only when fetched
+ * @property {Object} validators             { etag, lastModified } for the crawl state
+ * @property {'http'|'playwright'} fetchedWith
+ *
+ * @typedef {Object} PageDocument           extract → clean → dedupe → chunk
+ * @property {string} url
+ * @property {Object} source                 Source config (RAG_CONFIG.sources)
+ * @property {string} title
+ * @property {string} [language]
+ * @property {string} [author]
+ * @property {string} [publishedDate]
+ * @property {string} [modifiedDate]
+ * @property {string} [description]
+ * @property {string} html                   Main content (boilerplate removed once cleaned)
+ * @property {Array} blocks                  htmlToBlocks() of the cleaned content
+ * @property {string} text                   Plain text, hashed for change detection
+ * @property {string[]} headings
+ * @property {string[]} documentLinks        Linked PDF/DOCX/ODT files
+ * @property {Object} [metadata]             Source-specific fields copied to every chunk
+ *
+ * @typedef {Object} Chunk                  chunk → dedupe → embed → upsert
+ * @property {string} id                     chunkId(url, index, content)
+ * @property {string} content                Heading path prefix + text
+ * @property {ChunkMetadata} metadata
+ *
+ * @typedef {Object} ChunkMetadata
+ * @property {string} url
+ * @property {string} title
+ * @property {string} source                 Source domain
+ * @property {string} sourceType
+ * @property {number} priority
+ * @property {number} chunkIndex
+ * @property {number} totalChunks
+ * @property {string} scrapedAt
+ * @property {string} language
+ * @property {string} author
+ * @property {string} [publishedDate]
+ * @property {string} [modifiedDate]
+ * @property {string[]} headings             First five headings of the page
+ * @property {string} headingPath            "Museu › Antoni Lamolla › Biografia"
+ *
+ * Plus the document's `metadata` (WordPress categories, Blogger labels,
+ * documentType...) and per-chunk fields from the Chunker (page, pageEnd).
+ */
+
+// Chunker output ([{ text, headingPath, ...}]) → Chunk records of a document
+function toChunks(document, pieces) {
+  const scrapedAt = new Date().toISOString();
+
+  return pieces.map(({ text, ...fields }, i) => ({
+    id: chunkId(document.url, i, text),
+    content: text,
+    metadata: {
+      url: document.url,
+      title: document.title,
+      source: document.source.domain,
+      sourceType: document.source.type,
+      priority: document.source.priority,
+      chunkIndex: i,
+      totalChunks: pieces.length,
+      scrapedAt,
+      language: document.language || 'ca',
+      author: document.author || DEFAULT_AUTHOR,
+      publishedDate: document.publishedDate || undefined,
+      modifiedDate: document.modifiedDate || undefined,
+      headings: (document.headings || []).slice(0, 5),
+      ...document.metadata,
+      ...fields
+    }
+  }));
+}
+
+// Chunks grouped by page URL, in order of first appearance
+function groupByUrl(chunks) {
+  const pages = new Map();
+  for (const chunk of chunks) {
+    const { url } = chunk.metadata;
+    if (!pages.has(url)) pages.set(url, []);
+    pages.get(url).push(chunk);
+  }
+  return pages;
+}
+
+module.exports = {
+  toChunks,
+  groupByUrl,
+  DEFAULT_AUTHOR
+};
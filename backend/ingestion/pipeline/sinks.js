@@ -0,0 +1,219 @@
+const RAG_CONFIG = require('../../config');
+const { createVectorStore } = require('../../vector-store');
+const { createLexicalIndex } = require('../../retrieval');
+const { lexicalText } = require('../../retrieval/bm25-index');
+const { withFilterMetadata } = require('../../retrieval/filters');
+const { syncUrlChunks } = require('../chunk-sync');
+const { countTokens } = require('../../llm/tokens');
+const CostTracker = require('../../admin/cost-tracker');
+
+/**
+ * Where the pipeline delivers each page's chunks. A sink implements
+ * store(url, chunks, document) → cost in USD, estimate(chunks) →
+ * { tokens, cost } before storing, priceTokens(tokens) for pre-flight
+ * estimates, and commit(crawler), called once the page's content hash has
+ * been recorded.
+ *
+ * - CollectSink returns the chunks to the caller (scrapers); the caller
+ *   saves the crawl state once it has stored them.
+ * - IndexSink embeds and upserts them right away (indexers) and saves the
+ *   crawl state after every page, so an interrupted run resumes where it
+ *   stopped.
+ */
+class CollectSink {
+  constructor() {
+    this.chunks = [];
+  }
+
+  async store(url, chunks) {
+    this.chunks.push(...chunks);
+    return 0;
+  }
+
+  // Nothing is embedded here
+  estimate() {
+    return { tokens: 0, cost: 0 };
+  }
+
+  priceTokens() {
+    return 0;
+  }
+
+  async commit() {}
+
+  async finish() {}
+
+  result() {
+    return this.chunks;
+  }
+}
+
+// Embed stage. Spend is reported to the CostTracker by the LLM provider,
+// attributed to the 'indexing' feature and the run's session and indexer;
+// prices come from the same tracker.
+class Embedder {
+  constructor({ llm, testMode = false, batchSize = RAG_CONFIG.embedding.batchSize, attribution = {} }) {
+    this.llm = llm;
+    this.testMode = testMode;
+    this.batchSize = batchSize;
+    this.attribution = { feature: 'indexing', ...attribution };
+    this.costTracker = llm.costTracker || CostTracker.getInstance();
+  }
+
+  // → { embeddings, tokens, cost }; test mode spends nothing and reports
+  // what the texts would have cost
+  async embed(texts) {
+    if (this.testMode) {
+      const { tokens, cost } = this.estimate(texts);
+      return { embeddings: texts.map(() => new Array(this.llm.embeddingDimensions).fill(0)), tokens, cost };
+    }
+
+    const embeddings = [];
+    let tokens = 0;
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const result = await this.llm.embed(texts.slice(i, i + this.batchSize), { type: 'indexing', ...this.attribution });
+      embeddings.push(...result.embeddings);
+      tokens += result.usage?.inputTokens || 0;
+    }
+    return { embeddings, tokens, cost: this.priceTokens(tokens) };
+  }
+
+  // Exact token count of the texts, priced for the embedding model
+  estimate(texts) {
+    const tokens = texts.reduce((sum, text) => sum + countTokens(text), 0);
+    return { tokens, cost: this.priceTokens(tokens) };
+  }
+
+  priceTokens(tokens) {
+    return this.costTracker.calculateCost(this.llm.models.embedding, tokens, 0);
+  }
+}
+
+// Upsert stage: vector store, BM25 index and chunk manifest in step
+class Upserter {
+  constructor({ vectorStore, lexicalIndex, manifest, testMode = false, metadata = {} }) {
+    this.vectorStore = vectorStore;
+    this.lexicalIndex = lexicalIndex;
+    this.manifest = manifest;
+    this.testMode = testMode;
+    this.metadata = metadata;   // Added to every vector (sessionId, phase...)
+    this.initialized = false;
+  }
+
+  async upsert(url, chunks, embeddings) {
+    if (this.testMode) {
+      console.log(`🧪 TEST MODE: Would index ${chunks.length} chunks for ${url}`);
+      return;
+    }
+
+    if (!this.initialized) {
+      await this.vectorStore.initialize();
+      this.initialized = true;
+    }
+
+    const indexedAt = new Date().toISOString();
+    const vectors = chunks.map((chunk, i) => ({
+      id: chunk.id,
+      values: embeddings[i],
+      metadata: withFilterMetadata({
+        ...chunk.metadata,
+        content: chunk.content,
+        indexedAt,
+        ...this.metadata
+      })
+    }));
+
+    await this.vectorStore.upsert(vectors);
+
+    if (this.lexicalIndex) {
+      await this.lexicalIndex.add(vectors.map(vector => ({
+        id: vector.id,
+        text: lexicalText(vector.metadata),
+        metadata: vector.metadata
+      })));
+    }
+
+    // Drop chunks this page had on a previous run but no longer has
+    const staleChunks = await syncUrlChunks({
+      vectorStore: this.vectorStore,
+      lexicalIndex: this.lexicalIndex,
+      manifest: this.manifest,
+      url,
+      chunkIds: vectors.map(vector => vector.id)
+    });
+    await this.manifest.save();
+    if (staleChunks > 0) {
+      console.log(`🧹 Deleted ${staleChunks} stale chunks for ${url}`);
+    }
+  }
+
+  deleteGonePages(crawler) {
+    if (this.testMode) return { pages: 0, chunks: 0 };
+    return crawler.deleteGonePages({
+      vectorStore: this.vectorStore,
+      lexicalIndex: this.lexicalIndex,
+      manifest: this.manifest
+    });
+  }
+}
+
+class IndexSink {
+  constructor({ embedder, upserter }) {
+    this.embedder = embedder;
+    this.upserter = upserter;
+  }
+
+  async store(url, chunks) {
+    const { embeddings, cost } = await this.embedder.embed(chunks.map(chunk => chunk.content));
+    if (!embeddings || embeddings.length !== chunks.length) {
+      throw new Error(`Failed to create embeddings (${embeddings?.length || 0}/${chunks.length})`);
+    }
+
+    await this.upserter.upsert(url, chunks, embeddings);
+    return cost;
+  }
+
+  estimate(chunks) {
+    return this.embedder.estimate(chunks.map(chunk => chunk.content));
+  }
+
+  priceTokens(tokens) {
+    return this.embedder.priceTokens(tokens);
+  }
+
+  commit(crawler) {
+    return crawler.save();
+  }
+
+  // Chunks of pages found gone (404/410) during the run
+  async finish(crawler) {
+    await this.upserter.deleteGonePages(crawler);
+    await crawler.save();
+  }
+
+  result() {
+    return [];
+  }
+}
+
+// IndexSink on the configured vector store and BM25 index
+function createIndexSink({ llm, manifest, testMode = false, metadata = {}, attribution }) {
+  return new IndexSink({
+    embedder: new Embedder({ llm, testMode, attribution }),
+    upserter: new Upserter({
+      vectorStore: createVectorStore(),
+      lexicalIndex: RAG_CONFIG.hybrid.enabled ? createLexicalIndex() : null,
+      manifest,
+      testMode,
+      metadata
+    })
+  });
+}
+
+module.exports = {
+  CollectSink,
+  IndexSink,
+  Embedder,
+  Upserter,
+  createIndexSink
+};
@@ -0,0 +1,123 @@
+/**
+ * robots.txt rules for one user agent.
+ *
+ * Follows RFC 9309: the group whose User-agent token best matches ours
+ * applies (falling back to "*"), the longest matching Allow/Disallow path
+ * wins, and Allow wins ties. `*` and a trailing `$` are supported in paths.
+ * Crawl-delay and Sitemap lines are read as well.
+ */
+class RobotsRules {
+  constructor(text = '', agent = '*') {
+    const { groups, sitemaps } = parseRobots(text);
+    const group = selectGroup(groups, agent.toLowerCase());
+
+    this.rules = group ? group.rules : [];
+    this.crawlDelay = group ? group.crawlDelay : null;   // seconds
+    this.sitemaps = sitemaps;
+  }
+
+  isAllowed(url) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = decodePath(parsed.pathname) + parsed.search;
+    } catch {
+      return false;
+    }
+
+    let match = null;
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!match || rule.length > match.length || (rule.length === match.length && rule.allow)) {
+        match = rule;
+      }
+    }
+    return match ? match.allow : true;
+  }
+}
+
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (!value) continue;
+      current.rules.push({
+        allow: field === 'allow',
+        length: value.length,
+        pattern: pathPattern(value)
+      });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Most specific group naming our agent, else the "*" group
+function selectGroup(groups, agent) {
+  let best = null;
+  let bestLength = -1;
+
+  for (const group of groups) {
+    for (const name of group.agents) {
+      if (name !== '*' && agent.includes(name) && name.length > bestLength) {
+        best = group;
+        bestLength = name.length;
+      }
+    }
+  }
+
+  return best || groups.find(group => group.agents.includes('*')) || null;
+}
+
+function pathPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => decodePath(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function decodePath(path) {
+  try {
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+}
+
+module.exports = RobotsRules;
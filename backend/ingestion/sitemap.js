@@ -0,0 +1,45 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+/**
+ * Parse a sitemap (<urlset>) or sitemap index (<sitemapindex>).
+ * Returns { sitemaps: [loc], urls: [{ loc, lastmod }] }; only one of the two
+ * lists is filled for a well-formed file. Works for WordPress
+ * (wp-sitemap.xml, Yoast sitemap_index.xml) and Blogger (sitemap.xml,
+ * which indexes sitemap.xml?page=N) alike.
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  const sitemaps = $('sitemapindex > sitemap > loc')
+    .map((i, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean);
+
+  const urls = $('urlset > url')
+    .map((i, el) => ({
+      loc: $(el).children('loc').text().trim(),
+      lastmod: $(el).children('lastmod').text().trim() || null
+    }))
+    .get()
+    .filter(entry => entry.loc);
+
+  return { sitemaps, urls };
+}
+
+// Response body as text, gunzipping .xml.gz sitemaps
+function sitemapText(data) {
+  const buffer = Buffer.from(data);
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+function looksLikeSitemap(text) {
+  return /<(urlset|sitemapindex)[\s>]/.test(text);
+}
+
+module.exports = {
+  parseSitemap,
+  sitemapText,
+  looksLikeSitemap
+};
@@ -0,0 +1,345 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const RAG_CONFIG = require('../config');
+const RobotsRules = require('./robots');
+const { parseSitemap, sitemapText, looksLikeSitemap } = require('./sitemap');
+const { normalizeUrl } = require('./chunk-ids');
+const { isDocumentUrl } = require('./document-extractor');
+
+// PDF/DOCX/ODT links are kept apart as documents (see Frontier.add)
+const SKIPPED_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|css|js|json|xml|gz|zip|rar|mp3|mp4|avi|mov|doc|xlsx?|pptx?)$/i;
+const SKIPPED_PATHS = /\/(feed|wp-admin|wp-json|wp-login\.php|xmlrpc\.php|comments)(\/|$)/i;
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/;
+
+// Conventional sitemap locations, relative to the source's baseUrl
+const SITEMAP_PATHS = ['sitemap.xml', 'sitemap_index.xml', 'wp-sitemap.xml'];
+
+/**
+ * URL discovery for the sources in RAG_CONFIG.sources:
+ * 1. robots.txt: Allow/Disallow rules filter every URL, Crawl-delay sets
+ *    the pace and its Sitemap lines are the first sitemaps read.
+ * 2. Sitemaps: robots.txt entries, else the conventional locations
+ *    (sitemap.xml, sitemap_index.xml, wp-sitemap.xml), following sitemap
+ *    indexes into nested sitemaps.
+ * 3. Fallback when no sitemap lists any page: breadth-first link crawl
+ *    from baseUrl, bounded by depth and a page budget.
+ *
+ * A frontier only keeps URLs under its source's baseUrl and leaves those of
+ * more specific sources on the same host (e.g. a WordPress subdirectory blog
+ * under the main site) to them, so frontiers never overlap. Linked PDF, DOCX
+ * and ODT files anywhere on the source's host are listed apart as documents.
+ */
+class UrlDiscovery {
+  constructor(options = {}) {
+    this.options = { ...RAG_CONFIG.ingestion.discovery, ...options };
+    this.sources = options.sources || configuredSources();
+    this.robotsCache = new Map();   // origin → RobotsRules
+  }
+
+  // { [sourceKey]: frontier } for every configured source
+  async discoverAll() {
+    const frontiers = {};
+    for (const [key, source] of Object.entries(this.sources)) {
+      frontiers[key] = await this.discoverSource(source);
+    }
+    return frontiers;
+  }
+
+  /**
+   * Frontier of one source:
+   * { source, baseUrl, method: 'sitemap' | 'crawl', urls, documents, lastModified, crawlDelayMs }
+   * lastModified maps URLs to their sitemap <lastmod> when present.
+   */
+  async discoverSource(source) {
+    console.log(`🧭 Discovering URLs for ${source.baseUrl}...`);
+
+    const robots = await this.getRobots(source.baseUrl);
+    const crawlDelayMs = Math.max(this.options.defaultDelayMs, (robots.crawlDelay || 0) * 1000);
+    const frontier = new Frontier(source, {
+      robots,
+      excluded: this.nestedSources(source),
+      maxUrls: this.options.maxUrlsPerSource
+    });
+
+    let method = 'sitemap';
+    await this.readSitemaps(source, robots, frontier);
+
+    if (frontier.size === 0) {
+      method = 'crawl';
+      await this.crawlLinks(source, frontier, crawlDelayMs);
+    }
+
+    console.log(`🧭 ${source.baseUrl}: ${frontier.size} URLs and ${frontier.documentUrls().length} documents via ${method}${robots.crawlDelay ? ` (Crawl-delay ${robots.crawlDelay}s)` : ''}`);
+
+    return {
+      source: source.domain,
+      baseUrl: source.baseUrl,
+      method,
+      urls: frontier.urls(),
+      documents: frontier.documentUrls(),
+      lastModified: frontier.lastModified,
+      crawlDelayMs
+    };
+  }
+
+  // =============================================================================
+  // ROBOTS.TXT
+  // =============================================================================
+
+  async getRobots(baseUrl) {
+    const origin = new URL(baseUrl).origin;
+    if (this.robotsCache.has(origin)) {
+      return this.robotsCache.get(origin);
+    }
+
+    let text = '';
+    try {
+      const response = await this.get(`${origin}/robots.txt`, { responseType: 'text' });
+      if (response.status >= 200 && response.status < 300) {
+        text = String(response.data);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${origin}/robots.txt (${error.message}), crawling without rules`);
+    }
+
+    const robots = new RobotsRules(text, this.options.robotsAgent);
+    this.robotsCache.set(origin, robots);
+    return robots;
+  }
+
+  // =============================================================================
+  // SITEMAPS
+  // =============================================================================
+
+  // Read the robots.txt sitemaps, else the first conventional location that
+  // lists pages of this source
+  async readSitemaps(source, robots, frontier) {
+    const base = withTrailingSlash(source.baseUrl);
+    const candidates = [
+      robots.sitemaps,
+      ...SITEMAP_PATHS.map(path => [new URL(path, base).href])
+    ];
+
+    const visited = new Set();
+    for (const roots of candidates) {
+      await this.readSitemapTree(roots, robots, frontier, visited);
+      if (frontier.size > 0) return;
+    }
+  }
+
+  // Breadth-first through sitemap indexes, up to maxSitemaps files
+  async readSitemapTree(roots, robots, frontier, visited) {
+    const queue = [...roots];
+
+    while (queue.length > 0 && visited.size < this.options.maxSitemaps && !frontier.full) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl) || !robots.isAllowed(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      let text;
+      try {
+        const response = await this.get(sitemapUrl, { responseType: 'arraybuffer' });
+        if (response.status < 200 || response.status >= 300) continue;
+        text = sitemapText(response.data);
+      } catch (error) {
+        console.warn(`⚠️ Sitemap ${sitemapUrl} unavailable: ${error.message}`);
+        continue;
+      }
+      if (!looksLikeSitemap(text)) continue;
+
+      const { sitemaps, urls } = parseSitemap(text);
+      queue.push(...sitemaps);
+      for (const entry of urls) {
+        frontier.add(entry.loc, entry.lastmod);
+      }
+    }
+  }
+
+  // =============================================================================
+  // LINK CRAWL FALLBACK
+  // =============================================================================
+
+  async crawlLinks(source, frontier, crawlDelayMs) {
+    const queue = [{ url: source.baseUrl, depth: 0 }];
+    const seen = new Set([normalizeUrl(source.baseUrl)]);
+    let fetched = 0;
+
+    while (queue.length > 0 && fetched < this.options.crawlBudget && !frontier.full) {
+      const { url, depth } = queue.shift();
+      if (!frontier.accepts(url)) continue;
+
+      if (fetched > 0) await delay(crawlDelayMs);
+      fetched++;
+
+      let response;
+      try {
+        response = await this.get(url, { responseType: 'text' });
+      } catch (error) {
+        console.warn(`⚠️ Link crawl could not fetch ${url}: ${error.message}`);
+        continue;
+      }
+      const contentType = String(response.headers['content-type'] || '');
+      if (response.status < 200 || response.status >= 300 || !contentType.includes('html')) continue;
+
+      frontier.add(url);
+      if (depth >= this.options.crawlDepth) continue;
+
+      const $ = cheerio.load(response.data);
+      $('a[href]').each((i, el) => {
+        const link = cleanUrl($(el).attr('href'), url);
+        if (link && isDocumentUrl(link)) {
+          frontier.add(link);
+          return;
+        }
+        if (!link || !frontier.accepts(link)) return;
+
+        const key = normalizeUrl(link);
+        if (seen.has(key)) return;
+        seen.add(key);
+        queue.push({ url: link, depth: depth + 1 });
+      });
+    }
+  }
+
+  // =============================================================================
+  // HELPERS
+  // =============================================================================
+
+  // Other sources living under this source's baseUrl
+  nestedSources(source) {
+    const base = withTrailingSlash(source.baseUrl);
+    return Object.values(this.sources).filter(other => {
+      const otherBase = withTrailingSlash(other.baseUrl);
+      return other.baseUrl !== source.baseUrl &&
+        hostKey(otherBase) === hostKey(base) &&
+        pathOf(otherBase).length > pathOf(base).length &&
+        pathOf(otherBase).startsWith(pathOf(base));
+    });
+  }
+
+  get(url, options = {}) {
+    return axios.get(url, {
+      timeout: 15000,
+      maxContentLength: 20 * 1024 * 1024,
+      headers: { 'User-Agent': RAG_CONFIG.ingestion.userAgent },
+      validateStatus: () => true,
+      ...options
+    });
+  }
+}
+
+/**
+ * De-duplicated URL list of one source. URLs are cleaned (no fragment or
+ * tracking parameters) and de-duplicated by their normalized form.
+ * Documents (PDF/DOCX/ODT) are kept in their own list.
+ */
+class Frontier {
+  constructor(source, { robots, excluded = [], maxUrls = Infinity }) {
+    this.source = source;
+    this.robots = robots;
+    this.excluded = excluded;
+    this.maxUrls = maxUrls;
+    this.entries = new Map();   // normalized URL → cleaned URL
+    this.documents = new Map();
+    this.lastModified = {};
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get full() {
+    return this.entries.size >= this.maxUrls;
+  }
+
+  accepts(url) {
+    const cleaned = cleanUrl(url);
+    return Boolean(cleaned) &&
+      belongsTo(cleaned, this.source) &&
+      !this.excluded.some(other => belongsTo(cleaned, other)) &&
+      !SKIPPED_EXTENSIONS.test(new URL(cleaned).pathname) &&
+      !SKIPPED_PATHS.test(new URL(cleaned).pathname) &&
+      this.robots.isAllowed(cleaned);
+  }
+
+  // Documents anywhere on the source's host, within robots.txt rules
+  acceptsDocument(url) {
+    const cleaned = cleanUrl(url);
+    return Boolean(cleaned) &&
+      isDocumentUrl(cleaned) &&
+      hostKey(cleaned) === hostKey(this.source.baseUrl) &&
+      this.robots.isAllowed(cleaned);
+  }
+
+  add(url, lastmod = null) {
+    const cleaned = cleanUrl(url);
+    if (cleaned && isDocumentUrl(cleaned)) {
+      if (!this.acceptsDocument(cleaned) || this.documents.size >= this.maxUrls) return false;
+      this.documents.set(normalizeUrl(cleaned), cleaned);
+      return true;
+    }
+    if (this.full || !cleaned || !this.accepts(cleaned)) return false;
+
+    const key = normalizeUrl(cleaned);
+    if (this.entries.has(key)) return false;
+
+    this.entries.set(key, cleaned);
+    if (lastmod) this.lastModified[cleaned] = lastmod;
+    return true;
+  }
+
+  urls() {
+    return Array.from(this.entries.values());
+  }
+
+  documentUrls() {
+    return Array.from(this.documents.values());
+  }
+}
+
+function configuredSources() {
+  return {
+    primary: RAG_CONFIG.sources.primary,
+    ...RAG_CONFIG.sources.blogs
+  };
+}
+
+// Absolute http(s) URL without fragment or tracking parameters, or null
+function cleanUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim(), base);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  parsed.hash = '';
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+  }
+  return parsed.href;
+}
+
+function belongsTo(url, source) {
+  const base = withTrailingSlash(source.baseUrl);
+  return hostKey(url) === hostKey(base) && withTrailingSlash(pathOf(url)).startsWith(pathOf(base));
+}
+
+function hostKey(url) {
+  return new URL(url).host.toLowerCase().replace(/^www\./, '');
+}
+
+function pathOf(url) {
+  return new URL(url).pathname;
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = UrlDiscovery;
@@ -0,0 +1,263 @@
+const axios = require('axios');
+const RAG_CONFIG = require('../config');
+const { htmlToText, htmlHeadings, htmlToBlocks, documentLinks } = require('./html-text');
+const Chunker = require('./chunker');
+const { isDocumentUrl } = require('./document-extractor');
+const { contentHash } = require('./chunk-ids');
+const { toChunks } = require('./pipeline/schema');
+
+const PER_PAGE = 100;
+
+/**
+ * Ingestion through the WordPress REST API (`scraper: 'wordpress'` sources).
+ *
+ * Pages through /wp/v2/posts and /wp/v2/pages with _embed, so author names
+ * and category/tag names come with each item, and appends the captions of
+ * attached media (/wp/v2/media). Only the post body is used, never the
+ * theme's navigation or sidebars. PDF/DOCX/ODT files in the media library or
+ * linked from posts go to the DocumentScraper passed as options.documents.
+ *
+ * In incremental mode items whose modified_gmt matches the crawl state are
+ * skipped, and previously ingested items no longer listed are re-checked
+ * over HTTP so 404/410 pages get marked for deletion. The crawl state of
+ * changed items is not written here: it comes back in `records` for the
+ * caller to record once their chunks are stored.
+ *
+ * scrapeSource() returns null when the REST API is disabled or missing, so
+ * the caller can fall back to HTML scraping.
+ */
+class WordPressScraper {
+  constructor(options = {}) {
+    this.crawler = options.crawler;
+    this.documents = options.documents || null;
+    this.maxItems = options.maxItems || RAG_CONFIG.ingestion.discovery.maxUrlsPerSource;
+    this.delayMs = options.delayMs ?? 500;
+    this.chunker = options.chunker || new Chunker();
+
+    this.stats = { items: 0, unchanged: 0, chunks: 0 };
+  }
+
+  // { chunks, records } for every changed post and page of the source
+  // (records: URL → { hash, validators, extra } to record once stored), or
+  // null when the REST API is not available
+  async scrapeSource(sourceConfig) {
+    const apiRoot = await this.findApiRoot(sourceConfig.baseUrl);
+    if (!apiRoot) return null;
+
+    console.log(`📰 Reading WordPress REST API: ${apiRoot}`);
+
+    const { captions, documents } = await this.fetchMedia(apiRoot);
+    const content = [];
+    const records = new Map();
+    const listed = new Set();
+    let complete = true;
+
+    for (const type of ['posts', 'pages']) {
+      const items = await this.fetchCollection(apiRoot, type, { _embed: 1 });
+      if (items === null) {
+        // Listing failed part way: skip gone-page detection for this run
+        complete = false;
+        continue;
+      }
+
+      for (const item of items) {
+        if (listed.size >= this.maxItems) break;
+        listed.add(item.link);
+        documents.push(...documentLinks(item.content?.rendered, item.link));
+        const { chunks, record } = await this.itemToChunks(item, type, sourceConfig, captions.get(item.id));
+        content.push(...chunks);
+        if (record) records.set(item.link, record);
+      }
+    }
+
+    // A listing cut at maxItems says nothing about the items left out
+    if (listed.size >= this.maxItems) complete = false;
+
+    if (complete && this.crawler) {
+      await this.crawler.recheckUnlisted(sourceConfig.baseUrl, listed, { delayMs: this.delayMs });
+    }
+
+    if (this.documents) {
+      const linked = await this.documents.scrapeDocuments(documents, sourceConfig);
+      content.push(...linked.chunks);
+      for (const [url, record] of linked.records) records.set(url, record);
+    }
+
+    console.log(`✅ WordPress ${sourceConfig.domain}: ${this.stats.items} items, ${this.stats.unchanged} unchanged, ${content.length} chunks`);
+    return { chunks: content, records };
+  }
+
+  // REST root from {baseUrl}/wp-json/, else from the site's
+  // Link: <...>; rel="https://api.w.org/" header
+  async findApiRoot(baseUrl) {
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+
+    const direct = `${base}wp-json/`;
+    if (await this.isApiRoot(direct)) return direct;
+
+    try {
+      const response = await this.get(base, { responseType: 'text' });
+      const link = String(response.headers.link || '');
+      const advertised = link.match(/<([^>]+)>;\s*rel="https:\/\/api\.w\.org\/"/);
+      if (advertised && await this.isApiRoot(advertised[1])) {
+        return advertised[1].endsWith('/') ? advertised[1] : `${advertised[1]}/`;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${base}: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  async isApiRoot(url) {
+    try {
+      const response = await this.get(url);
+      return response.status === 200 &&
+        typeof response.data === 'object' &&
+        Array.isArray(response.data?.namespaces) &&
+        response.data.namespaces.includes('wp/v2');
+    } catch {
+      return false;
+    }
+  }
+
+  // Every item of a collection, or null when a page request fails
+  async fetchCollection(apiRoot, type, params = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      try {
+        const response = await this.get(`${apiRoot}wp/v2/${type}`, {
+          params: { per_page: PER_PAGE, page, ...params }
+        });
+
+        if (response.status !== 200 || !Array.isArray(response.data)) {
+          console.warn(`⚠️ WordPress ${type} page ${page} returned HTTP ${response.status}`);
+          return null;
+        }
+
+        items.push(...response.data);
+        totalPages = parseInt(response.headers['x-wp-totalpages'], 10) || 1;
+      } catch (error) {
+        console.warn(`⚠️ WordPress ${type} page ${page} failed: ${error.message}`);
+        return null;
+      }
+
+      page++;
+      if (page <= totalPages) await delay(this.delayMs);
+    } while (page <= totalPages && items.length < this.maxItems);
+
+    return items;
+  }
+
+  // captions: post ID → ["caption or alt text", ...] for attached media;
+  // documents: URLs of the PDF/DOCX/ODT files in the media library
+  async fetchMedia(apiRoot) {
+    const captions = new Map();
+    const documents = [];
+    const media = await this.fetchCollection(apiRoot, 'media');
+
+    for (const item of media || []) {
+      if (item.source_url && isDocumentUrl(item.source_url)) {
+        documents.push(item.source_url);
+        continue;
+      }
+
+      const caption = htmlToText(item.caption?.rendered) || item.alt_text || '';
+      if (!item.post || !caption) continue;
+
+      if (!captions.has(item.post)) captions.set(item.post, []);
+      captions.get(item.post).push(caption);
+    }
+
+    return { captions, documents };
+  }
+
+  // { chunks, record } of one post or page; record is the crawl state to
+  // write once the chunks are stored (none for skipped items)
+  async itemToChunks(item, type, sourceConfig, captions = []) {
+    const url = item.link;
+    const modifiedGmt = item.modified_gmt;
+
+    this.stats.items++;
+
+    // Unchanged since the last crawl according to WordPress itself
+    if (this.crawler?.incremental) {
+      const entry = await this.crawler.state.get(url);
+      if (entry && entry.status === 'active' && entry.modifiedGmt === modifiedGmt) {
+        this.stats.unchanged++;
+        return { chunks: [] };
+      }
+    }
+
+    const headings = htmlHeadings(item.content?.rendered);
+    const body = htmlToText(item.content?.rendered);
+    const captionText = captions.length > 0 ? `\n\nImatges: ${captions.join('. ')}` : '';
+    const text = `${body}${captionText}`.trim();
+
+    if (text.length < 100) return { chunks: [] };
+
+    const record = { hash: contentHash(text), validators: {}, extra: { modifiedGmt, listedBy: sourceConfig.baseUrl } };
+    if (this.crawler?.incremental && !(await this.crawler.hashChanged(url, record.hash))) {
+      // Same text as what is stored: only the modified date moved
+      await this.crawler.recordHash(url, record.hash, record.validators, record.extra);
+      this.stats.unchanged++;
+      return { chunks: [] };
+    }
+
+    const embedded = item._embedded || {};
+    const terms = (embedded['wp:term'] || []).flat();
+    const categories = terms.filter(term => term.taxonomy === 'category').map(term => term.name);
+    const tags = terms.filter(term => term.taxonomy === 'post_tag').map(term => term.name);
+    const author = embedded.author?.[0]?.name;
+
+    const title = htmlToText(item.title?.rendered);
+    const blocks = htmlToBlocks(item.content?.rendered);
+    if (captions.length > 0) blocks.push({ type: 'paragraph', text: `Imatges: ${captions.join('. ')}` });
+
+    const pieces = await this.chunker.chunkBlocks(blocks, { sourceType: sourceConfig.type, title });
+    this.stats.chunks += pieces.length;
+
+    const chunks = toChunks({
+      url,
+      source: sourceConfig,
+      title,
+      author,
+      publishedDate: gmtToIso(item.date_gmt),
+      modifiedDate: gmtToIso(modifiedGmt),
+      headings,
+      metadata: {
+        categories,
+        tags,
+        wpId: item.id,
+        wpType: type === 'posts' ? 'post' : 'page'
+      }
+    }, pieces);
+
+    return { chunks, record };
+  }
+
+  get(url, options = {}) {
+    return axios.get(url, {
+      timeout: 15000,
+      headers: { 'User-Agent': RAG_CONFIG.ingestion.userAgent },
+      validateStatus: () => true,
+      ...options
+    });
+  }
+}
+
+// WordPress *_gmt fields have no timezone suffix
+function gmtToIso(value) {
+  if (!value) return undefined;
+  const date = new Date(`${value}Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = WordPressScraper;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const LLMProvider = require('./llm-provider');
+
+/**
+ * Deterministic stand-in for tests, CI and offline development.
+ * - Embeddings hash words and character trigrams into a fixed-size vector,
+ *   so texts sharing vocabulary get high cosine similarity.
+ * - Chat answers come from a templated responder (overridable through
+ *   options.responder) and are streamed word by word when onToken is given.
+ * Token usage is estimated at ~4 characters per token.
+ */
+class FakeLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      chatModel: options.chatModel || 'fake-chat',
+      embeddingModel: options.embeddingModel || 'fake-embedding'
+    });
+    this.name = 'fake';
+    this.embeddingDimensions = options.embeddingDimensions || 256;
+    this.responder = options.responder || defaultResponder;
+  }
+
+  async createChatCompletion(params, options = {}) {
+    const { onToken, signal } = options;
+    const content = await this.responder(params.messages, params, options);
+
+    if (onToken) {
+      for (const token of content.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          throw new Error('Request was aborted.');
+        }
+        onToken(token);
+      }
+    }
+
+    return {
+      content,
+      usage: {
+        model: params.model,
+        inputTokens: estimateTokens(params.messages.map(message => message.content).join('\n')),
+        outputTokens: estimateTokens(content)
+      }
+    };
+  }
+
+  async createEmbeddings(texts, options = {}) {
+    const dimensions = options.dimensions || this.embeddingDimensions;
+
+    return {
+      embeddings: texts.map(text => hashEmbedding(text, dimensions)),
+      usage: {
+        model: options.model,
+        inputTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+        outputTokens: 0
+      }
+    };
+  }
+}
+
+// Default responder: echo standalone queries for rewrites, score passages for
+// reranking, otherwise answer with the question and the source URLs found in
+// the system prompt.
+function defaultResponder(messages, params, options = {}) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const question = lastUser ? lastUser.content : '';
+
+  if (options.type === 'query-rewrite') {
+    const marker = question.lastIndexOf('Última pregunta:');
+    return marker === -1 ? question : question.slice(marker + 'Última pregunta:'.length).trim();
+  }
+
+  if (options.type === 'rerank') {
+    return fakeRerank(question);
+  }
+
+  const system = messages.find(message => message.role === 'system');
+  const urls = system ? [...new Set(system.content.match(/https?:\/\/\S+/g) || [])] : [];
+
+  return urls.length > 0
+    ? `Resposta de prova a "${question}". Fonts: ${urls.slice(0, 3).join(', ')}`
+    : `Resposta de prova a "${question}".`;
+}
+
+// Listwise rerank reply: score each "[n] passage" by words shared with the
+// "Pregunta:" line
+function fakeRerank(prompt) {
+  const [questionPart, passagesPart = ''] = prompt.split('\n\nFragments:\n');
+  const questionWords = new Set(words(questionPart.replace(/^Pregunta:/, '')));
+  const passages = passagesPart.split(/\n\n(?=\[\d+\] )/).filter(Boolean);
+
+  const ranking = passages.map((passage, index) => {
+    const shared = new Set(words(passage).filter(word => questionWords.has(word)));
+    return { passage: index + 1, score: Math.min(10, shared.size * 3) };
+  });
+
+  return JSON.stringify(ranking.sort((a, b) => b.score - a.score));
+}
+
+function words(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+
+  const addFeature = (feature, weight) => {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const index = hash.readUInt32BE(0) % dimensions;
+    const sign = hash[4] & 1 ? 1 : -1;
+    vector[index] += sign * weight;
+  };
+
+  for (const word of words(text)) {
+    addFeature(`w:${word}`, 1);
+
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      addFeature(`t:${padded.slice(i, i + 3)}`, 0.3);
+    }
+  }
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map(value => value / length);
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = FakeLLMProvider;
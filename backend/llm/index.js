@@ -0,0 +1,48 @@
+const RAG_CONFIG = require('../config');
+const CostTracker = require('../admin/cost-tracker');
+const LLMProvider = require('./llm-provider');
+const OpenAIProvider = require('./openai-provider');
+const FakeLLMProvider = require('./fake-provider');
+const { countTokens } = require('./tokens');
+
+// Create the chat/embedding provider selected by RAG_CONFIG.llm.provider.
+// Usage is reported to the process-wide CostTracker unless another is given.
+function createLLMProvider(options = {}) {
+  const config = { ...RAG_CONFIG.llm, ...options };
+  const providerOptions = {
+    costTracker: options.costTracker || CostTracker.getInstance(),
+    chatModel: config.chatModel,
+    fastModel: config.fastModel,
+    embeddingModel: options.embeddingModel || RAG_CONFIG.embedding.model,
+    embeddingDimensions: options.embeddingDimensions || RAG_CONFIG.embedding.dimensions,
+    apiKey: config.apiKey,
+    ...options
+  };
+
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIProvider({ ...providerOptions, baseURL: undefined });
+    case 'openai-compatible':
+      if (!config.baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({ ...providerOptions, baseURL: config.baseURL });
+    case 'fake':
+      // Keep the fake model names (unpriced) unless explicitly overridden
+      return new FakeLLMProvider({
+        ...providerOptions,
+        chatModel: options.chatModel,
+        embeddingModel: options.embeddingModel
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  LLMProvider,
+  OpenAIProvider,
+  FakeLLMProvider,
+  countTokens
+};
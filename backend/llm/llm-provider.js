@@ -0,0 +1,91 @@
+const { countTokens } = require('./tokens');
+
+/**
+ * Base class for chat completion and embedding providers.
+ *
+ * chat(params, options)  → { content, usage }
+ *   params:  OpenAI-style { model?, messages, max_tokens, temperature }
+ *   options: { onToken, signal, type, feature, sessionId, engine }
+ *            — onToken streams answer deltas
+ * embed(texts, options)  → { embeddings, usage }
+ *
+ * usage is { model, inputTokens, outputTokens } and is reported to the
+ * CostTracker automatically, attributed to options.type (the operation) and
+ * to the feature, session and engine that made the call. A chat call that
+ * fails after reaching the model (aborted by the client or cut off mid-way)
+ * is still billed, so its usage is estimated from the prompt and the text
+ * streamed so far.
+ */
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = 'abstract';
+    this.costTracker = options.costTracker || null;
+    this.models = {
+      chat: options.chatModel,
+      // Cheaper model for auxiliary calls (query rewrites, reranking)
+      fast: options.fastModel || options.chatModel,
+      embedding: options.embeddingModel
+    };
+    this.embeddingDimensions = options.embeddingDimensions;
+  }
+
+  async chat(params, options = {}) {
+    const request = { ...params, model: params.model || this.models.chat };
+    let streamed = '';
+    const onToken = options.onToken && (delta => {
+      streamed += delta;
+      options.onToken(delta);
+    });
+
+    let usage = null;
+    try {
+      const result = await this.createChatCompletion(request, { ...options, onToken });
+      usage = result.usage;
+      return result;
+    } catch (error) {
+      // An API error response (rate limit, invalid request) means nothing
+      // was generated
+      if (!error.status) usage = estimateUsage(request, streamed);
+      throw error;
+    } finally {
+      this.trackUsage(usage, options.type || 'chat', options);
+    }
+  }
+
+  async embed(texts, options = {}) {
+    const result = await this.createEmbeddings(texts, {
+      model: options.model || this.models.embedding,
+      dimensions: options.dimensions || this.embeddingDimensions,
+      signal: options.signal
+    });
+
+    this.trackUsage(result.usage, options.type || 'embedding', options);
+    return result;
+  }
+
+  // Implemented by providers
+  async createChatCompletion(params, options) {
+    throw new Error(`${this.constructor.name}.createChatCompletion() not implemented`);
+  }
+
+  async createEmbeddings(texts, options) {
+    throw new Error(`${this.constructor.name}.createEmbeddings() not implemented`);
+  }
+
+  trackUsage(usage, type, { feature, sessionId, engine } = {}) {
+    if (!this.costTracker || !usage) return;
+    if (!usage.inputTokens && !usage.outputTokens) return;
+
+    this.costTracker.trackCompletion(usage.model, usage.inputTokens, usage.outputTokens, type, { feature, sessionId, engine });
+  }
+}
+
+function estimateUsage({ model, messages = [] }, output) {
+  return {
+    model,
+    inputTokens: messages.reduce((sum, message) => sum + countTokens(typeof message.content === 'string' ? message.content : ''), 0),
+    outputTokens: countTokens(output)
+  };
+}
+
+module.exports = LLMProvider;
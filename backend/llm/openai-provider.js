@@ -0,0 +1,93 @@
+const { OpenAI } = require('openai');
+const LLMProvider = require('./llm-provider');
+
+/**
+ * OpenAI provider. With a baseURL it talks to any OpenAI-compatible server
+ * (Ollama, vLLM, LM Studio); those usually ignore or reject the `dimensions`
+ * embedding parameter, so it is only sent when explicitly configured.
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      fastModel: options.fastModel || (options.baseURL ? undefined : 'gpt-3.5-turbo')
+    });
+    this.name = options.baseURL ? 'openai-compatible' : 'openai';
+    this.baseURL = options.baseURL;
+    this.sendDimensions = options.sendDimensions ?? !options.baseURL;
+
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY || (options.baseURL ? 'not-needed' : undefined),
+      baseURL: options.baseURL
+    });
+  }
+
+  async createChatCompletion(params, options = {}) {
+    const { onToken, signal } = options;
+
+    if (!onToken) {
+      const completion = await this.client.chat.completions.create(params, { signal });
+
+      return {
+        content: completion.choices[0].message.content,
+        usage: normalizeUsage(params.model, completion.usage)
+      };
+    }
+
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+
+      // The final chunk carries token usage and no choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return {
+      content,
+      usage: normalizeUsage(params.model, usage)
+    };
+  }
+
+  async createEmbeddings(texts, options = {}) {
+    const { model, dimensions, signal } = options;
+
+    const response = await this.client.embeddings.create({
+      model,
+      input: texts,
+      ...(this.sendDimensions && dimensions ? { dimensions } : {})
+    }, { signal });
+
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      usage: {
+        model,
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: 0
+      }
+    };
+  }
+}
+
+function normalizeUsage(model, usage) {
+  return {
+    model,
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0
+  };
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,14 @@
+const { getEncoding } = require('js-tiktoken');
+
+// cl100k_base is the tokenizer of the OpenAI embedding (text-embedding-3-*,
+// ada-002) and GPT-4/3.5 models. Other providers tokenize differently, so
+// their counts are close estimates.
+let encoding = null;
+
+function countTokens(text) {
+  if (!text) return 0;
+  if (!encoding) encoding = getEncoding('cl100k_base');
+  return encoding.encode(text).length;
+}
+
+module.exports = { countTokens };
@@ -1,15 +1,15 @@
-const { OpenAI } = require('openai');
 const RAG_CONFIG = require('./config');
+const { createLLMProvider } = require('./llm');
+const { rewriteFollowUpQuestion, getRecentHistory } = require('./query-rewriter');
+const { resolveFilters } = require('./retrieval/filters');
 
 /**
  * MCP-powered RAG Engine for Guimerà Museum
  * Uses Pinecone MCP for vector operations and advanced reranking
  */
 class MCPGuimeraRAGEngine {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  constructor(options = {}) {
+    this.llm = options.llm || createLLMProvider();
 
     this.indexName = RAG_CONFIG.vectorDB.indexName;
     this.namespace = RAG_CONFIG.vectorDB.namespace;
@@ -80,8 +80,21 @@ class MCPGuimeraRAGEngine {
       useReranking = true,
       minScore = 0.7,
       rerankModel = 'pinecone-rerank-v0', // Best Pinecone reranker
-      rerankTopN = 5
+      rerankTopN = 5,
+      filters,
+      autoFilters,
+      history = [],
+      onRetrieval,
+      onToken,
+      signal,
+      sessionId,
+      engine = 'mcp',
+      feature = 'chat-rag',
+      chatModel,
+      maxTokens
     } = options;
+    // Pinecone embeds the query itself; only rewrite and answer calls are ours
+    const attribution = { feature, sessionId, engine };
 
     try {
       console.log(`🔍 Processing MCP query: "${userQuestion}"`);
@@ -90,11 +103,22 @@ class MCPGuimeraRAGEngine {
         throw new Error('MCP tools not available for querying');
       }
 
-      // Prepare MCP search query
+      // Resolve follow-ups against the conversation before searching
+      const queryRewrite = await rewriteFollowUpQuestion(this.llm, userQuestion, history, { signal, attribution });
+      const searchText = queryRewrite.query;
+
+      if (queryRewrite.rewritten) {
+        console.log(`✏️ Rewritten query: "${searchText}"`);
+      }
+
+      // Prepare MCP search query, with explicit and inferred metadata filters
+      const resolvedFilters = resolveFilters(searchText, { filters, autoFilters });
       const searchQuery = {
         topK: useReranking ? Math.min(topK * 3, 50) : topK, // Get more for reranking
-        inputs: { text: userQuestion }
+        inputs: { text: searchText },
+        ...(resolvedFilters.metadataFilter ? { filter: resolvedFilters.metadataFilter } : {})
       };
+      let appliedFilters = resolvedFilters.applied;
 
       let searchConfig = {
         name: this.indexName,
@@ -108,12 +132,20 @@ class MCPGuimeraRAGEngine {
           model: rerankModel,
           topN: rerankTopN,
           rankFields: ['text'], // Field to rerank on
-          query: userQuestion // Reranking query (can be different from search)
+          query: searchText // Reranking query (can be different from search)
         };
       }
 
       // Execute MCP search with integrated reranking
-      const searchResults = await this.mcpTools.searchRecords(searchConfig);
+      let searchResults = await this.mcpTools.searchRecords(searchConfig);
+
+      // Inferred filters are a guess; drop them when nothing matches
+      if (!searchResults.matches?.length && resolvedFilters.inferred) {
+        const { filter, ...unfiltered } = searchQuery;
+        searchConfig.query = resolvedFilters.explicit ? { ...unfiltered, filter: resolvedFilters.explicit } : unfiltered;
+        searchResults = await this.mcpTools.searchRecords(searchConfig);
+        appliedFilters = { ...filters, relaxed: true };
+      }
 
       console.log(`📊 MCP search found ${searchResults.matches?.length || 0} results`);
 
@@ -123,28 +155,43 @@ class MCPGuimeraRAGEngine {
       );
 
       if (relevantResults.length === 0) {
+        const answer = "No he trobat informació específica sobre aquesta pregunta en les fonts de guimera.info. Podries reformular la pregunta o ser més específic?";
+        onRetrieval?.({ sources: [], confidence: 0, searchResults: 0 });
+        onToken?.(answer);
+
         return {
-          answer: "No he trobat informació específica sobre aquesta pregunta en les fonts de guimera.info. Podries reformular la pregunta o ser més específic?",
+          answer,
           sources: [],
           confidence: 0,
           searchResults: 0,
           method: 'mcp',
           reranked: useReranking,
-          model: rerankModel
+          model: rerankModel,
+          queryRewrite,
+          filters: appliedFilters
         };
       }
 
       // Generate enhanced answer
       const answer = await this.generateAnswer(userQuestion, relevantResults, {
         reranked: useReranking,
-        model: rerankModel
+        model: rerankModel,
+        history,
+        onRetrieval,
+        onToken,
+        signal,
+        attribution,
+        chatModel,
+        maxTokens
       });
 
       return {
         ...answer,
         method: 'mcp',
         reranked: useReranking,
-        model: rerankModel
+        model: rerankModel,
+        queryRewrite,
+        filters: appliedFilters
       };
 
     } catch (error) {
@@ -155,8 +202,12 @@ class MCPGuimeraRAGEngine {
 
   // Enhanced answer generation with MCP metadata
   async generateAnswer(question, searchResults, options = {}) {
+    const { history = [], onRetrieval, onToken, signal, attribution, chatModel, maxTokens = 900 } = options;
     const context = this.prepareEnhancedContext(searchResults);
     const sources = this.extractEnhancedSources(searchResults);
+    const confidence = this.calculateEnhancedConfidence(searchResults);
+
+    onRetrieval?.({ sources, confidence, searchResults: searchResults.length });
 
     const systemPrompt = `# Guia Expert del Museu Guimerà - Mode MCP Avançat
 
@@ -174,7 +225,7 @@ Ets un/a guía expert/a del Museu Guimerà i del poble de Guimerà. Utilitza la
 ## Metadades del sistema:
 - Motor de cerca: Pinecone MCP amb ${options.reranked ? `reranking ${options.model}` : 'puntuació de similitud'}
 - Fonts analitzades: ${sources.length}
-- Confiança del sistema: ${this.calculateEnhancedConfidence(searchResults).toFixed(3)}
+- Confiança del sistema: ${confidence.toFixed(3)}
 
 ## Context disponible (ordenat per rellevància):
 ${context}
@@ -182,22 +233,24 @@ ${context}
 ## Fonts consultades:
 ${sources.map((s, i) => `${i + 1}. ${s.title} (${s.source}) - Puntuació: ${s.relevanceScore.toFixed(3)}`).join('\n')}`;
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4',
+    const completion = await this.llm.chat({
+      model: chatModel,
       messages: [
         { role: 'system', content: systemPrompt },
+        ...getRecentHistory(history),
         { role: 'user', content: question }
       ],
-      max_tokens: 900,
+      max_tokens: maxTokens,
       temperature: 0.3
-    });
+    }, { onToken, signal, ...attribution });
 
     return {
-      answer: response.choices[0].message.content,
+      answer: completion.content,
       sources: sources,
-      confidence: this.calculateEnhancedConfidence(searchResults),
+      confidence,
       searchResults: searchResults.length,
-      enhanced: true
+      enhanced: true,
+      usage: completion.usage
     };
   }
 
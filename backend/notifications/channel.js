@@ -0,0 +1,50 @@
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+/**
+ * Base class for admin alert channels.
+ *
+ * send(alerts) → delivers one message for a batch of alerts
+ *   alerts: [{ type, message, severity, source, details, timestamp }]
+ *
+ * A channel only receives alerts at or above its minSeverity; the Notifier
+ * takes care of filtering, de-duplication and quiet hours.
+ */
+class NotificationChannel {
+  constructor(config = {}) {
+    this.name = 'abstract';
+    this.id = config.id;
+    this.label = config.name || config.id;
+    this.minSeverity = config.minSeverity || 'warning';
+  }
+
+  accepts(alert) {
+    return severityRank(alert.severity) >= severityRank(this.minSeverity);
+  }
+
+  async send(alerts) {
+    throw new Error(`${this.constructor.name}.send() not implemented`);
+  }
+
+  // Plain-text rendering shared by the channels
+  formatSubject(alerts) {
+    const top = alerts.reduce((worst, alert) => severityRank(alert.severity) > severityRank(worst.severity) ? alert : worst);
+    return alerts.length === 1
+      ? `[Guimerà AI] ${top.severity.toUpperCase()}: ${top.type}`
+      : `[Guimerà AI] ${alerts.length} alertes (${top.severity.toUpperCase()})`;
+  }
+
+  formatText(alerts) {
+    return alerts
+      .map(alert => `• [${alert.severity}] ${alert.type}: ${alert.message}${alert.source ? ` (${alert.source})` : ''}`)
+      .join('\n');
+  }
+}
+
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.indexOf('error') : rank;
+}
+
+module.exports = NotificationChannel;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.severityRank = severityRank;
@@ -0,0 +1,35 @@
+const WebhookChannel = require('./webhook-channel');
+
+// Slack incoming webhooks take { text } with mrkdwn; Matrix webhook bridges
+// (hookshot and the like) take { text, html } plus a display name
+class ChatWebhookChannel extends WebhookChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = config.type === 'matrix' ? 'matrix' : 'slack';
+    this.username = config.username || 'Guimerà AI';
+  }
+
+  payload(alerts) {
+    const subject = this.formatSubject(alerts);
+    const text = this.formatText(alerts);
+
+    if (this.name === 'matrix') {
+      return {
+        text: `${subject}\n${text}`,
+        html: `<strong>${escapeHtml(subject)}</strong><br>${escapeHtml(text).replace(/\n/g, '<br>')}`,
+        username: this.username
+      };
+    }
+
+    return {
+      text: `*${subject}*\n${text}`,
+      username: this.username
+    };
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = ChatWebhookChannel;
@@ -0,0 +1,22 @@
+const EmailChannel = require('./email-channel');
+const WebhookChannel = require('./webhook-channel');
+const ChatWebhookChannel = require('./chat-webhook-channel');
+
+const CHANNEL_TYPES = ['email', 'webhook', 'slack', 'matrix'];
+
+// Create an alert channel from its stored config ({ id, type, ... })
+function createChannel(config) {
+  switch (config.type) {
+    case 'email':
+      return new EmailChannel(config);
+    case 'webhook':
+      return new WebhookChannel(config);
+    case 'slack':
+    case 'matrix':
+      return new ChatWebhookChannel(config);
+    default:
+      throw new Error(`Unknown notification channel: ${config.type}`);
+  }
+}
+
+module.exports = { createChannel, CHANNEL_TYPES };
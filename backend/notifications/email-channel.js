@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+const RAG_CONFIG = require('../config');
+const NotificationChannel = require('./channel');
+
+// SMTP email through nodemailer; the server comes from the channel's `smtp`
+// settings or RAG_CONFIG.notifications.smtp
+class EmailChannel extends NotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'email';
+    this.to = config.to;
+    if (!this.to) {
+      throw new Error('The email channel needs a recipient (to)');
+    }
+
+    const smtp = { ...RAG_CONFIG.notifications.smtp, ...config.smtp };
+    if (!smtp.host) {
+      throw new Error('The email channel needs an SMTP host (SMTP_HOST)');
+    }
+
+    this.from = config.from || smtp.from;
+    this.transport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      // Local SMTP sinks run without TLS
+      ignoreTLS: !smtp.secure && !smtp.user
+    });
+  }
+
+  async send(alerts) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: this.formatSubject(alerts),
+      text: `${this.formatText(alerts)}\n\n— Guimerà AI Assistant (${new Date().toISOString()})`
+    });
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,17 @@
+const NotificationChannel = require('./channel');
+const EmailChannel = require('./email-channel');
+const WebhookChannel = require('./webhook-channel');
+const ChatWebhookChannel = require('./chat-webhook-channel');
+const Notifier = require('./notifier');
+const { createChannel, CHANNEL_TYPES } = require('./create-channel');
+
+module.exports = {
+  Notifier,
+  NotificationError: Notifier.NotificationError,
+  createChannel,
+  CHANNEL_TYPES,
+  NotificationChannel,
+  EmailChannel,
+  WebhookChannel,
+  ChatWebhookChannel
+};
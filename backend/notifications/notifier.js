@@ -0,0 +1,379 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const RAG_CONFIG = require('../config');
+const { SEVERITIES, severityRank } = require('./channel');
+const { createChannel, CHANNEL_TYPES } = require('./create-channel');
+
+// Channel settings that hold credentials, masked when channels are listed
+const SECRET_FIELDS = ['url', 'headers', 'smtp'];
+
+class NotificationError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Delivers admin alerts (scheduler issues, budget alerts) to the channels
+ * configured through the admin API: SMTP email, a generic JSON webhook and
+ * Slack/Matrix incoming webhooks.
+ *
+ * The same alert (source, type and message, or its `key`) is sent at most
+ * once per `dedupeMinutes`, counted from its first delivery to a channel;
+ * an alert no channel accepted is sent again next time. During quiet hours
+ * (Europe/Madrid) alerts below `quietHours.minSeverity` are held and sent
+ * together when they end. Each channel has its own minimum severity.
+ * Channels are saved to data/notifications/channels.json; recent deliveries
+ * are kept in memory.
+ */
+class Notifier {
+  constructor(options = {}) {
+    const config = RAG_CONFIG.notifications;
+    this.directory = path.resolve(__dirname, '..', options.directory || config.directory);
+    this.dedupeMs = config.dedupeMinutes * 60 * 1000;
+    this.quietHours = config.quietHours;
+    this.historySize = config.historySize;
+
+    this.channels = new Map();   // id → stored config
+    this.instances = new Map();  // id → channel
+    this.recent = new Map();     // dedupe key → last sent (ms)
+    this.pending = new Set();    // dedupe keys being delivered or held
+    this.held = [];              // alerts waiting for quiet hours to end
+    this.flushTimer = null;
+    this.history = [];
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  static getInstance() {
+    if (!Notifier.instance) {
+      Notifier.instance = new Notifier();
+    }
+    return Notifier.instance;
+  }
+
+  initialize() {
+    if (!this.loaded) {
+      this.loaded = this.load();
+    }
+    return this.loaded;
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(path.join(this.directory, 'channels.json'), 'utf8'));
+      for (const channel of saved.channels || []) {
+        this.channels.set(channel.id, channel);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read notification channels:', error.message);
+    }
+  }
+
+  save() {
+    const data = { channels: Array.from(this.channels.values()) };
+
+    this.writes = this.writes
+      .then(async () => {
+        const filePath = path.join(this.directory, 'channels.json');
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch(error => console.error('❌ Failed to save notification channels:', error.message));
+    return this.writes;
+  }
+
+  // =============================================================================
+  // CHANNELS
+  // =============================================================================
+
+  async listChannels() {
+    await this.initialize();
+    return Array.from(this.channels.values()).map(maskChannel);
+  }
+
+  async addChannel({ type, name, minSeverity = 'warning', enabled = true, ...settings } = {}) {
+    await this.initialize();
+    const channel = { id: crypto.randomUUID(), type, name: name || type, minSeverity, enabled: Boolean(enabled), ...settings };
+
+    this.validate(channel);
+    this.channels.set(channel.id, channel);
+    await this.save();
+
+    console.log(`🔔 Notification channel added: ${channel.name} (${type})`);
+    return maskChannel(channel);
+  }
+
+  // Omitted settings keep their value, so masked secrets need not be sent back
+  async updateChannel(id, changes = {}) {
+    await this.initialize();
+    const current = this.requireChannel(id);
+    const { id: ignoredId, type: ignoredType, ...rest } = changes;
+    const channel = { ...current, ...rest, enabled: rest.enabled === undefined ? current.enabled : Boolean(rest.enabled) };
+
+    this.validate(channel);
+    this.channels.set(id, channel);
+    this.instances.delete(id);
+    await this.save();
+    return maskChannel(channel);
+  }
+
+  async removeChannel(id) {
+    await this.initialize();
+    this.requireChannel(id);
+    this.channels.delete(id);
+    this.instances.delete(id);
+    await this.save();
+  }
+
+  validate(channel) {
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      throw new NotificationError(`Tipus de canal desconegut: ${channel.type}`, 400, { availableTypes: CHANNEL_TYPES });
+    }
+    if (!SEVERITIES.includes(channel.minSeverity)) {
+      throw new NotificationError(`Severitat no vàlida: ${channel.minSeverity}`, 400, { severities: SEVERITIES });
+    }
+    try {
+      createChannel(channel);
+    } catch (error) {
+      throw new NotificationError(`Configuració del canal no vàlida: ${error.message}`, 400);
+    }
+  }
+
+  requireChannel(id) {
+    const channel = this.channels.get(id);
+    if (!channel) {
+      throw new NotificationError('Canal de notificació no trobat', 404);
+    }
+    return channel;
+  }
+
+  instance(id) {
+    if (!this.instances.has(id)) {
+      this.instances.set(id, createChannel(this.channels.get(id)));
+    }
+    return this.instances.get(id);
+  }
+
+  // =============================================================================
+  // ALERTS
+  // =============================================================================
+
+  // Never throws: alerting must not break the caller
+  async notify(alerts) {
+    try {
+      await this.initialize();
+      const now = Date.now();
+
+      const fresh = [].concat(alerts).map(normalizeAlert).filter(alert => {
+        const key = dedupeKey(alert);
+        if (this.pending.has(key) || now - (this.recent.get(key) || 0) < this.dedupeMs) return false;
+        this.pending.add(key);
+        return true;
+      });
+      this.pruneRecent(now);
+
+      if (fresh.length === 0) return [];
+
+      if (this.inQuietHours()) {
+        const urgent = fresh.filter(alert => severityRank(alert.severity) >= severityRank(this.quietHours.minSeverity));
+        const deferred = fresh.filter(alert => !urgent.includes(alert));
+        if (deferred.length > 0) this.hold(deferred);
+        return urgent.length > 0 ? this.deliver(urgent) : [];
+      }
+
+      return this.deliver(fresh);
+    } catch (error) {
+      console.error('❌ Failed to send admin alerts:', error.message);
+      return [];
+    }
+  }
+
+  // Test alert to one channel (or all enabled ones), bypassing
+  // de-duplication, quiet hours and severity thresholds
+  async sendTest(channelId) {
+    await this.initialize();
+    if (channelId) this.requireChannel(channelId);
+
+    const alert = normalizeAlert({
+      type: 'test-alert',
+      severity: 'info',
+      source: 'admin',
+      message: 'Alerta de prova del Guimerà AI Assistant'
+    });
+    return this.deliver([alert], { channelId, force: true });
+  }
+
+  async deliver(alerts, { channelId, force = false } = {}) {
+    const targets = Array.from(this.channels.values())
+      .filter(channel => channelId ? channel.id === channelId : channel.enabled);
+
+    const results = [];
+    try {
+      for (const config of targets) {
+        let channel;
+        try {
+          channel = this.instance(config.id);
+        } catch (error) {
+          results.push(this.record(config, alerts, 'failed', error.message));
+          continue;
+        }
+
+        const accepted = force ? alerts : alerts.filter(alert => channel.accepts(alert));
+        if (accepted.length === 0) continue;
+
+        try {
+          await channel.send(accepted);
+          results.push(this.record(config, accepted, 'sent'));
+          if (!force) this.markSent(accepted);
+        } catch (error) {
+          console.error(`❌ Alert delivery to ${config.name} failed:`, error.message);
+          results.push(this.record(config, accepted, 'failed', error.message));
+        }
+      }
+    } finally {
+      if (!force) {
+        for (const alert of alerts) this.pending.delete(dedupeKey(alert));
+      }
+    }
+
+    if (targets.length === 0) {
+      console.log('🔕 No notification channels configured, alerts only logged');
+    }
+    return results;
+  }
+
+  record(config, alerts, status, error = null) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      channelId: config.id,
+      channel: config.name,
+      type: config.type,
+      alerts: alerts.map(alert => ({ type: alert.type, severity: alert.severity, source: alert.source })),
+      status,
+      error
+    };
+
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history = this.history.slice(-this.historySize);
+    }
+    return entry;
+  }
+
+  getHistory(limit = 50) {
+    return this.history.slice(-limit).reverse();
+  }
+
+  // Starts the dedupe window of alerts a channel took
+  markSent(alerts) {
+    const now = Date.now();
+    for (const alert of alerts) this.recent.set(dedupeKey(alert), now);
+  }
+
+  pruneRecent(now) {
+    if (this.recent.size < 1000) return;
+    for (const [key, sentAt] of this.recent) {
+      if (now - sentAt >= this.dedupeMs) this.recent.delete(key);
+    }
+  }
+
+  // =============================================================================
+  // QUIET HOURS
+  // =============================================================================
+
+  inQuietHours(date = new Date()) {
+    if (!this.quietHours.enabled) return false;
+
+    const now = minutesOfDay(date, this.quietHours.timezone);
+    const start = parseTime(this.quietHours.start);
+    const end = parseTime(this.quietHours.end);
+
+    // A window like 22:00-08:00 wraps around midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  // Deferred alerts go out together once quiet hours are over
+  hold(alerts) {
+    this.held.push(...alerts);
+    console.log(`🌙 Quiet hours: ${alerts.length} alert(s) held until ${this.quietHours.end} (${this.quietHours.timezone})`);
+
+    if (this.flushTimer) return;
+
+    const now = minutesOfDay(new Date(), this.quietHours.timezone);
+    const minutesLeft = (parseTime(this.quietHours.end) - now + 1440) % 1440 || 1440;
+    this.flushTimer = setTimeout(() => this.flushHeld(), minutesLeft * 60 * 1000);
+    this.flushTimer.unref?.();
+  }
+
+  async flushHeld() {
+    this.flushTimer = null;
+    const alerts = this.held;
+    this.held = [];
+    if (alerts.length > 0) {
+      await this.deliver(alerts).catch(error => console.error('❌ Failed to send held alerts:', error.message));
+    }
+  }
+
+  getStatus() {
+    return {
+      quietHours: { ...this.quietHours, active: this.inQuietHours() },
+      dedupeMinutes: this.dedupeMs / 60000,
+      heldAlerts: this.held.length
+    };
+  }
+}
+
+function normalizeAlert(alert) {
+  return {
+    severity: 'error',
+    source: 'system',
+    timestamp: new Date().toISOString(),
+    ...alert,
+    message: alert.message || alert.type
+  };
+}
+
+function dedupeKey(alert) {
+  return alert.key || `${alert.source}:${alert.type}:${alert.message}`;
+}
+
+function maskChannel(channel) {
+  const masked = { ...channel };
+  for (const field of SECRET_FIELDS) {
+    if (masked[field] === undefined) continue;
+    if (field === 'url') {
+      try {
+        masked.url = `${new URL(masked.url).origin}/…`;
+      } catch {
+        masked.url = '…';
+      }
+    } else if (field === 'smtp') {
+      masked.smtp = { ...masked.smtp, ...(masked.smtp.pass ? { pass: '••••' } : {}) };
+    } else {
+      masked[field] = Object.fromEntries(Object.keys(masked[field]).map(key => [key, '••••']));
+    }
+  }
+  return masked;
+}
+
+function parseTime(time) {
+  const [hours, minutes = 0] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesOfDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+module.exports = Notifier;
+module.exports.NotificationError = NotificationError;
@@ -0,0 +1,31 @@
+const axios = require('axios');
+const NotificationChannel = require('./channel');
+
+// Generic JSON webhook: POSTs { subject, alerts } to the channel's url
+class WebhookChannel extends NotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'webhook';
+    this.url = config.url;
+    this.headers = config.headers || {};
+    if (!this.url) {
+      throw new Error(`The ${config.type || 'webhook'} channel needs a url`);
+    }
+  }
+
+  payload(alerts) {
+    return {
+      subject: this.formatSubject(alerts),
+      alerts
+    };
+  }
+
+  async send(alerts) {
+    await axios.post(this.url, this.payload(alerts), {
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      timeout: 10000
+    });
+  }
+}
+
+module.exports = WebhookChannel;
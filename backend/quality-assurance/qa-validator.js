@@ -1,18 +1,12 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
-const RAG_CONFIG = require('../rag/config');
+const { createVectorStore } = require('../vector-store');
+const { createLLMProvider } = require('../llm');
 const fs = require('fs').promises;
 const path = require('path');
 
 class QualityAssuranceValidator {
-  constructor() {
-    this.pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
-
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  constructor(options = {}) {
+    this.vectorStore = createVectorStore();
+    this.llm = options.llm || createLLMProvider();
 
     this.results = {
       contentVerification: [],
@@ -74,19 +68,14 @@ class QualityAssuranceValidator {
   async verifyContentQuality(options) {
     console.log('\n📋 1. Content Verification & Quality Assessment');
 
-    const index = this.pinecone.index(RAG_CONFIG.vectorDB.indexName);
+    await this.vectorStore.initialize();
 
     // Get sample of records
-    const queryResponse = await index.query({
-      vector: new Array(3072).fill(0), // Dummy vector for sampling
-      topK: options.sampleSize,
-      includeMetadata: true,
-      includeValues: false
-    });
+    const sample = await this.sampleRecords(options.sampleSize);
 
-    console.log(`   Analyzing ${queryResponse.matches.length} content chunks...`);
+    console.log(`   Analyzing ${sample.length} content chunks...`);
 
-    for (const match of queryResponse.matches) {
+    for (const match of sample) {
       const chunk = match.metadata;
 
       const qualityAssessment = await this.assessContentQuality(chunk);
@@ -118,6 +107,16 @@ class QualityAssuranceValidator {
     console.log(`   ⚠️  Low Quality Chunks: ${lowQualityCount}/${this.results.contentVerification.length}`);
   }
 
+  // Sample records by listing ids and fetching their metadata
+  async sampleRecords(sampleSize) {
+    const { ids } = await this.vectorStore.list({ limit: parseInt(sampleSize, 10) });
+    const { records } = await this.vectorStore.fetch(ids);
+
+    return ids
+      .filter(id => records[id])
+      .map(id => ({ id, metadata: records[id].metadata || {} }));
+  }
+
   async assessContentQuality(chunk) {
     const issues = [];
     const recommendations = [];
@@ -373,17 +372,11 @@ class QualityAssuranceValidator {
 
   async testSearchQuery(query) {
     // Create embedding for the query
-    const embedding = await this.openai.embeddings.create({
-      model: "text-embedding-3-large",
-      input: query,
-      dimensions: 3072
-    });
-
-    const queryVector = embedding.data[0].embedding;
+    const { embeddings } = await this.llm.embed([query], { feature: 'qa', engine: 'qa-validator' });
+    const queryVector = embeddings[0];
 
     // Search the index
-    const index = this.pinecone.index(RAG_CONFIG.vectorDB.indexName);
-    const searchResponse = await index.query({
+    const searchResponse = await this.vectorStore.query({
       vector: queryVector,
       topK: 10,
       includeMetadata: true,
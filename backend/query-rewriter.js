@@ -0,0 +1,69 @@
+const RAG_CONFIG = require('./config');
+
+// Rewrites a follow-up question ("i quin horari té?") into a standalone search
+// query using the recent conversation, so retrieval does not lose the subject
+// of previous turns. Returns the original question when there is no history.
+async function rewriteFollowUpQuestion(llm, question, history = [], options = {}) {
+  const {
+    enabled = RAG_CONFIG.conversation.rewriteFollowUps,
+    model = RAG_CONFIG.conversation.rewriteModel || llm.models.fast,
+    signal,
+    attribution   // { feature, sessionId, engine } for the CostTracker
+  } = options;
+
+  const recentHistory = getRecentHistory(history);
+
+  if (!enabled || recentHistory.length === 0) {
+    return { original: question, query: question, rewritten: false, usage: null };
+  }
+
+  const transcript = recentHistory
+    .map(message => `${message.role === 'user' ? 'Usuari' : 'Assistent'}: ${message.content}`)
+    .join('\n');
+
+  try {
+    const completion = await llm.chat({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `Reescriu l'última pregunta de l'usuari com una consulta de cerca autònoma, entenedora sense la conversa prèvia.
+- Substitueix pronoms i referències ("hi", "això", "el museu") pel seu referent explícit.
+- Mantén l'idioma de la pregunta original.
+- Si la pregunta ja és autònoma, retorna-la sense canvis.
+- Respon NOMÉS amb la consulta reescrita, sense cometes ni explicacions.`
+        },
+        {
+          role: 'user',
+          content: `Conversa:\n${transcript}\n\nÚltima pregunta: ${question}`
+        }
+      ],
+      max_tokens: 100,
+      temperature: 0
+    }, { signal, type: 'query-rewrite', ...attribution });
+
+    const query = completion.content.trim().replace(/^["«]|["»]$/g, '') || question;
+
+    return {
+      original: question,
+      query,
+      rewritten: query !== question,
+      usage: completion.usage
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.warn('⚠️ Query rewrite failed, using original question:', error.message);
+    return { original: question, query: question, rewritten: false, usage: null };
+  }
+}
+
+// Last N user/assistant messages, in the shape expected by the chat API
+function getRecentHistory(history = [], maxMessages = RAG_CONFIG.conversation.maxHistoryMessages) {
+  return history
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .slice(-maxMessages)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+module.exports = { rewriteFollowUpQuestion, getRecentHistory };
@@ -1,31 +1,67 @@
-const { OpenAI } = require('openai');
-const { Pinecone } = require('@pinecone-database/pinecone');
 const RAG_CONFIG = require('./config');
+const { createLLMProvider } = require('./llm');
+const { rewriteFollowUpQuestion, getRecentHistory } = require('./query-rewriter');
+const { createVectorStore } = require('./vector-store');
+const { createLexicalIndex, HybridRetriever, createReranker, pageLabel, mergePages, citationLabel } = require('./retrieval');
+const { lexicalText } = require('./retrieval/bm25-index');
+const { resolveFilters, withFilterMetadata } = require('./retrieval/filters');
+const { createChunkManifest, normalizeUrl, syncUrlChunks } = require('./ingestion');
 
 class GuimeraRAGEngine {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+  constructor(options = {}) {
+    // Chat and embedding provider, per RAG_CONFIG.llm.provider
+    this.llm = options.llm || createLLMProvider();
+
+    // Pinecone or local store, per RAG_CONFIG.vectorDB.provider
+    this.vectorStore = createVectorStore();
+
+    // BM25 over the same chunks, fused with vector search (RAG_CONFIG.hybrid)
+    this.lexicalIndex = createLexicalIndex();
+    this.retriever = new HybridRetriever({
+      vectorStore: this.vectorStore,
+      lexicalIndex: this.lexicalIndex
     });
 
-    // Pinecone initialization for serverless (v6.x SDK)
-    this.pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
+    // LLM listwise, lexical or pass-through, per RAG_CONFIG.reranking
+    this.reranker = options.reranker || createReranker({ llm: this.llm });
 
-    this.index = null;
+    // Chunk IDs stored per page, to delete chunks that disappear on re-index
+    this.manifest = createChunkManifest();
+    this.initialized = false;
   }
 
   async initialize() {
     try {
-      this.index = this.pinecone.index(RAG_CONFIG.vectorDB.indexName);
-      console.log('✅ RAG Engine initialized');
+      await this.vectorStore.initialize();
+      if (RAG_CONFIG.hybrid.enabled) {
+        await this.initializeLexicalIndex();
+      }
+      this.initialized = true;
+      console.log(`✅ RAG Engine initialized (${this.vectorStore.provider} vector store)`);
     } catch (error) {
       console.error('❌ Failed to initialize RAG Engine:', error.message);
       throw error;
     }
   }
 
+  // Load the lexical index, rebuilding it from the vector store when it is
+  // missing (e.g. first run after enabling hybrid retrieval). Failures only
+  // disable the lexical side; vector search keeps working.
+  async initializeLexicalIndex() {
+    try {
+      await this.lexicalIndex.initialize();
+
+      if (this.lexicalIndex.size === 0) {
+        const stats = await this.vectorStore.describeStats();
+        if (stats.totalVectors > 0) {
+          await this.lexicalIndex.rebuildFromVectorStore(this.vectorStore);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Lexical index unavailable, using vector search only:', error.message);
+    }
+  }
+
   // Embed and store content in vector database
   async embedAndStore(content) {
     try {
@@ -40,22 +76,31 @@ class GuimeraRAGEngine {
       try {
         // Generate embeddings
         const texts = batch.map(chunk => chunk.content);
-        const embeddings = await this.generateEmbeddings(texts);
+        const embeddings = await this.generateEmbeddings(texts, { type: 'indexing', feature: 'indexing', engine: 'standard' });
 
-        // Prepare vectors for Pinecone
+        // Prepare vectors for the vector store
         const vectors = batch.map((chunk, index) => ({
           id: chunk.id,
           values: embeddings[index],
-          metadata: {
+          metadata: withFilterMetadata({
             ...chunk.metadata,
             content: chunk.content.substring(0, 1000) // Store truncated content for preview
-          }
+          })
         }));
 
-        // Upsert to Pinecone
-        console.log(`📤 Upserting ${vectors.length} vectors to Pinecone...`);
-        const upsertResponse = await this.index.upsert(vectors);
-        console.log(`✅ Batch ${i + 1} upserted successfully:`, upsertResponse);
+        // Upsert to the vector store
+        console.log(`📤 Upserting ${vectors.length} vectors to ${this.vectorStore.provider}...`);
+        await this.vectorStore.upsert(vectors);
+
+        // Keep the lexical index in step, with the full chunk text
+        if (RAG_CONFIG.hybrid.enabled) {
+          await this.lexicalIndex.add(batch.map((chunk, index) => ({
+            id: chunk.id,
+            text: lexicalText({ title: chunk.metadata.title, content: chunk.content }),
+            metadata: vectors[index].metadata
+          })));
+        }
+        console.log(`✅ Batch ${i + 1} upserted successfully`);
 
       } catch (error) {
         console.error(`❌ Failed to process batch ${i + 1}:`, error.message);
@@ -67,6 +112,7 @@ class GuimeraRAGEngine {
       await this.delay(1000);
     }
 
+      await this.removeStaleChunks(content);
       console.log('✅ All content embedded and stored');
     } catch (error) {
       console.error('❌ Failed to embed and store content:', error.message);
@@ -74,61 +120,153 @@ class GuimeraRAGEngine {
     }
   }
 
-  async generateEmbeddings(texts) {
-    const response = await this.openai.embeddings.create({
-      model: RAG_CONFIG.embedding.model,
-      input: texts,
-      dimensions: RAG_CONFIG.embedding.dimensions
+  // Delete the chunks re-indexed pages no longer have and update the
+  // manifest. Chunks without a URL are left alone.
+  async removeStaleChunks(content) {
+    const pages = new Map();
+    for (const chunk of content) {
+      const url = chunk.metadata?.url;
+      if (!url) continue;
+
+      const key = normalizeUrl(url);
+      if (!pages.has(key)) {
+        pages.set(key, { url, chunkIds: [] });
+      }
+      pages.get(key).chunkIds.push(chunk.id);
+    }
+
+    let deleted = 0;
+    for (const { url, chunkIds } of pages.values()) {
+      deleted += await syncUrlChunks({
+        vectorStore: this.vectorStore,
+        lexicalIndex: RAG_CONFIG.hybrid.enabled ? this.lexicalIndex : null,
+        manifest: this.manifest,
+        url,
+        chunkIds
+      });
+    }
+    await this.manifest.save();
+
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} stale chunks from ${pages.size} re-indexed pages`);
+    }
+    return deleted;
+  }
+
+  // Delete the chunks of pages an incremental crawl found gone (404/410)
+  async deleteGonePages(crawler) {
+    return crawler.deleteGonePages({
+      vectorStore: this.vectorStore,
+      lexicalIndex: RAG_CONFIG.hybrid.enabled ? this.lexicalIndex : null,
+      manifest: this.manifest
     });
+  }
 
-    return response.data.map(item => item.embedding);
+  async generateEmbeddings(texts, attribution = {}) {
+    const { embeddings } = await this.llm.embed(texts, attribution);
+    return embeddings;
   }
 
   // Main query function
+  // history holds the session's previous turns ({ role, content }); follow-up
+  // questions are rewritten into a standalone search query before embedding.
+  // Streaming callers pass onRetrieval (called once with sources/confidence
+  // before generation), onToken (called per answer delta) and an AbortSignal.
+  // filters restrict retrieval by metadata (see retrieval/filters.js); with
+  // autoFilters, filters inferred from the question are added and dropped
+  // again when nothing matches them.
+  // sessionId, engine and feature (default 'chat-rag') attribute the model
+  // calls of the query in the CostTracker; chatModel and maxTokens override
+  // the answer model and length and rerankTopN the number of reranked
+  // results kept (degraded mode when over budget).
   async query(userQuestion, options = {}) {
     const {
       topK = RAG_CONFIG.vectorDB.topK,
       useReranking = RAG_CONFIG.reranking.enabled,
-      minScore = 0.7
+      rerankTopN = RAG_CONFIG.reranking.topK,
+      minScore = 0.7,
+      filters,
+      autoFilters,
+      history = [],
+      onRetrieval,
+      onToken,
+      signal,
+      sessionId,
+      engine = 'standard',
+      feature = 'chat-rag',
+      chatModel,
+      maxTokens
     } = options;
+    const attribution = { feature, sessionId, engine };
 
     try {
       console.log(`🔍 Processing query: "${userQuestion}"`);
 
+      // 0. Resolve follow-ups against the conversation
+      const queryRewrite = await rewriteFollowUpQuestion(this.llm, userQuestion, history, { signal, attribution });
+      const searchQuery = queryRewrite.query;
+
+      if (queryRewrite.rewritten) {
+        console.log(`✏️ Rewritten query: "${searchQuery}"`);
+      }
+
       // 1. Generate query embedding
-      const queryEmbedding = await this.generateEmbeddings([userQuestion]);
+      const queryEmbedding = await this.generateEmbeddings([searchQuery], {
+        ...attribution,
+        feature: options.feature || 'query-embedding'
+      });
 
-      // 2. Search vector database
-      const searchResults = await this.index.query({
+      // 2-3. Vector search (filtered by relevance score) fused with BM25,
+      // restricted by explicit and inferred metadata filters
+      const resolvedFilters = resolveFilters(searchQuery, { filters, autoFilters });
+      const retrieve = filter => this.retriever.retrieve(searchQuery, {
         vector: queryEmbedding[0],
         topK,
-        includeMetadata: true,
-        includeValues: false
+        minScore,
+        filter
       });
 
-      // 3. Filter by relevance score
-      const relevantResults = searchResults.matches.filter(
-        match => match.score >= minScore
-      );
+      let relevantResults = await retrieve(resolvedFilters.metadataFilter);
+      let appliedFilters = resolvedFilters.applied;
+
+      if (relevantResults.length === 0 && resolvedFilters.inferred) {
+        console.log(`🔎 No results with inferred filters (${resolvedFilters.reasons.join(', ')}), retrying without them`);
+        relevantResults = await retrieve(resolvedFilters.explicit);
+        appliedFilters = { ...filters, relaxed: true };
+      }
+
+      if (appliedFilters) {
+        console.log('🔎 Metadata filters:', JSON.stringify(appliedFilters));
+      }
 
       if (relevantResults.length === 0) {
+        const answer = "No he trobat informació específica sobre aquesta pregunta en les fonts de guimera.info. Podries reformular la pregunta o ser més específic?";
+        onRetrieval?.({ sources: [], confidence: 0, searchResults: 0 });
+        onToken?.(answer);
+
         return {
-          answer: "No he trobat informació específica sobre aquesta pregunta en les fonts de guimera.info. Podries reformular la pregunta o ser més específic?",
+          answer,
           sources: [],
-          confidence: 0
+          confidence: 0,
+          queryRewrite,
+          filters: appliedFilters
         };
       }
 
       // 4. Optional re-ranking for better results
       let finalResults = relevantResults;
       if (useReranking && relevantResults.length > 1) {
-        finalResults = await this.rerankResults(userQuestion, relevantResults);
+        finalResults = await this.rerankResults(searchQuery, relevantResults, { topN: rerankTopN, signal, attribution });
       }
 
       // 5. Generate answer with sources
-      const answer = await this.generateAnswer(userQuestion, finalResults);
+      const answer = await this.generateAnswer(userQuestion, finalResults, { history, onRetrieval, onToken, signal, attribution, chatModel, maxTokens });
 
-      return answer;
+      return {
+        ...answer,
+        queryRewrite,
+        filters: appliedFilters
+      };
 
     } catch (error) {
       console.error('Error processing query:', error.message);
@@ -136,18 +274,25 @@ class GuimeraRAGEngine {
     }
   }
 
-  async rerankResults(query, results) {
-    // Implement re-ranking with cross-encoder or Cohere rerank
-    // For now, return top results sorted by score
-    return results
-      .sort((a, b) => b.score - a.score)
-      .slice(0, RAG_CONFIG.reranking.topK);
+  // Rerank the best retrieval candidates; results gain a rerankScore
+  async rerankResults(query, results, options = {}) {
+    const candidates = results.slice(0, RAG_CONFIG.reranking.candidates);
+    return this.reranker.rerank(query, candidates, {
+      topN: options.topN ?? RAG_CONFIG.reranking.topK,
+      signal: options.signal,
+      attribution: options.attribution
+    });
   }
 
-  async generateAnswer(question, searchResults) {
+  async generateAnswer(question, searchResults, options = {}) {
+    const { history = [], onRetrieval, onToken, signal, attribution, chatModel, maxTokens = 800 } = options;
+
     // Prepare context from search results
     const context = this.prepareContext(searchResults);
     const sources = this.extractSources(searchResults);
+    const confidence = this.calculateConfidence(searchResults);
+
+    onRetrieval?.({ sources, confidence, searchResults: searchResults.length });
 
     const systemPrompt = `# Guia Expert del Museu Guimerà - Mode RAG
 
@@ -157,7 +302,7 @@ Ets un/a guía expert/a del Museu Guimerà i del poble de Guimerà. Utilitza NOM
 1. Respon en CATALÀ per defecte (excepte si l'usuari pregunta en un altre idioma)
 2. Utilitza NOMÉS informació del context proporcionat
 3. Si la informació no està en el context, digues-ho clarament
-4. Inclou referències específiques a les fonts
+4. Inclou referències específiques a les fonts; per als documents, cita la pàgina (p. ex. "Programa de festes, p. 4")
 5. Mantén un to càlid i professional
 6. Invita a visitar Guimerà quan sigui apropiat
 
@@ -165,23 +310,25 @@ Ets un/a guía expert/a del Museu Guimerà i del poble de Guimerà. Utilitza NOM
 ${context}
 
 ## Fonts consultades:
-${sources.map(s => `- ${s.title} (${s.source})`).join('\n')}`;
+${sources.map(s => `- ${citationLabel(s)}`).join('\n')}`;
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4',
+    const completion = await this.llm.chat({
+      model: chatModel,
       messages: [
         { role: 'system', content: systemPrompt },
+        ...getRecentHistory(history),
         { role: 'user', content: question }
       ],
-      max_tokens: 800,
+      max_tokens: maxTokens,
       temperature: 0.3
-    });
+    }, { onToken, signal, ...attribution });
 
     return {
-      answer: response.choices[0].message.content,
+      answer: completion.content,
       sources: sources,
-      confidence: this.calculateConfidence(searchResults),
-      searchResults: searchResults.length
+      confidence,
+      searchResults: searchResults.length,
+      usage: completion.usage
     };
   }
 
@@ -189,8 +336,9 @@ ${sources.map(s => `- ${s.title} (${s.source})`).join('\n')}`;
     return searchResults
       .map((result, index) => {
         const metadata = result.metadata;
+        const page = pageLabel(metadata);
         return `## Font ${index + 1}: ${metadata.title}
-URL: ${metadata.url}
+URL: ${metadata.url}${page ? `\nPàgina: ${page}` : ''}
 Contingut: ${metadata.content}
 
 ---`;
@@ -213,20 +361,28 @@ Contingut: ${metadata.content}
           sourceType: metadata.sourceType,
           author: metadata.author,
           publishedDate: metadata.publishedDate,
-          relevanceScore: result.score
+          ...(metadata.documentType && { documentType: metadata.documentType, pages: [] }),
+          relevanceScore: result.score,
+          rerankScore: result.rerankScore
         });
       }
+
+      // Every page of a document the answer can cite
+      const source = uniqueSources.get(sourceKey);
+      if (source.pages) source.pages = mergePages(source.pages, metadata);
     });
 
     return Array.from(uniqueSources.values())
-      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+      .sort((a, b) => (b.rerankScore ?? b.relevanceScore) - (a.rerankScore ?? a.relevanceScore));
   }
 
+  // Uses reranker scores when the results were reranked
   calculateConfidence(searchResults) {
     if (searchResults.length === 0) return 0;
 
-    const avgScore = searchResults.reduce((sum, result) => sum + result.score, 0) / searchResults.length;
-    const topScore = searchResults[0]?.score || 0;
+    const scoreOf = result => result.rerankScore ?? result.score;
+    const avgScore = searchResults.reduce((sum, result) => sum + scoreOf(result), 0) / searchResults.length;
+    const topScore = scoreOf(searchResults[0]) || 0;
 
     // Confidence based on top score and consistency
     return Math.min(0.95, (topScore * 0.7) + (avgScore * 0.3));
@@ -247,17 +403,21 @@ Contingut: ${metadata.content}
   // Utility method to get system statistics
   async getStats() {
     try {
-      if (!this.index) {
+      if (!this.initialized) {
         console.log('📊 Index not initialized yet');
         return null;
       }
 
-      const stats = await this.index.describeIndexStats();
-      console.log(`📊 Pinecone Stats - Records: ${stats.totalRecordCount || stats.totalVectorCount || 0}, Dimension: ${stats.dimension}`);
+      const stats = await this.vectorStore.describeStats();
+      console.log(`📊 Vector Store Stats (${this.vectorStore.provider}) - Records: ${stats.totalVectors}, Dimension: ${stats.dimension}`);
       return {
-        totalVectors: stats.totalRecordCount || stats.totalVectorCount || 0,
+        totalVectors: stats.totalVectors,
         dimension: stats.dimension,
-        namespaces: stats.namespaces
+        namespaces: stats.namespaces,
+        provider: this.vectorStore.provider,
+        llmProvider: this.llm.name,
+        lexicalDocuments: this.lexicalIndex.size,
+        reranker: this.reranker.name
       };
     } catch (error) {
       if (error.message.includes('404')) {
@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { tokenize } = require('./tokenizer');
+const { matchesFilter } = require('../vector-store/metadata-filter');
+
+/**
+ * BM25 lexical index over the same chunks stored in the vector store.
+ * Catches exact-term matches that embed poorly: proper nouns such as
+ * "Calcamats" or "Cal Francesc" and local vocabulary.
+ *
+ * Documents are { id, text, metadata }; the metadata mirrors the vector
+ * store record so lexical-only hits can be used as context directly.
+ * The index is persisted as one JSON file per vector index and namespace and
+ * reloaded when another process (an indexer run) rewrites it.
+ */
+class BM25Index {
+  constructor(options = {}) {
+    this.indexName = options.indexName;
+    this.namespace = options.namespace;
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/lexical-index');
+
+    const fileName = this.namespace ? `${this.indexName}-${this.namespace}.json` : `${this.indexName}.json`;
+    this.filePath = path.join(this.directory, fileName);
+
+    this.documents = new Map();   // id → { id, length, terms: { term: tf }, metadata }
+    this.postings = new Map();    // term → Set of ids
+    this.totalLength = 0;
+    this.loadedMtime = null;
+    this.initialized = false;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.load();
+    this.initialized = true;
+    console.log(`🔤 Lexical index ready: ${this.documents.size} documents (${this.filePath})`);
+  }
+
+  async add(documents) {
+    if (documents.length === 0) return;
+    await this.reloadIfChanged();
+
+    for (const document of documents) {
+      this.addDocument(document);
+    }
+
+    await this.save();
+  }
+
+  async remove(ids) {
+    await this.reloadIfChanged();
+
+    let removed = 0;
+    for (const id of ids) {
+      if (this.removeDocument(id)) removed++;
+    }
+
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    await this.save();
+  }
+
+  // Rebuild from the records already in a vector store (metadata.content)
+  async rebuildFromVectorStore(vectorStore, options = {}) {
+    const { batchSize = 100 } = options;
+    console.log(`🔤 Rebuilding lexical index from ${vectorStore.provider} vector store...`);
+
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+
+    let ids = [];
+    const flush = async () => {
+      const { records } = await vectorStore.fetch(ids);
+      for (const record of Object.values(records)) {
+        this.addDocument({
+          id: record.id,
+          text: lexicalText(record.metadata),
+          metadata: record.metadata
+        });
+      }
+      ids = [];
+    };
+
+    for await (const id of vectorStore.listAll()) {
+      ids.push(id);
+      if (ids.length >= batchSize) await flush();
+    }
+    if (ids.length > 0) await flush();
+
+    await this.save();
+    console.log(`✅ Lexical index rebuilt: ${this.documents.size} documents`);
+    return this.documents.size;
+  }
+
+  async search(query, options = {}) {
+    const { topK = 20, filter } = options;
+    await this.reloadIfChanged();
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const documentCount = this.documents.size;
+    const averageLength = this.totalLength / documentCount;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    for (const term of queryTerms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (documentCount - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        const document = this.documents.get(id);
+        const tf = document.terms[term];
+        const norm = tf + this.k1 * (1 - this.b + this.b * document.length / averageLength);
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (this.k1 + 1)) / norm);
+        matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+      }
+    }
+
+    return Array.from(scores.entries())
+      // coverage: share of the query terms the document contains
+      .map(([id, score]) => ({
+        id,
+        score,
+        coverage: matchedTerms.get(id) / queryTerms.length,
+        metadata: this.documents.get(id).metadata
+      }))
+      .filter(match => matchesFilter(match.metadata, filter))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  // =============================================================================
+  // INDEX MAINTENANCE
+  // =============================================================================
+
+  addDocument({ id, text, metadata = {} }) {
+    this.removeDocument(id);
+
+    const tokens = tokenize(text);
+    const terms = {};
+    for (const token of tokens) {
+      terms[token] = (terms[token] || 0) + 1;
+    }
+
+    this.setDocument({ id, length: tokens.length, terms, metadata });
+  }
+
+  setDocument(document) {
+    this.documents.set(document.id, document);
+    this.totalLength += document.length;
+
+    for (const term of Object.keys(document.terms)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(document.id);
+    }
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    for (const term of Object.keys(document.terms)) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  async load() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+
+    try {
+      const [raw, stat] = await Promise.all([
+        fs.readFile(this.filePath, 'utf8'),
+        fs.stat(this.filePath)
+      ]);
+      const data = JSON.parse(raw);
+
+      for (const document of data.documents || []) {
+        this.setDocument(document);
+      }
+      this.loadedMtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.loadedMtime = null;
+    }
+  }
+
+  async reloadIfChanged() {
+    if (!this.initialized) {
+      await this.initialize();
+      return;
+    }
+
+    try {
+      const stat = await fs.stat(this.filePath);
+      if (stat.mtimeMs !== this.loadedMtime) {
+        await this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async save() {
+    const data = {
+      indexName: this.indexName,
+      namespace: this.namespace || '',
+      updatedAt: new Date().toISOString(),
+      documents: Array.from(this.documents.values())
+    };
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, this.filePath);
+
+    const stat = await fs.stat(this.filePath);
+    this.loadedMtime = stat.mtimeMs;
+  }
+}
+
+// Text indexed for a chunk: the title weighs in alongside the body
+function lexicalText(metadata = {}) {
+  return [metadata.title, metadata.content].filter(Boolean).join('\n');
+}
+
+module.exports = BM25Index;
+module.exports.lexicalText = lexicalText;
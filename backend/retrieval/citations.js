@@ -0,0 +1,35 @@
+/**
+ * Page references for chunks of paged documents (PDF, DOCX, ODT), so answers
+ * can cite "document X, p. 4".
+ */
+
+// "p. 4" or "p. 4-5" for a document chunk, null for web pages
+function pageLabel(metadata = {}) {
+  if (!metadata.page) return null;
+  return metadata.pageEnd && metadata.pageEnd !== metadata.page
+    ? `p. ${metadata.page}-${metadata.pageEnd}`
+    : `p. ${metadata.page}`;
+}
+
+// Add a chunk's pages to a source's sorted page list
+function mergePages(pages = [], metadata = {}) {
+  if (!metadata.page) return pages;
+
+  const merged = new Set(pages);
+  for (let page = metadata.page; page <= (metadata.pageEnd || metadata.page); page++) {
+    merged.add(page);
+  }
+  return Array.from(merged).sort((a, b) => a - b);
+}
+
+// "Title (source)" plus ", p. 2, 4" when pages are known
+function citationLabel(source) {
+  const pages = source.pages?.length > 0 ? `, p. ${source.pages.join(', ')}` : '';
+  return `${source.title} (${source.source})${pages}`;
+}
+
+module.exports = {
+  pageLabel,
+  mergePages,
+  citationLabel
+};
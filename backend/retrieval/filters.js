@@ -0,0 +1,208 @@
+const RAG_CONFIG = require('../config');
+const { normalizeText } = require('./tokenizer');
+
+/**
+ * Retrieval filters over chunk metadata.
+ *
+ * Request-level filters (the `filters` body of /api/chat):
+ *   { source, sourceType, language, publishedAfter, publishedBefore }
+ * source, sourceType and language take a value or an array; sourceType also
+ * accepts the groups in RAG_CONFIG.filters.sourceTypeGroups ('blog', 'main').
+ * Dates are ISO strings. They are turned into Pinecone-style metadata filters
+ * that both vector store adapters and the lexical index understand.
+ */
+
+const FILTER_KEYS = ['source', 'sourceType', 'language', 'publishedAfter', 'publishedBefore'];
+
+// Returns an error message for malformed filters, or null
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return 'filters must be an object';
+  }
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!FILTER_KEYS.includes(key)) {
+      return `Unknown filter: ${key}`;
+    }
+
+    if (key === 'publishedAfter' || key === 'publishedBefore') {
+      if (Number.isNaN(Date.parse(value))) {
+        return `${key} must be a date (YYYY-MM-DD)`;
+      }
+    } else if (![].concat(value).every(item => typeof item === 'string' && item.length > 0)) {
+      return `${key} must be a string or an array of strings`;
+    }
+  }
+
+  return null;
+}
+
+// Request-level filters → metadata filter (undefined when nothing applies)
+function buildMetadataFilter(filters = {}) {
+  const conditions = [];
+
+  if (filters.source) {
+    conditions.push({ source: inCondition(filters.source) });
+  }
+
+  if (filters.sourceType) {
+    const groups = RAG_CONFIG.filters.sourceTypeGroups;
+    const types = [].concat(filters.sourceType).flatMap(type => groups[type] || [type]);
+    conditions.push({ sourceType: inCondition(types) });
+  }
+
+  if (filters.language) {
+    conditions.push({ language: inCondition([].concat(filters.language).map(normalizeLanguage)) });
+  }
+
+  if (filters.publishedAfter) {
+    conditions.push({ publishedTimestamp: { $gte: toTimestamp(filters.publishedAfter) } });
+  }
+
+  if (filters.publishedBefore) {
+    conditions.push({ publishedTimestamp: { $lte: toTimestamp(filters.publishedBefore) } });
+  }
+
+  if (conditions.length === 0) return undefined;
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// =============================================================================
+// AUTOMATIC FILTERS
+// =============================================================================
+
+const RECENT_WORDS = /\b(recents?|recientes?|darrer[ae]?s?|ultim[ae]?s?|nou|noves|nuevas?|aquest any|este ano)\b/;
+const NEWS_WORDS = /\b(noticies|noticia|noticias|novetats|actualitat|publicacions|entrades|articles|posts|esdeveniments)\b/;
+const SINCE_YEAR = /\b(?:des de|a partir de|despres de|desde|despues de|since)\s+(?:l any\s+|el any\s+|el ano\s+|el\s+)?((?:19|20)\d{2})\b/;
+const BLOG_WORDS = /\b(?:als?|el|els|en (?:el|los)|del?s?) blogs?\b/;
+const MAIN_SITE_WORDS = /\b(guimera info|web oficial|pagina oficial|web del poble)\b/;
+
+/**
+ * Infer filters from the wording of a question. Returns { filters, reasons }
+ * with an empty filters object when nothing was recognised.
+ */
+function inferFilters(question, now = new Date()) {
+  const text = normalizeText(question).replace(/\./g, ' ');
+  const filters = {};
+  const reasons = [];
+
+  // Named sources, through the aliases in RAG_CONFIG.sources
+  const namedSource = findSourceByAlias(text);
+  if (namedSource) {
+    filters.source = namedSource.domain;
+    reasons.push(`source:${namedSource.alias}`);
+  } else if (BLOG_WORDS.test(text)) {
+    filters.sourceType = 'blog';
+    reasons.push('sourceType:blog');
+  } else if (MAIN_SITE_WORDS.test(text)) {
+    filters.source = RAG_CONFIG.sources.primary.domain;
+    reasons.push('source:main-site');
+  }
+
+  const sinceYear = text.match(SINCE_YEAR);
+  if (sinceYear) {
+    filters.publishedAfter = `${sinceYear[1]}-01-01`;
+    reasons.push(`since:${sinceYear[1]}`);
+  } else if (RECENT_WORDS.test(text) && NEWS_WORDS.test(text)) {
+    const since = new Date(now.getTime() - RAG_CONFIG.filters.recentDays * 24 * 60 * 60 * 1000);
+    filters.publishedAfter = since.toISOString().slice(0, 10);
+    reasons.push('recent');
+  }
+
+  return { filters, reasons };
+}
+
+function findSourceByAlias(text) {
+  for (const source of Object.values(RAG_CONFIG.sources.blogs)) {
+    for (const alias of source.aliases || []) {
+      if (text.includes(normalizeText(alias))) {
+        return { domain: source.domain, alias };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Combine explicit filters with inferred ones (explicit keys win).
+ * Returns:
+ * - metadataFilter: the filter to search with (undefined when none)
+ * - explicit: the filter built from the explicit filters only
+ * - inferred: whether any filter came from the question, so callers can
+ *   retry with `explicit` when nothing matches
+ * - applied: summary for responses and the session trace (null when none)
+ */
+function resolveFilters(question, options = {}) {
+  const filters = options.filters || {};
+  const autoFilters = options.autoFilters ?? RAG_CONFIG.filters.autoInfer;
+  const inference = autoFilters ? inferFilters(question) : { filters: {}, reasons: [] };
+
+  const inferredKeys = Object.keys(inference.filters).filter(key => filters[key] === undefined);
+  const combined = { ...inference.filters, ...filters };
+
+  const metadataFilter = buildMetadataFilter(combined);
+
+  return {
+    filters: combined,
+    metadataFilter,
+    inferred: inferredKeys.length > 0,
+    explicit: buildMetadataFilter(filters),
+    reasons: inference.reasons,
+    applied: metadataFilter
+      ? { ...combined, ...(inferredKeys.length > 0 ? { inferredFrom: inference.reasons } : {}) }
+      : null
+  };
+}
+
+// =============================================================================
+// INDEXING AND RANKING HELPERS
+// =============================================================================
+
+// Metadata fields the filters rely on, derived at indexing time:
+// a two-letter language and a numeric publishedTimestamp (Pinecone only
+// supports range operators on numbers).
+function withFilterMetadata(metadata = {}) {
+  const enriched = { ...metadata };
+
+  if (metadata.language) {
+    enriched.language = normalizeLanguage(metadata.language);
+  }
+
+  const published = Date.parse(metadata.publishedDate);
+  if (!Number.isNaN(published)) {
+    enriched.publishedTimestamp = Math.floor(published / 1000);
+  }
+
+  return enriched;
+}
+
+// Multiplier favouring higher-priority sources (priority 1 is the main site)
+function priorityMultiplier(metadata = {}) {
+  const { priorityBoost, lowestPriority } = RAG_CONFIG.filters;
+  const priority = Number(metadata.priority) || lowestPriority;
+  return 1 + priorityBoost * Math.max(0, lowestPriority - priority);
+}
+
+function normalizeLanguage(language) {
+  return String(language).toLowerCase().split(/[-_]/)[0];
+}
+
+function toTimestamp(date) {
+  return Math.floor(Date.parse(date) / 1000);
+}
+
+function inCondition(values) {
+  const list = [].concat(values);
+  return list.length === 1 ? { $eq: list[0] } : { $in: list };
+}
+
+module.exports = {
+  validateFilters,
+  buildMetadataFilter,
+  inferFilters,
+  resolveFilters,
+  withFilterMetadata,
+  priorityMultiplier
+};
@@ -0,0 +1,32 @@
+// Reciprocal rank fusion (Cormack et al., 2009).
+// Each list contributes weight / (k + rank) for every result it contains;
+// results are matched by id and keep the metadata of the first list that
+// returned them. Per-list ranks and raw scores are kept under `retrieval`
+// for debugging and the session trace.
+function reciprocalRankFusion(lists, options = {}) {
+  const { k = 60, topK } = options;
+  const fused = new Map();
+
+  for (const { name, results, weight = 1 } of lists) {
+    if (!weight) continue;
+
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const entry = fused.get(result.id) || {
+        id: result.id,
+        metadata: result.metadata,
+        fusedScore: 0,
+        retrieval: {}
+      };
+
+      entry.fusedScore += weight / (k + rank);
+      entry.retrieval[name] = { rank, score: result.score };
+      fused.set(result.id, entry);
+    });
+  }
+
+  const sorted = Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+  return topK ? sorted.slice(0, topK) : sorted;
+}
+
+module.exports = { reciprocalRankFusion };
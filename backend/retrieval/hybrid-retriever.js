@@ -0,0 +1,81 @@
+const RAG_CONFIG = require('../config');
+const { reciprocalRankFusion } = require('./fusion');
+const { priorityMultiplier } = require('./filters');
+
+/**
+ * Runs vector and BM25 search for the same query and fuses the rankings
+ * with reciprocal rank fusion (weights in RAG_CONFIG.hybrid.fusion).
+ *
+ * Results keep the shape of vector store matches ({ id, score, metadata })
+ * so the engines can use them unchanged. `score` stays the cosine similarity
+ * for results the vector search found and is 0 for lexical-only results, so
+ * keyword matches never raise the answer confidence. Lexical-only results
+ * must also contain `lexicalMinCoverage` of the query terms. The fused
+ * ordering is in `fusedScore`, and per-retriever ranks and scores in
+ * `retrieval`.
+ *
+ * Both paths are ordered with a small source priority boost so the main site
+ * outranks third-level blogs on ties (RAG_CONFIG.filters.priorityBoost).
+ */
+class HybridRetriever {
+  constructor({ vectorStore, lexicalIndex, config = RAG_CONFIG.hybrid }) {
+    this.vectorStore = vectorStore;
+    this.lexicalIndex = lexicalIndex;
+    this.config = config;
+  }
+
+  get lexicalEnabled() {
+    return this.config.enabled && !!this.lexicalIndex && this.lexicalIndex.size > 0;
+  }
+
+  async retrieve(query, options = {}) {
+    const { vector, topK = RAG_CONFIG.vectorDB.topK, minScore = 0, filter } = options;
+
+    const [vectorResponse, lexicalResults] = await Promise.all([
+      this.vectorStore.query({
+        vector,
+        topK,
+        filter,
+        includeMetadata: true,
+        includeValues: false
+      }),
+      this.lexicalEnabled
+        ? this.lexicalIndex.search(query, { topK: this.config.lexicalTopK, filter })
+        : []
+    ]);
+
+    const vectorResults = vectorResponse.matches.filter(match => match.score >= minScore);
+    const vectorIds = new Set(vectorResults.map(match => match.id));
+
+    // A keyword match the vector search missed needs most of the query terms
+    const lexicalMatches = lexicalResults.filter(match =>
+      vectorIds.has(match.id) || match.coverage >= this.config.lexicalMinCoverage
+    );
+
+    if (lexicalMatches.length === 0) {
+      return sortByPriority(vectorResults, result => result.score);
+    }
+
+    const { k, vectorWeight, lexicalWeight } = this.config.fusion;
+    const fused = reciprocalRankFusion([
+      { name: 'vector', results: vectorResults, weight: vectorWeight },
+      { name: 'lexical', results: lexicalMatches, weight: lexicalWeight }
+    ], { k, topK });
+
+    const results = fused.map(result => ({
+      ...result,
+      score: result.retrieval.vector ? result.retrieval.vector.score : 0
+    }));
+
+    return sortByPriority(results, result => result.fusedScore);
+  }
+}
+
+function sortByPriority(results, scoreOf) {
+  return results
+    .map((result, index) => ({ result, index, rankScore: scoreOf(result) * priorityMultiplier(result.metadata) }))
+    .sort((a, b) => b.rankScore - a.rankScore || a.index - b.index)
+    .map(({ result }) => result);
+}
+
+module.exports = HybridRetriever;
@@ -0,0 +1,30 @@
+const RAG_CONFIG = require('../config');
+const BM25Index = require('./bm25-index');
+const HybridRetriever = require('./hybrid-retriever');
+const { reciprocalRankFusion } = require('./fusion');
+const { tokenize } = require('./tokenizer');
+const { createReranker } = require('./rerankers');
+const { pageLabel, mergePages, citationLabel } = require('./citations');
+
+// Lexical index paired with the configured vector index
+function createLexicalIndex(options = {}) {
+  return new BM25Index({
+    indexName: RAG_CONFIG.vectorDB.indexName,
+    directory: RAG_CONFIG.hybrid.directory,
+    k1: RAG_CONFIG.hybrid.bm25.k1,
+    b: RAG_CONFIG.hybrid.bm25.b,
+    ...options
+  });
+}
+
+module.exports = {
+  createLexicalIndex,
+  BM25Index,
+  HybridRetriever,
+  createReranker,
+  reciprocalRankFusion,
+  tokenize,
+  pageLabel,
+  mergePages,
+  citationLabel
+};
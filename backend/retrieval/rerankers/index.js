@@ -0,0 +1,43 @@
+const RAG_CONFIG = require('../../config');
+const Reranker = require('./reranker');
+const LLMReranker = require('./llm-reranker');
+const LexicalReranker = require('./lexical-reranker');
+const PassThroughReranker = require('./passthrough-reranker');
+
+// Create the reranker selected by RAG_CONFIG.reranking.provider.
+// The LLM reranker needs options.llm and falls back to the lexical scorer.
+function createReranker(options = {}) {
+  const config = RAG_CONFIG.reranking;
+  const provider = options.provider || (config.enabled ? config.provider : 'none');
+  const rerankerOptions = {
+    topN: config.topK,
+    ...options
+  };
+
+  switch (provider) {
+    case 'llm':
+      if (!rerankerOptions.llm) {
+        throw new Error('The llm reranker needs an LLM provider (options.llm)');
+      }
+      return new LLMReranker({
+        model: config.model,
+        maxPassageChars: config.maxPassageChars,
+        fallback: new LexicalReranker(rerankerOptions),
+        ...rerankerOptions
+      });
+    case 'lexical':
+      return new LexicalReranker(rerankerOptions);
+    case 'none':
+      return new PassThroughReranker(rerankerOptions);
+    default:
+      throw new Error(`Unknown reranker: ${provider}`);
+  }
+}
+
+module.exports = {
+  createReranker,
+  Reranker,
+  LLMReranker,
+  LexicalReranker,
+  PassThroughReranker
+};
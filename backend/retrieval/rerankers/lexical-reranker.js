@@ -0,0 +1,66 @@
+const Reranker = require('./reranker');
+const { passageText } = require('./reranker');
+const { tokenize } = require('../tokenizer');
+
+/**
+ * Offline cross-scorer based on query/passage term overlap.
+ * Each (query, passage) pair is scored on:
+ * - coverage of the query terms, weighted by how rare each term is among
+ *   the candidates (so "Calcamats" counts more than "museu")
+ * - adjacent query term pairs found as phrases ("cal francesc")
+ * - query terms present in the title
+ * and blended with the retrieval score so semantic matches without shared
+ * vocabulary are not discarded.
+ */
+class LexicalReranker extends Reranker {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'lexical';
+    this.retrievalWeight = options.retrievalWeight ?? 0.3;
+  }
+
+  async rerank(query, results, options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || results.length === 0) {
+      return results.slice(0, options.topN || this.topN);
+    }
+
+    const passages = results.map(result => ({
+      terms: tokenize(passageText(result)),
+      titleTerms: new Set(tokenize(result.metadata?.title || ''))
+    }));
+    for (const passage of passages) {
+      passage.termSet = new Set(passage.terms);
+      passage.bigrams = new Set(passage.terms.slice(1).map((term, i) => `${passage.terms[i]} ${term}`));
+    }
+
+    // Inverse document frequency within the candidate set
+    const weights = Object.fromEntries(queryTerms.map(term => {
+      const df = passages.filter(passage => passage.termSet.has(term)).length;
+      return [term, Math.log(1 + (passages.length + 1) / (df + 1))];
+    }));
+    const totalWeight = queryTerms.reduce((sum, term) => sum + weights[term], 0);
+    const queryBigrams = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+
+    const scores = passages.map((passage, index) => {
+      const coverage = queryTerms
+        .filter(term => passage.termSet.has(term))
+        .reduce((sum, term) => sum + weights[term], 0) / totalWeight;
+
+      const phrase = queryBigrams.length > 0
+        ? queryBigrams.filter(bigram => passage.bigrams.has(bigram)).length / queryBigrams.length
+        : coverage;
+
+      const title = queryTerms.filter(term => passage.titleTerms.has(term)).length / queryTerms.length;
+
+      const lexical = 0.6 * coverage + 0.25 * phrase + 0.15 * title;
+      const retrieval = Math.max(0, Math.min(1, results[index].score || 0));
+
+      return (1 - this.retrievalWeight) * lexical + this.retrievalWeight * retrieval;
+    });
+
+    return this.applyScores(results, scores, options.topN || this.topN);
+  }
+}
+
+module.exports = LexicalReranker;
@@ -0,0 +1,92 @@
+const Reranker = require('./reranker');
+const { passageText } = require('./reranker');
+
+/**
+ * Listwise reranking through the LLM provider: all candidates go in one
+ * prompt and the model returns a relevance score (0-10) per passage.
+ * Falls back to the given fallback reranker (retrieval order by default)
+ * when the call fails or the reply cannot be parsed.
+ */
+class LLMReranker extends Reranker {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'llm';
+    this.llm = options.llm;
+    this.model = options.model;
+    this.maxPassageChars = options.maxPassageChars || 600;
+    this.fallback = options.fallback || null;
+  }
+
+  async rerank(query, results, options = {}) {
+    const { topN = this.topN, signal, attribution } = options;
+    if (results.length <= 1) return results.slice(0, topN);
+
+    const passages = results
+      .map((result, index) => `[${index + 1}] ${passageText(result, this.maxPassageChars)}`)
+      .join('\n\n');
+
+    try {
+      const completion = await this.llm.chat({
+        model: this.model || this.llm.models.fast,
+        messages: [
+          {
+            role: 'system',
+            content: `Ordena fragments de text segons la seva rellevància per respondre la pregunta de l'usuari sobre Guimerà.
+- Puntua cada fragment de 0 (irrellevant) a 10 (respon directament la pregunta).
+- Respon NOMÉS amb un array JSON ordenat de més a menys rellevant, sense explicacions:
+[{"passage": 1, "score": 9}, {"passage": 3, "score": 6}]`
+          },
+          {
+            role: 'user',
+            content: `Pregunta: ${query}\n\nFragments:\n${passages}`
+          }
+        ],
+        max_tokens: 20 + results.length * 15,
+        temperature: 0
+      }, { signal, type: 'rerank', ...attribution });
+
+      const scores = parseScores(completion.content, results.length);
+      return this.applyScores(results, scores, topN);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      console.warn(`⚠️ LLM reranking failed (${error.message}), ${this.fallback ? `using ${this.fallback.name} reranker` : 'keeping retrieval order'}`);
+      return this.fallback
+        ? this.fallback.rerank(query, results, { topN })
+        : results.slice(0, topN);
+    }
+  }
+}
+
+// Parse [{"passage": n, "score": s}] into a score per result (0..1).
+// Passages the model left out score 0.
+function parseScores(content, count) {
+  const json = content.match(/\[[\s\S]*\]/);
+  if (!json) {
+    throw new Error('reply has no JSON array');
+  }
+
+  const ranking = JSON.parse(json[0]);
+  if (!Array.isArray(ranking)) {
+    throw new Error('reply is not an array');
+  }
+
+  const scores = new Array(count).fill(0);
+  let parsed = 0;
+
+  for (const entry of ranking) {
+    const index = Number(entry?.passage) - 1;
+    const score = Number(entry?.score);
+    if (Number.isInteger(index) && index >= 0 && index < count && Number.isFinite(score)) {
+      scores[index] = Math.max(0, Math.min(10, score)) / 10;
+      parsed++;
+    }
+  }
+
+  if (parsed === 0) {
+    throw new Error('reply scored no passages');
+  }
+  return scores;
+}
+
+module.exports = LLMReranker;
@@ -0,0 +1,15 @@
+const Reranker = require('./reranker');
+
+// Keeps retrieval order; used when reranking is disabled or as a fallback
+class PassThroughReranker extends Reranker {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'none';
+  }
+
+  async rerank(query, results, options = {}) {
+    return results.slice(0, options.topN || this.topN);
+  }
+}
+
+module.exports = PassThroughReranker;
@@ -0,0 +1,41 @@
+/**
+ * Base class for rerankers.
+ *
+ * rerank(query, results, options) → results
+ *   results: retrieval matches ({ id, score, metadata }), best first
+ *   options: { topN, signal, attribution } — attribution ({ feature,
+ *            sessionId, engine }) labels model calls in the CostTracker
+ *
+ * Returned results are reordered and cut to topN. Rerankers that score
+ * passages set `rerankScore` (0..1) on each result; `score` keeps the
+ * retrieval score so both can be reported.
+ */
+class Reranker {
+  constructor(options = {}) {
+    this.name = 'abstract';
+    this.topN = options.topN || 5;
+  }
+
+  async rerank(query, results, options) {
+    throw new Error(`${this.constructor.name}.rerank() not implemented`);
+  }
+
+  // Sort by rerankScore, keeping retrieval order for ties
+  applyScores(results, scores, topN = this.topN) {
+    return results
+      .map((result, index) => ({ ...result, rerankScore: scores[index], retrievalRank: index + 1 }))
+      .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank)
+      .slice(0, topN);
+  }
+}
+
+// Passage text sent to scorers: title plus (truncated) chunk content
+function passageText(result, maxChars) {
+  const metadata = result.metadata || {};
+  const content = metadata.content || '';
+  const text = maxChars && content.length > maxChars ? `${content.slice(0, maxChars)}…` : content;
+  return metadata.title ? `${metadata.title}\n${text}` : text;
+}
+
+module.exports = Reranker;
+module.exports.passageText = passageText;
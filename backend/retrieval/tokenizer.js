@@ -0,0 +1,63 @@
+// Catalan/Spanish-aware tokenizer for lexical retrieval.
+// Lowercases, folds accents (Guimerà → guimera, Sant Cristòfol → sant cristofol),
+// joins the Catalan geminated l (col·lecció → colleccio), splits elisions
+// (l'església → esglesia) and drops common Catalan and Spanish stop words.
+// Plurals are lightly folded by stripping a trailing -s on longer words, so
+// "horaris" and "horari" match; the same folding applies to queries and
+// documents, which is all BM25 needs.
+
+const STOP_WORDS = new Set([
+  // Catalan
+  'a', 'al', 'als', 'amb', 'aquest', 'aquesta', 'aquests', 'aquestes', 'aquell', 'aquella',
+  'de', 'del', 'dels', 'des', 'el', 'els', 'en', 'entre', 'era', 'es', 'esta', 'fins',
+  'hi', 'ho', 'i', 'la', 'les', 'li', 'lo', 'ls', 'me', 'mes', 'molt', 'ni', 'no', 'o',
+  'on', 'per', 'pero', 'que', 'qui', 'quin', 'quina', 'quins', 'quines', 'se', 'ser',
+  'si', 'sobre', 'son', 'un', 'una', 'uns', 'unes', 'va', 'van', 'te', 'tenen',
+  'l', 'd', 's', 'n', 'm', 't',
+  // Spanish
+  'como', 'con', 'cual', 'cuales', 'el', 'ella', 'ellos', 'esta', 'este', 'estos', 'estas',
+  'hay', 'la', 'las', 'le', 'lo', 'los', 'mas', 'muy', 'nos', 'para', 'pero', 'por',
+  'porque', 'que', 'se', 'sin', 'su', 'sus', 'tiene', 'un', 'una', 'uno', 'y', 'ya',
+  // Shared
+  'the', 'and', 'of'
+]);
+
+function foldAccents(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+function normalizeText(text) {
+  return foldAccents(text)
+    .toLowerCase()
+    // col·lecció, col.lecció and coŀlecció all become "ll"
+    .replace(/l[·•.]l/g, 'll')
+    .replace(/ŀ/g, 'l')
+    // Elisions and apostrophes: l'església, d'Urgell, s'hi
+    .replace(/['’`´]/g, ' ');
+}
+
+function stemToken(token) {
+  if (token.length > 4 && token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function tokenize(text, options = {}) {
+  const { removeStopWords = true, stem = true } = options;
+
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 || /\d/.test(token))
+    .filter(token => !removeStopWords || !STOP_WORDS.has(token))
+    .map(token => (stem ? stemToken(token) : token));
+}
+
+module.exports = {
+  tokenize,
+  normalizeText,
+  foldAccents,
+  STOP_WORDS
+};
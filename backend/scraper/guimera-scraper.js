@@ -1,120 +1,67 @@
-const playwright = require('playwright');
-const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
+const RAG_CONFIG = require('../config');
+const { IngestionPipeline } = require('../ingestion/pipeline');
 
-class GuimeraScraper {
+// Collects whole cleaned pages instead of chunks
+class PageSink {
   constructor() {
-    this.baseUrl = 'https://www.guimera.info';
-    this.scrapedUrls = new Set();
-    this.content = [];
+    this.pages = [];
   }
 
-  async scrapeWebsite() {
-    const browser = await playwright.chromium.launch();
-    const page = await browser.newPage();
-
-    try {
-      // Start with homepage and discover all links
-      const urlsToScrape = await this.discoverUrls(page);
-
-      // Scrape each page
-      for (const url of urlsToScrape) {
-        if (!this.scrapedUrls.has(url)) {
-          console.log(`Scraping: ${url}`);
-          await this.scrapePage(page, url);
-          this.scrapedUrls.add(url);
-
-          // Rate limiting - be respectful
-          await this.delay(1000);
-        }
-      }
-    } finally {
-      await browser.close();
-    }
-
-    return this.content;
+  async store(url, chunks, document) {
+    if (!document) return 0;   // Linked documents have no page record
+
+    this.pages.push({
+      url,
+      title: document.title,
+      text: document.text,
+      html: document.html,
+      headings: document.headings.slice(0, 5),
+      metadata: {
+        description: document.description,
+        author: document.author || 'Guimerà Official',
+        publishedTime: document.publishedDate,
+        modifiedTime: document.modifiedDate,
+        language: document.language || 'ca'
+      },
+      scrapedAt: new Date().toISOString()
+    });
+    return 0;
   }
 
-  async discoverUrls(page) {
-    await page.goto(this.baseUrl);
-
-    // Get all internal links
-    const links = await page.evaluate((baseUrl) => {
-      const anchors = Array.from(document.querySelectorAll('a[href]'));
-      return anchors
-        .map(a => a.href)
-        .filter(href => href.startsWith(baseUrl))
-        .filter((href, index, arr) => arr.indexOf(href) === index); // unique
-    }, this.baseUrl);
-
-    return links;
+  estimate() {
+    return { tokens: 0, cost: 0 };
   }
 
-  async scrapePage(page, url) {
-    try {
-      await page.goto(url, { waitUntil: 'networkidle' });
-
-      const content = await page.evaluate(() => {
-        // Extract main content, excluding navigation
-        const mainContent = document.querySelector('main, article, .content, #content')
-          || document.body;
-
-        // Remove navigation, footer, sidebar elements
-        const elementsToRemove = mainContent.querySelectorAll(
-          'nav, footer, aside, .navigation, .sidebar, .menu'
-        );
-        elementsToRemove.forEach(el => el.remove());
-
-        return {
-          title: document.title,
-          text: mainContent.innerText,
-          html: mainContent.innerHTML,
-          headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
-            .map(h => h.innerText)
-            .slice(0, 5)
-        };
-      });
+  priceTokens() {
+    return 0;
+  }
 
-      // Extract metadata
-      const metadata = await this.extractMetadata(page);
+  async commit() {}
 
-      this.content.push({
-        url,
-        title: content.title,
-        text: content.text,
-        html: content.html,
-        headings: content.headings,
-        metadata,
-        scrapedAt: new Date().toISOString()
-      });
+  async finish() {}
 
-    } catch (error) {
-      console.error(`Error scraping ${url}:`, error.message);
-    }
+  result() {
+    return this.pages;
   }
+}
 
-  async extractMetadata(page) {
-    return await page.evaluate(() => {
-      const getMetaContent = (name) => {
-        const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
-        return meta ? meta.getAttribute('content') : null;
-      };
-
-      return {
-        description: getMetaContent('description'),
-        keywords: getMetaContent('keywords'),
-        author: getMetaContent('author') || 'Guimerà Official',
-        publishedTime: getMetaContent('article:published_time'),
-        modifiedTime: getMetaContent('article:modified_time'),
-        section: getMetaContent('article:section'),
-        language: document.documentElement.lang || 'ca'
-      };
+// Page-level dump of guimera.info rendered with Playwright
+class GuimeraScraper {
+  constructor() {
+    this.baseUrl = RAG_CONFIG.sources.primary.baseUrl;
+    this.pipeline = new IngestionPipeline({
+      fetcher: 'playwright',
+      feeds: false,
+      sink: new PageSink()
     });
+    this.content = [];
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async scrapeWebsite() {
+    this.content = await this.pipeline.run([RAG_CONFIG.sources.primary]);
+    return this.content;
   }
 
   async saveContent(filename = 'guimera-content.json') {
@@ -137,4 +84,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = GuimeraScraper;
\ No newline at end of file
+module.exports = GuimeraScraper;
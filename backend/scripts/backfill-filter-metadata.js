@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { createVectorStore } = require('../vector-store');
+const { createLexicalIndex } = require('../retrieval');
+const { withFilterMetadata } = require('../retrieval/filters');
+
+/**
+ * One-off migration for indexes written before metadata-filtered retrieval.
+ * The publishedAfter/publishedBefore filters match on a numeric
+ * publishedTimestamp and the language filter on a two-letter code, both
+ * derived at indexing time; older records only have publishedDate and the
+ * scraped language, so a date filter matches none of them.
+ *
+ * Re-upserts every record whose filter metadata is missing or outdated with
+ * the same vector, then rebuilds the lexical index.
+ *
+ * Dry run by default; pass --apply to modify the index.
+ *   node scripts/backfill-filter-metadata.js [--apply]
+ */
+
+const BATCH_SIZE = 100;
+
+async function backfillFilterMetadata({ apply = false, vectorStore = createVectorStore(), lexicalIndex } = {}) {
+  await vectorStore.initialize();
+
+  console.log(`🔍 Scanning ${vectorStore.provider} vector store (${apply ? 'apply' : 'dry run'})...`);
+
+  let scanned = 0;
+  let undated = 0;
+  const toUpsert = [];
+
+  let ids = [];
+  const flush = async () => {
+    const { records } = await vectorStore.fetch(ids);
+    for (const record of Object.values(records)) {
+      scanned++;
+      const metadata = withFilterMetadata(record.metadata);
+      if (metadata.publishedTimestamp === undefined) undated++;
+
+      if (needsBackfill(record.metadata, metadata)) {
+        toUpsert.push({ id: record.id, values: record.values, metadata });
+      }
+    }
+    ids = [];
+  };
+
+  for await (const id of vectorStore.listAll({ pageSize: BATCH_SIZE })) {
+    ids.push(id);
+    if (ids.length >= BATCH_SIZE) await flush();
+  }
+  if (ids.length > 0) await flush();
+
+  console.log('📊 Backfill plan:');
+  console.log(`   Records scanned: ${scanned} (${undated} without a publishedDate, never matched by date filters)`);
+  console.log(`   Records updated: ${toUpsert.length}`);
+
+  if (!apply) {
+    console.log('ℹ️ Dry run, nothing changed. Re-run with --apply to migrate.');
+    return { scanned, undated, updated: toUpsert.length };
+  }
+
+  for (let i = 0; i < toUpsert.length; i += BATCH_SIZE) {
+    await vectorStore.upsert(toUpsert.slice(i, i + BATCH_SIZE));
+  }
+
+  if (toUpsert.length > 0) {
+    const index = lexicalIndex || createLexicalIndex();
+    await index.initialize();
+    await index.rebuildFromVectorStore(vectorStore);
+  }
+
+  console.log(`✅ Backfill complete: ${toUpsert.length} records updated`);
+  return { scanned, undated, updated: toUpsert.length };
+}
+
+function needsBackfill(original = {}, enriched) {
+  return enriched.publishedTimestamp !== original.publishedTimestamp ||
+    enriched.language !== original.language;
+}
+
+if (require.main === module) {
+  backfillFilterMetadata({ apply: process.argv.includes('--apply') }).catch(error => {
+    console.error('💥 Backfill failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = backfillFilterMetadata;
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { createVectorStore } = require('../vector-store');
+const { createLexicalIndex } = require('../retrieval');
+const { createChunkManifest, normalizeUrl, chunkId } = require('../ingestion');
+
+/**
+ * One-off migration for indexes written before deterministic chunk IDs.
+ * Every re-index used to insert a fresh `guimera-*-${Date.now()}-${i}` copy
+ * of each page, so the same chunk can appear many times.
+ *
+ * For every page this keeps the newest record of each chunkIndex (by
+ * indexedAt/scrapedAt), drops chunk indexes beyond the newest totalChunks,
+ * re-keys the survivors to deterministic IDs and writes the chunk manifest.
+ * The lexical index is rebuilt afterwards.
+ *
+ * Dry run by default; pass --apply to modify the index.
+ *   node scripts/dedupe-vectors.js [--apply]
+ */
+
+const BATCH_SIZE = 100;
+
+async function dedupeVectors({ apply = false } = {}) {
+  const vectorStore = createVectorStore();
+  const manifest = createChunkManifest();
+  await vectorStore.initialize();
+
+  console.log(`🔍 Scanning ${vectorStore.provider} vector store (${apply ? 'apply' : 'dry run'})...`);
+
+  const pages = new Map();   // normalized URL → records
+  let scanned = 0;
+  let withoutUrl = 0;
+
+  let ids = [];
+  const flush = async () => {
+    const { records } = await vectorStore.fetch(ids);
+    for (const record of Object.values(records)) {
+      scanned++;
+      const url = record.metadata?.url;
+      if (!url) {
+        withoutUrl++;
+        continue;
+      }
+      const key = normalizeUrl(url);
+      if (!pages.has(key)) pages.set(key, []);
+      pages.get(key).push(record);
+    }
+    ids = [];
+  };
+
+  for await (const id of vectorStore.listAll({ pageSize: BATCH_SIZE })) {
+    ids.push(id);
+    if (ids.length >= BATCH_SIZE) await flush();
+  }
+  if (ids.length > 0) await flush();
+
+  const plan = { toDelete: [], toUpsert: [], manifest: [] };
+
+  for (const records of pages.values()) {
+    records.sort((a, b) => recordTime(b) - recordTime(a));
+    const newest = records[0];
+    const totalChunks = Number(newest.metadata.totalChunks) || Infinity;
+
+    const kept = new Map();   // chunkIndex → record
+    for (const record of records) {
+      const index = Number(record.metadata.chunkIndex) || 0;
+      if (index >= totalChunks || kept.has(index)) {
+        plan.toDelete.push(record.id);
+      } else {
+        kept.set(index, record);
+      }
+    }
+
+    const chunkIds = [];
+    for (const [index, record] of kept) {
+      const id = chunkId(newest.metadata.url, index, record.metadata.content);
+      chunkIds.push(id);
+      if (id !== record.id) {
+        plan.toUpsert.push({ ...record, id });
+        plan.toDelete.push(record.id);
+      }
+    }
+    plan.manifest.push({ url: newest.metadata.url, chunkIds });
+  }
+
+  // A re-keyed record may land on the ID of an older duplicate; keep it
+  const keptIds = new Set(plan.manifest.flatMap(entry => entry.chunkIds));
+  plan.toDelete = plan.toDelete.filter(id => !keptIds.has(id));
+
+  console.log('📊 Deduplication plan:');
+  console.log(`   Records scanned: ${scanned} (${withoutUrl} without url, left untouched)`);
+  console.log(`   Pages: ${pages.size}`);
+  console.log(`   Records re-keyed: ${plan.toUpsert.length}`);
+  console.log(`   Records deleted (duplicates, stale chunks and old IDs): ${plan.toDelete.length}`);
+
+  if (!apply) {
+    console.log('ℹ️ Dry run, nothing changed. Re-run with --apply to migrate.');
+    return plan;
+  }
+
+  for (let i = 0; i < plan.toUpsert.length; i += BATCH_SIZE) {
+    await vectorStore.upsert(plan.toUpsert.slice(i, i + BATCH_SIZE));
+  }
+  for (let i = 0; i < plan.toDelete.length; i += BATCH_SIZE) {
+    await vectorStore.deleteMany(plan.toDelete.slice(i, i + BATCH_SIZE));
+  }
+
+  for (const entry of plan.manifest) {
+    await manifest.set(entry.url, entry.chunkIds);
+  }
+  await manifest.save();
+
+  const lexicalIndex = createLexicalIndex();
+  await lexicalIndex.initialize();
+  await lexicalIndex.rebuildFromVectorStore(vectorStore);
+
+  console.log(`✅ Migration complete: ${plan.manifest.length} pages in the chunk manifest`);
+  return plan;
+}
+
+function recordTime(record) {
+  const time = Date.parse(record.metadata.indexedAt || record.metadata.scrapedAt);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+if (require.main === module) {
+  dedupeVectors({ apply: process.argv.includes('--apply') }).catch(error => {
+    console.error('💥 Deduplication failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = dedupeVectors;
@@ -1,3 +1,4 @@
+require('dotenv').config({ silent: true });
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
@@ -5,17 +6,29 @@ const path = require('path');
 const GuimeraRAGEngine = require('./rag-engine');
 const MCPGuimeraRAGEngine = require('./mcp-rag-engine');
 const CostTracker = require('./admin/cost-tracker');
+const ChatAnalytics = require('./admin/chat-analytics');
+const FeedbackStore = require('./admin/feedback-store');
+const { FeedbackError } = FeedbackStore;
+const { createLLMProvider } = require('./llm');
 const adminRoutes = require('./admin/admin-routes');
+const { requireAdmin } = require('./admin/admin-auth');
+const CrawlJobManager = require('./admin/job-manager');
+const RAGSystemScheduler = require('./admin/scheduler');
 const agentMonitor = require('./agent-monitor');
-require('dotenv').config({ silent: true });
+const { isVectorStoreConfigured } = require('./vector-store');
+const { validateFilters } = require('./retrieval/filters');
+const RAG_CONFIG = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize RAG Engines and Cost Tracker
-const ragEngine = new GuimeraRAGEngine();
-const mcpRagEngine = new MCPGuimeraRAGEngine();
-const costTracker = new CostTracker();
+// Initialize LLM provider, RAG Engines and Cost Tracker
+const llm = createLLMProvider();
+const ragEngine = new GuimeraRAGEngine({ llm });
+const mcpRagEngine = new MCPGuimeraRAGEngine({ llm });
+const costTracker = CostTracker.getInstance();
+const chatAnalytics = ChatAnalytics.getInstance();
+const feedbackStore = FeedbackStore.getInstance();
 let ragReady = false;
 let mcpRagReady = false;
 
@@ -87,6 +100,7 @@ async function initializeRAG() {
 console.log('🔍 Environment check:');
 console.log('OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
 console.log('PINECONE_API_KEY exists:', !!process.env.PINECONE_API_KEY);
+console.log('Vector store provider:', RAG_CONFIG.vectorDB.provider);
 console.log('CORS_ORIGIN:', process.env.CORS_ORIGIN);
 console.log('PORT:', process.env.PORT);
 
@@ -97,63 +111,44 @@ const corsOrigins = process.env.CORS_ORIGIN
 
 console.log('🌐 CORS origins:', corsOrigins);
 
+// Behind Render's proxy every request comes from the proxy, so req.ip (used
+// by the per-visitor spend cap) must be read from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops (0 when clients connect directly)
+// or an Express trust proxy list such as 'loopback'.
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+
 app.use(cors({
   origin: corsOrigins,
   credentials: true
 }));
 app.use(express.json());
 
-// Store cost tracker in app locals for admin routes
+// Share the cost tracker and RAG engine with the admin routes and scheduler
 app.locals.costTracker = costTracker;
 app.locals.ragEngine = ragEngine;
+RAGSystemScheduler.getInstance().setRagEngine(ragEngine);
 
-// Admin authentication middleware
-const adminAuth = (req, res, next) => {
-  const token = req.headers['x-admin-token'] || req.query.token;
-  const validToken = process.env.ADMIN_TOKEN || 'guimera-admin-2024';
-
-  if (token !== validToken) {
-    return res.status(401).json({ error: 'No autoritzat. Es requereix accés d\'administrador.' });
-  }
-  next();
-};
-
-// Admin dashboard route (protected)
-app.get('/admin/dashboard.html', adminAuth, (req, res) => {
+// Admin dashboards: static pages that sign in through /api/admin/auth/login;
+// their data comes from the authenticated admin API
+app.get('/admin/dashboard.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'admin', 'dashboard.html'));
 });
 
-// Power-Admin Agent Monitor (secret access)
 app.get('/admin/agent-monitor.html', (req, res) => {
-  const agentMonitorParam = req.query.agent_monitor;
-  if (agentMonitorParam !== 'guimera_power_admin_2024') {
-    return res.status(403).json({ error: 'Access denied' });
-  }
   res.sendFile(path.join(__dirname, 'admin', 'agent-dashboard.html'));
 });
 
-// Agent monitoring API endpoints (secret access)
-app.get('/api/admin/agent-monitor', (req, res) => {
-  const secret = req.query.secret;
-  if (secret !== 'guimera_power_admin_2024') {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+// Agent monitoring API endpoints (owner only)
+app.get('/api/admin/agent-monitor', requireAdmin('owner'), (req, res) => {
   res.json(agentMonitor.getDashboardData());
 });
 
-app.get('/api/admin/agent-monitor/export', (req, res) => {
-  const secret = req.query.secret;
-  if (secret !== 'guimera_power_admin_2024') {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+app.get('/api/admin/agent-monitor/export', requireAdmin('owner'), (req, res) => {
   res.json(agentMonitor.exportData());
 });
 
-app.post('/api/admin/agent-monitor/reset', (req, res) => {
-  const secret = req.query.secret;
-  if (secret !== 'guimera_power_admin_2024') {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+app.post('/api/admin/agent-monitor/reset', requireAdmin('owner'), (req, res) => {
   agentMonitor.reset();
   res.json({ success: true, message: 'Agent monitor reset' });
 });
@@ -163,211 +158,372 @@ app.use('/api/admin', adminRoutes);
 
 const sessions = new Map();
 
-// Enhanced chat endpoint with RAG
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, sessionId, useRAG = true, useMCP = false, rerankModel = 'pinecone-rerank-v0' } = req.body;
-
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    const currentSessionId = sessionId || crypto.randomUUID();
+function getOrCreateSession(sessionId) {
+  if (!sessions.has(sessionId)) {
+    sessions.set(sessionId, {
+      messages: [],
+      ragHistory: []
+    });
+  }
 
-    if (!sessions.has(currentSessionId)) {
-      sessions.set(currentSessionId, {
-        messages: [],
-        ragHistory: []
-      });
-    }
+  return sessions.get(sessionId);
+}
 
-    const session = sessions.get(currentSessionId);
+// Tag retrieval metadata with the engine that produced it before it is
+// streamed; the engine also labels the turn's model calls in the CostTracker
+function withEngine(hooks, engine) {
+  return {
+    ...hooks,
+    engine,
+    onRetrieval: hooks.onRetrieval && (metadata => hooks.onRetrieval({ ...metadata, engine }))
+  };
+}
 
-    // Determine which RAG engine to use
-    const shouldUseMCP = useMCP && mcpRagReady && process.env.PINECONE_API_KEY;
-    const shouldUseRAG = useRAG && ragReady && process.env.PINECONE_API_KEY;
+// Run a single chat turn through the best available engine:
+// MCP RAG → standard RAG → GPT-only. Streaming hooks (onRetrieval, onToken,
+// signal) are forwarded to the engines; once tokens have been streamed to the
+// client a failure is no longer retried on a fallback engine.
+// filters/autoFilters restrict retrieval by source, type, language and date.
+// The budget policy (admin/cost-tracker.js) can answer with a "service
+// limited" reply instead (engine 'limited') or degrade the turn.
+async function runChatTurn(message, session, currentSessionId, options = {}, hooks = {}) {
+  const { useRAG = true, useMCP = false, rerankModel = 'pinecone-rerank-v0', filters, autoFilters, ip } = options;
+
+  const budget = costTracker.checkChatBudget({ sessionId: currentSessionId, ip });
+  if (budget.action === 'block') {
+    console.warn(`🚫 Chat limited (${budget.reason}) for session ${currentSessionId}`);
+    hooks.onRetrieval?.({ sources: [], confidence: 0, searchResults: 0, engine: 'limited' });
+    hooks.onToken?.(budget.message);
+    return { response: budget.message, sources: [], confidence: 0, searchResults: 0, engine: 'limited', usage: null, queryRewrite: null, filters: null, shouldUseRAG: false, budget };
+  }
 
-    let response, sources = [], confidence = 0, searchResults = 0, engine = 'standard';
+  // Over budget with the 'degrade' action: cheaper model, fewer sources,
+  // shorter answers
+  const limits = budget.action === 'degrade' ? {
+    chatModel: budget.degraded.chatModel || llm.models.fast,
+    topK: budget.degraded.topK,
+    rerankTopN: budget.degraded.topK,
+    maxTokens: budget.degraded.maxTokens
+  } : {};
+
+  let streamStarted = false;
+  if (hooks.onToken) {
+    const onToken = hooks.onToken;
+    hooks = {
+      ...hooks,
+      onToken: delta => {
+        streamStarted = true;
+        onToken(delta);
+      }
+    };
+  }
 
-    if (shouldUseMCP) {
-      try {
-        console.log('🚀 Using MCP RAG mode with reranking');
+  const canFallBack = () => !streamStarted && !hooks.signal?.aborted;
 
-        // Track query start
-        const queryId = agentMonitor.startQuery('rag-enhanced', message, {
-          useMCP: true,
-          rerankModel: rerankModel,
-          sessionId: currentSessionId
-        });
+  // Determine which RAG engine to use
+  const shouldUseMCP = useMCP && mcpRagReady && process.env.PINECONE_API_KEY;
+  const shouldUseRAG = useRAG && ragReady && isVectorStoreConfigured();
 
-        agentMonitor.addStep(queryId, 'mcp-query-start', { rerankModel });
+  let response, sources = [], confidence = 0, searchResults = 0, engine = 'standard', usage = null, queryRewrite = null, appliedFilters = null;
 
-        const ragResponse = await mcpRagEngine.query(message, {
-          useReranking: true,
-          rerankModel: rerankModel
-        });
+  // Previous turns let the RAG engines resolve follow-up questions
+  const history = session.messages;
 
-        agentMonitor.addStep(queryId, 'mcp-search-complete', {
-          sources: ragResponse.sources?.length || 0,
-          confidence: ragResponse.confidence
-        });
+  const runStandardResponse = async () => {
+    hooks.onRetrieval?.({ sources: [], confidence: 0, searchResults: 0, engine: 'gpt-only' });
 
-        response = ragResponse.answer;
-        sources = ragResponse.sources;
-        confidence = ragResponse.confidence;
-        searchResults = ragResponse.searchResults;
-        engine = 'mcp';
+    const completion = await getStandardResponse(message, session, { ...hooks, ...limits, sessionId: currentSessionId });
+    response = completion.content;
+    usage = completion.usage;
+    engine = 'gpt-only';
+  };
 
-        // Track successful completion
-        agentMonitor.completeQuery(queryId, {
-          response: response.substring(0, 100) + '...',
-          sources: sources.length,
-          confidence,
-          engine
-        });
-      } catch (mcpError) {
-        console.error('MCP RAG query failed, falling back to standard RAG:', mcpError.message);
+  if (shouldUseMCP) {
+    let queryId;
+    try {
+      console.log('🚀 Using MCP RAG mode with reranking');
 
-        // Track MCP failure
-        agentMonitor.completeQuery(queryId, null, mcpError.message);
+      // Track query start
+      queryId = agentMonitor.startQuery('rag-enhanced', message, {
+        useMCP: true,
+        rerankModel: rerankModel,
+        sessionId: currentSessionId
+      });
 
-        if (shouldUseRAG) {
-          // Track fallback to standard RAG
-          const fallbackQueryId = agentMonitor.startQuery('rag-standard', message, {
-            fallbackFrom: 'mcp',
-            sessionId: currentSessionId
-          });
+      agentMonitor.addStep(queryId, 'mcp-query-start', { rerankModel });
 
-          const ragResponse = await ragEngine.query(message);
-          response = ragResponse.answer;
-          sources = ragResponse.sources;
-          confidence = ragResponse.confidence;
-          searchResults = ragResponse.searchResults;
-          engine = 'standard-fallback';
+      const ragResponse = await mcpRagEngine.query(message, {
+        useReranking: true,
+        rerankModel: rerankModel,
+        filters,
+        autoFilters,
+        history,
+        sessionId: currentSessionId,
+        ...limits,
+        ...withEngine(hooks, 'mcp')
+      });
 
-          agentMonitor.completeQuery(fallbackQueryId, {
-            response: response.substring(0, 100) + '...',
-            sources: sources.length,
-            confidence,
-            engine
-          });
-        } else {
-          // Track GPT-only fallback
-          const gptQueryId = agentMonitor.startQuery('gpt-standard', message, {
-            fallbackFrom: 'mcp',
-            sessionId: currentSessionId
-          });
+      agentMonitor.addStep(queryId, 'mcp-search-complete', {
+        sources: ragResponse.sources?.length || 0,
+        confidence: ragResponse.confidence
+      });
 
-          response = await getStandardResponse(message, session);
-          engine = 'gpt-only';
+      response = ragResponse.answer;
+      sources = ragResponse.sources;
+      confidence = ragResponse.confidence;
+      searchResults = ragResponse.searchResults;
+      usage = ragResponse.usage;
+      queryRewrite = ragResponse.queryRewrite;
+      appliedFilters = ragResponse.filters || null;
+      engine = 'mcp';
+
+      // Track successful completion
+      agentMonitor.completeQuery(queryId, {
+        response: response.substring(0, 100) + '...',
+        sources: sources.length,
+        confidence,
+        engine
+      });
+    } catch (mcpError) {
+      // Track MCP failure
+      agentMonitor.completeQuery(queryId, null, mcpError.message);
 
-          agentMonitor.completeQuery(gptQueryId, {
-            response: response.substring(0, 100) + '...',
-            engine
-          });
-        }
+      if (!canFallBack()) {
+        throw mcpError;
       }
-    } else if (shouldUseRAG) {
-      try {
-        console.log('🔍 Using standard RAG mode');
-
-        // Track standard RAG query
-        const ragQueryId = agentMonitor.startQuery('rag-standard', message, {
-          useMCP: false,
-          sessionId: currentSessionId
-        });
-
-        agentMonitor.addStep(ragQueryId, 'standard-rag-start');
 
-        const ragResponse = await ragEngine.query(message);
+      console.error('MCP RAG query failed, falling back to standard RAG:', mcpError.message);
 
-        agentMonitor.addStep(ragQueryId, 'standard-search-complete', {
-          sources: ragResponse.sources?.length || 0,
-          confidence: ragResponse.confidence
+      if (shouldUseRAG) {
+        // Track fallback to standard RAG
+        const fallbackQueryId = agentMonitor.startQuery('rag-standard', message, {
+          fallbackFrom: 'mcp',
+          sessionId: currentSessionId
         });
 
+        const ragResponse = await ragEngine.query(message, { filters, autoFilters, history, sessionId: currentSessionId, ...limits, ...withEngine(hooks, 'standard-fallback') });
         response = ragResponse.answer;
         sources = ragResponse.sources;
         confidence = ragResponse.confidence;
         searchResults = ragResponse.searchResults;
-        engine = 'standard';
+        usage = ragResponse.usage;
+        queryRewrite = ragResponse.queryRewrite;
+        appliedFilters = ragResponse.filters || null;
+        engine = 'standard-fallback';
 
-        // Track successful completion
-        agentMonitor.completeQuery(ragQueryId, {
+        agentMonitor.completeQuery(fallbackQueryId, {
           response: response.substring(0, 100) + '...',
           sources: sources.length,
           confidence,
           engine
         });
-
-        // Store RAG query in session
-        session.ragHistory.push({
-          question: message,
-          answer: response,
-          sources: sources.length,
-          confidence,
-          engine,
-          timestamp: new Date()
-        });
-
-      } catch (ragError) {
-        console.error('RAG query failed, falling back to standard mode:', ragError.message);
-
-        // Track RAG failure
-        agentMonitor.completeQuery(ragQueryId, null, ragError.message);
-
-        // Track GPT fallback
-        const gptFallbackId = agentMonitor.startQuery('gpt-standard', message, {
-          fallbackFrom: 'rag',
+      } else {
+        // Track GPT-only fallback
+        const gptQueryId = agentMonitor.startQuery('gpt-standard', message, {
+          fallbackFrom: 'mcp',
           sessionId: currentSessionId
         });
 
-        response = await getStandardResponse(message, session);
-        engine = 'gpt-only';
+        await runStandardResponse();
 
-        agentMonitor.completeQuery(gptFallbackId, {
+        agentMonitor.completeQuery(gptQueryId, {
           response: response.substring(0, 100) + '...',
           engine
         });
       }
-    } else {
-      console.log('💬 Using standard mode');
+    }
+  } else if (shouldUseRAG) {
+    let ragQueryId;
+    try {
+      console.log('🔍 Using standard RAG mode');
 
-      // Track standard GPT mode
-      const gptQueryId = agentMonitor.startQuery('gpt-standard', message, {
-        sessionId: currentSessionId,
-        reason: 'no-rag-available'
+      // Track standard RAG query
+      ragQueryId = agentMonitor.startQuery('rag-standard', message, {
+        useMCP: false,
+        sessionId: currentSessionId
       });
 
-      response = await getStandardResponse(message, session);
-      engine = 'gpt-only';
+      agentMonitor.addStep(ragQueryId, 'standard-rag-start');
+
+      const ragResponse = await ragEngine.query(message, { filters, autoFilters, history, sessionId: currentSessionId, ...limits, ...withEngine(hooks, 'standard') });
 
-      agentMonitor.completeQuery(gptQueryId, {
+      agentMonitor.addStep(ragQueryId, 'standard-search-complete', {
+        sources: ragResponse.sources?.length || 0,
+        confidence: ragResponse.confidence
+      });
+
+      response = ragResponse.answer;
+      sources = ragResponse.sources;
+      confidence = ragResponse.confidence;
+      searchResults = ragResponse.searchResults;
+      usage = ragResponse.usage;
+      queryRewrite = ragResponse.queryRewrite;
+      appliedFilters = ragResponse.filters || null;
+      engine = 'standard';
+
+      // Track successful completion
+      agentMonitor.completeQuery(ragQueryId, {
+        response: response.substring(0, 100) + '...',
+        sources: sources.length,
+        confidence,
+        engine
+      });
+
+    } catch (ragError) {
+      // Track RAG failure
+      agentMonitor.completeQuery(ragQueryId, null, ragError.message);
+
+      if (!canFallBack()) {
+        throw ragError;
+      }
+
+      console.error('RAG query failed, falling back to standard mode:', ragError.message);
+
+      // Track GPT fallback
+      const gptFallbackId = agentMonitor.startQuery('gpt-standard', message, {
+        fallbackFrom: 'rag',
+        sessionId: currentSessionId
+      });
+
+      await runStandardResponse();
+
+      agentMonitor.completeQuery(gptFallbackId, {
         response: response.substring(0, 100) + '...',
         engine
       });
     }
+  } else {
+    console.log('💬 Using standard mode');
 
-    // Add to conversation history
-    session.messages.push(
-      { role: 'user', content: message },
-      { role: 'assistant', content: response }
-    );
+    // Track standard GPT mode
+    const gptQueryId = agentMonitor.startQuery('gpt-standard', message, {
+      sessionId: currentSessionId,
+      reason: 'no-rag-available'
+    });
 
-    // Keep only last 20 messages
-    if (session.messages.length > 20) {
-      session.messages = session.messages.slice(-20);
+    await runStandardResponse();
+
+    agentMonitor.completeQuery(gptQueryId, {
+      response: response.substring(0, 100) + '...',
+      engine
+    });
+  }
+
+  // Store RAG query in session, including the standalone query used for retrieval
+  if (engine !== 'gpt-only') {
+    session.ragHistory.push({
+      question: message,
+      searchQuery: queryRewrite?.query || message,
+      rewritten: !!queryRewrite?.rewritten,
+      filters: appliedFilters,
+      answer: response,
+      sources: sources.length,
+      confidence,
+      engine,
+      timestamp: new Date()
+    });
+  }
+
+  return { response, sources, confidence, searchResults, engine, usage, queryRewrite, filters: appliedFilters, shouldUseRAG, budget };
+}
+
+// Add a completed turn to the session's conversation history
+function recordChatTurn(session, message, response) {
+  session.messages.push(
+    { role: 'user', content: message },
+    { role: 'assistant', content: response }
+  );
+
+  // Keep only last 20 messages
+  if (session.messages.length > 20) {
+    session.messages = session.messages.slice(-20);
+  }
+
+  // Store session activity
+  session.lastActivity = new Date();
+}
+
+// Starts timing a turn for the admin dashboards (admin/chat-analytics.js);
+// the returned function stores it and returns the record, whose id is the
+// answer's message ID. The cost is the session's spend during the turn, so
+// embeddings, rewrites and reranking count too.
+function trackTurn(message, sessionId) {
+  const startedAt = Date.now();
+  const spentBefore = costTracker.getSessionSpend(sessionId);
+
+  return (turn = {}, error = null) => {
+    const record = chatAnalytics.record({
+      sessionId,
+      question: message,
+      engine: turn.engine || null,
+      responseTime: Date.now() - startedAt,
+      sources: turn.sources,
+      confidence: turn.confidence,
+      cost: Math.max(0, costTracker.getSessionSpend(sessionId) - spentBefore),
+      error,
+      budgetAction: turn.budget?.action
+    });
+
+    // Kept so visitor feedback can be linked to what was retrieved
+    if (!error) feedbackStore.rememberTrace(record, turn);
+    return record;
+  };
+}
+
+// Tells the client when the budget policy limited or degraded the answer
+function budgetNotice(budget) {
+  if (budget.action !== 'block' && budget.action !== 'degrade') return undefined;
+  return { action: budget.action, reason: budget.reason };
+}
+
+// Enhanced chat endpoint with RAG
+app.post('/api/chat', async (req, res) => {
+  // Clients asking for an event stream get the streaming variant
+  if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+    return handleChatStream(req, res);
+  }
+
+  let recordAnalytics = null;
+
+  try {
+    const { message, sessionId, useRAG = true, useMCP = false, rerankModel = 'pinecone-rerank-v0', filters, autoFilters } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Store session activity
-    session.lastActivity = new Date();
+    const filterError = validateFilters(filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const currentSessionId = sessionId || crypto.randomUUID();
+    const session = getOrCreateSession(currentSessionId);
+    recordAnalytics = trackTurn(message, currentSessionId);
+
+    const turn = await runChatTurn(
+      message,
+      session,
+      currentSessionId,
+      { useRAG, useMCP, rerankModel, filters, autoFilters, ip: req.ip }
+    );
+    const { response, sources, confidence, searchResults, engine, filters: appliedFilters, shouldUseRAG, budget } = turn;
+
+    const { id: messageId } = recordAnalytics(turn);
+
+    // A limited reply is not part of the conversation
+    if (engine !== 'limited') {
+      recordChatTurn(session, message, response);
+    }
 
     const responseData = {
       response,
+      messageId,
       sessionId: currentSessionId,
       timestamp: new Date().toISOString(),
       mode: engine,
-      engine: engine
+      engine: engine,
+      budget: budgetNotice(budget)
     };
 
     // Include RAG metadata if available
@@ -376,7 +532,8 @@ app.post('/api/chat', async (req, res) => {
         sources: sources.slice(0, 3), // Top 3 sources
         confidence,
         searchResults,
-        totalSources: sources.length
+        totalSources: sources.length,
+        filters: appliedFilters
       };
     }
 
@@ -384,6 +541,7 @@ app.post('/api/chat', async (req, res) => {
 
   } catch (error) {
     console.error('Chat error:', error);
+    recordAnalytics?.({}, error.message);
     res.status(500).json({
       error: 'Failed to process chat message',
       details: error.message
@@ -391,13 +549,111 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Standard OpenAI response (fallback)
-async function getStandardResponse(message, session) {
-  const { OpenAI } = require('openai');
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+// Streaming chat endpoint (Server-Sent Events)
+// Events: `metadata` (sources, confidence), `token` (answer deltas), `done`
+// (messageId, sessionId, engine, cost) and `error`.
+app.post('/api/chat/stream', handleChatStream);
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function handleChatStream(req, res) {
+  const { message, sessionId, useRAG = true, useMCP = false, rerankModel = 'pinecone-rerank-v0', filters, autoFilters } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const filterError = validateFilters(filters);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const currentSessionId = sessionId || crypto.randomUUID();
+  const session = getOrCreateSession(currentSessionId);
+
+  // Abort the model calls as soon as the visitor goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
   });
 
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const recordAnalytics = trackTurn(message, currentSessionId);
+
+  try {
+    const turn = await runChatTurn(
+      message,
+      session,
+      currentSessionId,
+      { useRAG, useMCP, rerankModel, filters, autoFilters, ip: req.ip },
+      {
+        signal: abortController.signal,
+        onRetrieval: ({ sources, confidence, searchResults, engine }) => {
+          sendEvent(res, 'metadata', {
+            sources: sources.slice(0, 3), // Top 3 sources
+            confidence,
+            searchResults,
+            totalSources: sources.length,
+            engine
+          });
+        },
+        onToken: delta => sendEvent(res, 'token', { delta })
+      }
+    );
+    const { response, engine, budget } = turn;
+
+    // The recorded cost covers every model call of the turn (embeddings,
+    // rewrite, reranking, answer), so the client sees the dashboard figure
+    const { id: messageId, cost } = recordAnalytics(turn);
+
+    if (engine !== 'limited') {
+      recordChatTurn(session, message, response);
+    }
+
+    sendEvent(res, 'done', {
+      messageId,
+      sessionId: currentSessionId,
+      timestamp: new Date().toISOString(),
+      mode: engine,
+      engine,
+      cost,
+      budget: budgetNotice(budget)
+    });
+    res.end();
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`🔌 Client disconnected, chat stream aborted (${currentSessionId})`);
+      recordAnalytics({}, 'client-disconnected');
+      return;
+    }
+
+    recordAnalytics({}, error.message);
+
+    console.error('Chat stream error:', error);
+    sendEvent(res, 'error', {
+      error: 'Failed to process chat message',
+      details: error.message
+    });
+    res.end();
+  }
+}
+
+// Standard OpenAI response (fallback)
+async function getStandardResponse(message, session, options = {}) {
+  const { onToken, signal, sessionId, chatModel, maxTokens = 500 } = options;
+
   const SYSTEM_PROMPT = `# Prompt de sistema — Experto del Museo Guimerà
 
 **Rol y misión**
@@ -425,24 +681,13 @@ IMPORTANTE: Indica al usuario que pronto tendrás acceso a información actualiz
     { role: 'user', content: message }
   ];
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4',
+  // Usage is reported to the cost tracker by the provider
+  return llm.chat({
+    model: chatModel,
     messages,
-    max_tokens: 500,
+    max_tokens: maxTokens,
     temperature: 0.7
-  });
-
-  // Track API usage and costs
-  if (completion.usage) {
-    costTracker.trackCompletion(
-      'gpt-4',
-      completion.usage.prompt_tokens,
-      completion.usage.completion_tokens,
-      'chat'
-    );
-  }
-
-  return completion.choices[0].message.content;
+  }, { onToken, signal, feature: 'chat-standard', sessionId, engine: 'gpt-only' });
 }
 
 // Session endpoint
@@ -466,10 +711,36 @@ app.get('/api/session/:sessionId', (req, res) => {
     sessionId,
     messages: userMessages,
     lastActivity: session.lastActivity,
-    ragQueries: session.ragHistory?.length || 0
+    ragQueries: session.ragHistory?.length || 0,
+    // Retrieval trace for debugging follow-up rewriting
+    ragHistory: (session.ragHistory || []).map(entry => ({
+      question: entry.question,
+      searchQuery: entry.searchQuery,
+      rewritten: entry.rewritten,
+      filters: entry.filters,
+      engine: entry.engine,
+      confidence: entry.confidence,
+      timestamp: entry.timestamp
+    }))
   });
 });
 
+// Visitor rating of an answer: { messageId, rating: 'up'|'down', reason,
+// comment }. Reasons: incorrect, outdated, incomplete, wrong-language.
+// Negative ratings are reviewed at /api/admin/feedback.
+app.post('/api/feedback', async (req, res) => {
+  try {
+    const feedback = await feedbackStore.submit(req.body || {});
+    res.json({ success: true, messageId: feedback.messageId, rating: feedback.rating });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback', details: error.message });
+  }
+});
+
 // Enhanced health endpoint
 app.get('/api/health', async (req, res) => {
   let ragStats = null;
@@ -496,6 +767,10 @@ app.get('/api/health', async (req, res) => {
     timestamp: new Date().toISOString(),
     openaiConfigured: !!process.env.OPENAI_API_KEY,
     pineconeConfigured: !!process.env.PINECONE_API_KEY,
+    vectorStore: {
+      provider: RAG_CONFIG.vectorDB.provider,
+      configured: isVectorStoreConfigured()
+    },
     ragEnabled: ragReady,
     mcpRagEnabled: mcpRagReady,
     ragStats,
@@ -505,13 +780,14 @@ app.get('/api/health', async (req, res) => {
       mcp: mcpRagReady,
       capabilities: mcpRagReady ? mcpRagEngine.getMCPCapabilities() : null
     },
-    model: 'gpt-4',
+    llmProvider: llm.name,
+    model: llm.models.chat,
     sessionsActive: sessions.size
   });
 });
 
 // RAG management endpoints
-app.post('/api/rag/reindex', async (req, res) => {
+app.post('/api/rag/reindex', requireAdmin('editor'), async (req, res) => {
   if (!ragReady) {
     return res.status(503).json({ error: 'RAG system not available' });
   }
@@ -579,7 +855,7 @@ app.get('/api/mcp/stats', async (req, res) => {
   }
 });
 
-app.post('/api/mcp/reindex', async (req, res) => {
+app.post('/api/mcp/reindex', requireAdmin('editor'), async (req, res) => {
   if (!mcpRagReady) {
     return res.status(503).json({ error: 'MCP RAG system not available' });
   }
@@ -611,7 +887,7 @@ app.post('/api/mcp/reindex', async (req, res) => {
   }
 });
 
-app.post('/api/mcp/benchmark', async (req, res) => {
+app.post('/api/mcp/benchmark', requireAdmin('editor'), async (req, res) => {
   const { query = 'Què és el Museu Guimerà?', iterations = 3 } = req.body;
 
   if (!mcpRagReady || !ragReady) {
@@ -676,7 +952,7 @@ app.post('/api/mcp/benchmark', async (req, res) => {
 });
 
 // Clean up old sessions
-setInterval(() => {
+const sessionCleanup = setInterval(() => {
   const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
   for (const [sessionId, session] of sessions.entries()) {
     if (session.lastActivity && session.lastActivity < oneHourAgo) {
@@ -684,14 +960,31 @@ setInterval(() => {
     }
   }
 }, 15 * 60 * 1000);
+sessionCleanup.unref();
+
+// Started directly (npm run dev); tests require the app and listen themselves
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`🚀 Enhanced Guimera AI Assistant running on port ${PORT}`);
+    console.log(`🔧 OpenAI API configured: ${!!process.env.OPENAI_API_KEY}`);
+    console.log(`🔧 Pinecone API configured: ${!!process.env.PINECONE_API_KEY}`);
+    console.log(`🤖 Using ${llm.name} provider (${llm.models.chat})`);
+    console.log(`🧹 Session cleanup enabled`);
+
+    // Initialize RAG after server starts
+    await initializeRAG();
+
+    // Reload persisted crawl jobs and start any still queued
+    await CrawlJobManager.getInstance().initialize();
+
+    // Health checks and content updates on cron (RAG_CONFIG.scheduler)
+    if (RAG_CONFIG.scheduler.enabled) {
+      await RAGSystemScheduler.getInstance().start();
+    } else {
+      console.log('🕐 Scheduler disabled (set SCHEDULER_ENABLED=true to run it)');
+    }
+  });
+}
 
-app.listen(PORT, async () => {
-  console.log(`🚀 Enhanced Guimera AI Assistant running on port ${PORT}`);
-  console.log(`🔧 OpenAI API configured: ${!!process.env.OPENAI_API_KEY}`);
-  console.log(`🔧 Pinecone API configured: ${!!process.env.PINECONE_API_KEY}`);
-  console.log(`🤖 Using GPT-4 Chat Completions API`);
-  console.log(`🧹 Session cleanup enabled`);
-
-  // Initialize RAG after server starts
-  await initializeRAG();
-});
\ No newline at end of file
+module.exports = app;
+module.exports.initializeRAG = initializeRAG;
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AdminAuth = require('../admin/admin-auth');
+
+const PASSWORD = 'correct-horse-battery';
+
+// Fresh accounts in a temporary directory, with the first owner created
+// from ADMIN_USERNAME/ADMIN_PASSWORD
+async function createAuth(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-auth-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  process.env.ADMIN_USERNAME = 'Boss';
+  process.env.ADMIN_PASSWORD = PASSWORD;
+  delete process.env.ADMIN_JWT_SECRET;
+
+  const auth = new AdminAuth({ directory });
+  await auth.initialize();
+  return auth;
+}
+
+test('logs the owner in and verifies the token', async t => {
+  const auth = await createAuth(t);
+  const session = await auth.login('boss', PASSWORD);
+
+  assert.equal(session.user.username, 'boss');
+  assert.equal(session.user.role, 'owner');
+  assert.equal(session.user.passwordHash, undefined);
+  assert.deepEqual(await auth.verify(session.token), { ...session.user });
+
+  // Stored as a salted scrypt hash, never in clear
+  const saved = await fs.readFile(path.join(auth.directory, 'users.json'), 'utf8');
+  assert.match(saved, /"passwordHash": "scrypt\$16384\$/);
+  assert.ok(!saved.includes(PASSWORD));
+});
+
+test('rejects wrong passwords and unknown users alike', async t => {
+  const auth = await createAuth(t);
+
+  for (const [username, password] of [['boss', 'wrong-password-123'], ['nobody', PASSWORD]]) {
+    await assert.rejects(auth.login(username, password), { name: 'AuthError', status: 401 });
+  }
+});
+
+test('locks a username out after repeated failures', async t => {
+  const auth = await createAuth(t);
+
+  for (let i = 0; i < auth.config.maxFailedLogins; i++) {
+    await assert.rejects(auth.login('boss', 'wrong-password-123'), { status: 401 });
+  }
+  await assert.rejects(auth.login('boss', PASSWORD), { status: 429 });
+});
+
+test('rejects tampered, foreign and expired tokens', async t => {
+  const auth = await createAuth(t);
+  const { token } = await auth.login('boss', PASSWORD);
+  const [header, body, signature] = token.split('.');
+
+  const promoted = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), sub: 'admin' })).toString('base64url');
+  assert.equal(await auth.verify(`${header}.${promoted}.${signature}`), null);
+
+  const none = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  assert.equal(await auth.verify(`${none}.${body}.`), null);
+
+  const other = await createAuth(t);
+  assert.equal(await other.verify(token), null);
+
+  const expired = auth.signToken({ sub: 'boss', role: 'owner', tv: 1, exp: Math.floor(Date.now() / 1000) - 1 });
+  assert.equal(await auth.verify(expired), null);
+  assert.equal(await auth.verify('not-a-token'), null);
+});
+
+test('a password change ends existing sessions', async t => {
+  const auth = await createAuth(t);
+  const { token } = await auth.login('boss', PASSWORD);
+
+  await auth.updateUser('boss', { password: 'another-long-password' });
+  assert.equal(await auth.verify(token), null);
+  await assert.rejects(auth.login('boss', PASSWORD), { status: 401 });
+  assert.ok(await auth.login('boss', 'another-long-password'));
+});
+
+test('a logout ends the user\'s sessions everywhere', async t => {
+  const auth = await createAuth(t);
+  const first = await auth.login('boss', PASSWORD);
+  const second = await auth.login('boss', PASSWORD);
+
+  assert.equal((await auth.logout(first.token)).username, 'boss');
+  assert.equal(await auth.verify(first.token), null);
+  assert.equal(await auth.verify(second.token), null);
+  assert.equal(await auth.logout(first.token), null);
+  assert.ok(await auth.verify((await auth.login('boss', PASSWORD)).token));
+});
+
+test('a malformed session cookie is unauthorized, not an error', async t => {
+  const auth = await createAuth(t);
+  const { token } = await auth.login('boss', PASSWORD);
+  const authenticate = auth.authenticate();
+
+  async function request(cookie) {
+    const req = { headers: { cookie } };
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    let error;
+    await authenticate(req, res, err => { error = err; res.statusCode = err ? 500 : 200; });
+    return { status: res.statusCode, error, user: req.adminUser };
+  }
+
+  const malformed = await request(`theme=dark; ${auth.config.cookieName}=%E0%A4%A`);
+  assert.equal(malformed.status, 401);
+  assert.equal(malformed.error, undefined);
+
+  const valid = await request(`theme=dark; ${auth.config.cookieName}=${encodeURIComponent(token)}`);
+  assert.equal(valid.status, 200);
+  assert.equal(valid.user.username, 'boss');
+});
+
+test('rejects short passwords', async t => {
+  const auth = await createAuth(t);
+  await assert.rejects(auth.createUser({ username: 'editor', password: 'short', role: 'editor' }), { status: 400 });
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalVectorStore = require('../vector-store/local-store');
+const BM25Index = require('../retrieval/bm25-index');
+const { buildMetadataFilter } = require('../retrieval/filters');
+const backfillFilterMetadata = require('../scripts/backfill-filter-metadata');
+
+test('backfills the date metadata that filters match on', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-backfill-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const vectorStore = new LocalVectorStore({ indexName: 'test', directory: path.join(directory, 'vectors') });
+  await vectorStore.upsert([
+    { id: 'festa', values: [1, 0], metadata: { content: 'Festa major', publishedDate: '2021-09-10', language: 'ca-ES' } },
+    { id: 'castell', values: [0, 1], metadata: { content: 'El castell', language: 'ca' } }
+  ]);
+
+  const filter = buildMetadataFilter({ publishedAfter: '2020-01-01' });
+  const search = async () => (await vectorStore.query({ vector: [1, 1], filter })).matches.map(match => match.id);
+  assert.deepEqual(await search(), []);
+
+  const lexicalIndex = new BM25Index({ indexName: 'test', directory: path.join(directory, 'lexical') });
+  assert.deepEqual(await backfillFilterMetadata({ vectorStore, lexicalIndex }), { scanned: 2, undated: 1, updated: 1 });
+  assert.deepEqual(await search(), []);
+
+  await backfillFilterMetadata({ apply: true, vectorStore, lexicalIndex });
+  assert.deepEqual(await search(), ['festa']);
+
+  const { records } = await vectorStore.fetch(['festa']);
+  assert.equal(records.festa.metadata.language, 'ca');
+  assert.deepEqual(records.festa.values, [1, 0]);
+  assert.equal((await backfillFilterMetadata({ vectorStore, lexicalIndex })).updated, 0);
+});
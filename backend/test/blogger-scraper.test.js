@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BloggerScraper = require('../ingestion/blogger-scraper');
+const { CrawlState, IncrementalCrawler } = require('../ingestion');
+
+const SOURCE = { domain: 'miradesalvent.blogspot.com', baseUrl: 'http://miradesalvent.blogspot.com', type: 'blogspot', priority: 3, scraper: 'blogspot' };
+const FEED_URL = 'http://miradesalvent.blogspot.com/feeds/posts/default';
+const POST_URL = 'http://miradesalvent.blogspot.com/2025/03/festa-major.html';
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>tag:blogger.com,1999:blog-1.post-42</id>
+    <published>2025-03-01T10:00:00.000+01:00</published>
+    <updated>2025-03-02T12:00:00.000+01:00</updated>
+    <category scheme="http://www.blogger.com/atom/ns#" term="Festes"/>
+    <title>Festa major</title>
+    <content type="html">&lt;p&gt;La festa major de Guimerà se celebra al setembre amb cercaviles, ball a la plaça i focs artificials des del castell.&lt;/p&gt;</content>
+    <link rel="alternate" type="text/html" href="${POST_URL}"/>
+    <author><name>Mirades</name></author>
+  </entry>
+</feed>`;
+
+test('returns the posts\' crawl state and the feed cursor instead of recording them', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-blogger-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const state = new CrawlState({ indexName: 'test', directory });
+  const scraper = new BloggerScraper({ crawler: new IncrementalCrawler({ state, incremental: true }), delayMs: 0 });
+  scraper.get = async () => ({ status: 200, headers: {}, data: FEED });
+
+  const { chunks, records, cursor } = await scraper.scrapeSource(SOURCE);
+
+  assert.ok(chunks.length > 0);
+  assert.deepEqual(chunks[0].metadata.categories, ['Festes']);
+  assert.equal(records.get(POST_URL).extra.updated, '2025-03-02T12:00:00.000+01:00');
+  assert.deepEqual(cursor, { url: FEED_URL, fields: { status: 'feed', feedUpdated: '2025-03-02T12:00:00.000+01:00' } });
+  assert.equal(await state.get(POST_URL), null);
+  assert.equal(await state.get(FEED_URL), null);
+});
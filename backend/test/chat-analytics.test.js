@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redactPII, detectLanguage, classifyTopic } = require('../admin/chat-analytics');
+
+test('redacts personal data from questions', () => {
+  const cases = [
+    ['Escriu-me a joan.puig@example.com', 'Escriu-me a [email]'],
+    ['El meu mòbil és 612 345 678', 'El meu mòbil és [phone]'],
+    ['Truca al +34612345678 si us plau', 'Truca al [phone] si us plau'],
+    ['DNI 12345678Z', 'DNI [id]'],
+    ['NIE X1234567L', 'NIE [id]'],
+    ['Targeta 4111 1111 1111 1111', 'Targeta [card]'],
+    ['IBAN ES91 2100 0418 4502 0005 1332', 'IBAN [iban]']
+  ];
+
+  for (const [question, redacted] of cases) {
+    assert.equal(redactPII(question), redacted);
+  }
+});
+
+test('keeps years and dates', () => {
+  for (const question of [
+    'Què va passar entre 1714-1715?',
+    'Guerra civil 1936 1939 i transició 1975',
+    'Activitats del 2024-01-15 al 2024-02-20',
+    'El castell del segle XI té 900 anys'
+  ]) {
+    assert.equal(redactPII(question), question);
+  }
+});
+
+test('detects the question language', () => {
+  assert.equal(detectLanguage('Quins són els horaris del museu?'), 'ca');
+  assert.equal(detectLanguage('¿Cuál es el horario para visitar el castillo?'), 'es');
+  assert.equal(detectLanguage('What are the opening hours of the museum?'), 'en');
+});
+
+test('classifies questions by topic', () => {
+  assert.equal(classifyTopic("Quin és l'horari del museu?"), 'Museu');
+  assert.equal(classifyTopic('Com era el castell medieval?'), 'Història');
+  assert.equal(classifyTopic('Hola'), 'General');
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline server: fake LLM provider, local vector store and every data
+// directory in a temporary directory. Set before config.js is loaded.
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'guimera-chat-stream-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  EMBEDDING_DIMENSIONS: '256',
+  VECTOR_DB_PROVIDER: 'local',
+  LOCAL_VECTOR_STORE_DIR: path.join(directory, 'vector-store'),
+  LEXICAL_INDEX_DIR: path.join(directory, 'lexical-index'),
+  CHUNK_MANIFEST_DIR: path.join(directory, 'manifests'),
+  SCHEDULER_DIR: path.join(directory, 'scheduler'),
+  FEEDBACK_DIR: path.join(directory, 'feedback'),
+  ADMIN_AUTH_DIR: path.join(directory, 'auth'),
+  AUDIT_LOG_DIR: path.join(directory, 'audit'),
+  NOTIFICATIONS_DIR: path.join(directory, 'notifications'),
+  COST_TRACKING_PERSIST: 'false',
+  CHAT_ANALYTICS_PERSIST: 'false'
+});
+
+const ChatAnalytics = require('../admin/chat-analytics');
+const CostTracker = require('../admin/cost-tracker');
+
+const CHUNKS = [
+  {
+    id: 'museu-1',
+    content: "El Museu de Guimerà obre dissabtes i diumenges d'11 a 14 h. L'entrada al museu costa 3 euros.",
+    metadata: { title: 'Museu de Guimerà', url: 'https://www.guimera.info/museu', source: 'guimera.info', sourceType: 'main_site', language: 'ca', priority: 1 }
+  },
+  {
+    id: 'castell-1',
+    content: 'El castell de Guimerà és una fortificació medieval del segle XI que domina el poble i el riu Corb.',
+    metadata: { title: 'El castell', url: 'https://www.guimera.info/castell', source: 'guimera.info', sourceType: 'main_site', language: 'ca', priority: 1 }
+  }
+];
+
+const QUESTION = "Quins són els horaris del museu i quant costa l'entrada?";
+
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'condition not met in time');
+}
+
+test('chat stream endpoint', async t => {
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+
+  const app = require('../server');
+  const { ragEngine } = app.locals;
+  ragEngine.delay = async () => {};
+  await app.initializeRAG();
+  await ragEngine.embedAndStore(CHUNKS);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/chat/stream`;
+
+  const post = (body, options = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    ...options
+  });
+
+  await t.test('streams the sources, the answer tokens and a done event', async () => {
+    const response = await post({ message: QUESTION, sessionId: 'stream-1' });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = parseEvents(await response.text());
+    const names = events.map(({ event }) => event);
+    assert.equal(names[0], 'metadata');
+    assert.equal(names.at(-1), 'done');
+    assert.ok(names.filter(name => name === 'token').length > 1);
+
+    const [{ data: metadata }] = events;
+    assert.equal(metadata.engine, 'standard');
+    assert.equal(metadata.sources[0].url, 'https://www.guimera.info/museu');
+
+    const answer = events.filter(({ event }) => event === 'token').map(({ data }) => data.delta).join('');
+    assert.match(answer, /guimera\.info\/museu/);
+
+    const { data: done } = events.at(-1);
+    assert.equal(done.sessionId, 'stream-1');
+    assert.equal(done.engine, 'standard');
+    assert.equal(ChatAnalytics.getInstance().getById(done.messageId).engine, 'standard');
+  });
+
+  await t.test('rejects a request without a message', async () => {
+    const response = await post({ sessionId: 'stream-1' });
+    assert.equal(response.status, 400);
+  });
+
+  await t.test('aborts the answer when the client disconnects and records its usage', async t => {
+    // The answer waits for the disconnect, then streams into the aborted signal
+    const respond = ragEngine.llm.responder;
+    t.mock.method(ragEngine.llm, 'responder', async (messages, params, options) => {
+      if (!options.type) {
+        await new Promise(resolve => options.signal.addEventListener('abort', resolve, { once: true }));
+      }
+      return respond(messages, params, options);
+    });
+
+    const controller = new AbortController();
+    const response = await post({ message: QUESTION, sessionId: 'stream-2' }, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    while (!received.includes('event: metadata')) {
+      const { value } = await reader.read();
+      received += decoder.decode(value, { stream: true });
+    }
+    controller.abort();
+
+    const analytics = ChatAnalytics.getInstance();
+    const turn = () => analytics.getQueries().find(query => query.sessionId === 'stream-2');
+    await waitFor(() => turn());
+    assert.equal(turn().error, 'client-disconnected');
+
+    // The aborted answer call still counts towards the session's spend
+    const answerUsage = CostTracker.getInstance().usageHistory
+      .filter(usage => usage.sessionId === 'stream-2' && usage.type === 'chat');
+    assert.equal(answerUsage.length, 1);
+    assert.ok(answerUsage[0].inputTokens > 0);
+  });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ChunkManifest = require('../ingestion/chunk-manifest');
+
+async function manifestDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-manifest-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test('looks entries up by normalized URL', async t => {
+  const manifest = new ChunkManifest({ indexName: 'test', directory: await manifestDirectory(t) });
+  await manifest.set('https://www.guimera.info/museu/', ['a', 'b']);
+
+  assert.deepEqual((await manifest.get('https://guimera.info/museu')).chunkIds, ['a', 'b']);
+});
+
+test('instances sharing the file keep each other\'s updates', async t => {
+  const directory = await manifestDirectory(t);
+  const engine = new ChunkManifest({ indexName: 'test', directory });
+  const job = new ChunkManifest({ indexName: 'test', directory });
+
+  await engine.set('https://www.guimera.info/old', ['x']);
+  await engine.save();
+
+  await engine.set('https://www.guimera.info/museu', ['a']);
+  await job.set('https://www.guimera.info/castell', ['b']);
+  await job.remove('https://www.guimera.info/old');
+  await job.save();
+  // Reloads the job's save without losing its own unsaved entry
+  assert.deepEqual((await engine.get('https://www.guimera.info/museu')).chunkIds, ['a']);
+  await engine.save();
+
+  const reloaded = new ChunkManifest({ indexName: 'test', directory });
+  assert.deepEqual((await reloaded.urls()).sort(), [
+    'https://www.guimera.info/castell',
+    'https://www.guimera.info/museu'
+  ]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Chunker = require('../ingestion/chunker');
+
+// Text of exactly `length` characters, made of words so the character
+// splitter can cut it between them
+function words(label, length) {
+  let text = label;
+  for (let i = 1; text.length < length; i++) text += ` mot${i}`;
+  return text.slice(0, length);
+}
+
+const heading = (level, text) => ({ type: 'heading', level, text });
+const paragraph = (label, length) => ({ type: 'paragraph', text: words(label, length) });
+
+// Chunk text without its heading path prefix
+const body = chunk => chunk.headingPath ? chunk.text.slice(chunk.headingPath.length + 2) : chunk.text;
+
+test('picks the strategy of each source type', () => {
+  const chunker = new Chunker();
+
+  assert.equal(chunker.strategyFor('main_site').method, 'semantic');
+  assert.equal(chunker.strategyFor('blogspot').name, 'blog_posts');
+  assert.equal(chunker.strategyFor('blogspot').maxChunkSize, 1000);
+  assert.equal(chunker.strategyFor('wordpress_hosted').method, 'paragraph');
+  assert.equal(chunker.strategyFor('unknown').name, 'main_site');
+});
+
+test('main site pages get one chunk per heading section', async () => {
+  const chunks = await new Chunker().chunkBlocks([
+    heading(1, 'Museu'),
+    paragraph('Presentació', 600),
+    heading(2, 'Horaris'),
+    paragraph('Horaris', 200),
+    heading(2, 'Preus'),
+    paragraph('Preus', 400),
+    heading(2, 'Col·lecció'),
+    paragraph('Sala1', 900),
+    paragraph('Sala2', 900)
+  ], { sourceType: 'main_site', title: 'Web de Guimerà' });
+
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), [
+    'Museu',
+    'Museu › Horaris',
+    'Museu › Col·lecció',
+    'Museu › Col·lecció'
+  ]);
+  assert.equal(body(chunks[0]), words('Presentació', 600));
+  // The short Horaris section takes in the next one, whose heading stays as a line
+  assert.equal(body(chunks[1]), `${words('Horaris', 200)}\n\nPreus\n${words('Preus', 400)}`);
+  // Two blocks over maxChunkSize together are cut between them
+  assert.equal(body(chunks[2]), words('Sala1', 900));
+  assert.equal(body(chunks[3]), words('Sala2', 900));
+});
+
+test('blog posts are packed by paragraph up to their maximum size', async () => {
+  const chunks = await new Chunker().chunkBlocks([
+    paragraph('Primer', 400),
+    paragraph('Segon', 400),
+    paragraph('Tercer', 400),
+    heading(2, 'Conclusió'),
+    paragraph('Final', 100)
+  ], { sourceType: 'blogspot', title: 'La festa major' });
+
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), ['La festa major', 'La festa major']);
+  assert.equal(body(chunks[0]), `${words('Primer', 400)}\n\n${words('Segon', 400)}`);
+  assert.equal(body(chunks[1]), `${words('Tercer', 400)}\n\nConclusió\n${words('Final', 100)}`);
+  for (const chunk of chunks) assert.ok(body(chunk).length <= 1000);
+});
+
+test('lists and tables stay whole unless they exceed the maximum size', async () => {
+  const list = { type: 'list', text: words('- Llista', 800) };
+  const long = { type: 'table', text: words('| Taula', 2500) };
+  const chunks = await new Chunker().chunkBlocks([paragraph('Intro', 1000), list, long], { sourceType: 'main_site' });
+
+  assert.equal(body(chunks[0]), words('Intro', 1000));
+  assert.equal(body(chunks[1]), list.text);
+
+  // The oversized table is cut into overlapping pieces of at most 1500
+  const pieces = chunks.slice(2).map(body);
+  assert.ok(pieces.length >= 2);
+  for (const piece of pieces) assert.ok(piece.length <= 1500);
+  for (let i = 1; i < pieces.length; i++) {
+    const start = pieces[i].slice(0, 40);
+    assert.ok(pieces[i - 1].includes(start), `piece ${i} does not overlap the previous one`);
+  }
+  assert.ok(pieces.join(' ').includes(long.text.slice(-40)));
+});
+
+test('document pages are merged up to the minimum size and keep their page range', async () => {
+  const pages = [
+    { pageNumber: 1, text: words('Pàgina1', 300) },
+    { pageNumber: 2, text: words('Pàgina2', 300) },
+    { pageNumber: 3, text: words('Pàgina3', 1900) },
+    { pageNumber: 4, text: words('Pàgina4', 2500) },
+    { pageNumber: 5, text: '' },
+    { pageNumber: 6, text: words('Pàgina6', 100) }
+  ];
+  const chunks = await new Chunker().chunkPages(pages, { title: 'Programa de festes' });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.page, chunk.pageEnd]), [[1, 2], [3, 3], [4, 4], [4, 6]]);
+  assert.equal(body(chunks[0]), `${pages[0].text}\n\n${pages[1].text}`);
+  assert.ok(chunks.every(chunk => chunk.headingPath === 'Programa de festes'));
+  // The short last page joins the end of page 4
+  assert.ok(body(chunks[3]).endsWith(`\n\n${pages[5].text}`));
+  for (const chunk of chunks) assert.ok(body(chunk).length <= 2000);
+});
+
+test('chunks HTML with the heading path rooted at the title', async () => {
+  const chunks = await new Chunker().chunkHtml(
+    `<main><h2>Història</h2><p>${words('El castell', 520)}</p><h3>Segle XI</h3><p>${words('Fortificació', 520)}</p></main>`,
+    { sourceType: 'main_site', title: 'El castell' }
+  );
+
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), ['El castell › Història', 'El castell › Història › Segle XI']);
+  assert.ok(chunks[1].text.startsWith('El castell › Història › Segle XI\n\nFortificació'));
+});
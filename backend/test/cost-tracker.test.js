@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CostTracker = require('../admin/cost-tracker');
+const Notifier = require('../notifications/notifier');
+
+const { LIMITED_REPLY } = CostTracker;
+
+function silence(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(Notifier, 'getInstance', () => ({ notify: () => {} }));
+}
+
+test('attributes usage to feature, session and engine', t => {
+  silence(t);
+  const tracker = new CostTracker({ persist: false });
+
+  tracker.trackCompletion('gpt-4', 10000, 0, 'chat', { feature: 'chat-rag', sessionId: 's1', engine: 'rag' });
+  tracker.trackCompletion('text-embedding-3-small', 1000, 0, 'embedding', { feature: 'query-embedding', sessionId: 's1', engine: 'rag' });
+  tracker.trackCompletion('gpt-4', 1000, 0, 'embedding', { feature: 'indexing', sessionId: 'idx-1' });
+
+  const analytics = tracker.getCostAnalytics('1d');
+  assert.deepEqual(analytics.featureBreakdown.map(group => group.feature), ['chat-rag', 'indexing', 'query-embedding']);
+  assert.deepEqual(analytics.engineBreakdown.map(group => [group.engine, group.requests]), [['rag', 2], ['unattributed', 1]]);
+  assert.deepEqual(analytics.topSessions.map(group => group.sessionId), ['s1', 'idx-1']);
+
+  const session = tracker.getSessionCost('s1');
+  assert.equal(session.requests, 2);
+  assert.equal(session.tokens, 11000);
+  assert.equal(session.cost, 0.30002);
+});
+
+test('prices unknown models at zero', t => {
+  silence(t);
+  const tracker = new CostTracker({ persist: false });
+  assert.equal(tracker.trackCompletion('fake-chat', 5000, 500).cost, 0);
+});
+
+test('persists usage and reloads it on the next start', async t => {
+  silence(t);
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-costs-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const tracker = new CostTracker({ persist: true, directory });
+  await tracker.initialize();
+  tracker.trackCompletion('gpt-4', 10000, 0, 'chat', { feature: 'chat-rag', sessionId: 's1' });
+  await tracker.writes;
+
+  const month = new Date().toISOString().slice(0, 7);
+  const lines = (await fs.readFile(path.join(directory, `usage-${month}.jsonl`), 'utf8')).trim().split('\n');
+  assert.equal(lines.length, 1);
+
+  const restarted = new CostTracker({ persist: true, directory });
+  await restarted.initialize();
+  assert.equal(restarted.usageHistory.length, 1);
+  assert.equal(restarted.getSessionSpend('s1'), 0.3);
+  assert.equal(restarted.getSessionCost('s1').featureBreakdown[0].feature, 'chat-rag');
+});
+
+test('keys visitor IP hashes and keeps the IP cap across restarts', async t => {
+  silence(t);
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-costs-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const tracker = new CostTracker({ persist: true, directory });
+  await tracker.initialize();
+  tracker.updateBudgetLimits(100, 1000, { action: 'warn', sessionCap: 0, ipCap: 0.5 });
+  tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' });
+  tracker.trackCompletion('gpt-4', 20000, 0, 'chat', { sessionId: 's1' });
+  await tracker.writes;
+
+  const [usage] = tracker.usageHistory;
+  const unkeyed = crypto.createHash('sha256').update('10.0.0.1').digest('hex').slice(0, 16);
+  assert.match(usage.ipHash, /^[0-9a-f]{16}$/);
+  assert.notEqual(usage.ipHash, unkeyed);
+
+  const restarted = new CostTracker({ persist: true, directory });
+  await restarted.initialize();
+  assert.equal(restarted.checkChatBudget({ sessionId: 's2', ip: '10.0.0.1' }).reason, 'ip-cap');
+  assert.equal(restarted.checkChatBudget({ sessionId: 's3', ip: '10.0.0.2' }).action, 'allow');
+});
+
+// In-memory tracker with the given budget and policy; 10K gpt-4 input
+// tokens cost $0.30
+function trackerWith({ daily = 100, monthly = 1000, ...policy } = {}, t) {
+  silence(t);
+  const tracker = new CostTracker({ persist: false });
+  tracker.updateBudgetLimits(daily, monthly, { action: 'warn', sessionCap: 0.5, ipCap: 2, ...policy });
+  return tracker;
+}
+
+function spend(tracker, sessionId, times = 1) {
+  for (let i = 0; i < times; i++) {
+    tracker.trackCompletion('gpt-4', 10000, 0, 'chat', { sessionId });
+  }
+}
+
+test('allows visitors under every cap and budget', t => {
+  const tracker = trackerWith({}, t);
+  assert.deepEqual(tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' }), { action: 'allow' });
+});
+
+test('blocks a session over its cap', t => {
+  const tracker = trackerWith({}, t);
+  tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' });
+  spend(tracker, 's1', 2);
+
+  assert.deepEqual(tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' }), {
+    action: 'block',
+    reason: 'session-cap',
+    message: LIMITED_REPLY
+  });
+  assert.equal(tracker.getSessionSpend('s1'), 0.6);
+});
+
+test('blocks a visitor over the IP cap in a new session', t => {
+  const tracker = trackerWith({ ipCap: 1 }, t);
+  for (const sessionId of ['s1', 's2', 's3', 's4']) {
+    tracker.checkChatBudget({ sessionId, ip: '10.0.0.1' });
+    spend(tracker, sessionId);
+  }
+
+  assert.equal(tracker.checkChatBudget({ sessionId: 's5', ip: '10.0.0.1' }).reason, 'ip-cap');
+  assert.equal(tracker.checkChatBudget({ sessionId: 's6', ip: '10.0.0.2' }).action, 'allow');
+});
+
+test('a cap of 0 is disabled', t => {
+  const tracker = trackerWith({ sessionCap: 0, ipCap: 0 }, t);
+  tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' });
+  spend(tracker, 's1', 10);
+
+  assert.equal(tracker.checkChatBudget({ sessionId: 's1', ip: '10.0.0.1' }).action, 'allow');
+});
+
+test('applies the configured action over the daily budget', t => {
+  for (const action of ['warn', 'degrade', 'block']) {
+    const tracker = trackerWith({ daily: 0.5, action, sessionCap: 0, ipCap: 0 }, t);
+    spend(tracker, 's1', 2);
+
+    const decision = tracker.checkChatBudget({ sessionId: 's2', ip: '10.0.0.2' });
+    assert.equal(decision.action, action);
+    assert.equal(decision.reason, 'daily-budget');
+    if (action === 'degrade') assert.equal(decision.degraded.topK, 3);
+    if (action === 'block') assert.equal(decision.message, LIMITED_REPLY);
+  }
+});
+
+test('rejects unknown budget actions', t => {
+  const tracker = trackerWith({}, t);
+  assert.throws(() => tracker.updateBudgetLimits(5, 100, { action: 'panic' }), /Unknown budget action: panic/);
+});
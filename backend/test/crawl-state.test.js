@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CrawlState = require('../ingestion/crawl-state');
+
+test('merges fields into a page entry', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-crawl-state-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const state = new CrawlState({ indexName: 'test', directory });
+  await state.update('https://www.guimera.info/museu', { etag: '"v1"', status: 'ok' });
+  await state.update('https://www.guimera.info/museu/', { contentHash: 'abc' });
+
+  const entry = await state.get('https://www.guimera.info/museu');
+  assert.equal(entry.etag, '"v1"');
+  assert.equal(entry.contentHash, 'abc');
+  assert.equal((await state.entriesWithStatus('ok')).length, 1);
+});
+
+test('a concurrent crawler\'s save does not wipe unsaved updates', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-crawl-state-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const crawl = new CrawlState({ indexName: 'test', directory });
+  const job = new CrawlState({ indexName: 'test', directory });
+
+  await crawl.update('https://www.guimera.info/museu', { contentHash: 'm1', status: 'ok' });
+  await job.update('https://www.guimera.info/castell', { contentHash: 'c1', status: 'ok' });
+  await job.save();
+
+  // update() reloads the job's save first
+  await crawl.update('https://www.guimera.info/festa', { contentHash: 'f1', status: 'ok' });
+  assert.equal((await crawl.get('https://www.guimera.info/museu')).contentHash, 'm1');
+  await crawl.save();
+
+  const reloaded = new CrawlState({ indexName: 'test', directory });
+  assert.deepEqual((await reloaded.entriesWithStatus('ok')).map(entry => entry.contentHash).sort(), ['c1', 'f1', 'm1']);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { extractDocument, detectFormat } = require('../ingestion/document-extractor');
+const DocumentScraper = require('../ingestion/document-scraper');
+const { CrawlState, IncrementalCrawler } = require('../ingestion');
+
+const PDF_FIXTURE = path.join(__dirname, 'fixtures', 'festa-major.pdf');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+async function docx() {
+  const zip = new JSZip();
+  const run = text => `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`;
+  zip.file('word/document.xml', `<?xml version="1.0"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+  <w:p>${run('Acta del ple')}<w:r><w:tab/></w:r>${run('de gener')}</w:p>
+  <w:p>${run('Assistents: ')}<w:r><w:delText>esborrat</w:delText></w:r>${run('set regidors')}</w:p>
+  <w:p><w:r><w:br w:type="page"/></w:r>${run('Acords aprovats')}</w:p>
+</w:body></w:document>`);
+  zip.file('docProps/core.xml', `<?xml version="1.0"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <dc:title>Acta del ple</dc:title><dc:creator>Secretaria</dc:creator><dcterms:created>2025-01-20T09:00:00Z</dcterms:created>
+</cp:coreProperties>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function odt() {
+  const zip = new JSZip();
+  // Unindented, as editors write it: whitespace between ODT elements is text
+  zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>\
+<text:h>Ruta del Corb</text:h>\
+<text:p>Sortida<text:s text:c="3"/>des de la plaça<text:note><text:p>nota</text:p></text:note></text:p>\
+<text:soft-page-break/>\
+<text:p>Arribada al castell</text:p>\
+</office:text></office:body></office:document-content>`);
+  zip.file('meta.xml', `<?xml version="1.0"?>
+<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <office:meta><dc:title>Ruta del Corb</dc:title><meta:initial-creator>Centre excursionista</meta:initial-creator></office:meta>
+</office:document-meta>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('extracts the pages and metadata of a PDF', async () => {
+  const document = await extractDocument(await fs.readFile(PDF_FIXTURE), { url: 'https://www.guimera.info/docs/festa-major.pdf' });
+
+  assert.equal(document.format, 'pdf');
+  assert.equal(document.title, 'Festa Major 2025');
+  assert.equal(document.author, 'Ajuntament de Guimera');
+  assert.equal(document.createdDate, '2025-08-01T10:00:00.000Z');
+  assert.deepEqual(document.pages.map(page => page.pageNumber), [1, 2]);
+  assert.equal(document.pages[0].text, 'Programa de la Festa Major de Guimera\nDissabte 13 de setembre: cercavila pels carrers del poble a les 18 h.');
+  assert.match(document.pages[1].text, /^Diumenge 14 de setembre/);
+});
+
+test('splits a Word document at its page breaks', async () => {
+  const document = await extractDocument(await docx(), { contentType: DOCX_MIME });
+
+  assert.equal(document.format, 'docx');
+  assert.equal(document.title, 'Acta del ple');
+  assert.equal(document.author, 'Secretaria');
+  assert.equal(document.createdDate, '2025-01-20T09:00:00.000Z');
+  assert.deepEqual(document.pages, [
+    { pageNumber: 1, text: 'Acta del ple de gener\nAssistents: set regidors' },
+    { pageNumber: 2, text: 'Acords aprovats' }
+  ]);
+});
+
+test('splits an OpenDocument text at its soft page breaks', async () => {
+  const document = await extractDocument(await odt(), { url: 'https://www.guimera.info/docs/ruta.odt' });
+
+  assert.equal(document.format, 'odt');
+  assert.equal(document.author, 'Centre excursionista');
+  assert.deepEqual(document.pages.map(page => page.text), ['Ruta del Corb\nSortida des de la plaça', 'Arribada al castell']);
+});
+
+test('detects the format from the content type, the signature or the extension', async () => {
+  const pdf = await fs.readFile(PDF_FIXTURE);
+
+  assert.equal(detectFormat(Buffer.from('x'), { contentType: 'application/pdf; charset=binary' }), 'pdf');
+  assert.equal(detectFormat(pdf, { url: 'https://www.guimera.info/baixar?id=3' }), 'pdf');
+  assert.equal(detectFormat(Buffer.from('x'), { url: 'https://www.guimera.info/docs/ACTA.DOCX' }), 'docx');
+  assert.equal(detectFormat(Buffer.from('x'), { url: 'https://www.guimera.info/logo.png' }), null);
+});
+
+test('fails on corrupt and unsupported documents', async () => {
+  const pdf = await fs.readFile(PDF_FIXTURE);
+  const emptyZip = await new JSZip().file('readme.txt', 'hola').generateAsync({ type: 'nodebuffer' });
+
+  await assert.rejects(extractDocument(pdf.subarray(0, 200), { contentType: 'application/pdf' }));
+  await assert.rejects(extractDocument(Buffer.from('no és un zip'), { contentType: DOCX_MIME }));
+  await assert.rejects(extractDocument(emptyZip, { contentType: DOCX_MIME }), /word\/document\.xml missing/);
+  await assert.rejects(extractDocument(emptyZip, { url: 'https://www.guimera.info/ruta.odt' }), /content\.xml missing/);
+  await assert.rejects(extractDocument(Buffer.from('GIF89a'), { url: 'https://www.guimera.info/logo.gif', contentType: 'image/gif' }), /Unsupported document type: image\/gif/);
+});
+
+test('the document scraper skips oversized and corrupt documents', async t => {
+  for (const method of ['log', 'warn']) t.mock.method(console, method, () => {});
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-documents-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const pdf = await fs.readFile(PDF_FIXTURE);
+  const bodies = {
+    '/docs/festa-major.pdf': pdf,
+    '/docs/cartell.pdf': Buffer.concat([pdf, Buffer.alloc(4096)]),
+    '/docs/malmes.pdf': pdf.subarray(0, 200)
+  };
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/pdf' });
+    res.end(bodies[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const crawler = new IncrementalCrawler({ state: new CrawlState({ indexName: 'test', directory }) });
+  const scraper = new DocumentScraper({ crawler, maxBytes: pdf.length + 1024 });
+  const source = { domain: '127.0.0.1', baseUrl, type: 'main_site', priority: 1 };
+
+  const document = await scraper.scrapeDocument(`${baseUrl}/docs/festa-major.pdf`, source);
+  assert.equal(document.status, 'fetched');
+  assert.equal(document.chunks[0].metadata.documentType, 'pdf');
+  assert.equal(document.chunks[0].metadata.page, 1);
+
+  assert.equal((await scraper.scrapeDocument(`${baseUrl}/docs/cartell.pdf`, source)).status, 'failed');
+  assert.equal((await scraper.scrapeDocument(`${baseUrl}/docs/malmes.pdf`, source)).status, 'failed');
+  assert.deepEqual(scraper.stats, { documents: 1, unchanged: 0, failed: 2, chunks: document.chunks.length });
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FeedbackStore = require('../admin/feedback-store');
+const ChatAnalytics = require('../admin/chat-analytics');
+
+const RECORD = { id: 'msg-1', sessionId: 's1', question: "Quan obre el museu? Escriu a joan@example.com", language: 'ca', engine: 'standard', confidence: 0.8 };
+
+const TURN = {
+  response: "El museu obre dissabtes i diumenges d'11 a 14 h.",
+  queryRewrite: { query: 'horari museu', rewritten: true },
+  sources: [{ title: 'Museu de Guimerà', url: 'https://www.guimera.info/museu', sourceType: 'main_site', relevanceScore: 0.9 }]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function storeIn(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-feedback-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+  t.mock.method(ChatAnalytics, 'getInstance', () => ({ getById: () => null }));
+  return { directory, store: new FeedbackStore({ directory }) };
+}
+
+test('copies the retrieval trace into the rating', async t => {
+  const { store } = await storeIn(t);
+  store.rememberTrace(RECORD, TURN);
+
+  const entry = await store.submit({ messageId: 'msg-1', rating: 'down', reason: 'outdated', comment: ' Ja no obre els diumenges ' });
+  assert.equal(entry.question, RECORD.question);
+  assert.equal(entry.searchQuery, 'horari museu');
+  assert.equal(entry.answer, TURN.response);
+  assert.equal(entry.comment, 'Ja no obre els diumenges');
+  assert.deepEqual(entry.sources.map(source => source.url), ['https://www.guimera.info/museu']);
+  assert.equal(entry.status, 'open');
+  assert.deepEqual(store.getReviewQueue().map(open => open.messageId), ['msg-1']);
+
+  // Rating again replaces the rating and leaves the review queue
+  const replaced = await store.submit({ messageId: 'msg-1', rating: 'up', reason: 'outdated' });
+  assert.equal(replaced.createdAt, entry.createdAt);
+  assert.equal(replaced.reason, null);
+  assert.equal(replaced.status, null);
+  assert.deepEqual(store.getReviewQueue(), []);
+  assert.deepEqual(store.getSummary(), { total: 1, up: 1, down: 0, open: 0, reasons: { incorrect: 0, outdated: 0, incomplete: 0, 'wrong-language': 0 } });
+});
+
+test('rejects invalid ratings, unknown messages and review statuses', async t => {
+  const { store } = await storeIn(t);
+  store.rememberTrace(RECORD, TURN);
+
+  await assert.rejects(store.submit({ messageId: 'msg-1', rating: 'meh' }), { status: 400 });
+  await assert.rejects(store.submit({ messageId: 'msg-1', rating: 'down', reason: 'boring' }), { status: 400 });
+  await assert.rejects(store.submit({ messageId: 'msg-2', rating: 'down' }), { status: 404 });
+
+  await store.submit({ messageId: 'msg-1', rating: 'down' });
+  await assert.rejects(store.review('msg-1', { status: 'done' }), { status: 400 });
+  const reviewed = await store.review('msg-1', { status: 'content-fixed', note: 'Horari actualitzat' }, 'editor');
+  assert.equal(reviewed.reviewedBy, 'editor');
+  assert.deepEqual(store.getReviewQueue(), []);
+});
+
+test('clears the visitor text of ratings older than the retention period', async t => {
+  const { directory, store } = await storeIn(t);
+  store.rememberTrace(RECORD, TURN);
+  store.rememberTrace({ ...RECORD, id: 'msg-2' }, TURN);
+  await store.submit({ messageId: 'msg-1', rating: 'down', reason: 'incorrect', comment: 'Horari equivocat' });
+  await store.submit({ messageId: 'msg-2', rating: 'up' });
+
+  const old = new Date(Date.now() - (store.retentionDays + 1) * DAY_MS).toISOString();
+  store.feedback.get('msg-1').createdAt = old;
+  store.prunedDay = null;
+
+  const entries = store.list();
+  const kept = entries.find(entry => entry.messageId === 'msg-2');
+  const expired = entries.find(entry => entry.messageId === 'msg-1');
+  assert.equal(kept.question, RECORD.question);
+  for (const field of ['question', 'searchQuery', 'answer', 'comment']) {
+    assert.equal(expired[field], null);
+  }
+  assert.equal(expired.reason, 'incorrect');
+  assert.equal(expired.sources.length, 1);
+  await store.writes;
+
+  const restarted = new FeedbackStore({ directory });
+  await restarted.initialize();
+  assert.equal(restarted.feedback.get('msg-1').question, null);
+  assert.equal(restarted.feedback.get('msg-2').question, RECORD.question);
+});
+
+test('clears expired visitor text when loading', async t => {
+  const { directory } = await storeIn(t);
+  const old = new Date(Date.now() - 400 * DAY_MS).toISOString();
+  await fs.writeFile(path.join(directory, 'feedback.json'), JSON.stringify({
+    feedback: [{ messageId: 'msg-1', rating: 'down', reason: 'outdated', question: RECORD.question, answer: TURN.response, comment: null, createdAt: old, updatedAt: old, status: 'open' }]
+  }));
+
+  const store = new FeedbackStore({ directory });
+  await store.initialize();
+  await store.writes;
+
+  const saved = JSON.parse(await fs.readFile(path.join(directory, 'feedback.json'), 'utf8'));
+  assert.equal(saved.feedback[0].question, null);
+  assert.equal(saved.feedback[0].answer, null);
+  assert.equal(saved.feedback[0].status, 'open');
+});
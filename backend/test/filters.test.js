@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inferFilters, resolveFilters, validateFilters } = require('../retrieval/filters');
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+test('infers the blog named in the question', () => {
+  const { filters, reasons } = inferFilters('Què explica Mirades al vent sobre la festa major?', NOW);
+  assert.deepEqual(filters, { source: 'miradesalvent.blogspot.com' });
+  assert.deepEqual(reasons, ['source:mirades al vent']);
+});
+
+test('infers the blog group and the main site', () => {
+  assert.deepEqual(inferFilters('Què diuen els blogs del poble?', NOW).filters, { sourceType: 'blog' });
+  assert.deepEqual(inferFilters('Horaris segons la web oficial', NOW).filters, { source: 'guimera.info' });
+});
+
+test('infers dates from "des de" and from recent news', () => {
+  assert.deepEqual(inferFilters('Activitats des de 2020', NOW).filters, { publishedAfter: '2020-01-01' });
+  assert.deepEqual(inferFilters('Quines són les notícies més recents?', NOW).filters, { publishedAfter: '2024-06-15' });
+  // "recent" alone is not about publications
+  assert.deepEqual(inferFilters('Quin és el monument més recent?', NOW).filters, {});
+});
+
+test('explicit filters win over inferred ones', () => {
+  const resolved = resolveFilters('Notícies de Mirades al vent des de 2020', {
+    filters: { source: 'guimera.info' },
+    autoFilters: true
+  });
+
+  assert.equal(resolved.filters.source, 'guimera.info');
+  assert.equal(resolved.filters.publishedAfter, '2020-01-01');
+  assert.equal(resolved.inferred, true);
+  assert.deepEqual(resolved.explicit, { source: { $eq: 'guimera.info' } });
+  assert.deepEqual(resolved.metadataFilter, {
+    $and: [
+      { source: { $eq: 'guimera.info' } },
+      { publishedTimestamp: { $gte: Date.parse('2020-01-01') / 1000 } }
+    ]
+  });
+});
+
+test('nothing is inferred when automatic filters are off', () => {
+  const resolved = resolveFilters('Notícies de Mirades al vent', { autoFilters: false });
+  assert.equal(resolved.metadataFilter, undefined);
+  assert.equal(resolved.inferred, false);
+  assert.equal(resolved.applied, null);
+});
+
+test('rejects malformed filters', () => {
+  assert.equal(validateFilters({ source: 'guimera.info' }), null);
+  assert.equal(validateFilters({ author: 'x' }), 'Unknown filter: author');
+  assert.equal(validateFilters({ publishedAfter: 'ahir' }), 'publishedAfter must be a date (YYYY-MM-DD)');
+  assert.equal(validateFilters([]), 'filters must be an object');
+});
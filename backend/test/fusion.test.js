@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { reciprocalRankFusion } = require('../retrieval/fusion');
+const HybridRetriever = require('../retrieval/hybrid-retriever');
+const BM25Index = require('../retrieval/bm25-index');
+
+test('reciprocal rank fusion sums weight / (k + rank) per list', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }] },
+    { name: 'lexical', results: [{ id: 'b', score: 7 }, { id: 'c', score: 5 }], weight: 2 }
+  ], { k: 10 });
+
+  assert.deepEqual(fused.map(result => result.id), ['b', 'c', 'a']);
+  assert.equal(fused[0].fusedScore, 1 / 12 + 2 / 11);
+  assert.deepEqual(fused[0].retrieval, { vector: { rank: 2, score: 0.8 }, lexical: { rank: 1, score: 7 } });
+  assert.equal(fused[2].fusedScore, 1 / 11);
+});
+
+test('reciprocal rank fusion skips zero-weight lists and keeps topK', () => {
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] },
+    { name: 'lexical', results: [{ id: 'c' }], weight: 0 }
+  ], { topK: 2 });
+
+  assert.deepEqual(fused.map(result => result.id), ['a', 'b']);
+  assert.equal(fused[0].retrieval.lexical, undefined);
+});
+
+test('hybrid retrieval', async t => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-bm25-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const lexicalIndex = new BM25Index({ indexName: 'test', directory });
+  await lexicalIndex.initialize();
+  await lexicalIndex.add([
+    { id: 'museu', text: 'Horaris del museu de Guimerà', metadata: { title: 'Museu' } },
+    { id: 'calcamats', text: 'La casa Calcamats i el carrer major', metadata: { title: 'Calcamats' } },
+    { id: 'festa', text: 'La festa major de Guimerà al setembre', metadata: { title: 'Festa major' } }
+  ]);
+
+  const vectorStore = {
+    query: async () => ({
+      matches: [
+        { id: 'museu', score: 0.82, metadata: { title: 'Museu' } },
+        { id: 'festa', score: 0.4, metadata: { title: 'Festa major' } }
+      ]
+    })
+  };
+  const config = { enabled: true, lexicalTopK: 20, lexicalMinCoverage: 0.6, fusion: { k: 60, vectorWeight: 1, lexicalWeight: 1 } };
+  const retriever = new HybridRetriever({ vectorStore, lexicalIndex, config });
+
+  await t.test('fuses keyword hits that cover the query', async () => {
+    const results = await retriever.retrieve('casa Calcamats', { vector: [], minScore: 0.5 });
+    assert.deepEqual(results.map(result => result.id), ['museu', 'calcamats']);
+    // Lexical-only hits never raise the answer confidence
+    assert.equal(results.find(result => result.id === 'calcamats').score, 0);
+    assert.equal(results.find(result => result.id === 'museu').score, 0.82);
+  });
+
+  await t.test('drops lexical-only hits matching a few query terms', async () => {
+    const results = await retriever.retrieve('quan obre el museu de Calcamats', { vector: [], minScore: 0.5 });
+    assert.deepEqual(results.map(result => result.id), ['museu']);
+    assert.ok(results[0].retrieval.lexical);
+  });
+
+  await t.test('returns the vector results when nothing matches lexically', async () => {
+    const results = await retriever.retrieve('aparcament', { vector: [], minScore: 0.3 });
+    assert.deepEqual(results.map(result => result.id), ['museu', 'festa']);
+    assert.equal(results[0].fusedScore, undefined);
+  });
+});
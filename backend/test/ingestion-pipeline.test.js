@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { IngestionPipeline, RunCheckpoint } = require('../ingestion/pipeline');
+const { CrawlState, IncrementalCrawler, contentHash } = require('../ingestion');
+
+const BLOG = {
+  domain: 'blog.example.com',
+  baseUrl: 'https://blog.example.com',
+  type: 'blogspot',
+  priority: 3,
+  scraper: 'blogspot'
+};
+
+const FEED_URL = 'https://blog.example.com/feeds/posts/default';
+
+const SITE = {
+  domain: 'guimera.info',
+  baseUrl: 'https://www.guimera.info',
+  type: 'main_site',
+  priority: 1
+};
+
+const PAGES = ['museu', 'castell', 'esglesia', 'festa'].map(name => `https://www.guimera.info/${name}`);
+
+// Keeps the URLs it stores, throws for the URLs in `failing`; every chunk
+// costs $1
+class TestSink {
+  constructor({ failing = [] } = {}) {
+    this.stored = [];
+    this.failing = new Set(failing);
+  }
+
+  async store(url, chunks) {
+    if (this.failing.has(url)) throw new Error('Upsert failed');
+    this.stored.push(url);
+    return chunks.length;
+  }
+
+  estimate(chunks) {
+    return { tokens: chunks.length * 10, cost: chunks.length };
+  }
+
+  priceTokens(tokens) {
+    return tokens / 10;
+  }
+
+  commit(crawler) {
+    return crawler.save();
+  }
+
+  finish(crawler) {
+    return crawler.save();
+  }
+
+  result() {
+    return this.stored;
+  }
+}
+
+async function tempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-pipeline-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function crawlState(directory) {
+  return new CrawlState({ indexName: 'test', directory: path.join(directory, 'crawl-state') });
+}
+
+// Pipeline over a fresh crawler on the crawl state in `directory`
+function pipelineIn(directory, options = {}) {
+  return new IngestionPipeline({
+    crawler: new IncrementalCrawler({ state: crawlState(directory), incremental: true }),
+    sink: new TestSink(),
+    fetcher: { fetch: async () => { throw new Error('Unexpected fetch'); }, close: async () => {} },
+    sourceDelayMs: 0,
+    feeds: false,
+    ...options
+  });
+}
+
+// Fetcher serving a distinct single-chunk page for every URL
+const htmlFetcher = {
+  fetch: async url => ({
+    url,
+    status: 'fetched',
+    html: `<html><head><title>${url}</title></head><body><main><p>Pàgina ${url} del web de Guimerà, amb informació sobre el poble, la seva història i les visites.</p></main></body></html>`,
+    validators: {},
+    fetchedWith: 'test'
+  }),
+  close: async () => {}
+};
+
+// Discovery returning PAGES; counts its calls
+function siteDiscovery() {
+  return {
+    calls: 0,
+    async discoverSource() {
+      this.calls++;
+      return { urls: PAGES, documents: [], crawlDelayMs: 0 };
+    },
+    getRobots: async () => null
+  };
+}
+
+function htmlPipelineIn(directory, options = {}) {
+  return pipelineIn(directory, {
+    fetcher: htmlFetcher,
+    discovery: siteDiscovery(),
+    checkpoint: new RunCheckpoint({ sessionId: 'run-1', directory: path.join(directory, 'checkpoints') }),
+    ...options
+  });
+}
+
+// Feed scraper listing one single-chunk post per URL
+function feedOf(urls) {
+  const chunks = [];
+  const records = new Map();
+  for (const url of urls) {
+    const text = `Entrada del blog ${url}`;
+    chunks.push({ id: `${url}#0`, content: text, metadata: { url, title: url } });
+    records.set(url, { hash: contentHash(text), validators: {}, extra: { updated: '2025-01-01T00:00:00Z', listedBy: BLOG.baseUrl } });
+  }
+  return {
+    scrapeSource: async () => ({
+      chunks,
+      records,
+      cursor: { url: FEED_URL, fields: { status: 'feed', feedUpdated: '2025-01-01T00:00:00Z' } }
+    })
+  };
+}
+
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+}
+
+test('records feed pages only once they are stored', async t => {
+  quiet(t);
+  const directory = await tempDirectory(t);
+  const posts = ['a', 'b', 'c', 'd'].map(name => `https://blog.example.com/${name}.html`);
+
+  // b fails to store, d would cross the budget
+  const pipeline = pipelineIn(directory, { sink: new TestSink({ failing: [posts[1]] }), costBudget: 2.5 });
+  pipeline.feedScrapers = { blogspot: feedOf(posts) };
+  assert.deepEqual(await pipeline.run([BLOG]), [posts[0], posts[2]]);
+  assert.equal(pipeline.budgetExceeded, true);
+
+  const state = crawlState(directory);
+  for (const url of [posts[0], posts[2]]) {
+    const entry = await state.get(url);
+    assert.equal(entry.status, 'active');
+    assert.equal(entry.updated, '2025-01-01T00:00:00Z');
+    assert.equal(entry.tokens, 10);
+  }
+  assert.equal(await state.get(posts[1]), null);
+  assert.equal(await state.get(posts[3]), null);
+  // The feed cursor waits for a run that stores every post
+  assert.equal(await state.get(FEED_URL), null);
+
+  const rerun = pipelineIn(directory);
+  rerun.feedScrapers = { blogspot: feedOf(posts) };
+  assert.deepEqual(await rerun.run([BLOG]), posts);
+  assert.equal((await crawlState(directory).get(FEED_URL)).feedUpdated, '2025-01-01T00:00:00Z');
+});
+
+test('records nothing for feed pages left by a cancel', async t => {
+  quiet(t);
+  const directory = await tempDirectory(t);
+  const posts = ['a', 'b'].map(name => `https://blog.example.com/${name}.html`);
+
+  let calls = 0;
+  const pipeline = pipelineIn(directory, { control: { proceed: async () => ++calls < 2 } });
+  pipeline.feedScrapers = { blogspot: feedOf(posts) };
+  assert.deepEqual(await pipeline.run([BLOG]), [posts[0]]);
+
+  const state = crawlState(directory);
+  assert.ok(await state.get(posts[0]));
+  assert.equal(await state.get(posts[1]), null);
+  assert.equal(await state.get(FEED_URL), null);
+});
+
+test('a resumed run continues from the checkpoint', async t => {
+  quiet(t);
+  const directory = await tempDirectory(t);
+
+  let calls = 0;
+  const first = htmlPipelineIn(directory, {
+    sink: new TestSink({ failing: [PAGES[1]] }),
+    control: { proceed: async () => ++calls <= 3 }
+  });
+  assert.deepEqual(await first.run([SITE]), [PAGES[0], PAGES[2]]);
+  assert.equal(first.checkpoint.data.status, 'stopped');
+  assert.deepEqual(Object.keys(first.checkpoint.data.failed), [PAGES[1]]);
+
+  const resumed = htmlPipelineIn(directory, { resume: true });
+  assert.deepEqual(await resumed.run([SITE]), [PAGES[3]]);
+  assert.equal(resumed.discovery.calls, 0);
+  assert.equal(resumed.stats.urlsSuccessful, 3);
+  assert.equal(resumed.checkpoint.data.status, 'completed');
+
+  const retried = htmlPipelineIn(directory, { resume: true, retryFailed: true });
+  assert.deepEqual(await retried.run([SITE]), [PAGES[1]]);
+  assert.deepEqual(retried.checkpoint.data.failed, {});
+});
+
+test('a resume with no checkpoint fails', async t => {
+  quiet(t);
+  const directory = await tempDirectory(t);
+  await assert.rejects(htmlPipelineIn(directory, { resume: true }).run([SITE]), /No checkpoint found for session run-1/);
+});
+
+test('stops before crossing the cost budget and resumes from the deferred page', async t => {
+  quiet(t);
+  const directory = await tempDirectory(t);
+
+  const first = htmlPipelineIn(directory, { costBudget: 2 });
+  assert.deepEqual(await first.run([SITE]), [PAGES[0], PAGES[1]]);
+  assert.equal(first.budgetExceeded, true);
+  assert.equal(first.stats.totalCost, 2);
+  // Four pages at the configured average before anything is embedded
+  assert.ok(first.stats.estimatedCost > 0);
+  assert.equal(first.checkpoint.data.status, 'stopped');
+  assert.ok(!first.checkpoint.data.processed.includes(PAGES[2]));
+  // The deferred page was not recorded as crawled
+  assert.equal(await crawlState(directory).get(PAGES[2]), null);
+
+  const resumed = htmlPipelineIn(directory, { resume: true, costBudget: 10 });
+  assert.deepEqual(await resumed.run([SITE]), [PAGES[2], PAGES[3]]);
+  assert.equal(resumed.budgetExceeded, false);
+  assert.equal(resumed.stats.totalCost, 4);
+});
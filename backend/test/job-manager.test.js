@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RAG_CONFIG = require('../config');
+const CrawlJobManager = require('../admin/job-manager');
+
+const PRIMARY = RAG_CONFIG.sources.primary;
+
+// Manager in a temporary directory whose jobs stay queued
+async function createManager(t, options = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-jobs-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const manager = new CrawlJobManager({ directory, ...options });
+  t.mock.method(manager, 'execute', async () => {});
+  return manager;
+}
+
+test('persists jobs and allows one active job per source', async t => {
+  const manager = await createManager(t);
+  const job = await manager.createJob({ source: PRIMARY.domain, maxPages: '50', costBudget: 'lots' });
+
+  assert.equal(job.status, 'queued');
+  assert.deepEqual(job.options, { maxPages: 50 });
+  await assert.rejects(manager.createJob({ source: PRIMARY.domain }), { name: 'JobError', status: 409, details: { jobId: job.id, status: 'queued' } });
+  await assert.rejects(manager.createJob({ source: 'nowhere.example.com' }), { status: 400 });
+
+  const reloaded = await createManager(t, { directory: manager.directory });
+  assert.deepEqual((await reloaded.listJobs()).map(saved => saved.id), [job.id]);
+});
+
+test('a source reserved by the scheduler takes no job until released', async t => {
+  const manager = await createManager(t);
+
+  const { reserved, busy } = await manager.reserveSources([PRIMARY], 'scheduler:incremental');
+  assert.deepEqual(reserved, [PRIMARY]);
+  assert.deepEqual(busy, []);
+  await assert.rejects(manager.createJob({ source: PRIMARY.domain }), { status: 409, details: { jobId: 'scheduler:incremental', status: 'running' } });
+
+  manager.releaseSources(reserved);
+  await manager.createJob({ source: PRIMARY.domain });
+  assert.deepEqual((await manager.reserveSources([PRIMARY], 'scheduler:full')).busy, [PRIMARY]);
+});
+
+test('a paused job can be cancelled but not paused again', async t => {
+  const manager = await createManager(t);
+  const job = await manager.createJob({ source: PRIMARY.domain });
+
+  assert.equal((await manager.pauseJob(job.id)).status, 'paused');
+  await assert.rejects(manager.pauseJob(job.id), { status: 409 });
+  assert.equal((await manager.cancelJob(job.id)).status, 'cancelled');
+  await assert.rejects(manager.cancelJob(job.id), { status: 409 });
+  await assert.rejects(manager.pauseJob('missing'), { status: 404 });
+});
+
+test('saves a running job\'s progress at most every progressSaveMs', async t => {
+  const manager = await createManager(t, { progressSaveMs: 60000 });
+  const job = await manager.createJob({ source: PRIMARY.domain });
+  manager.runs.set(job.id, { paused: false, cancelled: false, resume: null, savedAt: 0 });
+  const save = t.mock.method(manager, 'save');
+
+  await manager.recordProgress(job, { type: 'discovered', urls: ['https://www.guimera.info/a', 'https://www.guimera.info/b'] }, 0);
+  await manager.recordProgress(job, { type: 'url', url: 'https://www.guimera.info/a', status: 'indexed', chunks: 3 }, 0.01);
+  await manager.recordProgress(job, { type: 'url', url: 'https://www.guimera.info/b', status: 'failed', error: 'HTTP 500' }, 0.01);
+
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(job.progress.percent, 100);
+  assert.equal(job.progress.chunksCreated, 3);
+  assert.equal(job.cost, 0.01);
+});
+
+// Stands in for the progressive indexer: asks the control before each of
+// its URLs, the first one once the gate of its source domain opens
+function fakeIndexer(t, gates) {
+  const modulePath = require.resolve('../progressive-indexer');
+  const cached = require.cache[modulePath];
+  t.after(() => {
+    if (cached) require.cache[modulePath] = cached;
+    else delete require.cache[modulePath];
+  });
+
+  class FakeIndexer {
+    constructor(options) {
+      this.options = options;
+      this.sessionId = `session-${options.source.domain}`;
+      this.pipeline = { stopped: false, budgetExceeded: false };
+    }
+
+    async executePhase1() {
+      await gates[this.options.source.domain];
+      for (let i = 0; i < 3 && !this.pipeline.stopped; i++) {
+        this.pipeline.stopped = !(await this.options.control.proceed());
+      }
+    }
+  }
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: FakeIndexer };
+}
+
+test('a paused run stops at its checkpoint and frees its slot', async t => {
+  let open;
+  fakeIndexer(t, { [PRIMARY.domain]: new Promise(resolve => { open = resolve; }), 'guimera.blog': new Promise(() => {}) });
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-jobs-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const manager = new CrawlJobManager({ directory, maxConcurrent: 1 });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  const first = await manager.createJob({ source: PRIMARY.domain });
+  const second = await manager.createJob({ source: 'guimera_blog' });
+  await settle();
+  assert.equal((await manager.getJob(first.id)).status, 'running');
+  assert.equal((await manager.getJob(second.id)).status, 'queued');
+
+  await manager.pauseJob(first.id);
+  open();
+  // The queued job takes the slot once the paused run has stopped
+  for (let i = 0; i < 100 && !manager.runs.has(second.id); i++) await settle();
+  assert.ok(manager.runs.has(second.id));
+
+  assert.equal((await manager.getJob(first.id)).status, 'paused');
+  assert.equal((await manager.getJob(first.id)).finishedAt, null);
+
+  const resumed = await manager.resumeJob(first.id);
+  assert.equal(resumed.status, 'queued');
+  assert.equal(resumed.options.resume, 'session-guimera.info');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeLLMProvider = require('../llm/fake-provider');
+const { countTokens } = require('../llm/tokens');
+
+const MESSAGES = [
+  { role: 'system', content: 'Respon en català.' },
+  { role: 'user', content: 'Quan obre el museu de Guimerà?' }
+];
+
+const ATTRIBUTION = { type: 'chat', feature: 'chat-rag', sessionId: 's1', engine: 'standard' };
+
+// Fake provider whose tracked usage ends up in `tracked`
+function providerWith(options = {}) {
+  const tracked = [];
+  const costTracker = {
+    trackCompletion: (model, inputTokens, outputTokens, type, context) => tracked.push({ model, inputTokens, outputTokens, type, ...context })
+  };
+  return { llm: new FakeLLMProvider({ costTracker, ...options }), tracked };
+}
+
+test('tracks the usage the provider reports', async () => {
+  const { llm, tracked } = providerWith({ responder: () => 'Dissabtes i diumenges.' });
+
+  await llm.chat({ messages: MESSAGES }, ATTRIBUTION);
+  assert.deepEqual(tracked, [{ model: 'fake-chat', inputTokens: 12, outputTokens: 6, type: 'chat', feature: 'chat-rag', sessionId: 's1', engine: 'standard' }]);
+});
+
+test('estimates the usage of a stream the client aborts', async () => {
+  const { llm, tracked } = providerWith({ responder: () => "El museu obre dissabtes i diumenges d'11 a 14 h." });
+  const controller = new AbortController();
+
+  const streamed = [];
+  const onToken = token => {
+    streamed.push(token);
+    if (streamed.length === 3) controller.abort();
+  };
+
+  await assert.rejects(llm.chat({ messages: MESSAGES }, { ...ATTRIBUTION, onToken, signal: controller.signal }), /aborted/);
+  assert.equal(streamed.length, 3);
+  assert.equal(tracked.length, 1);
+  assert.equal(tracked[0].inputTokens, countTokens(MESSAGES[0].content) + countTokens(MESSAGES[1].content));
+  assert.equal(tracked[0].outputTokens, countTokens(streamed.join('')));
+  assert.equal(tracked[0].sessionId, 's1');
+});
+
+test('tracks nothing for a request the API rejected', async () => {
+  const { llm, tracked } = providerWith({
+    responder: () => {
+      throw Object.assign(new Error('Rate limit reached'), { status: 429 });
+    }
+  });
+
+  await assert.rejects(llm.chat({ messages: MESSAGES }, ATTRIBUTION), /Rate limit/);
+  assert.deepEqual(tracked, []);
+});
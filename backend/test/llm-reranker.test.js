@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LLMReranker = require('../retrieval/rerankers/llm-reranker');
+
+const RESULTS = [
+  { id: 'a', score: 0.9, metadata: { content: 'Horaris del museu' } },
+  { id: 'b', score: 0.8, metadata: { content: 'Festa major' } },
+  { id: 'c', score: 0.7, metadata: { content: 'Casa Calcamats' } }
+];
+
+// Reranker whose model always replies with `content`
+function rerankerReplying(content, options = {}) {
+  const llm = {
+    models: { fast: 'fast-model' },
+    chat: async () => ({ content })
+  };
+  return new LLMReranker({ llm, topN: 3, ...options });
+}
+
+test('orders results by the scores in the reply', async () => {
+  const reranker = rerankerReplying('Aquí tens:\n[{"passage": 3, "score": 9}, {"passage": 1, "score": 4}]');
+  const reranked = await reranker.rerank('Calcamats', RESULTS);
+
+  assert.deepEqual(reranked.map(result => result.id), ['c', 'a', 'b']);
+  assert.equal(reranked[0].rerankScore, 0.9);
+  // Passages the model left out score 0
+  assert.equal(reranked[2].rerankScore, 0);
+});
+
+test('clamps scores and ignores unknown passages', async () => {
+  const reranker = rerankerReplying('[{"passage": 2, "score": 14}, {"passage": 7, "score": 10}, {"passage": "1", "score": -3}]');
+  const reranked = await reranker.rerank('festa', RESULTS);
+
+  assert.equal(reranked[0].id, 'b');
+  assert.equal(reranked[0].rerankScore, 1);
+  assert.equal(reranked.find(result => result.id === 'a').rerankScore, 0);
+});
+
+test('keeps retrieval order when the reply cannot be parsed', async t => {
+  t.mock.method(console, 'warn', () => {});
+
+  for (const reply of ['No ho sé', '[{"passage": "x"}]', '[{"passage": 1, "score": 5']) {
+    const reranked = await rerankerReplying(reply, { topN: 2 }).rerank('museu', RESULTS);
+    assert.deepEqual(reranked.map(result => result.id), ['a', 'b']);
+  }
+});
+
+test('uses the fallback reranker when the reply cannot be parsed', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const fallback = { name: 'lexical', rerank: async (query, results) => [...results].reverse() };
+
+  const reranked = await rerankerReplying('{}', { fallback }).rerank('museu', RESULTS);
+  assert.deepEqual(reranked.map(result => result.id), ['c', 'b', 'a']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalVectorStore = require('../vector-store/local-store');
+
+async function storeDirectory(t) {
+  t.mock.method(console, 'log', () => {});
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-vectors-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const record = (id, values) => ({ id, values, metadata: { content: id } });
+
+test('concurrent upserts share writes and all reach the file', async t => {
+  const directory = await storeDirectory(t);
+  const store = new LocalVectorStore({ indexName: 'test', directory });
+  await store.initialize();
+  const renames = t.mock.method(fs, 'rename');
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.upsert([record(`chunk-${i}`, [1, i])])));
+
+  // One write for the first upsert, one for all those queued behind it
+  assert.equal(renames.mock.callCount(), 2);
+  assert.deepEqual(await fs.readdir(directory), ['test.json']);
+
+  const reloaded = new LocalVectorStore({ indexName: 'test', directory });
+  assert.equal((await reloaded.describeStats()).totalVectors, 20);
+});
+
+test('changes made while a write is pending reach the file', async t => {
+  const directory = await storeDirectory(t);
+  const store = new LocalVectorStore({ indexName: 'test', directory });
+
+  await store.upsert([record('festa', [1, 0]), record('castell', [0, 1])]);
+  const upserting = store.upsert([record('museu', [1, 1])]);
+  const deleting = store.deleteMany(['festa']);
+  await Promise.all([upserting, deleting]);
+
+  const reloaded = new LocalVectorStore({ indexName: 'test', directory });
+  assert.deepEqual((await reloaded.list()).ids, ['castell', 'museu']);
+});
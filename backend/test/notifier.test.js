@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Notifier = require('../notifications/notifier');
+const WebhookChannel = require('../notifications/webhook-channel');
+
+const QUIET_HOURS = { enabled: true, start: '22:00', end: '08:00', timezone: 'Europe/Madrid', minSeverity: 'critical' };
+
+const ALERT = { type: 'scheduler-failed', severity: 'error', source: 'scheduler', message: 'Incremental update failed' };
+
+// Notifier with one webhook channel; `outcomes` decide each send in turn
+// (true delivers, false fails) and every batch delivered is kept in `sent`
+async function notifierWith(t, { outcomes = [] } = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-notifier-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+
+  const sent = [];
+  t.mock.method(WebhookChannel.prototype, 'send', async alerts => {
+    if (outcomes.length > 0 && !outcomes.shift()) throw new Error('Webhook unavailable');
+    sent.push(alerts.map(alert => alert.type));
+  });
+
+  const notifier = new Notifier({ directory });
+  notifier.quietHours = { ...QUIET_HOURS, enabled: false };
+  t.after(() => clearTimeout(notifier.flushTimer));
+  await notifier.addChannel({ type: 'webhook', url: 'https://hooks.example.com/alerts', minSeverity: 'info' });
+  return { notifier, sent };
+}
+
+test('sends the same alert once per dedupe window', async t => {
+  const { notifier, sent } = await notifierWith(t);
+
+  assert.equal((await notifier.notify(ALERT))[0].status, 'sent');
+  assert.deepEqual(await notifier.notify(ALERT), []);
+  assert.equal((await notifier.notify({ ...ALERT, message: 'Full update failed' }))[0].status, 'sent');
+  assert.equal(sent.length, 2);
+});
+
+test('sends an alert again when no channel took it', async t => {
+  const { notifier, sent } = await notifierWith(t, { outcomes: [false, true] });
+
+  assert.equal((await notifier.notify(ALERT))[0].status, 'failed');
+  assert.equal((await notifier.notify(ALERT))[0].status, 'sent');
+  assert.deepEqual(await notifier.notify(ALERT), []);
+  assert.deepEqual(sent, [['scheduler-failed']]);
+});
+
+test('holds alerts below the minimum severity during quiet hours', async t => {
+  const { notifier, sent } = await notifierWith(t);
+  notifier.quietHours = QUIET_HOURS;
+  t.mock.method(notifier, 'inQuietHours', () => true);
+
+  const critical = { ...ALERT, type: 'budget-exceeded', severity: 'critical' };
+  await notifier.notify([ALERT, critical]);
+  assert.deepEqual(sent, [['budget-exceeded']]);
+
+  // Repeats of a held alert are not held twice
+  await notifier.notify(ALERT);
+  assert.equal(notifier.getStatus().heldAlerts, 1);
+
+  await notifier.flushHeld();
+  assert.deepEqual(sent, [['budget-exceeded'], ['scheduler-failed']]);
+  assert.equal(notifier.getStatus().heldAlerts, 0);
+  assert.deepEqual(await notifier.notify(ALERT), []);
+});
+
+test('quiet hours wrap around midnight', async t => {
+  const { notifier } = await notifierWith(t);
+  notifier.quietHours = QUIET_HOURS;
+
+  // Europe/Madrid is UTC+1 in January
+  assert.equal(notifier.inQuietHours(new Date('2025-01-15T22:00:00Z')), true);
+  assert.equal(notifier.inQuietHours(new Date('2025-01-16T06:59:00Z')), true);
+  assert.equal(notifier.inQuietHours(new Date('2025-01-16T07:00:00Z')), false);
+  assert.equal(notifier.inQuietHours(new Date('2025-01-16T11:00:00Z')), false);
+});
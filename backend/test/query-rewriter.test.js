@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rewriteFollowUpQuestion, getRecentHistory } = require('../query-rewriter');
+
+const HISTORY = [
+  { role: 'system', content: 'Ets un assistent de Guimerà.' },
+  { role: 'user', content: 'Què puc visitar a Guimerà?' },
+  { role: 'assistant', content: 'El museu, el castell i l\'església de Santa Maria.', sources: 3 },
+  { role: 'user', content: 'On és el museu?' },
+  { role: 'assistant', content: 'Al carrer Major, al centre del poble.' }
+];
+
+// LLM answering every call with `reply` (or failing with it when it is an
+// Error); keeps the requests and options it receives
+function fakeLLM(reply) {
+  return {
+    models: { fast: 'fake-fast' },
+    calls: [],
+    async chat(request, options) {
+      this.calls.push({ request, options });
+      if (reply instanceof Error) throw reply;
+      return { content: reply, usage: { total_tokens: 42 } };
+    }
+  };
+}
+
+test('keeps the last user and assistant messages', () => {
+  assert.deepEqual(getRecentHistory(HISTORY, 2), [
+    { role: 'user', content: 'On és el museu?' },
+    { role: 'assistant', content: 'Al carrer Major, al centre del poble.' }
+  ]);
+  assert.equal(getRecentHistory(HISTORY).length, 4);
+  assert.deepEqual(getRecentHistory(), []);
+});
+
+test('rewrites a follow-up into a standalone query', async () => {
+  const llm = fakeLLM('«Horari del museu de Guimerà»');
+  const attribution = { feature: 'query-rewrite', sessionId: 's1', engine: 'standard' };
+
+  const result = await rewriteFollowUpQuestion(llm, 'I quin horari té?', HISTORY, { attribution });
+  assert.deepEqual(result, {
+    original: 'I quin horari té?',
+    query: 'Horari del museu de Guimerà',
+    rewritten: true,
+    usage: { total_tokens: 42 }
+  });
+
+  const [{ request, options }] = llm.calls;
+  assert.equal(request.model, 'fake-fast');
+  assert.match(request.messages[1].content, /Usuari: On és el museu\?\nAssistent: Al carrer Major/);
+  assert.match(request.messages[1].content, /Última pregunta: I quin horari té\?$/);
+  assert.equal(options.type, 'query-rewrite');
+  assert.equal(options.sessionId, 's1');
+});
+
+test('keeps the question without history or when disabled', async () => {
+  const llm = fakeLLM('Horari del museu');
+
+  for (const [history, options] of [[[], {}], [HISTORY, { enabled: false }]]) {
+    const result = await rewriteFollowUpQuestion(llm, 'I quin horari té?', history, options);
+    assert.equal(result.query, 'I quin horari té?');
+    assert.equal(result.rewritten, false);
+  }
+  assert.equal(llm.calls.length, 0);
+});
+
+test('an unchanged or empty rewrite keeps the question', async () => {
+  for (const reply of ['On és el museu?', '  ']) {
+    const result = await rewriteFollowUpQuestion(fakeLLM(reply), 'On és el museu?', HISTORY);
+    assert.equal(result.query, 'On és el museu?');
+    assert.equal(result.rewritten, false);
+  }
+});
+
+test('falls back to the question when the rewrite fails', async t => {
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await rewriteFollowUpQuestion(fakeLLM(new Error('Rate limited')), 'I quin horari té?', HISTORY);
+  assert.equal(result.query, 'I quin horari té?');
+  assert.equal(result.rewritten, false);
+  assert.equal(result.usage, null);
+});
+
+test('rethrows when the turn was aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    rewriteFollowUpQuestion(fakeLLM(new Error('Request aborted')), 'I quin horari té?', HISTORY, { signal: controller.signal }),
+    /Request aborted/
+  );
+});
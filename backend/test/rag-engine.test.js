@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline engine: fake LLM provider and local vector store in a temporary
+// directory. Set before config.js is loaded.
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'guimera-rag-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  EMBEDDING_DIMENSIONS: '256',
+  VECTOR_DB_PROVIDER: 'local',
+  LOCAL_VECTOR_STORE_DIR: path.join(directory, 'vector-store'),
+  LEXICAL_INDEX_DIR: path.join(directory, 'lexical-index'),
+  CHUNK_MANIFEST_DIR: path.join(directory, 'manifests'),
+  COST_TRACKING_PERSIST: 'false',
+  RERANKER: 'llm'
+});
+
+const GuimeraRAGEngine = require('../rag-engine');
+
+const CHUNKS = [
+  {
+    id: 'museu-1',
+    content: "El Museu de Guimerà obre dissabtes i diumenges d'11 a 14 h. L'entrada al museu costa 3 euros.",
+    metadata: { title: 'Museu de Guimerà', url: 'https://www.guimera.info/museu', source: 'guimera.info', sourceType: 'main_site', language: 'ca', priority: 1 }
+  },
+  {
+    id: 'castell-1',
+    content: 'El castell de Guimerà és una fortificació medieval del segle XI que domina el poble i el riu Corb.',
+    metadata: { title: 'El castell', url: 'https://www.guimera.info/castell', source: 'guimera.info', sourceType: 'main_site', language: 'ca', priority: 1 }
+  },
+  {
+    id: 'festa-1',
+    content: 'La festa major de Guimerà se celebra al setembre amb cercaviles, ball i focs artificials.',
+    metadata: { title: 'Festa major', url: 'http://miradesalvent.blogspot.com/festa-major', source: 'miradesalvent.blogspot.com', sourceType: 'blogspot', language: 'ca', priority: 3, publishedDate: '2019-09-10' }
+  }
+];
+
+test('RAG engine with the fake provider and local store', async t => {
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  for (const method of ['log', 'warn']) t.mock.method(console, method, () => {});
+
+  const engine = new GuimeraRAGEngine();
+  engine.delay = async () => {};
+  await engine.initialize();
+  await engine.embedAndStore(CHUNKS);
+
+  await t.test('answers from the most relevant chunk', async () => {
+    const tokens = [];
+    const result = await engine.query("Quins són els horaris del museu i quant costa l'entrada?", {
+      minScore: 0.1,
+      onToken: token => tokens.push(token)
+    });
+
+    assert.equal(result.sources[0].url, 'https://www.guimera.info/museu');
+    assert.ok(result.confidence > 0);
+    assert.match(result.answer, /guimera\.info\/museu/);
+    assert.equal(tokens.join(''), result.answer);
+  });
+
+  await t.test('restricts the search to the blog named in the question', async () => {
+    const result = await engine.query('Què explica Mirades al vent de la festa major?', { minScore: 0 });
+
+    assert.equal(result.filters.source, 'miradesalvent.blogspot.com');
+    assert.deepEqual(result.sources.map(source => source.url), ['http://miradesalvent.blogspot.com/festa-major']);
+  });
+
+  await t.test('drops inferred filters that match nothing', async () => {
+    const result = await engine.query('Què diu el castell des de 2024?', { minScore: 0.1 });
+
+    assert.equal(result.filters.relaxed, true);
+    assert.equal(result.sources[0].url, 'https://www.guimera.info/castell');
+  });
+
+  await t.test('keeps only rerankTopN reranked results', async () => {
+    const question = 'Què es pot visitar a Guimerà?';
+    const all = await engine.query(question, { minScore: 0 });
+    const limited = await engine.query(question, { minScore: 0, rerankTopN: 1 });
+
+    assert.equal(all.sources.length, 3);
+    assert.equal(limited.sources.length, 1);
+  });
+
+  await t.test('says so when nothing is relevant', async () => {
+    const result = await engine.query('Quin temps farà demà?', { minScore: 0.99 });
+
+    assert.deepEqual(result.sources, []);
+    assert.equal(result.confidence, 0);
+  });
+});
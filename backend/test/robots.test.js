@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RobotsRules = require('../ingestion/robots');
+
+const ROBOTS = `
+# Defaults for every crawler
+User-agent: *
+Disallow: /wp-admin/
+Allow: /wp-admin/admin-ajax.php
+Disallow: /*?replytocom=
+Disallow: /*.pdf$
+Disallow: /privat
+Allow: /privat
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: OtherBot
+Disallow: /
+
+User-agent: GuimeraBot
+Disallow: /cerca
+Crawl-delay: 5
+
+Sitemap: https://www.guimera.info/sitemap_index.xml
+Sitemap: https://www.guimera.info/wp-sitemap.xml
+`;
+
+const url = path => `https://www.guimera.info${path}`;
+
+test('the longest matching rule wins and Allow wins ties', () => {
+  const robots = new RobotsRules(ROBOTS);
+
+  assert.equal(robots.isAllowed(url('/wp-admin/options.php')), false);
+  assert.equal(robots.isAllowed(url('/wp-admin/admin-ajax.php')), true);
+  assert.equal(robots.isAllowed(url('/privat/acta.html')), true);
+  assert.equal(robots.isAllowed(url('/museu/')), true);
+});
+
+test('matches wildcards, end anchors and query strings', () => {
+  const robots = new RobotsRules(ROBOTS);
+
+  assert.equal(robots.isAllowed(url('/castell/?replytocom=12')), false);
+  assert.equal(robots.isAllowed(url('/castell/?page=2')), true);
+  assert.equal(robots.isAllowed(url('/docs/programa.pdf')), false);
+  assert.equal(robots.isAllowed(url('/docs/programa.pdf?v=2')), true);
+});
+
+test('compares percent-encoded and plain paths alike', () => {
+  const robots = new RobotsRules('User-agent: *\nDisallow: /església');
+
+  assert.equal(robots.isAllowed(url('/esgl%C3%A9sia/')), false);
+  assert.equal(robots.isAllowed(url('/museu/')), true);
+});
+
+test('applies the group naming the agent, else the * group', () => {
+  const ours = new RobotsRules(ROBOTS, 'GuimeraBot/1.0');
+  assert.equal(ours.isAllowed(url('/cerca?q=museu')), false);
+  // Only our group applies, not the * rules
+  assert.equal(ours.isAllowed(url('/wp-admin/options.php')), true);
+  assert.equal(ours.crawlDelay, 5);
+
+  // Consecutive User-agent lines share the group
+  assert.equal(new RobotsRules(ROBOTS, 'OtherBot').isAllowed(url('/museu/')), false);
+
+  const other = new RobotsRules(ROBOTS, 'SomeCrawler');
+  assert.equal(other.isAllowed(url('/cerca?q=museu')), true);
+  assert.equal(other.crawlDelay, 2);
+});
+
+test('reads sitemaps and allows everything without rules', () => {
+  const robots = new RobotsRules(ROBOTS);
+  assert.deepEqual(robots.sitemaps, [
+    'https://www.guimera.info/sitemap_index.xml',
+    'https://www.guimera.info/wp-sitemap.xml'
+  ]);
+
+  for (const text of ['', 'User-agent: *\nDisallow:\n']) {
+    const open = new RobotsRules(text);
+    assert.equal(open.isAllowed(url('/wp-admin/')), true);
+    assert.equal(open.crawlDelay, null);
+  }
+  assert.equal(new RobotsRules('').isAllowed('not a url'), false);
+});
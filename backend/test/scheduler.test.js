@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RAG_CONFIG = require('../config');
+const RAGSystemScheduler = require('../admin/scheduler');
+const CrawlJobManager = require('../admin/job-manager');
+const MultiDomainScraper = require('../multi-domain-scraper');
+const { IncrementalCrawler } = require('../ingestion');
+const Notifier = require('../notifications/notifier');
+
+// Scheduler and shared job manager in a temporary directory; the content
+// update scrapes nothing and reports the sources it was given
+async function createScheduler(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-scheduler-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+
+  const jobManager = new CrawlJobManager({ directory: path.join(directory, 'jobs') });
+  t.mock.method(jobManager, 'execute', async () => {});
+  t.mock.method(CrawlJobManager, 'getInstance', () => jobManager);
+
+  const scraped = [];
+  t.mock.method(MultiDomainScraper.prototype, 'scrapeUpdatedContent', async sources => {
+    scraped.push(...sources.map(source => source.baseUrl));
+    return [];
+  });
+  t.mock.method(IncrementalCrawler.prototype, 'pendingDeletions', async () => []);
+  t.mock.method(IncrementalCrawler.prototype, 'save', async () => {});
+
+  const scheduler = new RAGSystemScheduler({ directory });
+  await scheduler.initialize();
+  return { scheduler, jobManager, scraped };
+}
+
+test('content updates leave sources with an active crawl job alone', async t => {
+  const { scheduler, jobManager, scraped } = await createScheduler(t);
+  const primary = RAG_CONFIG.sources.primary;
+  await jobManager.createJob({ source: primary.domain });
+
+  await scheduler.performContentUpdate('incremental');
+
+  const expected = MultiDomainScraper.allSources().map(source => source.baseUrl).filter(baseUrl => baseUrl !== primary.baseUrl);
+  assert.deepEqual(scraped, expected);
+  // Reservations end with the update
+  assert.equal(jobManager.reserved.size, 0);
+  assert.equal(scheduler.isProcessing, false);
+});
+
+test('content updates are skipped while every source has a job', async t => {
+  const { scheduler, jobManager, scraped } = await createScheduler(t);
+  await jobManager.reserveSources(MultiDomainScraper.allSources(), 'test');
+
+  await scheduler.performContentUpdate('incremental');
+
+  assert.deepEqual(scraped, []);
+  const [entry] = await scheduler.getUpdateLog({ type: 'content-update' });
+  assert.equal(entry.status, 'skipped');
+});
+
+test('a failed content update is recorded as a failed run', async t => {
+  const { scheduler, jobManager } = await createScheduler(t);
+  const alerts = [];
+  t.mock.method(Notifier, 'getInstance', () => ({ notify: async batch => alerts.push(...batch) }));
+  MultiDomainScraper.prototype.scrapeUpdatedContent.mock.mockImplementation(async () => {
+    throw new Error('Feed unavailable');
+  });
+
+  const run = await scheduler.runJob('weekly-update');
+
+  assert.equal(run.lastStatus, 'failed');
+  assert.equal(run.lastError, 'Feed unavailable');
+  assert.deepEqual(alerts.map(alert => alert.type), ['content-update-failed']);
+  const [entry] = await scheduler.getUpdateLog({ type: 'content-update' });
+  assert.equal(entry.status, 'failed');
+  assert.equal(jobManager.reserved.size, 0);
+});
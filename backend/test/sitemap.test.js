@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parseSitemap, sitemapText, looksLikeSitemap } = require('../ingestion/sitemap');
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc> https://www.guimera.info/museu/ </loc>
+    <lastmod>2025-03-01T10:00:00+00:00</lastmod>
+  </url>
+  <url><loc>https://www.guimera.info/castell/</loc></url>
+  <url><lastmod>2025-01-01</lastmod></url>
+</urlset>`;
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://www.guimera.info/page-sitemap.xml</loc></sitemap>
+  <sitemap><loc>https://www.guimera.info/post-sitemap.xml.gz</loc><lastmod>2025-02-01</lastmod></sitemap>
+</sitemapindex>`;
+
+test('lists the pages of a urlset with their lastmod', () => {
+  assert.deepEqual(parseSitemap(URLSET), {
+    sitemaps: [],
+    urls: [
+      { loc: 'https://www.guimera.info/museu/', lastmod: '2025-03-01T10:00:00+00:00' },
+      { loc: 'https://www.guimera.info/castell/', lastmod: null }
+    ]
+  });
+});
+
+test('lists the nested sitemaps of a sitemap index', () => {
+  assert.deepEqual(parseSitemap(INDEX), {
+    sitemaps: ['https://www.guimera.info/page-sitemap.xml', 'https://www.guimera.info/post-sitemap.xml.gz'],
+    urls: []
+  });
+});
+
+test('reads plain and gzipped sitemaps', () => {
+  assert.equal(sitemapText(Buffer.from(URLSET)), URLSET);
+  assert.equal(sitemapText(zlib.gzipSync(URLSET)), URLSET);
+});
+
+test('tells sitemaps from other pages', () => {
+  assert.equal(looksLikeSitemap(URLSET), true);
+  assert.equal(looksLikeSitemap(INDEX), true);
+  assert.equal(looksLikeSitemap('<!DOCTYPE html><html><body>Pàgina no trobada</body></html>'), false);
+});
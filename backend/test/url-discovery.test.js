@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const UrlDiscovery = require('../ingestion/url-discovery');
+
+const SITE = { domain: 'guimera.info', baseUrl: 'https://www.guimera.info', type: 'main_site' };
+const BLOG = { domain: 'guimera.info', baseUrl: 'https://www.guimera.info/blog', type: 'wordpress' };
+
+const page = path => `https://www.guimera.info${path}`;
+
+function urlset(locs) {
+  return `<?xml version="1.0"?><urlset>${locs.map(([loc, lastmod]) => `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('')}</urlset>`;
+}
+
+function html(links) {
+  return `<html><body>${links.map(href => `<a href="${href}">enllaç</a>`).join('')}</body></html>`;
+}
+
+// Discovery over an in-memory site: `responses` maps URLs to a body (or an
+// Error to throw); every other URL answers 404. Fetched URLs are in
+// `discovery.fetched`.
+function discoveryOf(responses) {
+  const discovery = new UrlDiscovery({ sources: { primary: SITE, blog: BLOG }, defaultDelayMs: 0, crawlDepth: 1 });
+  discovery.fetched = [];
+  discovery.get = async url => {
+    discovery.fetched.push(url);
+    const body = responses[url];
+    if (body instanceof Error) throw body;
+    if (body === undefined) return { status: 404, data: 'Not found', headers: { 'content-type': 'text/html' } };
+    return { status: 200, data: body, headers: { 'content-type': body.includes('<html') ? 'text/html; charset=utf-8' : 'application/xml' } };
+  };
+  return discovery;
+}
+
+function quiet(t) {
+  for (const method of ['log', 'warn']) t.mock.method(console, method, () => {});
+}
+
+test('reads the robots.txt sitemaps through sitemap indexes', async t => {
+  quiet(t);
+  const discovery = discoveryOf({
+    [page('/robots.txt')]: 'User-agent: *\nDisallow: /privat/\nCrawl-delay: 3\nSitemap: https://www.guimera.info/sitemap_index.xml',
+    [page('/sitemap_index.xml')]: `<sitemapindex>${[page('/page-sitemap.xml'), page('/post-sitemap.xml.gz'), page('/sitemap_index.xml')]
+      .map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`,
+    [page('/page-sitemap.xml')]: urlset([
+      [page('/museu/'), '2025-03-01'],
+      [page('/museu/#horaris')],
+      ['https://guimera.info/museu?utm_source=newsletter'],
+      [page('/privat/acta/')],
+      [page('/blog/entrada/')],
+      [page('/logo.png')],
+      ['https://altre.cat/pagina/'],
+      [page('/docs/programa.pdf')]
+    ]),
+    [page('/post-sitemap.xml.gz')]: zlib.gzipSync(urlset([[page('/castell/')]]))
+  });
+
+  const frontier = await discovery.discoverSource(SITE);
+
+  assert.equal(frontier.method, 'sitemap');
+  assert.deepEqual(frontier.urls, [page('/museu/'), page('/castell/')]);
+  assert.deepEqual(frontier.documents, [page('/docs/programa.pdf')]);
+  assert.deepEqual(frontier.lastModified, { [page('/museu/')]: '2025-03-01' });
+  assert.equal(frontier.crawlDelayMs, 3000);
+  // The index listing itself is read once
+  assert.equal(discovery.fetched.filter(url => url === page('/sitemap_index.xml')).length, 1);
+});
+
+test('falls back to the conventional sitemap locations', async t => {
+  quiet(t);
+  const discovery = discoveryOf({
+    [page('/blog/wp-sitemap.xml')]: urlset([[page('/blog/entrada/')], [page('/museu/')]])
+  });
+
+  const frontier = await discovery.discoverSource(BLOG);
+
+  assert.equal(frontier.method, 'sitemap');
+  assert.deepEqual(frontier.urls, [page('/blog/entrada/')]);
+  assert.equal(frontier.crawlDelayMs, 0);
+});
+
+test('crawls links when no sitemap lists a page', async t => {
+  quiet(t);
+  const discovery = discoveryOf({
+    [page('/robots.txt')]: new Error('socket hang up'),
+    [SITE.baseUrl]: html(['/museu/', 'castell/', '/museu/#horaris', 'mailto:info@guimera.info', 'https://altre.cat/', '/blog/entrada/', '/fitxa.pdf']),
+    [page('/museu/')]: html(['/museu/horaris/']),
+    [page('/castell/')]: html([])
+  });
+
+  const frontier = await discovery.discoverSource(SITE);
+
+  assert.equal(frontier.method, 'crawl');
+  // /museu/horaris/ is past the crawl depth
+  assert.deepEqual(frontier.urls, [page('/'), page('/museu/'), page('/castell/')]);
+  assert.deepEqual(frontier.documents, [page('/fitxa.pdf')]);
+  assert.ok(!discovery.fetched.includes(page('/blog/entrada/')));
+});
+
+test('reads robots.txt once per origin', async t => {
+  quiet(t);
+  const discovery = discoveryOf({
+    [page('/robots.txt')]: 'User-agent: *\nDisallow:\nSitemap: https://www.guimera.info/sitemap.xml',
+    [page('/sitemap.xml')]: urlset([[page('/museu/')], [page('/blog/entrada/')]])
+  });
+
+  const frontiers = await discovery.discoverAll();
+
+  assert.deepEqual(frontiers.primary.urls, [page('/museu/')]);
+  assert.deepEqual(frontiers.blog.urls, [page('/blog/entrada/')]);
+  assert.equal(discovery.fetched.filter(url => url.endsWith('/robots.txt')).length, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WordPressScraper = require('../ingestion/wordpress-scraper');
+const { CrawlState, IncrementalCrawler } = require('../ingestion');
+
+const SOURCE = { domain: 'guimera.info', baseUrl: 'https://www.guimera.info', type: 'main_site', priority: 1, scraper: 'wordpress' };
+const BODY = '<h2>Horaris</h2><p>El Museu de Guimerà obre dissabtes i diumenges d\'11 a 14 h. L\'entrada costa 3 euros i els grups poden reservar visita.</p>';
+
+// Scraper answering the REST API from `posts` (no pages or media)
+async function scraperWith(t, posts) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'guimera-wp-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const state = new CrawlState({ indexName: 'test', directory });
+  const scraper = new WordPressScraper({ crawler: new IncrementalCrawler({ state, incremental: true }), delayMs: 0 });
+  scraper.get = async url => {
+    if (url.endsWith('/wp-json/')) return { status: 200, headers: {}, data: { namespaces: ['wp/v2'] } };
+    const items = url.endsWith('/posts') ? posts : [];
+    return { status: 200, headers: { 'x-wp-totalpages': '1' }, data: items };
+  };
+  return { scraper, state };
+}
+
+const POST = {
+  id: 7,
+  link: 'https://www.guimera.info/museu/',
+  modified_gmt: '2025-03-01T10:00:00',
+  date_gmt: '2024-01-10T09:00:00',
+  title: { rendered: 'Museu' },
+  content: { rendered: BODY },
+  _embedded: { author: [{ name: 'Ajuntament' }], 'wp:term': [[{ taxonomy: 'category', name: 'Cultura' }]] }
+};
+
+test('returns the crawl state with the chunks instead of recording it', async t => {
+  const { scraper, state } = await scraperWith(t, [POST]);
+  const { chunks, records } = await scraper.scrapeSource(SOURCE);
+
+  assert.ok(chunks.length > 0);
+  assert.deepEqual(chunks[0].metadata.categories, ['Cultura']);
+  assert.equal(chunks[0].metadata.author, 'Ajuntament');
+  assert.equal(records.get(POST.link).extra.modifiedGmt, POST.modified_gmt);
+  assert.equal(await state.get(POST.link), null);
+});
+
+test('skips posts whose modified date or text is already recorded', async t => {
+  const posts = [POST];
+  const { scraper, state } = await scraperWith(t, posts);
+  const { records } = await scraper.scrapeSource(SOURCE);
+  const record = records.get(POST.link);
+  await scraper.crawler.recordHash(POST.link, record.hash, record.validators, record.extra);
+
+  assert.deepEqual((await scraper.scrapeSource(SOURCE)).chunks, []);
+
+  // A new modified date with the same text is recorded right away
+  const touched = { ...POST, modified_gmt: '2025-04-01T10:00:00' };
+  posts[0] = touched;
+  assert.deepEqual((await scraper.scrapeSource(SOURCE)).chunks, []);
+  assert.equal((await state.get(POST.link)).modifiedGmt, touched.modified_gmt);
+  assert.equal(scraper.stats.unchanged, 2);
+});
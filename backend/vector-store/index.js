@@ -0,0 +1,40 @@
+const RAG_CONFIG = require('../config');
+const VectorStore = require('./vector-store');
+const PineconeVectorStore = require('./pinecone-store');
+const LocalVectorStore = require('./local-store');
+
+// Create the vector store selected by RAG_CONFIG.vectorDB.provider.
+// The native Pinecone code has always written to the index's default
+// namespace, so no namespace is applied unless one is passed explicitly.
+function createVectorStore(options = {}) {
+  const provider = options.provider || RAG_CONFIG.vectorDB.provider;
+  const storeOptions = {
+    indexName: RAG_CONFIG.vectorDB.indexName,
+    ...options
+  };
+
+  switch (provider) {
+    case 'pinecone':
+      return new PineconeVectorStore(storeOptions);
+    case 'local':
+      return new LocalVectorStore({
+        directory: RAG_CONFIG.vectorDB.local.directory,
+        ...storeOptions
+      });
+    default:
+      throw new Error(`Unknown vector store provider: ${provider}`);
+  }
+}
+
+// Whether the configured provider has what it needs to run
+function isVectorStoreConfigured(provider = RAG_CONFIG.vectorDB.provider) {
+  return provider === 'pinecone' ? !!process.env.PINECONE_API_KEY : true;
+}
+
+module.exports = {
+  createVectorStore,
+  isVectorStoreConfigured,
+  VectorStore,
+  PineconeVectorStore,
+  LocalVectorStore
+};
@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+const VectorStore = require('./vector-store');
+const { matchesFilter } = require('./metadata-filter');
+
+// Several instances in one process may save at once
+let tmpCounter = 0;
+
+/**
+ * Local on-disk vector store for offline development and CI.
+ * Records live in memory and are persisted as one JSON file per index and
+ * namespace; queries are brute-force cosine similarity, which is plenty for
+ * the few thousand chunks of the Guimerà knowledge base.
+ *
+ * Writes are serialized, and upserts arriving while a write is in flight
+ * share the next one, so concurrent pipeline workers do not rewrite the
+ * whole file once each.
+ */
+class LocalVectorStore extends VectorStore {
+  constructor(options = {}) {
+    super(options);
+    this.provider = 'local';
+    this.directory = path.resolve(__dirname, '..', options.directory || 'data/vector-store');
+
+    const fileName = this.namespace ? `${this.indexName}-${this.namespace}.json` : `${this.indexName}.json`;
+    this.filePath = path.join(this.directory, fileName);
+
+    this.records = new Map();
+    this.norms = new Map();
+    this.dimension = null;
+    this.loadedMtime = null;
+    this.initialized = false;
+
+    this.writes = Promise.resolve();   // Tail of the write queue
+    this.nextWrite = null;             // Queued write not yet started
+    this.unsaved = 0;                  // Saves requested and not yet written
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.load();
+    this.initialized = true;
+    console.log(`📁 Local vector store ready: ${this.records.size} records (${this.filePath})`);
+  }
+
+  async upsert(records) {
+    if (records.length === 0) return;
+    await this.reloadIfChanged();
+
+    for (const record of records) {
+      if (!Array.isArray(record.values) || record.values.length === 0) {
+        throw new Error(`Record ${record.id} has no vector values`);
+      }
+
+      if (this.dimension && record.values.length !== this.dimension) {
+        throw new Error(`Vector dimension ${record.values.length} does not match index dimension ${this.dimension}`);
+      }
+
+      this.dimension = this.dimension || record.values.length;
+      this.setRecord({
+        id: record.id,
+        values: record.values,
+        metadata: record.metadata || {}
+      });
+    }
+
+    await this.save();
+  }
+
+  async query({ vector, topK = 10, filter, includeMetadata = true, includeValues = false }) {
+    await this.reloadIfChanged();
+
+    const queryNorm = norm(vector);
+    const scored = [];
+
+    for (const record of this.records.values()) {
+      if (!matchesFilter(record.metadata, filter)) continue;
+
+      const recordNorm = this.norms.get(record.id);
+      const score = queryNorm === 0 || recordNorm === 0
+        ? 0
+        : dot(vector, record.values) / (queryNorm * recordNorm);
+
+      scored.push({ record, score });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+
+    return {
+      matches: scored.slice(0, topK).map(({ record, score }) => ({
+        id: record.id,
+        score,
+        ...(includeMetadata ? { metadata: record.metadata } : {}),
+        ...(includeValues ? { values: record.values } : {})
+      }))
+    };
+  }
+
+  async fetch(ids) {
+    await this.reloadIfChanged();
+
+    const records = {};
+    for (const id of ids) {
+      const record = this.records.get(id);
+      if (record) {
+        records[id] = record;
+      }
+    }
+
+    return { records };
+  }
+
+  async deleteMany(ids) {
+    await this.reloadIfChanged();
+
+    let deleted = 0;
+    for (const id of ids) {
+      if (this.records.delete(id)) {
+        this.norms.delete(id);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      await this.save();
+    }
+    return deleted;
+  }
+
+  async deleteByFilter(filter) {
+    await this.reloadIfChanged();
+
+    const ids = Array.from(this.records.values())
+      .filter(record => matchesFilter(record.metadata, filter))
+      .map(record => record.id);
+
+    return this.deleteMany(ids);
+  }
+
+  async list({ prefix, limit = 100, paginationToken } = {}) {
+    await this.reloadIfChanged();
+
+    const ids = Array.from(this.records.keys())
+      .filter(id => !prefix || id.startsWith(prefix))
+      .sort();
+
+    const start = paginationToken ? parseInt(paginationToken, 10) : 0;
+    const end = start + limit;
+
+    return {
+      ids: ids.slice(start, end),
+      nextToken: end < ids.length ? String(end) : undefined
+    };
+  }
+
+  async describeStats() {
+    await this.reloadIfChanged();
+
+    return {
+      totalVectors: this.records.size,
+      dimension: this.dimension || 0,
+      namespaces: {
+        [this.namespace || '']: { recordCount: this.records.size }
+      }
+    };
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  setRecord(record) {
+    this.records.set(record.id, record);
+    this.norms.set(record.id, norm(record.values));
+  }
+
+  async load() {
+    this.records.clear();
+    this.norms.clear();
+    this.dimension = null;
+
+    try {
+      const [raw, stat] = await Promise.all([
+        fs.readFile(this.filePath, 'utf8'),
+        fs.stat(this.filePath)
+      ]);
+      const data = JSON.parse(raw);
+
+      this.dimension = data.dimension || null;
+      for (const record of data.records || []) {
+        this.setRecord(record);
+      }
+      this.loadedMtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.loadedMtime = null;
+    }
+  }
+
+  // Pick up writes made by other processes (e.g. an indexer run)
+  async reloadIfChanged() {
+    if (!this.initialized) {
+      await this.initialize();
+      return;
+    }
+    // Records not yet written are newer than the file
+    if (this.unsaved > 0) return;
+
+    try {
+      const stat = await fs.stat(this.filePath);
+      if (stat.mtimeMs !== this.loadedMtime) {
+        await this.load();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Queue a write of the current records; callers arriving before it starts
+  // share it
+  save() {
+    this.unsaved++;
+    if (!this.nextWrite) {
+      this.nextWrite = this.writes.then(() => {
+        this.nextWrite = null;
+        return this.write();
+      });
+      this.writes = this.nextWrite.catch(() => {});
+    }
+    return this.nextWrite;
+  }
+
+  async write() {
+    const saving = this.unsaved;
+    const data = {
+      indexName: this.indexName,
+      namespace: this.namespace || '',
+      dimension: this.dimension,
+      updatedAt: new Date().toISOString(),
+      records: Array.from(this.records.values())
+    };
+
+    try {
+      // Write to a temp file and rename so readers never see a partial file
+      const tmpPath = `${this.filePath}.${process.pid}.${++tmpCounter}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data));
+      await fs.rename(tmpPath, this.filePath);
+
+      const stat = await fs.stat(this.filePath);
+      this.loadedMtime = stat.mtimeMs;
+    } finally {
+      this.unsaved -= saving;
+    }
+  }
+}
+
+function dot(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+module.exports = LocalVectorStore;
@@ -0,0 +1,64 @@
+// Evaluates Pinecone-style metadata filters against a plain metadata object.
+// Supports implicit equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+// $exists, $and and $or. Array-valued metadata matches when any element does.
+function matchesFilter(metadata = {}, filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(metadata, subFilter));
+    }
+
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(metadata, subFilter));
+    }
+
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+function matchesCondition(value, condition) {
+  // Implicit equality: { source: 'guimera.info' }
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return compare(value, '$eq', condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => compare(value, operator, operand));
+}
+
+function compare(value, operator, operand) {
+  if (operator === '$exists') {
+    return (value !== undefined && value !== null) === Boolean(operand);
+  }
+
+  if (Array.isArray(value) && operator !== '$ne' && operator !== '$nin') {
+    return value.some(item => compare(item, operator, operand));
+  }
+
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$ne':
+      return Array.isArray(value) ? !value.includes(operand) : value !== operand;
+    case '$gt':
+      return value !== undefined && value !== null && value > operand;
+    case '$gte':
+      return value !== undefined && value !== null && value >= operand;
+    case '$lt':
+      return value !== undefined && value !== null && value < operand;
+    case '$lte':
+      return value !== undefined && value !== null && value <= operand;
+    case '$in':
+      return operand.includes(value);
+    case '$nin':
+      return Array.isArray(value)
+        ? !value.some(item => operand.includes(item))
+        : !operand.includes(value);
+    default:
+      throw new Error(`Unsupported metadata filter operator: ${operator}`);
+  }
+}
+
+module.exports = { matchesFilter };
@@ -0,0 +1,105 @@
+const { Pinecone } = require('@pinecone-database/pinecone');
+const VectorStore = require('./vector-store');
+
+/**
+ * Pinecone adapter (serverless, v6.x SDK).
+ * The client is created on initialize() so modules can be loaded without a key.
+ */
+class PineconeVectorStore extends VectorStore {
+  constructor(options = {}) {
+    super(options);
+    this.provider = 'pinecone';
+    this.apiKey = options.apiKey || process.env.PINECONE_API_KEY;
+    this.pinecone = null;
+    this.index = null;
+  }
+
+  async initialize() {
+    if (this.index) return;
+
+    this.pinecone = new Pinecone({
+      apiKey: this.apiKey
+    });
+
+    const index = this.pinecone.index(this.indexName);
+    this.index = this.namespace ? index.namespace(this.namespace) : index;
+  }
+
+  async upsert(records) {
+    if (records.length === 0) return;
+    await this.index.upsert(records);
+  }
+
+  async query({ vector, topK = 10, filter, includeMetadata = true, includeValues = false }) {
+    const response = await this.index.query({
+      vector,
+      topK,
+      filter: filter && Object.keys(filter).length > 0 ? filter : undefined,
+      includeMetadata,
+      includeValues
+    });
+
+    return {
+      matches: response.matches || []
+    };
+  }
+
+  async fetch(ids) {
+    if (ids.length === 0) return { records: {} };
+
+    const response = await this.index.fetch(ids);
+    return {
+      records: response.records || {}
+    };
+  }
+
+  async deleteMany(ids) {
+    // Pinecone caps a single delete request at 1000 ids
+    for (let i = 0; i < ids.length; i += 1000) {
+      await this.index.deleteMany(ids.slice(i, i + 1000));
+    }
+    return ids.length;
+  }
+
+  async deleteByFilter(filter) {
+    try {
+      await this.index.deleteMany(filter);
+      return null;
+    } catch (error) {
+      // Serverless indexes reject delete-by-metadata; resolve the ids with a
+      // filtered query instead and delete those.
+      console.warn(`⚠️ Pinecone delete-by-filter unavailable (${error.message}), deleting by id`);
+
+      const stats = await this.describeStats();
+      const response = await this.query({
+        vector: new Array(stats.dimension).fill(0),
+        topK: 10000,
+        filter,
+        includeMetadata: false
+      });
+
+      return this.deleteMany(response.matches.map(match => match.id));
+    }
+  }
+
+  async list({ prefix, limit = 100, paginationToken } = {}) {
+    const response = await this.index.listPaginated({ prefix, limit, paginationToken });
+
+    return {
+      ids: (response.vectors || []).map(vector => vector.id),
+      nextToken: response.pagination?.next
+    };
+  }
+
+  async describeStats() {
+    const stats = await this.index.describeIndexStats();
+
+    return {
+      totalVectors: stats.totalRecordCount || stats.totalVectorCount || 0,
+      dimension: stats.dimension,
+      namespaces: stats.namespaces
+    };
+  }
+}
+
+module.exports = PineconeVectorStore;
@@ -0,0 +1,67 @@
+/**
+ * Vector store interface shared by the RAG engines, indexers and QA tools.
+ *
+ * Records use the Pinecone shape so adapters are interchangeable:
+ *   { id, values: number[], metadata: {} }
+ * Query results are returned as { matches: [{ id, score, metadata, values? }] }
+ * and metadata filters use the Pinecone filter syntax ($eq, $in, $gte, $and...).
+ */
+class VectorStore {
+  constructor(options = {}) {
+    this.indexName = options.indexName;
+    this.namespace = options.namespace;
+    this.provider = 'abstract';
+  }
+
+  async initialize() {
+    throw new Error(`${this.constructor.name}.initialize() not implemented`);
+  }
+
+  // Insert or replace records by id
+  async upsert(records) {
+    throw new Error(`${this.constructor.name}.upsert() not implemented`);
+  }
+
+  // Nearest neighbours of `vector`, optionally restricted by a metadata filter
+  async query({ vector, topK = 10, filter, includeMetadata = true, includeValues = false }) {
+    throw new Error(`${this.constructor.name}.query() not implemented`);
+  }
+
+  // Records by id, returned as { records: { [id]: { id, values, metadata } } }
+  async fetch(ids) {
+    throw new Error(`${this.constructor.name}.fetch() not implemented`);
+  }
+
+  async deleteMany(ids) {
+    throw new Error(`${this.constructor.name}.deleteMany() not implemented`);
+  }
+
+  // Remove every record whose metadata matches `filter`; returns the deleted count when known
+  async deleteByFilter(filter) {
+    throw new Error(`${this.constructor.name}.deleteByFilter() not implemented`);
+  }
+
+  // Page through record ids: { ids, nextToken }
+  async list({ prefix, limit = 100, paginationToken } = {}) {
+    throw new Error(`${this.constructor.name}.list() not implemented`);
+  }
+
+  // { totalVectors, dimension, namespaces }
+  async describeStats() {
+    throw new Error(`${this.constructor.name}.describeStats() not implemented`);
+  }
+
+  // Iterate over every record id in the store
+  async *listAll({ prefix, pageSize = 100 } = {}) {
+    let paginationToken;
+    do {
+      const page = await this.list({ prefix, limit: pageSize, paginationToken });
+      for (const id of page.ids) {
+        yield id;
+      }
+      paginationToken = page.nextToken;
+    } while (paginationToken);
+  }
+}
+
+module.exports = VectorStore;
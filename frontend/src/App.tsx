@@ -5,7 +5,7 @@ import { useChat } from './hooks/useChat';
 import './App.css'
 
 function App() {
-  const { messages, isLoading, error, sendMessage, clearChat } = useChat();
+  const { messages, isLoading, isStreaming, error, sendMessage, sendFeedback, clearChat } = useChat();
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   const scrollToBottom = () => {
@@ -126,7 +126,7 @@ function App() {
           )}
 
           {messages.map((message) => (
-            <ChatMessage key={message.id} message={message} />
+            <ChatMessage key={message.id} message={message} onFeedback={sendFeedback} />
           ))}
 
           {isLoading && (
@@ -148,7 +148,7 @@ function App() {
           <div ref={messagesEndRef} />
         </div>
 
-        <ChatInput onSendMessage={sendMessage} disabled={isLoading} />
+        <ChatInput onSendMessage={sendMessage} disabled={isLoading || isStreaming} />
       </div>
     </div>
   )
@@ -1,21 +1,152 @@
-import type { Message } from '../types/chat';
+import { useState } from 'react';
+import type { ChatSource, FeedbackRating, FeedbackReason, Message } from '../types/chat';
 import './ChatMessage.css';
 
+const FEEDBACK_REASONS: { value: FeedbackReason; label: string }[] = [
+  { value: 'incorrect', label: 'Incorrecta' },
+  { value: 'outdated', label: 'Desactualitzada' },
+  { value: 'incomplete', label: 'Incompleta' },
+  { value: 'wrong-language', label: 'Idioma equivocat' },
+];
+
+// "Title, p. 4, 7" for documents, as the assistant cites them
+const sourceLabel = (source: ChatSource) => {
+  const title = source.title || source.url;
+  return source.pages && source.pages.length > 0
+    ? `${title}, p. ${source.pages.join(', ')}`
+    : title;
+};
+
 interface ChatMessageProps {
   message: Message;
+  onFeedback?: (
+    messageId: string,
+    rating: FeedbackRating,
+    reason?: FeedbackReason,
+    comment?: string
+  ) => Promise<void>;
 }
 
-export const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
+export const ChatMessage: React.FC<ChatMessageProps> = ({ message, onFeedback }) => {
   const isUser = message.role === 'user';
+  const [showReasons, setShowReasons] = useState(false);
+  const [reason, setReason] = useState<FeedbackReason | null>(null);
+  const [comment, setComment] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [feedbackError, setFeedbackError] = useState<string | null>(null);
+
+  const sendFeedback = async (rating: FeedbackRating) => {
+    if (!message.messageId || !onFeedback) return;
+
+    setIsSending(true);
+    setFeedbackError(null);
+    try {
+      await onFeedback(
+        message.messageId,
+        rating,
+        rating === 'down' ? reason ?? undefined : undefined,
+        rating === 'down' && comment.trim() ? comment.trim() : undefined
+      );
+      setShowReasons(false);
+    } catch {
+      setFeedbackError("No s'ha pogut enviar la valoració");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const canRate = !isUser && message.messageId && onFeedback;
 
   return (
     <div className={`chat-message ${isUser ? 'user' : 'assistant'}`}>
       <div className="message-content">
         <div className="message-text">{message.content}</div>
+        {!isUser && message.sources && message.sources.length > 0 && (
+          <div className="message-sources">
+            <span className="sources-title">Fonts:</span>
+            <ul>
+              {message.sources.map(source => (
+                <li key={source.url}>
+                  <a href={source.url} target="_blank" rel="noopener noreferrer">
+                    {sourceLabel(source)}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <div className="message-time">
           {new Date(message.timestamp).toLocaleTimeString()}
         </div>
+
+        {canRate && (
+          <div className="message-feedback">
+            {message.feedback ? (
+              <span className="feedback-thanks">
+                {message.feedback === 'up' ? '👍' : '👎'} Gràcies per la valoració
+              </span>
+            ) : (
+              <>
+                <button
+                  type="button"
+                  className="feedback-button"
+                  onClick={() => sendFeedback('up')}
+                  disabled={isSending}
+                  aria-label="Resposta útil"
+                  title="Resposta útil"
+                >
+                  👍
+                </button>
+                <button
+                  type="button"
+                  className={`feedback-button ${showReasons ? 'active' : ''}`}
+                  onClick={() => setShowReasons(!showReasons)}
+                  disabled={isSending}
+                  aria-label="Resposta no útil"
+                  title="Resposta no útil"
+                >
+                  👎
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {canRate && showReasons && !message.feedback && (
+          <div className="feedback-form">
+            <div className="feedback-reasons">
+              {FEEDBACK_REASONS.map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`feedback-reason ${reason === option.value ? 'selected' : ''}`}
+                  onClick={() => setReason(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Comentari (opcional)"
+              maxLength={1000}
+              rows={2}
+              className="feedback-comment"
+            />
+            <button
+              type="button"
+              className="feedback-submit"
+              onClick={() => sendFeedback('down')}
+              disabled={isSending || !reason}
+            >
+              Envia
+            </button>
+          </div>
+        )}
+
+        {feedbackError && <div className="feedback-error">{feedbackError}</div>}
       </div>
     </div>
   );
-};
\ No newline at end of file
+};
@@ -1,12 +1,14 @@
-import { useState, useCallback } from 'react';
-import type { Message } from '../types/chat';
+import { useState, useCallback, useRef } from 'react';
+import type { ChatStreamMetadata, FeedbackRating, FeedbackReason, Message } from '../types/chat';
 import { chatApi } from '../services/chatApi';
 
 export const useChat = () => {
   const [messages, setMessages] = useState<Message[]>([]);
   const [sessionId, setSessionId] = useState<string>('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
 
   const sendMessage = useCallback(async (content: string) => {
     setIsLoading(true);
@@ -19,29 +21,90 @@ export const useChat = () => {
       timestamp: new Date(),
     };
 
+    const assistantId = (Date.now() + 1).toString();
+    let assistantStarted = false;
+    // Retrieval metadata arrives before the first token
+    let metadata: ChatStreamMetadata | null = null;
+
     setMessages(prev => [...prev, userMessage]);
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
-      const response = await chatApi.sendMessage(content, sessionId);
+      const done = await chatApi.streamMessage(content, sessionId, {
+        onMetadata: (received) => {
+          metadata = received;
+          if (assistantStarted) {
+            setMessages(prev => prev.map(message =>
+              message.id === assistantId
+                ? { ...message, sources: received.sources, confidence: received.confidence }
+                : message
+            ));
+          }
+        },
+        onToken: (delta) => {
+          if (!assistantStarted) {
+            assistantStarted = true;
+            setIsLoading(false);
+            setIsStreaming(true);
+            setMessages(prev => [...prev, {
+              id: assistantId,
+              role: 'assistant',
+              content: delta,
+              timestamp: new Date(),
+              sources: metadata?.sources,
+              confidence: metadata?.confidence,
+            }]);
+            return;
+          }
 
-      const assistantMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        role: 'assistant',
-        content: response.response,
-        timestamp: new Date(),
-      };
+          setMessages(prev => prev.map(message =>
+            message.id === assistantId
+              ? { ...message, content: message.content + delta }
+              : message
+          ));
+        },
+      }, abortController.signal);
 
-      setMessages(prev => [...prev, assistantMessage]);
-      setSessionId(response.sessionId);
+      setSessionId(done.sessionId);
+      setMessages(prev => prev.map(message =>
+        message.id === assistantId
+          ? { ...message, messageId: done.messageId }
+          : message
+      ));
     } catch (err) {
+      if (abortController.signal.aborted) return;
+
       setError(err instanceof Error ? err.message : 'An error occurred');
-      setMessages(prev => prev.slice(0, -1));
+      setMessages(prev => prev.filter(message =>
+        message.id !== userMessage.id && message.id !== assistantId
+      ));
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
+      setIsStreaming(false);
     }
   }, [sessionId]);
 
+  const sendFeedback = useCallback(async (
+    messageId: string,
+    rating: FeedbackRating,
+    reason?: FeedbackReason,
+    comment?: string
+  ) => {
+    await chatApi.sendFeedback(messageId, rating, reason, comment);
+    setMessages(prev => prev.map(message =>
+      message.messageId === messageId
+        ? { ...message, feedback: rating }
+        : message
+    ));
+  }, []);
+
   const clearChat = useCallback(() => {
+    abortControllerRef.current?.abort();
     setMessages([]);
     setSessionId('');
     setError(null);
@@ -50,9 +113,11 @@ export const useChat = () => {
   return {
     messages,
     isLoading,
+    isStreaming,
     error,
     sendMessage,
+    sendFeedback,
     clearChat,
     sessionId,
   };
-};
\ No newline at end of file
+};
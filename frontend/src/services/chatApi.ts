@@ -1,4 +1,10 @@
-import type { ChatResponse } from '../types/chat';
+import type {
+  ChatResponse,
+  ChatStreamDone,
+  ChatStreamHandlers,
+  FeedbackRating,
+  FeedbackReason,
+} from '../types/chat';
 
 const API_URL = import.meta.env.VITE_API_URL || 'https://guimera-ai-backend.onrender.com';
 
@@ -23,6 +29,82 @@ export const chatApi = {
     return response.json();
   },
 
+  async streamMessage(
+    message: string,
+    sessionId: string | undefined,
+    handlers: ChatStreamHandlers,
+    signal?: AbortSignal,
+  ): Promise<ChatStreamDone> {
+    const response = await fetch(`${API_URL}/api/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+      },
+      body: JSON.stringify({
+        message,
+        sessionId,
+      }),
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to send message');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let done: ChatStreamDone | null = null;
+
+    while (true) {
+      const { value, done: streamEnded } = await reader.read();
+      if (streamEnded) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Server-Sent Events are separated by a blank line
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        let event = 'message';
+        let data = '';
+        for (const line of rawEvent.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+
+        if (!data) continue;
+        const payload = JSON.parse(data);
+
+        switch (event) {
+          case 'metadata':
+            handlers.onMetadata?.(payload);
+            break;
+          case 'token':
+            handlers.onToken(payload.delta);
+            break;
+          case 'done':
+            done = payload;
+            handlers.onDone?.(payload);
+            break;
+          case 'error':
+            throw new Error(payload.error || 'Failed to send message');
+        }
+      }
+    }
+
+    if (!done) {
+      throw new Error('Connection closed before the answer was complete');
+    }
+
+    return done;
+  },
+
   async getSession(sessionId: string) {
     const response = await fetch(`${API_URL}/api/session/${sessionId}`);
 
@@ -34,6 +116,28 @@ export const chatApi = {
     return response.json();
   },
 
+  async sendFeedback(
+    messageId: string,
+    rating: FeedbackRating,
+    reason?: FeedbackReason,
+    comment?: string
+  ) {
+    const response = await fetch(`${API_URL}/api/feedback`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ messageId, rating, reason, comment }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to send feedback');
+    }
+
+    return response.json();
+  },
+
   async healthCheck() {
     const response = await fetch(`${API_URL}/api/health`);
     return response.json();
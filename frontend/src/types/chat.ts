@@ -1,8 +1,18 @@
+export type FeedbackRating = 'up' | 'down';
+
+export type FeedbackReason = 'incorrect' | 'outdated' | 'incomplete' | 'wrong-language';
+
 export interface Message {
   id: string;
   role: 'user' | 'assistant';
   content: string;
   timestamp: Date;
+  // Server ID of an assistant answer, used to rate it
+  messageId?: string;
+  feedback?: FeedbackRating;
+  // Sources the answer was based on (stream `metadata` event)
+  sources?: ChatSource[];
+  confidence?: number;
 }
 
 export interface ChatSession {
@@ -13,6 +23,40 @@ export interface ChatSession {
 
 export interface ChatResponse {
   response: string;
+  messageId: string;
   sessionId: string;
   threadId: string;
-}
\ No newline at end of file
+}
+export interface ChatSource {
+  title: string;
+  url: string;
+  source: string;
+  sourceType?: string;
+  documentType?: 'pdf' | 'docx' | 'odt';
+  pages?: number[];
+  relevanceScore?: number;
+  rerankScore?: number;
+}
+
+export interface ChatStreamMetadata {
+  sources: ChatSource[];
+  confidence: number;
+  searchResults: number;
+  totalSources: number;
+  engine: string;
+}
+
+export interface ChatStreamDone {
+  messageId: string;
+  sessionId: string;
+  timestamp: string;
+  mode: string;
+  engine: string;
+  cost: number;
+}
+
+export interface ChatStreamHandlers {
+  onMetadata?: (metadata: ChatStreamMetadata) => void;
+  onToken: (delta: string) => void;
+  onDone?: (done: ChatStreamDone) => void;
+}